@@ -2,12 +2,18 @@
 
 /**
  * Contains logic for checking achievement criteria and suggesting achievements.
+ * *** MODIFIED: Streak criteria follow the chosen streak mode (daily or weekly target, see streaks.js). ***
+ * *** MODIFIED: Added the pillarAmountTotal criteria (total amount logged for a pillar, see quantities.js). ***
+ * *** MODIFIED: Added the wellbeing criteria (days with wellbeing check-ins, see wellbeing.js). ***
  */
 
 // --- Imports ---
 import { getStateReference, unlockAchievement } from './state.js'; // State access and unlocking
 import { ALL_ACHIEVEMENTS } from './achievements.js';         // Achievement definitions
-import { PILLARS } from './constants.js';                     // Pillar definitions
+import { PILLARS } from './constants.js';                     // The ten built-in pillars (custom pillars aren't required by any achievement)
+import { getStreakAchievementProgress } from './streaks.js';  // Streak progress in the chosen mode
+import { getQuantitySettings, getAmountTotals } from './quantities.js'; // Pillar amounts
+import { countWellbeingDays } from './wellbeing.js';              // Wellbeing check-in days
 // UI/Audio imports are generally not needed here, as feedback is handled
 // by the state mutation (unlockAchievement) or the calling function.
 // import { showToast } from './ui/globalUI.js';
@@ -70,6 +76,9 @@ export function checkAchievements(stateRef) {
                 case 'specificPillarCount':
                     criteriaMet = checkSpecificPillarCountCriteria(stateRef, criteria);
                     break;
+                case 'pillarAmountTotal':
+                    criteriaMet = checkPillarAmountTotalCriteria(stateRef, criteria);
+                    break;
                 case 'allPillarsOneDay':
                     criteriaMet = checkAllPillarsOneDayCriteria(stateRef); // No specific value needed
                     break;
@@ -82,6 +91,9 @@ export function checkAchievements(stateRef) {
                 case 'mood':
                     criteriaMet = checkMoodCriteria(stateRef, criteria);
                     break;
+                case 'wellbeing':
+                    criteriaMet = checkWellbeingCriteria(stateRef, criteria);
+                    break;
                 case 'meta':
                     criteriaMet = checkMetaAchievementCriteria(stateRef, criteria, id); // Pass self ID
                     break;
@@ -113,7 +125,8 @@ export function checkAchievements(stateRef) {
 
 function checkStreakCriteria(stateRef, criteria) {
     if (typeof criteria.value !== 'number') return false;
-    return (stateRef.streak || 0) >= criteria.value;
+    const { progress, target } = getStreakAchievementProgress(stateRef, criteria.value);
+    return progress >= target;
 }
 
 function checkTotalXPCriteria(stateRef, criteria) {
@@ -136,10 +149,28 @@ function checkSpecificPillarCountCriteria(stateRef, criteria) {
     return count >= criteria.value;
 }
 
+function checkPillarAmountTotalCriteria(stateRef, criteria) {
+    const progress = getPillarAmountProgress(stateRef, criteria);
+    return progress !== null && progress >= criteria.value;
+}
+
+/**
+ * Returns the total amount logged for the criteria's pillar, or null if the pillar isn't
+ * logged in the criteria's unit (amounts in another unit can't be compared).
+ */
+function getPillarAmountProgress(stateRef, criteria) {
+    if (typeof criteria.pillarId !== 'string' || typeof criteria.value !== 'number') {
+        console.warn(`[AchLogic] Invalid criteria for pillarAmountTotal:`, criteria);
+        return null;
+    }
+    if (getQuantitySettings(stateRef, criteria.pillarId)?.unit !== criteria.unit) return null;
+    return getAmountTotals(stateRef, criteria.pillarId).total;
+}
+
 function checkAllPillarsOneDayCriteria(stateRef) {
     if (!stateRef.savedDays || !stateRef.pillars) return false;
     return Object.keys(stateRef.savedDays).some(date => {
-        // Check if every defined pillar was logged (true) on that specific date
+        // Check if every built-in pillar was logged (true) on that specific date
         return PILLARS.every(p => stateRef.pillars?.[p.id]?.days?.[date] === true);
     });
 }
@@ -166,6 +197,14 @@ function checkMoodCriteria(stateRef, criteria) {
     return moodCount >= criteria.value;
 }
 
+function checkWellbeingCriteria(stateRef, criteria) {
+    if (typeof criteria.value !== 'number') {
+        console.warn(`[AchLogic] Invalid criteria for wellbeing:`, criteria);
+        return false;
+    }
+    return countWellbeingDays(stateRef, criteria) >= criteria.value;
+}
+
 function checkMetaAchievementCriteria(stateRef, criteria, selfId) {
     if (typeof criteria.value !== 'number') return false;
     let unlockedCount = 0;
@@ -180,7 +219,7 @@ function checkMetaAchievementCriteria(stateRef, criteria, selfId) {
 
 function checkMetaAllPillarsCriteria(stateRef) {
     if (!stateRef.pillars) return false;
-    // Check if every defined pillar has been logged at least once
+    // Check if every built-in pillar has been logged at least once
     return PILLARS.every(p => {
         const pillarState = stateRef.pillars[p.id];
         return pillarState?.days && Object.values(pillarState.days).some(logged => logged === true);
@@ -243,7 +282,7 @@ export function findSuggestedAchievement(state) {
             // Calculate current progress based on criteria type
             switch (criteria.type) {
                 case 'streak':
-                    progress = state.streak || 0;
+                    ({ progress, target } = getStreakAchievementProgress(state, criteria.value)); // Weeks in weekly mode
                     break;
                 case 'totalXP':
                     progress = state.totalXP || 0;
@@ -256,6 +295,10 @@ export function findSuggestedAchievement(state) {
                     const pillarData = state.pillars?.[criteria.pillarId];
                     progress = pillarData?.days ? Object.values(pillarData.days).filter(logged => logged === true).length : 0;
                     break;
+                case 'pillarAmountTotal':
+                    progress = getPillarAmountProgress(state, criteria);
+                    if (progress === null) isValidTarget = false; // Not suggested until the pillar uses this unit
+                    break;
                 case 'notesAdded':
                     progress = Array.isArray(state.timeline) ? state.timeline.filter(e => e?.type === 'note').length : 0;
                     break;
@@ -267,6 +310,9 @@ export function findSuggestedAchievement(state) {
                     const moodLog = state.mood || {};
                     progress = Object.values(moodLog).filter(level => criteria.levels.includes(level)).length;
                     break;
+                case 'wellbeing':
+                    progress = countWellbeingDays(state, criteria);
+                    break;
                 // Add other suggestible types here if needed
                 default:
                     isValidTarget = false; // Mark target as invalid if type not handled for suggestions
@@ -4,6 +4,8 @@
  * Defines all achievements available in the WellSpring application.
  * Flavor text now uses newline characters (\n) to separate quote, tip, and encouragement.
  * *** MODIFIED: Swapped several icons with alternatives for troubleshooting. ***
+ * *** MODIFIED: Added amount achievements (totals logged with quantity logging, see quantities.js). ***
+ * *** MODIFIED: Added wellbeing check-in achievements (see wellbeing.js). ***
  */
 export const ALL_ACHIEVEMENTS = {
 
@@ -340,6 +342,35 @@ export const ALL_ACHIEVEMENTS = {
         icon: 'fa-solid fa-champagne-glasses', criteria: { type: 'specificPillarCount', pillarId: 'enjoy', value: 100 }, unlocked: false, date: null
     },
 
+    // ========================================
+    // Amounts (Quantity Logging, in the pillar's unit)
+    // ========================================
+    'amount_move_minutes_300': {
+        id: 'amount_move_minutes_300', name: "Five Hours in Motion", description: "Log 300 minutes of 'Move' in total.",
+        flavor: "'Movement is a medicine for creating change in a person's physical, emotional, and mental states.' - Carol Welch.\nTip: Short walks add up faster than you think.\nFive hours of movement, [Name]! Every minute counted.",
+        icon: 'fa-solid fa-person-walking', criteria: { type: 'pillarAmountTotal', pillarId: 'move', unit: 'minutes', value: 300 }, unlocked: false, date: null
+    },
+    'amount_move_minutes_1000': {
+        id: 'amount_move_minutes_1000', name: "Thousand-Minute Mover", description: "Log 1,000 minutes of 'Move' in total.",
+        flavor: "'An early-morning walk is a blessing for the whole day.' - Henry David Thoreau.\nTip: Mix it up: a new route or activity keeps movement fun.\nA thousand minutes moved, [Name]! Your body thanks you.",
+        icon: 'fa-solid fa-person-running', criteria: { type: 'pillarAmountTotal', pillarId: 'move', unit: 'minutes', value: 1000 }, unlocked: false, date: null
+    },
+    'amount_move_minutes_3000': {
+        id: 'amount_move_minutes_3000', name: "Fifty Hours Strong", description: "Log 3,000 minutes of 'Move' in total.",
+        flavor: "'Take care of your body. It's the only place you have to live.' - Jim Rohn.\nTip: Rest days are part of training too.\nFifty hours of movement, [Name]! That is real, lasting commitment.",
+        icon: 'fa-solid fa-person-biking', criteria: { type: 'pillarAmountTotal', pillarId: 'move', unit: 'minutes', value: 3000 }, unlocked: false, date: null
+    },
+    'amount_stillness_minutes_100': {
+        id: 'amount_stillness_minutes_100', name: "A Hundred Quiet Minutes", description: "Log 100 minutes of 'Stillness' in total.",
+        flavor: "'Almost everything will work again if you unplug it for a few minutes, including you.' - Anne Lamott.\nTip: Two minutes of slow breathing is a great start.\nOne hundred calm minutes, [Name]. Peace is becoming a practice.",
+        icon: 'fa-solid fa-feather', criteria: { type: 'pillarAmountTotal', pillarId: 'stillness', unit: 'minutes', value: 100 }, unlocked: false, date: null
+    },
+    'amount_stillness_minutes_600': {
+        id: 'amount_stillness_minutes_600', name: "Ten Hours of Calm", description: "Log 600 minutes of 'Stillness' in total.",
+        flavor: "'Silence is a source of great strength.' - Lao Tzu.\nTip: Try a longer session once a week.\nTen hours of stillness, [Name]! A deep well of calm to draw from.",
+        icon: 'fa-solid fa-leaf', criteria: { type: 'pillarAmountTotal', pillarId: 'stillness', unit: 'minutes', value: 600 }, unlocked: false, date: null
+    },
+
     // ========================================
     // Perfect Days (All Pillars Logged)
     // ========================================
@@ -423,6 +454,35 @@ export const ALL_ACHIEVEMENTS = {
         icon: 'fa-solid fa-heart-pulse', criteria: { type: 'mood', levels: [1, 2, 3, 4, 5], value: 30 }, unlocked: false, date: null
     },
 
+    // ========================================
+    // Wellbeing Check-ins (see wellbeing.js)
+    // ========================================
+    'wellbeing_checkin_7': {
+        id: 'wellbeing_checkin_7', name: "Checking In", description: "Log a wellbeing check-in (energy, stress, sleep or anxiety) on 7 different days.",
+        flavor: "'Self-awareness is the ability to take an honest look at your life without any attachment to it being right or wrong.' - Debbie Ford.\nTip: A ten-second check-in is enough; the pattern matters more than detail.\nA week of check-ins, [Name]! You're learning how you really feel.",
+        icon: 'fa-solid fa-clipboard-check', criteria: { type: 'wellbeing', value: 7 }, unlocked: false, date: null
+    },
+    'wellbeing_checkin_30': {
+        id: 'wellbeing_checkin_30', name: "Inner Weather Report", description: "Log a wellbeing check-in on 30 different days.",
+        flavor: "'Between stimulus and response there is a space.' - Viktor E. Frankl.\nTip: Look at the Wellbeing analytics to spot your patterns.\nThirty days of check-ins, [Name]. Your inner weather has a forecast now.",
+        icon: 'fa-solid fa-cloud-sun', criteria: { type: 'wellbeing', value: 30 }, unlocked: false, date: null
+    },
+    'wellbeing_bookends_7': {
+        id: 'wellbeing_bookends_7', name: "Morning and Night", description: "Log both a morning and an evening check-in on 7 days.",
+        flavor: "'Every morning we are born again. What we do today is what matters most.' - Buddha.\nTip: Compare how you start and end the day.\nSeven days bookended with reflection, [Name]!",
+        icon: 'fa-solid fa-circle-half-stroke', criteria: { type: 'wellbeing', checkIns: 'both', value: 7 }, unlocked: false, date: null
+    },
+    'wellbeing_sleep_14': {
+        id: 'wellbeing_sleep_14', name: "Well Rested", description: "Rate your sleep quality 4 or higher on 14 days.",
+        flavor: "'Sleep is the golden chain that ties health and our bodies together.' - Thomas Dekker.\nTip: A steady bedtime helps more than a long lie-in.\nTwo weeks of good sleep, [Name]. Rest is the foundation of everything else.",
+        icon: 'fa-solid fa-bed', criteria: { type: 'wellbeing', scale: 'sleep', min: 4, value: 14 }, unlocked: false, date: null
+    },
+    'wellbeing_calm_14': {
+        id: 'wellbeing_calm_14', name: "Keeping Calm", description: "Rate your stress 2 or lower on 14 days.",
+        flavor: "'It's not the load that breaks you down, it's the way you carry it.' - Lou Holtz.\nTip: Notice which pillars you did on your calmest days.\nFourteen calm days, [Name]! You're finding your balance.",
+        icon: 'fa-solid fa-water', criteria: { type: 'wellbeing', scale: 'stress', max: 2, value: 14 }, unlocked: false, date: null
+    },
+
     // ========================================
     // Meta Achievements
     // ========================================
@@ -3,6 +3,30 @@
 /**
  * Main application logic for WellSpring.
  * *** MODIFIED: Added cross-tab synchronization logic via storage event listener. ***
+ * *** MODIFIED: Initialization awaits the IndexedDB-backed loadState; cross-tab sync uses storage.js notifications. ***
+ * *** MODIFIED: Added undo/redo via toast actions and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z). ***
+ * *** MODIFIED: Wired the Settings activity log (view by day, rebuild from log, compact on request). ***
+ * *** MODIFIED: Added local profiles (header switcher; create, switch, rename, delete; all-profiles backup). ***
+ * *** MODIFIED: Cross-tab sync merges only the records another tab changed, keeping concurrent edits from both tabs. ***
+ * *** MODIFIED: Added the optional passphrase lock (unlock before loading state, set/change/remove in settings). ***
+ * *** MODIFIED: Added storage health warnings (quota checks, failed saves) and archiving of completed years. ***
+ * *** MODIFIED: Added XP verification and repair (Settings > Activity Log). ***
+ * *** MODIFIED: The save toast shows the XP the day earned. ***
+ * *** MODIFIED: XP rules preset can be switched in settings. ***
+ * *** MODIFIED: Rest days can be planned from the calendar. ***
+ * *** MODIFIED: Streak mode (daily or weekly target) can be chosen in settings. ***
+ * *** MODIFIED: Custom pillars can be added in settings and onboarding, and deleted until they are logged. ***
+ * *** MODIFIED: Added the pillar manager (rename, recolour, hide and archive pillars; add custom pillars). ***
+ * *** MODIFIED: Pillar cards with quantity logging have quick increment buttons. ***
+ * *** MODIFIED: Pillar cards with tags have tag buttons, and the calendar can be filtered by tag. ***
+ * *** MODIFIED: Checked pillar cards have an editable time. ***
+ * *** MODIFIED: Added wellbeing check-ins to the Daily Log. ***
+ * *** MODIFIED: Notes are added for the date shown in the Daily Log; the save prompts check notes by entry date. ***
+ * *** MODIFIED: Added CSV export (daily history or notes, with a date range) from Settings and the guide. ***
+ * *** MODIFIED: Added CSV import from other habit trackers (column mapping wizard with preview) from Settings and the guide. ***
+ * *** MODIFIED: The backup restore modal handles its own Escape key, like the passphrase modal. ***
+ * *** MODIFIED: The week start day can be chosen in settings; the weekly reflection is offered on the last day of the week. ***
+ * *** MODIFIED: "Today" is the user's local day (day rollover hour in settings); the day is re-checked when the app comes back into view, marking travel days after a timezone change. ***
  */
 
 // --- Core Modules ---
@@ -11,23 +35,38 @@ import {
     addTimelineEntry, saveDay, unlockDayEntry, updateMood, toggleSoundEnabled,
     updateTimelineFilter, updateTimelineSortOrder, prestigeLevel, setUserName,
     saveHabitPlan, deleteHabitPlan, setOnboardingComplete, setUserMode,
-    setSimpleModePillarCount, setSimpleModePillars, setShowPlanner,
+    setSimpleModePillarCount, setSimpleModePillars, setShowPlanner, setStreakSettings, addCustomPillar, deleteCustomPillar, updatePillarSettings,
     setLevel100ToastShown,
     updateNoteInTimeline, deleteNoteFromTimeline,
     setLastBackupReminderShown,
     resetState,
-    reloadState // Import the reload function
+    applyExternalChanges, // Merges changes saved in other tabs
+    undoLastAction, redoLastAction,
+    rebuildStateFromActionLog,
+    verifyXPLedgerState,
+    repairXPLedgerState,
+    setXPRulesPreset,
+    toggleRestDay,
+    archiveCompletedYear,
+    checkDayChange, setDayRolloverHour, setWeekStartDay
 } from './state.js';
 import { checkAchievements } from './achievementlogic.js';
-import { exportData, setupImportListener } from './datamanagement.js';
+import { exportData, exportAllProfiles, exportCSV, importCSVHistory, setupImportListener } from './datamanagement.js';
+import { subscribeToExternalChanges, deleteProfileData, isStorageLocked, isEncryptionEnabled, unlockStorage, setStoragePassphrase, removeStoragePassphrase, isUsingLegacyStorage, compactActionLog } from './storage.js';
+import { checkStorageHealth } from './storagehealth.js';
+import { getProfiles, getActiveProfile, getProfileActiveElsewhere, getProfileStorage, createProfile, renameProfile, removeProfile, setActiveProfile } from './profiles.js';
 import { initializeAudio, playSound, handleInteractionForAudio } from './audio.js';
-import { findFirstUsageDate, getWeekNumber, calculateLevelData, escapeHtml, formatDate } from './utils.js';
+import { findFirstUsageDate, calculateLevelData, escapeHtml, formatDate, formatBytes, getTimelineEntryDate } from './utils.js';
+import { getXPRules, XP_RULE_PRESETS } from './xprules.js';
+import { STREAK_MODES, getStreakSettings } from './streaks.js';
+import { getPillar, createCustomPillar, getCustomPillarDeleteBlocker, DEFAULT_CUSTOM_PILLAR_EMOJI } from './pillars.js';
+import { getToday, addDays, isValidDateString, getRolloverHour, ROLLOVER_HOURS, WEEK_START_DAYS, getWeekStartDay, getWeekStart, isLastDayOfWeek } from './dates.js';
 
 // --- UI Modules ---
 import { initTheme, toggleTheme, updateAudioToggleButton, showToast, showTab, updateUIVisibilityForMode } from './ui/globalUI.js';
-import { refreshDailyLogUI, handlePillarClick, handleMoodClick, deselectMood, resetDateDisplay } from './ui/dailyLogUI.js';
-import { renderCalendar } from './ui/calendarUI.js';
-import { switchAnalyticsView, toggleAnalyticsVisibility } from './ui/analyticsUI.js';
+import { refreshDailyLogUI, handlePillarClick, handlePillarAmountClick, handlePillarTagClick, handlePillarTimeChange, handleMoodClick, selectCheckIn, handleWellbeingClick, deselectMood, resetDateDisplay } from './ui/dailyLogUI.js';
+import { renderCalendar, setRestDayPlanning, isRestDayPlanning, setCalendarTagFilter } from './ui/calendarUI.js';
+import { switchAnalyticsView, toggleAnalyticsVisibility, showMoreXPHistory } from './ui/analyticsUI.js';
 import { renderTimeline, updateTimelineControls, setupAutoResizeTextarea, updateNoteHeaderPrompt } from './ui/timelineUI.js';
 import { renderAchievementBoard, showAchievementModal, hideAchievementModal } from './ui/achievementsUI.js';
 import { populatePillarSelect, resetHabitPlanForm, togglePlanTypeInputs, renderSavedHabitPlans, handleEditHabitPlan } from './ui/plannerUI.js';
@@ -35,7 +74,14 @@ import { showWelcomeMessage, showNamePromptModal, closeNamePromptModal, closeWel
 import { showOnboardingModal, hideOnboardingModal, goToOnboardingStep, updatePillarSelectionCounter, populateOnboardingPillarList } from './ui/onboardingUI.js';
 import { toggleCollapsibleSection, closeGuide } from './ui/collapsibleUI.js';
 import { showDatePicker } from './ui/datePickerUI.js';
-import { showSettingsModal as uiShowSettingsModal, hideSettingsModal, updateSettingsModalVisibility, updateSettingsPillarCounter, enableSimpleModeEditing } from './ui/settingsUI.js';
+import { renderActionLog } from './ui/actionLogUI.js';
+import { renderProfileSwitcher, toggleProfileMenu, isProfileMenuOpen } from './ui/profilesUI.js';
+import { requestPassphrase, isPassphraseModalOpen, renderEncryptionSettings } from './ui/encryptionUI.js';
+import { renderStorageHealth } from './ui/storageUI.js';
+import { showSettingsModal as uiShowSettingsModal, hideSettingsModal, updateSettingsModalVisibility, updateSettingsPillarCounter, enableSimpleModeEditing, updateXPRulesDescription, updateStreakModeDescription } from './ui/settingsUI.js';
+import { showCSVExportModal, hideCSVExportModal } from './ui/exportUI.js';
+import { hideCSVImportModal, getCSVImportRequest, updateCSVImportPreview, isBackupImportModalOpen } from './ui/importUI.js';
+import { showPillarManagerModal, hidePillarManagerModal, renderPillarManagerList, resetPillarManagerRow, updatePillarManagerRowStatus, updatePillarManagerRowUnit, readPillarManagerEdits } from './ui/pillarManagerUI.js';
 
 
 // --- Constants ---
@@ -45,6 +91,11 @@ const SWIPE_MAX_VERTICAL = 75;
 const BACKUP_REMINDER_INTERVAL_DAYS = 30;
 const MIN_SAVED_DAYS_FOR_BACKUP_REMINDER = 7;
 const DAYS_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+const UNDO_TOAST_DURATION = 5000;
+const UNDO_TOAST_ACTION = { label: 'Undo', onClick: () => handleUndo() };
+const PROFILE_SWITCH_RELOAD_DELAY = 600;
+const STORAGE_HEALTH_CHECK_INTERVAL = 5 * 60 * 1000; // Re-check storage usage at most every 5 minutes while logging
+const STORAGE_WARNING_TOAST_DURATION = 10000;
 
 // --- State ---
 let saveTimeoutId = null;
@@ -57,6 +108,9 @@ let journeyTabInitialized = false;
 let achievementsTabInitialized = false;
 let calendarTabInitialized = false;
 let analyticsTabInitialized = false;
+let profileSwitchWarningShownFor = null; // Profile another tab switched to that this tab already warned about
+let lastStorageHealthCheck = 0;
+let lastStorageWarningLevel = 'ok'; // Only warn again when the storage level gets worse
 
 
 // --- GA4 Event Tracking Helper ---
@@ -162,10 +216,7 @@ function checkAndShowBackupReminder() {
 function checkAndShowMissedDayReminder() {
     const state = getState();
     if (!state.isOnboardingComplete || Notification.permission !== 'granted' || !state.savedDays) return;
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
-    const yesterdayString = yesterday.toISOString().split('T')[0];
+    const yesterdayString = addDays(getToday(state), -1);
     const firstUsage = findFirstUsageDate(state);
     if (firstUsage && yesterdayString < firstUsage) return;
     if (!state.savedDays[yesterdayString] && state.currentDate !== yesterdayString) {
@@ -180,14 +231,16 @@ function checkAndShowMissedDayReminder() {
 
 
 // --- Initialization ---
-function init() {
+async function init() {
     console.log("[App] Initializing WellSpring v2...");
     document.body.classList.add('js-loaded');
-    loadState();
+    if (isStorageLocked()) await unlockOnStartup();
+    await loadState();
     initTheme();
     initializeAudio();
     registerServiceWorker();
     updateAudioToggleButton();
+    renderProfileSwitcher();
     setupImportListener();
 
     const initialStateData = getState();
@@ -201,6 +254,7 @@ function init() {
 
     setupEventListeners();
     setupStorageListener(); // Set up cross-tab sync
+    setupDayChangeChecks(); // Before the ?date= link below, so it isn't moved to today
     updateNotificationPermissionStatusDisplay();
 
     const urlParams = new URLSearchParams(window.location.search);
@@ -230,6 +284,7 @@ function init() {
     }
     checkAchievements(getStateReference());
     setupDebouncedSave();
+    setupStorageHealthChecks();
     console.log("[App] WellSpring Initialization complete.");
 }
 
@@ -249,6 +304,8 @@ function setupDebouncedSave() {
 }
 
 function handleStateChangeForSave(e) {
+    // Ignore the event dispatched by the debounced save itself, otherwise it re-schedules forever
+    if (e.detail?.action?.startsWith('debouncedSave')) return;
     if (saveTimeoutId) clearTimeout(saveTimeoutId);
     saveTimeoutId = setTimeout(() => {
         saveState(`debouncedSave (trigger: ${e.detail?.action || 'unknown'})`);
@@ -256,50 +313,145 @@ function handleStateChangeForSave(e) {
     }, SAVE_DELAY);
 }
 
+// --- Storage Health ---
+function setupStorageHealthChecks() {
+    document.addEventListener('storageQuotaExceeded', handleStorageQuotaExceeded);
+    document.addEventListener('stateChanged', () => {
+        if (Date.now() - lastStorageHealthCheck > STORAGE_HEALTH_CHECK_INTERVAL) runStorageHealthCheck();
+    });
+    runStorageHealthCheck();
+}
+
+// --- Day Change & Travel ---
+function setupDayChangeChecks() {
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') handleDayChange(); });
+    handleDayChange();
+}
+
+/**
+ * Catches up with the user's day (see state.checkDayChange) and tells them about any travel days.
+ */
+function handleDayChange() {
+    const { today, previousToday, travelDays } = checkDayChange();
+    if (travelDays.length > 0) {
+        trackGAEvent('travel_days_added', { count: travelDays.length });
+        checkAchievements(getStateReference());
+        const skipped = travelDays.length === 1 ? `${formatDate(travelDays[0])} was` : `${travelDays.length} days were`;
+        showToast(`✈️ New timezone: ${skipped} skipped, so ${travelDays.length === 1 ? 'it is marked as a travel day' : 'they are marked as travel days'} and your streak is safe.`, "info", 6000);
+    }
+    if (travelDays.length > 0 || (previousToday && today !== previousToday)) refreshAllViews();
+}
+
+/**
+ * Checks storage usage, refreshes the Storage settings section and warns once per worsening level.
+ */
+async function runStorageHealthCheck() {
+    lastStorageHealthCheck = Date.now();
+    try {
+        const report = await checkStorageHealth(getState());
+        renderStorageHealth(report, getState().archivedYears, !isUsingLegacyStorage());
+        if ((report.level === 'warning' || report.level === 'critical') && report.level !== lastStorageWarningLevel) {
+            const message = report.level === 'critical'
+                ? "⚠️ Storage is almost full. New changes may not be saved. Archive old years or export a backup."
+                : "Storage is getting full. Consider archiving completed years or exporting a backup.";
+            showToast(message, report.level === 'critical' ? "error" : "info", STORAGE_WARNING_TOAST_DURATION, { label: 'Free Up Space', onClick: () => appShowSettingsModal() });
+            trackGAEvent('storage_warning_shown', { level: report.level });
+        }
+        if (report.level !== 'unknown') lastStorageWarningLevel = report.level;
+        return report;
+    } catch (error) {
+        console.error("[App] Error checking storage health:", error);
+        return null;
+    }
+}
+function handleStorageQuotaExceeded() {
+    showToast("Storage is full: your latest changes were NOT saved. Archive old years or export a backup to free up space.", "error", STORAGE_WARNING_TOAST_DURATION, { label: 'Free Up Space', onClick: () => appShowSettingsModal() });
+    playSound('error'); trackGAEvent('storage_quota_exceeded');
+    lastStorageWarningLevel = 'critical'; runStorageHealthCheck();
+}
+async function handleArchiveYear(year) {
+    handleInteractionForAudio();
+    if (!confirm(`Archive ${year}? Its logs and notes will be compressed into a read-only archive.\n\nThey still count toward your XP, streaks and achievements and stay visible in the calendar and timeline, but can no longer be edited. Undo history will be cleared.`)) return;
+    try {
+        const result = await archiveCompletedYear(year);
+        trackGAEvent('year_archived', { days: result.dayCount, entries: result.entryCount });
+        refreshAllViews(); await runStorageHealthCheck();
+        showToast(`${year} archived: ${result.dayCount} day(s) and ${result.entryCount} timeline entries (${formatBytes(result.originalBytes)} → ${formatBytes(result.archivedBytes)}), ${formatBytes(result.freedBytes)} freed.`, "success", 6000); playSound('save', 'G5', '8n');
+    } catch (error) {
+        console.error("[App] Error archiving year:", error);
+        showToast(error.message || "Could not archive this year.", "error"); playSound('error');
+    }
+}
+
 // --- Storage Listener for Cross-Tab Sync ---
 function setupStorageListener() {
+    subscribeToExternalChanges(async (update) => {
+        // The passphrase was set, changed or removed in another tab: this tab's key is out of date
+        if (update.encryptionChanged) { showToast("Your passphrase settings changed in another tab. Reloading...", "info"); setTimeout(() => { location.reload(); }, PROFILE_SWITCH_RELOAD_DELAY); return; }
+        // Merge the records the other tab changed (or reload everything after a restore/reset)
+        if (await applyExternalChanges(update)) {
+            refreshAllViews(); // Refresh UI components to reflect new state
+            // Optional: Play a subtle sound to indicate sync? 
+            // playSound('toast', 'C6', '32n'); 
+        }
+    });
+    // Profile names/list changed in another tab, or another tab switched profiles
     window.addEventListener('storage', (event) => {
-        if (event.key === 'wellspringAppState_v2') {
-            // Reload state from storage
-            if (reloadState()) {
-                // Refresh UI components to reflect new state
-                requestAnimationFrame(() => {
-                    resetDateDisplay();
-                    refreshDailyLogUI();
-                    if (document.getElementById('calendar-view')?.style.display !== 'none') {
-                        handleShowCalendarTab(); // Refresh calendar if visible
-                    }
-                    if (document.getElementById('analytics-container')?.style.display === 'block') {
-                        switchAnalyticsView(currentAnalyticsView); // Refresh analytics if visible
-                    }
-                    renderTimeline(); // Refresh timeline
-                    renderSavedHabitPlans(); // Refresh plans
-                    renderAchievementBoard(); // Refresh achievements
-                });
-                // Optional: Play a subtle sound to indicate sync? 
-                // playSound('toast', 'C6', '32n'); 
+        if (event.key === 'wellspringProfiles') { renderProfileSwitcher(); handleProfilesChangedElsewhere(); }
+    });
+}
+
+/**
+ * Re-renders every view that displays logged data (after sync, undo or redo).
+ */
+function refreshAllViews() {
+    requestAnimationFrame(() => {
+        resetDateDisplay();
+        refreshDailyLogUI();
+        updateNoteHeaderPrompt();
+        if (document.getElementById('calendar')?.classList.contains('active')) {
+            if (document.getElementById('analytics-container')?.style.display === 'block') {
+                switchAnalyticsView(currentAnalyticsView); // Refresh analytics if visible
+            } else {
+                const state = getState();
+                renderCalendar(state.currentMonth, state.currentYear, findFirstUsageDate(state), handleCalendarDayClick); // Refresh calendar if visible
             }
         }
+        renderTimeline(); // Refresh timeline
+        renderSavedHabitPlans(); // Refresh plans
+        renderAchievementBoard(); // Refresh achievements
     });
 }
 
+// --- Undo / Redo ---
+function handleUndo() {
+    handleInteractionForAudio();
+    const label = undoLastAction();
+    if (!label) { showToast("Nothing to undo.", "info"); return; }
+    trackGAEvent('action_undone', { action: label });
+    checkAchievements(getStateReference()); refreshAllViews();
+    showToast(`Undid ${label}.`, "info", UNDO_TOAST_DURATION, { label: 'Redo', onClick: () => handleRedo() }); playSound('unlock', 'C4', '16n');
+}
+function handleRedo() {
+    handleInteractionForAudio();
+    const label = redoLastAction();
+    if (!label) { showToast("Nothing to redo.", "info"); return; }
+    trackGAEvent('action_redone', { action: label });
+    checkAchievements(getStateReference()); refreshAllViews();
+    showToast(`Redid ${label}.`, "info", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('click', 'E5', '16n');
+}
+
 // --- Event Handlers ---
 function handleDateChangeInput(newDateString) {
     handleInteractionForAudio();
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDateString)) { showToast("Invalid date selected.", "error"); resetDateDisplay(); return; }
-    const selectedDate = new Date(newDateString + 'T00:00:00Z');
-    const today = new Date(); today.setUTCHours(23, 59, 59, 999);
-    if (selectedDate > today) { showToast("Future dates cannot be selected!", "error"); playSound('error'); resetDateDisplay(); return; }
+    if (!isValidDateString(newDateString)) { showToast("Invalid date selected.", "error"); resetDateDisplay(); return; }
+    if (newDateString > getToday(getState())) { showToast("Future dates cannot be selected!", "error"); playSound('error'); resetDateDisplay(); return; }
     updateCurrentDate(newDateString); resetDateDisplay(); refreshDailyLogUI(); updateNoteHeaderPrompt(); playSound('navigate', 'D5', '16n'); trackGAEvent('date_changed', { method: 'picker' });
 }
 function handleDateArrowChange(offset) {
     handleInteractionForAudio();
-    const currentDateStr = getState().currentDate;
-    const currentDateObj = new Date(currentDateStr + 'T00:00:00Z');
-    currentDateObj.setUTCDate(currentDateObj.getUTCDate() + offset);
-    const today = new Date(); today.setUTCHours(23, 59, 59, 999);
-    if (currentDateObj > today) { playSound('error'); return; }
-    const newDateStr = currentDateObj.toISOString().split('T')[0];
+    const newDateStr = addDays(getState().currentDate, offset);
+    if (newDateStr > getToday(getState())) { playSound('error'); return; }
     updateCurrentDate(newDateStr); resetDateDisplay(); refreshDailyLogUI(); updateNoteHeaderPrompt(); playSound('navigate', offset > 0 ? 'E5' : 'C5', '16n'); trackGAEvent('date_changed', { method: 'arrows', direction: offset > 0 ? 'next' : 'previous' });
 }
 function handleShowDatePicker() { handleInteractionForAudio(); showDatePicker(); trackGAEvent('show_date_picker'); }
@@ -315,23 +467,23 @@ function handleSaveDay() {
     if (saved) {
         trackGAEvent('day_saved', { pillar_count: activePillars.length, mood_logged: !!mood });
         const updatedState = getState(); const currentPrestige = updatedState.prestige;
-        checkAchievements(getStateReference()); refreshDailyLogUI(); showToast("Day saved successfully!", "success"); playSound('save', 'E5', '8n');
+        checkAchievements(getStateReference()); refreshDailyLogUI(); showToast(`Day saved successfully! +${getStateReference().xpLedger?.[currentDate]?.total ?? 0} XP`, "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('save', 'E5', '8n');
         try {
-            const levelData = calculateLevelData(updatedState.totalXP, currentPrestige);
+            const levelData = calculateLevelData(updatedState.totalXP, currentPrestige, getXPRules(updatedState));
             if (levelData.level >= 100 && updatedState.level100ToastShownForCycle !== currentPrestige) {
                 showToast("🎉 Level 100! Ready for the next Cycle? Find the button on the Journey tab!", "info", 8000);
                 setLevel100ToastShown(currentPrestige); playSound('achievement'); trackGAEvent('level_100_reached', { cycle: currentPrestige });
             }
         } catch(e) { console.error("[App] Error checking for Level 100 toast:", e); }
-        const isSunday = new Date(currentDate + 'T00:00:00Z').getUTCDay() === 0;
+        const isWeekEnd = isLastDayOfWeek(updatedState, currentDate); // Weekly reflection day
         const noteTextArea = document.getElementById('new-note-textarea');
         const journeyTabButton = document.querySelector('.tab-button[data-tab="journey"]');
-        const weekId = getWeekNumber(currentDate);
-        const hasWeeklyNote = updatedState.timeline.some(e => e?.type === 'note' && e.text?.toLowerCase().includes('#weeklyreflection') && getWeekNumber(e.date?.split('T')[0]) === weekId);
-        const hasAnyNoteToday = updatedState.timeline.some(e => e?.type === 'note' && e.date?.startsWith(currentDate));
-        if (isSunday && noteTextArea && journeyTabButton && !hasWeeklyNote) {
-            setTimeout(() => { if (confirm("It's Sunday! Would you like to add a weekly reflection note now?")) { showTab('journey'); trackGAEvent('view_tab', { tab_id: 'journey', source: 'sunday_prompt' }); requestAnimationFrame(() => { updateNoteHeaderPrompt(); if (!journeyTabInitialized) { setupAutoResizeTextarea(); journeyTabInitialized = true; } renderTimeline(); updateTimelineControls(); noteTextArea.value = "#WeeklyReflection "; noteTextArea.focus({ preventScroll: true }); noteTextArea.style.height = 'auto'; noteTextArea.style.height = `${noteTextArea.scrollHeight}px`; }); } }, 600);
-        } else if (!isSunday && noteTextArea && journeyTabButton && !hasAnyNoteToday) {
+        const weekId = getWeekStart(updatedState, currentDate);
+        const hasWeeklyNote = updatedState.timeline.some(e => e?.type === 'note' && e.text?.toLowerCase().includes('#weeklyreflection') && getWeekStart(updatedState, getTimelineEntryDate(e)) === weekId);
+        const hasAnyNoteToday = updatedState.timeline.some(e => e?.type === 'note' && getTimelineEntryDate(e) === currentDate);
+        if (isWeekEnd && noteTextArea && journeyTabButton && !hasWeeklyNote) {
+            setTimeout(() => { if (confirm("That's the end of your week! Would you like to add a weekly reflection note now?")) { showTab('journey'); trackGAEvent('view_tab', { tab_id: 'journey', source: 'sunday_prompt' }); requestAnimationFrame(() => { updateNoteHeaderPrompt(); if (!journeyTabInitialized) { setupAutoResizeTextarea(); journeyTabInitialized = true; } renderTimeline(); updateTimelineControls(); noteTextArea.value = "#WeeklyReflection "; noteTextArea.focus({ preventScroll: true }); noteTextArea.style.height = 'auto'; noteTextArea.style.height = `${noteTextArea.scrollHeight}px`; }); } }, 600);
+        } else if (!isWeekEnd && noteTextArea && journeyTabButton && !hasAnyNoteToday) {
              setTimeout(() => { if (confirm("Day saved! Add a quick gratitude or reflection note to your Journey?")) { showTab('journey'); trackGAEvent('view_tab', { tab_id: 'journey', source: 'save_day_prompt' }); requestAnimationFrame(() => { updateNoteHeaderPrompt(); if (!journeyTabInitialized) { setupAutoResizeTextarea(); journeyTabInitialized = true; } renderTimeline(); updateTimelineControls(); noteTextArea.value = ""; noteTextArea.focus({ preventScroll: true }); noteTextArea.style.height = 'auto'; noteTextArea.style.height = `${noteTextArea.scrollHeight}px`; }); } }, 600);
         }
     } else { showToast("This day is already saved.", "info"); }
@@ -339,20 +491,21 @@ function handleSaveDay() {
 function handleUnlockDay() {
     handleInteractionForAudio(); const state = getState(); if (!state || !state.currentDate) return;
     if (confirm("Are you sure you want to unlock this day? This allows editing but removes the 'saved' status and may affect your streak.")) {
-        if (unlockDayEntry(state.currentDate)) { trackGAEvent('day_unlocked'); refreshDailyLogUI(); showToast("Day unlocked for editing.", "info"); playSound('unlock', 'C4', '8n'); }
+        if (unlockDayEntry(state.currentDate)) { trackGAEvent('day_unlocked'); refreshDailyLogUI(); showToast("Day unlocked for editing.", "info", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('unlock', 'C4', '8n'); }
     }
 }
 function handleAddNote() {
     handleInteractionForAudio(); const textarea = document.getElementById("new-note-textarea"); if (!textarea) return;
     const noteText = textarea.value.trim(); if (!noteText) { showToast("Please enter some text for your note.", "info"); playSound('error'); return; }
-    addTimelineEntry({ type: 'note', text: noteText, date: new Date().toISOString() }); trackGAEvent('note_added');
-    showToast("Note added to timeline.", "success"); textarea.value = ""; setupAutoResizeTextarea(); renderTimeline();
+    const entryDate = getState().currentDate; if (!addTimelineEntry({ type: 'note', text: noteText, entryDate })) { showToast(`${formatDate(entryDate)} is in an archived year, so notes can't be added to it.`, "error"); playSound('error'); return; }
+    const isBackdated = entryDate !== getToday(getState()); trackGAEvent('note_added', { backdated: isBackdated });
+    showToast(isBackdated ? `Note added for ${formatDate(entryDate)}.` : "Note added to timeline.", "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); textarea.value = ""; setupAutoResizeTextarea(); renderTimeline();
     const timelineEntriesContainer = document.getElementById('timeline-entries'); if (timelineEntriesContainer) timelineEntriesContainer.scrollTop = 0;
     playSound('save', 'D5', '16n'); checkAchievements(getStateReference()); refreshDailyLogUI();
 }
 function handlePrestigeClick() {
     handleInteractionForAudio(); const state = getState(); if (!state) return;
-    const levelData = calculateLevelData(state.totalXP, state.prestige);
+    const levelData = calculateLevelData(state.totalXP, state.prestige, getXPRules(state));
     if (levelData.level < 100) { showToast("You must reach Level 100 to enter the next Cycle!", "info"); playSound('error'); return; }
     if (confirm(`Are you sure you want to begin Cycle ${levelData.prestige + 1}? Your Level and XP will reset, but your progress and achievements remain.`)) {
         if (prestigeLevel()) { trackGAEvent('prestige_completed', { new_cycle: getState().prestige }); refreshDailyLogUI(); renderTimeline(); showToast(`Congratulations! You've entered Cycle ${getState().prestige}!`, "success", 5000); playSound('achievement'); }
@@ -369,14 +522,14 @@ function handleSaveHabitPlan(event) {
     else if (planData.type === 'intention' && !planData.cue) { isValid = false; errorMessage = "Please provide the 'When/If' cue."; }
     else if (planData.type === 'stacking' && !planData.anchorHabit) { isValid = false; errorMessage = "Please provide the 'After/Before' anchor habit."; }
     if (!isValid) { showToast(errorMessage, "error"); playSound('error'); return; }
-    if (saveHabitPlan(planData)) { trackGAEvent(planId ? 'habit_plan_updated' : 'habit_plan_saved', { plan_type: planData.type }); showToast(`Habit plan ${planId ? 'updated' : 'saved'}!`, "success"); playSound('save', 'D5', '8n'); resetHabitPlanForm(); renderSavedHabitPlans(); }
+    if (saveHabitPlan(planData)) { trackGAEvent(planId ? 'habit_plan_updated' : 'habit_plan_saved', { plan_type: planData.type }); showToast(`Habit plan ${planId ? 'updated' : 'saved'}!`, "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('save', 'D5', '8n'); resetHabitPlanForm(); renderSavedHabitPlans(); }
     else { showToast("Error saving habit plan.", "error"); playSound('error'); }
 }
 function handleDeleteHabitPlan(planId) {
     handleInteractionForAudio(); if (!planId) return;
     const planName = getState().habitPlans?.[planId]?.activityDescription || 'this plan';
     if (confirm(`Delete plan: "${escapeHtml(planName)}"?`)) {
-        if (deleteHabitPlan(planId)) { trackGAEvent('habit_plan_deleted'); showToast("Habit plan deleted.", "success"); playSound('delete', 'C3', '8n'); resetHabitPlanForm(); renderSavedHabitPlans(); }
+        if (deleteHabitPlan(planId)) { trackGAEvent('habit_plan_deleted'); showToast("Habit plan deleted.", "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('delete', 'C3', '8n'); resetHabitPlanForm(); renderSavedHabitPlans(); }
         else { showToast("Could not find plan to delete.", "error"); playSound('error'); }
     }
 }
@@ -415,6 +568,9 @@ function handleCompleteOnboarding() {
 function handleSaveSettings(event) {
     event.preventDefault(); handleInteractionForAudio(); const form = document.getElementById('settings-form'); if (!form) { showToast("Error saving settings.", "error"); return; }
     const formData = new FormData(form); const selectedMode = formData.get('settingsMode'); const showPlannerSetting = formData.get('settingsShowPlanner') === 'on'; const newName = formData.get('settingsUserName')?.trim();
+    const selectedXPRules = formData.get('settingsXPRules'); const currentXPRules = getXPRules(getState()).preset;
+    const selectedStreakMode = STREAK_MODES[formData.get('settingsStreakMode')] ? formData.get('settingsStreakMode') : getStreakSettings(getState()).mode; const weeklyTarget = parseInt(formData.get('settingsWeeklyTarget'));
+    const rolloverHour = parseInt(formData.get('settingsDayRollover')); const selectedWeekStart = formData.get('settingsWeekStart');
     let simpleModeCount = null, selectedPillarIds = [], validationPassed = true;
     if (selectedMode === 'simple') {
         const requiredCountValue = formData.get('settingsSimpleModePillarCount'); simpleModeCount = requiredCountValue ? parseInt(requiredCountValue) : null;
@@ -422,7 +578,25 @@ function handleSaveSettings(event) {
         if (!simpleModeCount || ![3, 5, 7].includes(simpleModeCount)) { showToast("Invalid pillar count selected for Simple Mode.", "error"); playSound('error'); validationPassed = false; }
         else if (selectedPillarIds.length !== simpleModeCount) { showToast(`Please select exactly ${simpleModeCount} pillars for Simple Mode.`, "error"); playSound('error'); validationPassed = false; }
     }
+    if (validationPassed && selectedStreakMode === 'weekly' && !(weeklyTarget >= 1 && weeklyTarget <= 7)) { showToast("Weekly streak target must be between 1 and 7 days.", "error"); playSound('error'); validationPassed = false; }
+    if (validationPassed && selectedXPRules && selectedXPRules !== currentXPRules && XP_RULE_PRESETS[selectedXPRules]) {
+        if (confirm(`Switch XP rules to "${XP_RULE_PRESETS[selectedXPRules].name}"? XP and levels for all your saved days will be recalculated with the new rules (switching back restores them).`)) {
+            setXPRulesPreset(selectedXPRules); checkAchievements(getStateReference()); refreshAllViews();
+            trackGAEvent('xp_rules_changed', { from: currentXPRules, to: selectedXPRules });
+        }
+    }
     if (validationPassed) {
+        const currentStreakSettings = getStreakSettings(getState()); const newWeeklyTarget = selectedStreakMode === 'weekly' ? weeklyTarget : currentStreakSettings.weeklyTarget;
+        if (selectedStreakMode !== currentStreakSettings.mode || newWeeklyTarget !== currentStreakSettings.weeklyTarget) {
+            setStreakSettings(selectedStreakMode, newWeeklyTarget); checkAchievements(getStateReference()); refreshAllViews();
+            trackGAEvent('streak_mode_changed', { mode: selectedStreakMode, weekly_target: newWeeklyTarget });
+        }
+        if (ROLLOVER_HOURS.includes(rolloverHour) && rolloverHour !== getRolloverHour(getState())) {
+            setDayRolloverHour(rolloverHour); resetDateDisplay(); refreshAllViews(); trackGAEvent('day_rollover_changed', { hour: rolloverHour });
+        }
+        if (WEEK_START_DAYS[selectedWeekStart] && selectedWeekStart !== getWeekStartDay(getState())) {
+            setWeekStartDay(selectedWeekStart); checkAchievements(getStateReference()); refreshAllViews(); trackGAEvent('week_start_changed', { day: selectedWeekStart });
+        }
         setUserName(newName); setUserMode(selectedMode); setShowPlanner(showPlannerSetting);
         if (selectedMode === 'simple') { setSimpleModePillarCount(simpleModeCount); setSimpleModePillars(selectedPillarIds); }
         else { setSimpleModePillarCount(null); setSimpleModePillars([]); }
@@ -431,6 +605,45 @@ function handleSaveSettings(event) {
         showToast("Settings saved successfully!", "success"); playSound('save', 'F5', '8n');
     }
 }
+function handleCSVExport(event) {
+    event.preventDefault(); const formData = new FormData(event.target); const kind = formData.get('csvExportKind') || 'history';
+    if (exportCSV({ kind, from: formData.get('csvExportFrom') || '', to: formData.get('csvExportTo') || '' })) { hideCSVExportModal(); trackGAEvent('csv_exported', { kind, ranged: !!(formData.get('csvExportFrom') || formData.get('csvExportTo')) }); }
+}
+function handleCSVImport(event) {
+    event.preventDefault(); const request = getCSVImportRequest(); if (!request) return;
+    if (importCSVHistory(request)) { hideCSVImportModal(); checkAchievements(getStateReference()); refreshAllViews(); trackGAEvent('csv_imported', { columns: request.mapping.columns.filter(column => column !== 'ignore').length }); }
+}
+function handleAddCustomPillar(event) {
+    event.preventDefault(); handleInteractionForAudio(); const form = event.target; const formData = new FormData(form);
+    const { pillar, error } = createCustomPillar(getState(), { name: formData.get('customPillarName'), emoji: formData.get('customPillarEmoji'), color: formData.get('customPillarColor'), description: formData.get('customPillarDescription') });
+    if (!pillar || !addCustomPillar(pillar)) { showToast(error || "Could not add the pillar.", "error"); playSound('error'); return; }
+    form.reset(); renderPillarManagerList(); populatePillarSelect(); refreshAllViews();
+    trackGAEvent('custom_pillar_added', { from: 'pillar_manager' }); showToast(`${pillar.emoji} ${pillar.name} added to your pillars!`, "success"); playSound('save', 'E5', '16n');
+}
+function handleDeleteCustomPillar(pillarId) {
+    handleInteractionForAudio(); const pillar = getPillar(getState(), pillarId); if (!pillar) return;
+    const blocker = getCustomPillarDeleteBlocker(getState(), pillarId);
+    if (blocker) { showToast(`"${pillar.name}" can't be deleted. ${blocker}`, "info"); playSound('error'); return; }
+    if (!confirm(`Delete the custom pillar "${pillar.name}"?`)) { showToast("Deletion cancelled.", "info"); return; }
+    if (deleteCustomPillar(pillarId)) { renderPillarManagerList(); populatePillarSelect(); refreshAllViews(); trackGAEvent('custom_pillar_deleted'); showToast(`"${pillar.name}" deleted.`, "success"); playSound('delete', 'C3', '8n'); }
+}
+function handleSavePillars() {
+    handleInteractionForAudio(); const error = updatePillarSettings(readPillarManagerEdits());
+    if (error) { showToast(error, "error"); playSound('error'); return; }
+    hidePillarManagerModal(); populatePillarSelect(); refreshAllViews();
+    trackGAEvent('pillars_saved', { inactive_count: Object.keys(getState().pillarStatus || {}).length }); showToast("Pillars saved!", "success"); playSound('save', 'F5', '8n');
+}
+function handleAddOnboardingPillar() {
+    handleInteractionForAudio(); const name = prompt("Name your pillar (e.g. Sleep 8h or Language practice):"); if (name === null) return;
+    const emoji = prompt("Pick an emoji for it:", DEFAULT_CUSTOM_PILLAR_EMOJI); if (emoji === null) return;
+    const { pillar, error } = createCustomPillar(getState(), { name, emoji });
+    if (!pillar || !addCustomPillar(pillar)) { showToast(error || "Could not add the pillar.", "error"); playSound('error'); return; }
+    populateOnboardingPillarList();
+    const listContainer = document.getElementById('onboarding-pillar-list'); const requiredCount = parseInt(document.querySelector('input[name="simpleModePillarCount"]:checked')?.value) || 0;
+    const checkedCount = listContainer ? listContainer.querySelectorAll('input[type="checkbox"]:checked').length : 0; const newCheckbox = document.getElementById(`onboarding-pillar-${pillar.id}`);
+    if (newCheckbox && checkedCount < requiredCount) { newCheckbox.checked = true; updatePillarSelectionCounter(checkedCount + 1, requiredCount); }
+    trackGAEvent('custom_pillar_added', { from: 'onboarding' }); showToast(`${pillar.emoji} ${pillar.name} added to your pillars!`, "success"); playSound('save', 'E5', '16n');
+}
 function updatePlannerVisibility(show) {
     const plannerSection = document.querySelector('.habit-planner-section'); const plannerToggleBtn = document.getElementById('habit-planner-toggle');
     if (plannerSection && plannerToggleBtn) {
@@ -444,15 +657,15 @@ function handleEditNoteClick(noteId) {
     if (!noteEntry) { showToast("Could not find the note to edit.", "error"); playSound('error'); return; }
     const currentText = noteEntry.text; const newText = prompt("Edit your note:", currentText);
     if (newText !== null && newText.trim() !== currentText.trim()) {
-        if (updateNoteInTimeline(noteId, newText.trim())) { trackGAEvent('note_edited'); showToast("Note updated successfully!", "success"); playSound('save', 'E5', '16n'); renderTimeline(); }
+        if (updateNoteInTimeline(noteId, newText.trim())) { trackGAEvent('note_edited'); showToast("Note updated successfully!", "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('save', 'E5', '16n'); renderTimeline(); }
         else { showToast("Failed to update note. It might have been deleted.", "error"); playSound('error'); renderTimeline(); }
     } else if (newText !== null && newText.trim() === currentText.trim()) { showToast("No changes made to the note.", "info"); }
     else { showToast("Note edit cancelled.", "info"); }
 }
 function handleDeleteNoteClick(noteId) {
     handleInteractionForAudio();
-    if (confirm("Are you sure you want to delete this note? This action cannot be undone.")) {
-        if (deleteNoteFromTimeline(noteId)) { trackGAEvent('note_deleted'); showToast("Note deleted successfully.", "success"); playSound('delete', 'C3', '8n'); renderTimeline(); }
+    if (confirm("Are you sure you want to delete this note?")) {
+        if (deleteNoteFromTimeline(noteId)) { trackGAEvent('note_deleted'); showToast("Note deleted successfully.", "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION); playSound('delete', 'C3', '8n'); renderTimeline(); }
         else { showToast("Failed to delete note. It might have already been deleted.", "error"); playSound('error'); renderTimeline(); }
     } else { showToast("Note deletion cancelled.", "info"); }
 }
@@ -500,11 +713,11 @@ function handleTouchEnd(event) {
     }
     touchStartX = 0; touchStartY = 0; touchEndX = 0; touchEndY = 0;
 }
-function handleResetData() {
+async function handleResetData() {
     handleInteractionForAudio();
     if (confirm("⚠️ DANGER ZONE ⚠️\n\nAre you sure you want to delete ALL your WellSpring data? This includes your daily logs, timeline, and achievements.\n\nThis cannot be undone.")) {
         if (confirm("Last chance: This will wipe everything and reset the app to the beginning. Are you absolutely sure?")) {
-            if (resetState()) {
+            if (await resetState()) {
                 trackGAEvent('data_reset_confirmed');
                 showToast("All data deleted. Restarting app...", "success");
                 playSound('delete', 'C2', '4n'); 
@@ -518,7 +731,7 @@ function handleResetData() {
         }
     }
 }
-function appShowSettingsModal() { handleInteractionForAudio(); uiShowSettingsModal(); updateNotificationPermissionStatusDisplay(); trackGAEvent('settings_opened'); playSound('click', 'B4', '16n'); }
+function appShowSettingsModal() { handleInteractionForAudio(); uiShowSettingsModal(); updateNotificationPermissionStatusDisplay(); renderEncryptionSettings(); runStorageHealthCheck(); trackGAEvent('settings_opened'); playSound('click', 'B4', '16n'); }
 
 function setupEventListeners() {
     console.log("[App] Setting up event listeners...");
@@ -583,18 +796,28 @@ function setupEventListeners() {
     document.getElementById('formatted-date')?.addEventListener('click', handleShowDatePicker);
     document.getElementById('hidden-date-input')?.addEventListener('change', (e) => handleDateChangeInput(e.target.value));
     document.getElementById('pillar-inputs')?.addEventListener('click', (e) => {
+        const amountButton = e.target.closest('.pillar-amount-btn');
+        if (amountButton) { const result = handlePillarAmountClick(amountButton); if (result) trackGAEvent('pillar_amount_changed', { pillar: amountButton.dataset.pillarId, delta: Number(amountButton.dataset.delta), done: result.done }); return; }
+        const tagButton = e.target.closest('.pillar-tag-btn');
+        if (tagButton) { const result = handlePillarTagClick(tagButton); if (result) trackGAEvent('pillar_tags_changed', { pillar: tagButton.dataset.pillarId, tag_count: result.tags.length }); return; }
+        if (e.target.closest('.pillar-time')) return; // Editing the time doesn't toggle the card
         const card = e.target.closest('.pillar-card');
         if (card && !e.target.classList.contains('info-icon')) handlePillarClick(card);
     });
+    document.getElementById('pillar-inputs')?.addEventListener('change', (e) => {
+        if (e.target.matches('.pillar-time-input') && handlePillarTimeChange(e.target)) trackGAEvent('pillar_time_changed', { pillar: e.target.dataset.pillarId, known: !!e.target.value });
+    });
     document.getElementById('pillar-inputs')?.addEventListener('keydown', (e) => {
         const card = e.target.closest('.pillar-card');
-        if (card && (e.key === 'Enter' || e.key === ' ')) { e.preventDefault(); handlePillarClick(card); }
+        if (card && !e.target.closest('button, input') && (e.key === 'Enter' || e.key === ' ')) { e.preventDefault(); handlePillarClick(card); }
     });
     document.querySelector('.mood-options')?.addEventListener('click', (e) => {
         handleMoodClick(e);
         const moodLevel = e.target.closest('.mood-option')?.dataset.level;
         if (moodLevel) trackGAEvent('mood_changed', { level: parseInt(moodLevel) });
     });
+    document.querySelector('.check-in-tabs')?.addEventListener('click', (e) => { const tab = e.target.closest('.check-in-tab'); if (tab) { handleInteractionForAudio(); selectCheckIn(tab.dataset.checkIn); playSound('click', 'D5', '16n'); } });
+    document.getElementById('wellbeing-scales')?.addEventListener('click', (e) => { const option = e.target.closest('.wellbeing-option'); if (option) { const result = handleWellbeingClick(option); if (result) trackGAEvent('wellbeing_changed', result); } });
     document.getElementById('lock-button')?.addEventListener('click', handleSaveDay);
     document.getElementById('unlock-button')?.addEventListener('click', handleUnlockDay);
     document.getElementById('add-note-btn')?.addEventListener('click', handleAddNote);
@@ -604,8 +827,11 @@ function setupEventListeners() {
     document.getElementById('new-note-textarea')?.addEventListener('keydown', (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleAddNote(); } });
     document.getElementById('calendar-grid')?.addEventListener('click', (e) => {
         const dayCell = e.target.closest('.calendar-day:not(.disabled)');
-        if (dayCell?.dataset.date) { handleInteractionForAudio(); handleDateChangeInput(dayCell.dataset.date); showTab('daily'); trackGAEvent('view_tab', { tab_id: 'daily', source: 'calendar_day_click' }); playSound('click', 'E5', '16n'); }
+        if (dayCell?.dataset.date && isRestDayPlanning()) { handleToggleRestDay(dayCell.dataset.date); }
+        else if (dayCell?.dataset.date) { handleInteractionForAudio(); handleDateChangeInput(dayCell.dataset.date); showTab('daily'); trackGAEvent('view_tab', { tab_id: 'daily', source: 'calendar_day_click' }); playSound('click', 'E5', '16n'); }
     });
+    document.getElementById('calendar-tag-filter')?.addEventListener('change', (e) => { handleInteractionForAudio(); setCalendarTagFilter(e.target.value); renderCurrentCalendar(); trackGAEvent('calendar_tag_filter_changed', { filtered: !!e.target.value }); playSound('click', 'D5', '16n'); });
+    document.getElementById('plan-rest-days-btn')?.addEventListener('click', () => { handleInteractionForAudio(); setRestDayPlanning(!isRestDayPlanning()); renderCurrentCalendar(); trackGAEvent('rest_day_planning_toggled', { enabled: isRestDayPlanning() }); playSound('click', 'B4', '16n'); });
     document.getElementById('prev-month-btn')?.addEventListener('click', () => {handleMonthChange(-1); trackGAEvent('calendar_month_changed', { direction: 'previous'}); });
     document.getElementById('next-month-btn')?.addEventListener('click', () => {handleMonthChange(1); trackGAEvent('calendar_month_changed', { direction: 'next'}); });
     document.getElementById('view-analytics-btn')?.addEventListener('click', () => {
@@ -625,6 +851,7 @@ function setupEventListeners() {
             }
         }
     });
+    document.getElementById('xp-history-more-btn')?.addEventListener('click', () => { handleInteractionForAudio(); showMoreXPHistory(); trackGAEvent('xp_history_more_shown'); playSound('click', 'G4', '16n'); });
     document.getElementById('achievement-board-grid')?.addEventListener('click', (e) => {
         const card = e.target.closest('.achievement-card');
         if (card?.dataset.achievementId) { handleInteractionForAudio(); showAchievementModal(card.dataset.achievementId); trackGAEvent('achievement_modal_opened', { achievement_id: card.dataset.achievementId }); }
@@ -663,6 +890,7 @@ function setupEventListeners() {
             if (playNavSound) playSound('navigate', soundNote, '16n');
         }
     });
+    document.getElementById('onboarding-add-pillar-btn')?.addEventListener('click', handleAddOnboardingPillar);
     document.getElementById('onboarding-name-input')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); document.getElementById('onboarding-next-2')?.click(); } });
     document.getElementById('onboarding-pillar-list')?.addEventListener('change', (e) => {
         if (e.target.matches('input[type="checkbox"]')) {
@@ -700,12 +928,26 @@ function setupEventListeners() {
     document.getElementById('delete-habit-plan-btn')?.addEventListener('click', function() { const planIdInput = document.getElementById('habit-plan-id'); if (planIdInput?.value) handleDeleteHabitPlan(planIdInput.value); });
     document.getElementById('export-data-btn')?.addEventListener('click', () => { handleInteractionForAudio(); exportData(); trackGAEvent('data_exported'); });
     document.getElementById('import-data-trigger-btn')?.addEventListener('click', () => { handleInteractionForAudio(); document.getElementById('file-input')?.click(); trackGAEvent('data_import_triggered'); playSound('click', 'D5', '16n'); });
+    document.getElementById('export-csv-btn')?.addEventListener('click', () => { handleInteractionForAudio(); showCSVExportModal(); trackGAEvent('csv_export_opened'); playSound('click', 'D5', '16n'); });
+    document.getElementById('settings-export-csv-btn')?.addEventListener('click', () => { handleInteractionForAudio(); showCSVExportModal(); trackGAEvent('csv_export_opened_from_settings'); playSound('click', 'D5', '16n'); });
+    document.getElementById('close-csv-export-btn')?.addEventListener('click', () => { handleInteractionForAudio(); hideCSVExportModal(); playSound('click', 'A4', '16n'); });
+    document.getElementById('csv-export-modal')?.addEventListener('click', (e) => { if (e.target.id === 'csv-export-modal') { handleInteractionForAudio(); hideCSVExportModal(); playSound('click', 'A4', '16n'); } });
+    document.getElementById('csv-export-form')?.addEventListener('submit', handleCSVExport);
+    document.getElementById('import-csv-btn')?.addEventListener('click', () => { handleInteractionForAudio(); document.getElementById('csv-file-input')?.click(); trackGAEvent('csv_import_triggered'); playSound('click', 'D5', '16n'); });
+    document.getElementById('settings-import-csv-btn')?.addEventListener('click', () => { handleInteractionForAudio(); document.getElementById('csv-file-input')?.click(); trackGAEvent('csv_import_triggered_from_settings'); playSound('click', 'D5', '16n'); });
+    document.getElementById('close-csv-import-btn')?.addEventListener('click', () => { handleInteractionForAudio(); hideCSVImportModal(); playSound('click', 'A4', '16n'); });
+    document.getElementById('csv-import-modal')?.addEventListener('click', (e) => { if (e.target.id === 'csv-import-modal') { handleInteractionForAudio(); hideCSVImportModal(); playSound('click', 'A4', '16n'); } });
+    document.getElementById('csv-import-form')?.addEventListener('change', updateCSVImportPreview);
+    document.getElementById('csv-import-form')?.addEventListener('input', updateCSVImportPreview);
+    document.getElementById('csv-import-form')?.addEventListener('submit', handleCSVImport);
     document.getElementById('close-settings-modal-btn')?.addEventListener('click', () => { handleInteractionForAudio(); hideSettingsModal(); trackGAEvent('settings_closed'); playSound('click', 'A4', '16n'); });
     document.getElementById('settings-modal')?.addEventListener('click', (e) => { if (e.target.id === 'settings-modal') { handleInteractionForAudio(); hideSettingsModal(); trackGAEvent('settings_closed'); playSound('click', 'A4', '16n'); } });
     document.getElementById('settings-form')?.addEventListener('submit', handleSaveSettings);
     document.getElementById('settings-name-input')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); document.getElementById('save-settings-btn')?.click(); } });
     document.getElementById('settings-form')?.addEventListener('change', (e) => {
         if (e.target.matches('input[name="settingsMode"]')) { handleInteractionForAudio(); updateSettingsModalVisibility(); trackGAEvent('settings_mode_radio_changed', { new_mode: e.target.value }); playSound('click', 'C4', '16n'); }
+        else if (e.target.matches('select[name="settingsXPRules"]')) { handleInteractionForAudio(); updateXPRulesDescription(); playSound('click', 'C4', '16n'); }
+        else if (e.target.matches('select[name="settingsStreakMode"]')) { handleInteractionForAudio(); updateStreakModeDescription(); playSound('click', 'C4', '16n'); }
         else if (e.target.matches('input[name="settingsSimpleModePillarCount"]')) { handleInteractionForAudio(); updateSettingsPillarCounter(); trackGAEvent('settings_simple_count_changed', { count: e.target.value }); playSound('click', 'C4', '16n'); }
         else if (e.target.matches('input[name="settingsPillars"]')) {
              handleInteractionForAudio();
@@ -717,14 +959,54 @@ function setupEventListeners() {
              else { updateSettingsPillarCounter(); playSound('click', 'D4', '16n'); }
         }
     });
+    document.getElementById('manage-pillars-btn')?.addEventListener('click', () => { handleInteractionForAudio(); hideSettingsModal(); showPillarManagerModal(); trackGAEvent('pillar_manager_opened'); playSound('click', 'D5', '16n'); });
+    document.getElementById('close-pillar-manager-btn')?.addEventListener('click', () => { handleInteractionForAudio(); hidePillarManagerModal(); trackGAEvent('pillar_manager_closed'); playSound('click', 'A4', '16n'); });
+    document.getElementById('pillar-manager-modal')?.addEventListener('click', (e) => { if (e.target.id === 'pillar-manager-modal') { handleInteractionForAudio(); hidePillarManagerModal(); trackGAEvent('pillar_manager_closed'); playSound('click', 'A4', '16n'); } });
+    document.getElementById('pillar-manager-save-btn')?.addEventListener('click', handleSavePillars);
+    document.getElementById('pillar-manager-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.custom-pillar-delete-btn, .pillar-manager-reset-btn'); if (!button?.dataset.pillarId) return;
+        if (button.classList.contains('custom-pillar-delete-btn')) handleDeleteCustomPillar(button.dataset.pillarId);
+        else { handleInteractionForAudio(); resetPillarManagerRow(button.dataset.pillarId); playSound('click', 'C4', '16n'); }
+    });
+    document.getElementById('pillar-manager-list')?.addEventListener('change', (e) => {
+        if (e.target.matches('.pillar-manager-status')) { handleInteractionForAudio(); updatePillarManagerRowStatus(e.target); playSound('click', 'C4', '16n'); }
+        else if (e.target.matches('.pillar-manager-unit')) { handleInteractionForAudio(); updatePillarManagerRowUnit(e.target); playSound('click', 'C4', '16n'); }
+    });
+    document.getElementById('custom-pillar-form')?.addEventListener('submit', handleAddCustomPillar);
     document.getElementById('settings-change-pillars-btn')?.addEventListener('click', () => { handleInteractionForAudio(); enableSimpleModeEditing(); trackGAEvent('settings_change_pillars_clicked'); playSound('click', 'E4', '16n'); });
-    document.getElementById('settings-export-data-btn')?.addEventListener('click', () => { handleInteractionForAudio(); exportData(); trackGAEvent('data_exported_from_settings'); });
+    document.getElementById('settings-export-data-btn')?.addEventListener('click', () => { handleInteractionForAudio(); exportData({ plaintext: isPlaintextExportChosen() }); trackGAEvent('data_exported_from_settings'); });
     document.getElementById('settings-import-data-trigger-btn')?.addEventListener('click', () => { handleInteractionForAudio(); document.getElementById('file-input')?.click(); trackGAEvent('data_import_triggered_from_settings'); playSound('click', 'D5', '16n'); hideSettingsModal(); });
     document.getElementById('settings-reset-data-btn')?.addEventListener('click', handleResetData);
+    document.getElementById('settings-export-all-profiles-btn')?.addEventListener('click', () => { exportAllProfiles({ plaintext: isPlaintextExportChosen() }); trackGAEvent('all_profiles_exported_from_settings'); });
+    document.getElementById('encryption-set-btn')?.addEventListener('click', handleSetPassphrase);
+    document.getElementById('encryption-remove-btn')?.addEventListener('click', handleRemovePassphrase);
+    document.getElementById('profile-switcher-btn')?.addEventListener('click', (e) => { e.stopPropagation(); handleInteractionForAudio(); toggleProfileMenu(); playSound('click', 'D5', '16n'); });
+    document.getElementById('profile-menu-list')?.addEventListener('click', (e) => { const item = e.target.closest('.profile-menu-item'); if (item?.dataset.profileId) handleSwitchProfile(item.dataset.profileId); });
+    document.getElementById('profile-new-btn')?.addEventListener('click', handleCreateProfile);
+    document.getElementById('profile-rename-btn')?.addEventListener('click', handleRenameProfile);
+    document.getElementById('profile-delete-btn')?.addEventListener('click', handleDeleteProfile);
+    document.addEventListener('click', (e) => { if (isProfileMenuOpen() && !e.target.closest('.profile-switcher')) toggleProfileMenu(false); });
+    document.getElementById('action-log-show-btn')?.addEventListener('click', () => { handleInteractionForAudio(); renderActionLog(document.getElementById('action-log-date-filter')?.value || null); trackGAEvent('action_log_viewed'); playSound('click', 'D5', '16n'); });
+    document.getElementById('action-log-date-filter')?.addEventListener('change', (e) => { renderActionLog(e.target.value || null); });
+    document.getElementById('action-log-rebuild-btn')?.addEventListener('click', handleRebuildFromLog);
+    document.getElementById('action-log-compact-btn')?.addEventListener('click', handleCompactActionLog);
+    document.getElementById('xp-ledger-verify-btn')?.addEventListener('click', handleVerifyXPLedger);
+    document.getElementById('storage-archive-list')?.addEventListener('click', (e) => { const button = e.target.closest('.archive-year-btn'); if (button) handleArchiveYear(Number(button.dataset.year)); });
     document.getElementById('enable-notifications-btn')?.addEventListener('click', requestNotificationPermission);
     document.addEventListener('keydown', (e) => {
+        // Undo/Redo shortcuts; text fields keep their native undo
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && ['z', 'y'].includes(e.key.toLowerCase()) && !e.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
+            e.preventDefault();
+            if (e.key.toLowerCase() === 'y' || e.shiftKey) handleRedo(); else handleUndo();
+            return;
+        }
         if (e.key === 'Escape') {
-            if (document.getElementById('settings-modal')?.classList.contains('visible')) { handleInteractionForAudio(); hideSettingsModal(); trackGAEvent('settings_closed_esc'); }
+            if (isPassphraseModalOpen() || isBackupImportModalOpen()) return; // Handled by these modals themselves
+            if (isProfileMenuOpen()) { toggleProfileMenu(false); document.getElementById('profile-switcher-btn')?.focus(); }
+            else if (hidePillarManagerModal()) { handleInteractionForAudio(); trackGAEvent('pillar_manager_closed_esc'); }
+            else if (hideCSVExportModal()) { handleInteractionForAudio(); }
+            else if (hideCSVImportModal()) { handleInteractionForAudio(); }
+            else if (document.getElementById('settings-modal')?.classList.contains('visible')) { handleInteractionForAudio(); hideSettingsModal(); trackGAEvent('settings_closed_esc'); }
             else if (document.getElementById('achievement-detail-modal')?.classList.contains('visible')) { handleInteractionForAudio(); hideAchievementModal(); trackGAEvent('achievement_modal_closed_esc'); }
             else if (document.getElementById('name-prompt-modal')?.classList.contains('visible')) { handleInteractionForAudio(); closeNamePromptModal(); trackGAEvent('name_prompt_closed_esc'); playSound('click', 'D4', '16n'); }
             else if (document.getElementById('welcome-modal')?.classList.contains('visible')) { handleInteractionForAudio(); closeWelcomeModal(); trackGAEvent('welcome_modal_closed_esc'); playSound('click', 'D4', '16n'); }
@@ -748,6 +1030,151 @@ function setupEventListeners() {
     console.log("[App] All event listeners set up.");
 }
 
+async function handleRebuildFromLog() {
+    handleInteractionForAudio();
+    if (!confirm("Rebuild your data by replaying the activity log? Use this if your logs, notes or plans look wrong. Undo history will be cleared.")) return;
+    try {
+        const eventsReplayed = await rebuildStateFromActionLog();
+        if (eventsReplayed === null) { showToast("No activity log available to rebuild from.", "info"); playSound('error'); return; }
+        trackGAEvent('state_rebuilt_from_log', { events: eventsReplayed });
+        checkAchievements(getStateReference()); refreshAllViews(); renderActionLog(document.getElementById('action-log-date-filter')?.value || null);
+        showToast(`Data rebuilt from ${eventsReplayed} logged action(s).`, "success"); playSound('save', 'G5', '8n');
+    } catch (error) {
+        console.error("[App] Error rebuilding state from action log:", error);
+        showToast("Could not rebuild data from the activity log.", "error"); playSound('error');
+    }
+}
+
+async function handleCompactActionLog() {
+    handleInteractionForAudio();
+    if (!confirm("Compact the activity log? Every entry is kept (what was done, when, and on which day), but the copies of changed data it stored are dropped. Rebuilding from the log will start from your data as it is now.")) return;
+    try {
+        const result = await compactActionLog();
+        trackGAEvent('action_log_compacted', { events: result.events });
+        renderActionLog(document.getElementById('action-log-date-filter')?.value || null); runStorageHealthCheck();
+        showToast(`Activity log compacted: ${result.events} logged action(s), ${formatBytes(result.freedBytes)} freed.`, "success"); playSound('save', 'G5', '8n');
+    } catch (error) {
+        console.error("[App] Error compacting the action log:", error);
+        showToast(error.message || "Could not compact the activity log.", "error"); playSound('error');
+    }
+}
+
+function handleVerifyXPLedger() {
+    handleInteractionForAudio();
+    const { matches, differences } = verifyXPLedgerState();
+    trackGAEvent('xp_ledger_verified', { matches, differences: differences.length });
+    if (matches) { showToast("XP verified: every saved day matches a full recalculation.", "success"); playSound('click', 'E5', '16n'); return; }
+    if (!confirm(`XP for ${differences.length} day(s) does not match a full recalculation (first: ${differences[0]}). Repair your XP history now?`)) return;
+    const repairedDays = repairXPLedgerState();
+    trackGAEvent('xp_ledger_repaired', { days: repairedDays });
+    refreshAllViews(); renderActionLog(document.getElementById('action-log-date-filter')?.value || null);
+    showToast(`XP repaired for ${repairedDays} day(s).`, "success"); playSound('save', 'G5', '8n');
+}
+
+// --- Passphrase Lock Handlers ---
+async function unlockOnStartup() {
+    const profile = getActiveProfile();
+    await requestPassphrase({
+        title: '🔒 Unlock WellSpring',
+        message: `Your data${getProfiles().length > 1 ? ` for "${profile.name}"` : ''} is protected with a passphrase. Enter it to continue.`,
+        submitLabel: 'Unlock',
+        allowCancel: false,
+        onSubmit: unlockStorage,
+        onForgot: handleForgotPassphrase,
+        profileSwitch: { profiles: getProfiles(), activeProfileId: profile.id, onSwitch: (profileId) => { setActiveProfile(profileId); location.reload(); } }
+    });
+    trackGAEvent('data_unlocked');
+}
+function handleForgotPassphrase() {
+    if (!confirm("Without the passphrase your encrypted data cannot be recovered.\n\nDelete this profile's data and start again? If you have an unencrypted backup you can restore it afterwards.")) return;
+    resetState().then(ok => { if (ok) { trackGAEvent('passphrase_forgotten_reset'); location.reload(); } else showToast("Error resetting data.", "error"); });
+}
+function isPlaintextExportChosen() { return isEncryptionEnabled() && document.getElementById('settings-export-plaintext')?.checked === true; }
+async function confirmCurrentPassphrase() {
+    return await requestPassphrase({ title: '🔒 Confirm Passphrase', message: 'Enter your current passphrase to continue.', onSubmit: unlockStorage }) !== null;
+}
+async function handleSetPassphrase() {
+    handleInteractionForAudio();
+    const input = document.getElementById('encryption-passphrase-input'); const repeatInput = document.getElementById('encryption-passphrase-confirm');
+    if (!input || !repeatInput) return;
+    if (input.value !== repeatInput.value) { showToast("The passphrases don't match.", "error"); playSound('error'); return; }
+    const wasEnabled = isEncryptionEnabled();
+    if (wasEnabled && !(await confirmCurrentPassphrase())) return;
+    if (!wasEnabled && !confirm("Encrypt your data with this passphrase?\n\nYou'll need it every time you open WellSpring. It cannot be recovered if you forget it.")) return;
+    try { await setStoragePassphrase(input.value); }
+    catch (error) { console.error("[App] Error setting passphrase:", error); showToast(error.message || "Could not set the passphrase.", "error"); playSound('error'); return; }
+    input.value = ''; repeatInput.value = ''; renderEncryptionSettings();
+    trackGAEvent(wasEnabled ? 'passphrase_changed' : 'passphrase_set');
+    showToast(wasEnabled ? "Passphrase changed." : "Your data is now encrypted with your passphrase.", "success"); playSound('save', 'G5', '8n');
+}
+async function handleRemovePassphrase() {
+    handleInteractionForAudio();
+    if (!(await confirmCurrentPassphrase())) return;
+    if (!confirm("Remove the passphrase? Your data will be stored unencrypted on this device.")) return;
+    try { await removeStoragePassphrase(); }
+    catch (error) { console.error("[App] Error removing passphrase:", error); showToast("Could not remove the passphrase.", "error"); playSound('error'); return; }
+    renderEncryptionSettings(); trackGAEvent('passphrase_removed');
+    showToast("Passphrase removed. Your data is no longer encrypted.", "info"); playSound('unlock', 'C4', '16n');
+}
+
+// --- Profile Handlers ---
+/**
+ * This tab keeps the profile it loaded when another tab switches profiles (a reload opens the other one),
+ * so it says so once per switch. If another tab deleted this tab's profile, there is nothing left to show.
+ */
+function handleProfilesChangedElsewhere() {
+    if (!getProfiles().some(p => p.id === getActiveProfile().id)) { reloadIntoProfile("This profile was deleted in another tab. Switching..."); return; }
+    const otherProfile = getProfileActiveElsewhere();
+    if (otherProfile?.id === profileSwitchWarningShownFor) return;
+    profileSwitchWarningShownFor = otherProfile?.id ?? null;
+    if (otherProfile) showToast(`Another tab switched to "${otherProfile.name}". This tab still shows "${getActiveProfile().name}" until you reload it.`, "info", STORAGE_WARNING_TOAST_DURATION, { label: 'Reload', onClick: () => location.reload() });
+}
+function reloadIntoProfile(message) {
+    showToast(message, "info");
+    setTimeout(() => { location.reload(); }, PROFILE_SWITCH_RELOAD_DELAY);
+}
+function handleSwitchProfile(profileId) {
+    handleInteractionForAudio(); toggleProfileMenu(false);
+    if (profileId === getActiveProfile().id) return;
+    let profile;
+    try { profile = setActiveProfile(profileId); } catch (error) { showToast(error.message, "error"); playSound('error'); return; }
+    trackGAEvent('profile_switched'); playSound('navigate', 'E5', '16n');
+    reloadIntoProfile(`Switching to ${profile.name}...`);
+}
+function handleCreateProfile() {
+    handleInteractionForAudio(); toggleProfileMenu(false);
+    const name = prompt("Name for the new profile:");
+    if (name === null) return;
+    try {
+        const profile = createProfile(name); setActiveProfile(profile.id);
+        trackGAEvent('profile_created'); playSound('save', 'G5', '8n');
+        reloadIntoProfile(`Profile "${profile.name}" created. Switching...`);
+    } catch (error) { showToast(error.message, "error"); playSound('error'); }
+}
+function handleRenameProfile() {
+    handleInteractionForAudio(); toggleProfileMenu(false);
+    const activeProfile = getActiveProfile();
+    const name = prompt("Rename this profile:", activeProfile.name);
+    if (name === null || name.trim() === activeProfile.name) return;
+    try { renameProfile(activeProfile.id, name); renderProfileSwitcher(); trackGAEvent('profile_renamed'); showToast("Profile renamed.", "success"); playSound('save', 'E5', '16n'); }
+    catch (error) { showToast(error.message, "error"); playSound('error'); }
+}
+async function handleDeleteProfile() {
+    handleInteractionForAudio(); toggleProfileMenu(false);
+    const activeProfile = getActiveProfile();
+    if (!confirm(`Delete the profile "${activeProfile.name}" and all of its WellSpring data on this device? This cannot be undone.`)) return;
+    try {
+        const profileStorage = getProfileStorage(activeProfile.id);
+        const nextProfile = removeProfile(activeProfile.id); // Also makes another profile active
+        await deleteProfileData(profileStorage);
+        trackGAEvent('profile_deleted'); playSound('delete', 'C3', '8n');
+        reloadIntoProfile(`Profile deleted. Switching to ${nextProfile.name}...`);
+    } catch (error) {
+        console.error("[App] Error deleting profile:", error);
+        showToast(error.message || "Could not delete profile.", "error"); playSound('error');
+    }
+}
+
 // --- Calendar Specific Tab Handler ---
 function handleShowCalendarTab() {
     showTab('calendar'); 
@@ -764,6 +1191,7 @@ function handleShowCalendarTab() {
 }
 
 function handleCalendarDayClick(dateStr) {
+    if (isRestDayPlanning()) { handleToggleRestDay(dateStr); return; }
     handleInteractionForAudio();
     handleDateChangeInput(dateStr);
     showTab('daily');
@@ -771,6 +1199,21 @@ function handleCalendarDayClick(dateStr) {
     trackGAEvent('view_tab', { tab_id: 'daily', source: 'calendar_day_click' });
 }
 
+function renderCurrentCalendar() {
+    const state = getState();
+    renderCalendar(state.currentMonth, state.currentYear, findFirstUsageDate(state), handleCalendarDayClick);
+}
+
+function handleToggleRestDay(dateStr) {
+    handleInteractionForAudio();
+    const isRestDay = toggleRestDay(dateStr);
+    if (isRestDay === null) { showToast("Rest days can only be planned for today or future days that aren't saved yet.", "info"); playSound('error'); return; }
+    trackGAEvent('rest_day_toggled', { planned: isRestDay });
+    renderCurrentCalendar(); refreshDailyLogUI();
+    showToast(isRestDay ? `🛌 Rest day planned for ${formatDate(dateStr)}. It won't break your streak.` : `Rest day on ${formatDate(dateStr)} cleared.`, "success", UNDO_TOAST_DURATION, UNDO_TOAST_ACTION);
+    playSound('click', isRestDay ? 'G4' : 'D4', '16n');
+}
+
 function handleMonthChange(delta) {
     handleInteractionForAudio();
     const stateRef = getStateReference();
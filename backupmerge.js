@@ -0,0 +1,202 @@
+// backupmerge.js
+
+/**
+ * Merges a backup into the current data, as an alternative to replacing it (see datamanagement.js).
+ * - Days: a date only in the backup is added. On a date both have, pillar checks and the saved flag
+ *   are combined (done or saved on either counts as done or saved), and a value only one side has is kept.
+ *   Where both have a different mood, check-in, rest day or pillar amount, tags or time, the conflict
+ *   rule decides: this device's version ('device', the default) or the backup's ('backup').
+ * - Notes are matched by noteId (or, failing that, by the same day and text); a note both have with a
+ *   different text or day follows the conflict rule. Achievements and new cycles are added once.
+ * - Habit plans are matched by ID; a plan both have in a different version follows the conflict rule.
+ * - Custom pillars and unlocked achievements only in the backup are added. Settings stay as they are.
+ * Dates in years archived on this device are read-only and skipped. The XP ledger is rebuilt from the merged history.
+ */
+
+// --- Imports ---
+import { getTimelineEntryKey } from './storage.js';
+import { getTimelineEntryDate, isArchivedDate } from './utils.js';
+import { isValidDateString } from './dates.js';
+import { repairXPLedger, summarizeXPLedger } from './xpledger.js';
+
+// --- Constants ---
+export const MERGE_CONFLICT_RULES = {
+    device: { name: "Keep this device's version" },
+    backup: { name: "Use the backup's version" }
+};
+export const DEFAULT_MERGE_CONFLICT_RULE = 'device';
+const DAY_VALUE_KEYS = ['mood', 'wellbeing', 'restDays']; // Per-date values that have one version
+const PILLAR_ENTRY_KEYS = ['amounts', 'tags', 'times']; // Per-date pillar details (as in state.js)
+const PILLAR_SETTING_KEYS = ['pillarQuantities', 'pillarTags']; // Settings of an added custom pillar
+
+// --- Merging ---
+
+/**
+ * Merges a backup into a copy of the current state.
+ * @param {object} current - The current state (left unchanged).
+ * @param {object} backup - The backup's state, upgraded through the migrations.
+ * @param {{prefer?: string}} [options] - The conflict rule (a key of MERGE_CONFLICT_RULES).
+ * @returns {{state: object, summary: {addedDays: number, changedDays: number, conflictDays: number, skippedDays: number,
+ *     addedNotes: number, changedNotes: number, addedPlans: number, changedPlans: number, addedPillars: number, addedAchievements: number}}}
+ *     The merged state, and what the merge adds to and changes on this device (conflicts count whichever version wins).
+ */
+export function mergeBackupState(current, backup, { prefer = DEFAULT_MERGE_CONFLICT_RULE } = {}) {
+    const state = JSON.parse(JSON.stringify(current));
+    const useBackup = prefer === 'backup';
+    const summary = { addedDays: 0, changedDays: 0, conflictDays: 0, skippedDays: 0, addedNotes: 0, changedNotes: 0, addedPlans: 0, changedPlans: 0, addedPillars: 0, addedAchievements: 0 };
+
+    // Custom pillars first, so the backup's checks of them belong to a pillar
+    const pillarIds = new Set((state.customPillars || []).map(p => p?.id));
+    (backup.customPillars || []).filter(p => p?.id && !pillarIds.has(p.id)).forEach(pillar => {
+        state.customPillars = [...(state.customPillars || []), copy(pillar)];
+        PILLAR_SETTING_KEYS.forEach(key => {
+            if (backup[key]?.[pillar.id] !== undefined) state[key] = { ...(state[key] || {}), [pillar.id]: copy(backup[key][pillar.id]) };
+        });
+        summary.addedPillars++;
+    });
+
+    getDayDates(backup).forEach(date => {
+        if (isArchivedDate(state, date)) { summary.skippedDays++; return; }
+        const before = readDay(state, date);
+        const backupDay = readDay(backup, date);
+        let conflict = false;
+        const pick = (deviceValue, backupValue) => {
+            if (backupValue === undefined) return deviceValue;
+            if (deviceValue === undefined || isSame(deviceValue, backupValue)) return backupValue;
+            conflict = true;
+            return useBackup ? backupValue : deviceValue;
+        };
+        Object.entries(backupDay.checks).forEach(([pillarId, done]) => {
+            if (done) setPillarValue(state, pillarId, 'days', date, true);
+        });
+        PILLAR_ENTRY_KEYS.forEach(mapKey => {
+            Object.entries(backupDay.entries[mapKey]).forEach(([pillarId, value]) => {
+                setPillarValue(state, pillarId, mapKey, date, copy(pick(before.entries[mapKey][pillarId], value)));
+            });
+        });
+        DAY_VALUE_KEYS.forEach(key => {
+            if (backupDay[key] === undefined) return;
+            state[key] = state[key] || {};
+            state[key][date] = copy(pick(before[key], backupDay[key]));
+        });
+        if (backupDay.saved) state.savedDays = { ...(state.savedDays || {}), [date]: true };
+
+        if (isSame(readDay(state, date), before)) return;
+        if (isEmptyDay(before)) summary.addedDays++; else summary.changedDays++;
+        if (conflict) summary.conflictDays++;
+    });
+
+    mergeTimeline(state, backup, useBackup, summary);
+
+    Object.entries(backup.habitPlans || {}).forEach(([planId, plan]) => {
+        state.habitPlans = state.habitPlans || {};
+        const existing = state.habitPlans[planId];
+        if (!existing) { state.habitPlans[planId] = copy(plan); summary.addedPlans++; }
+        else if (useBackup && !isSame(existing, plan)) { state.habitPlans[planId] = copy(plan); summary.changedPlans++; }
+    });
+
+    Object.entries(backup.achievements || {}).forEach(([id, achievement]) => {
+        if (!achievement?.unlocked || state.achievements?.[id]?.unlocked || !state.achievements?.[id]) return;
+        state.achievements[id] = { ...state.achievements[id], unlocked: true, date: achievement.date || null };
+        summary.addedAchievements++;
+    });
+    state.prestige = Math.max(Number(state.prestige) || 0, Number(backup.prestige) || 0);
+
+    // XP, streak and freeze tokens follow from the merged history
+    repairXPLedger(state);
+    Object.assign(state, summarizeXPLedger(state));
+    return { state, summary };
+}
+
+/**
+ * @param {object} summary - From mergeBackupState().
+ * @returns {boolean} True if merging would change anything on this device.
+ */
+export function hasMergeChanges(summary) {
+    return ['addedDays', 'changedDays', 'addedNotes', 'changedNotes', 'addedPlans', 'changedPlans', 'addedPillars', 'addedAchievements'].some(key => summary[key] > 0);
+}
+
+// --- Internal Helpers ---
+
+/**
+ * Adds the backup's timeline entries this device doesn't have. Notes both have follow the conflict rule;
+ * achievement and new cycle entries are added only if this device has none for the same achievement or cycle.
+ */
+function mergeTimeline(state, backup, useBackup, summary) {
+    state.timeline = state.timeline || [];
+    const notesById = new Map(), notesByContent = new Map(), otherKeys = new Set();
+    const contentKey = (note) => `${getTimelineEntryDate(note)}\n${note.text}`;
+    const otherKey = (entry) => entry.type === 'achievement' ? `achievement:${entry.achievementId}`
+        : entry.type === 'prestige' ? `prestige:${entry.prestigeLevel}` : getTimelineEntryKey(entry);
+    state.timeline.forEach(entry => {
+        if (entry?.type === 'note') { notesById.set(entry.noteId, entry); notesByContent.set(contentKey(entry), entry); }
+        else if (entry?.type) otherKeys.add(otherKey(entry));
+    });
+    (backup.timeline || []).forEach(entry => {
+        if (!entry?.type || !getTimelineEntryDate(entry) || isArchivedDate(state, getTimelineEntryDate(entry))) return;
+        if (entry.type !== 'note') {
+            if (otherKeys.has(otherKey(entry))) return;
+            otherKeys.add(otherKey(entry));
+            state.timeline.push(copy(entry));
+            return;
+        }
+        const existing = notesById.get(entry.noteId) || notesByContent.get(contentKey(entry));
+        if (!existing) {
+            const note = copy(entry);
+            state.timeline.push(note);
+            notesById.set(note.noteId, note);
+            notesByContent.set(contentKey(note), note);
+            summary.addedNotes++;
+        } else if (useBackup && (existing.text !== entry.text || getTimelineEntryDate(existing) !== getTimelineEntryDate(entry))) {
+            if (isArchivedDate(state, getTimelineEntryDate(existing))) return;
+            state.timeline[state.timeline.indexOf(existing)] = { ...copy(entry), noteId: existing.noteId };
+            summary.changedNotes++;
+        }
+    });
+}
+
+/** Every date the backup has something logged on (not counting its XP ledger), oldest first. */
+function getDayDates(backup) {
+    const dates = new Set(['savedDays', ...DAY_VALUE_KEYS].flatMap(key => Object.keys(backup[key] || {})));
+    Object.values(backup.pillars || {}).forEach(pillarData => {
+        ['days', ...PILLAR_ENTRY_KEYS].forEach(mapKey => Object.keys(pillarData?.[mapKey] || {}).forEach(date => dates.add(date)));
+    });
+    return [...dates].filter(isValidDateString).sort();
+}
+
+/** Everything logged on a date (values that aren't set are left out). */
+function readDay(state, date) {
+    const day = { checks: {}, entries: Object.fromEntries(PILLAR_ENTRY_KEYS.map(mapKey => [mapKey, {}])), saved: !!state.savedDays?.[date] };
+    Object.entries(state.pillars || {}).forEach(([pillarId, pillarData]) => {
+        if (pillarData?.days?.[date]) day.checks[pillarId] = true;
+        PILLAR_ENTRY_KEYS.forEach(mapKey => {
+            const value = pillarData?.[mapKey]?.[date];
+            if (value !== undefined && value !== null) day.entries[mapKey][pillarId] = value;
+        });
+    });
+    DAY_VALUE_KEYS.forEach(key => {
+        const value = state[key]?.[date];
+        if (value !== undefined && value !== null && value !== false) day[key] = value;
+    });
+    return day;
+}
+
+function isEmptyDay(day) {
+    return !day.saved && Object.keys(day.checks).length === 0 && DAY_VALUE_KEYS.every(key => day[key] === undefined)
+        && PILLAR_ENTRY_KEYS.every(mapKey => Object.keys(day.entries[mapKey]).length === 0);
+}
+
+function setPillarValue(state, pillarId, mapKey, date, value) {
+    state.pillars = state.pillars || {};
+    state.pillars[pillarId] = state.pillars[pillarId] || { days: {} };
+    state.pillars[pillarId][mapKey] = state.pillars[pillarId][mapKey] || {};
+    state.pillars[pillarId][mapKey][date] = value;
+}
+
+function isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
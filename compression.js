@@ -0,0 +1,45 @@
+// compression.js
+
+/**
+ * Compression helpers for year archives (storage.js).
+ * Values are serialized to JSON and gzipped with the browser's CompressionStream;
+ * the compressed bytes are kept as Base64 so an archive can be stored, encrypted and
+ * backed up like any other record. Browsers without CompressionStream store plain JSON.
+ */
+
+// --- Imports ---
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+// --- Constants ---
+const GZIP_FORMAT = 'gzip';
+const JSON_FORMAT = 'json'; // Uncompressed fallback
+
+// --- Compression ---
+
+/**
+ * Compresses a JSON-serializable value.
+ * @param {*} value - The value to compress.
+ * @returns {Promise<{format: string, data: string, originalBytes: number}>} The compressed value.
+ */
+export async function compressJSON(value) {
+    const json = JSON.stringify(value);
+    const originalBytes = new TextEncoder().encode(json).length;
+    if (typeof CompressionStream === 'undefined') return { format: JSON_FORMAT, data: json, originalBytes };
+    const stream = new Response(json).body.pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    return { format: GZIP_FORMAT, data: bytesToBase64(bytes), originalBytes };
+}
+
+/**
+ * Restores a value compressed with compressJSON().
+ * @param {{format: string, data: string}} compressed - The compressed value.
+ * @returns {Promise<*>} The original value.
+ * @throws {Error} If the format is unknown or the browser cannot decompress it.
+ */
+export async function decompressJSON(compressed) {
+    if (compressed?.format === JSON_FORMAT) return JSON.parse(compressed.data);
+    if (compressed?.format !== GZIP_FORMAT) throw new Error(`Unknown archive format: ${compressed?.format}`);
+    if (typeof DecompressionStream === 'undefined') throw new Error("This browser cannot open compressed archives.");
+    const stream = new Response(base64ToBytes(compressed.data)).body.pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
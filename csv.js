@@ -0,0 +1,364 @@
+// csv.js
+
+/**
+ * CSV export of WellSpring history, for spreadsheets, and CSV import from other habit trackers.
+ * - Daily history: one row per date in the range (days without entries included, so the rows
+ *   form a continuous timeline) with a column per pillar (1 if done, 0 if not), the mood (1-5),
+ *   whether the day was saved (1/0), the XP the day earned and that day's notes.
+ * - Notes: one row per note, by the day it is about, with the time it was written.
+ * Files follow RFC 4180 (comma-separated, CRLF line endings, quoted where needed) and start with
+ * a UTF-8 byte order mark so spreadsheet apps show emoji and accents correctly.
+ * Import: any CSV with a header row and one row per day (comma, semicolon or tab separated).
+ * Each column is mapped to the date, a pillar (checked for 1/yes/true/x/✓ or any number above 0),
+ * the mood (scaled from the other app's range to 1-5) or notes, or ignored. Rows with the same date
+ * are combined into one day. Days that are logged on this device but not saved yet are left alone.
+ */
+
+// --- Imports ---
+import { getPillars } from './pillars.js';
+import { getTimelineEntryDate, compareTimelineEntries, isArchivedDate } from './utils.js';
+import { getToday, addDays, isValidDateString } from './dates.js';
+
+// --- Constants ---
+export const CSV_EXPORTS = {
+    history: { name: "Daily history", description: "One row per day: each pillar (1 = done), mood, saved, XP earned and notes." },
+    notes: { name: "Notes only", description: "One row per note: the day it is about, when it was written and the text." }
+};
+const BYTE_ORDER_MARK = '\uFEFF';
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/; // Cells a spreadsheet would run as a formula
+
+// Column mappings for imports (a pillar column is mapped to 'pillar:<id>')
+export const CSV_IMPORT_TARGETS = {
+    ignore: { name: "Ignore" },
+    date: { name: "📅 Date" },
+    mood: { name: "🙂 Mood" },
+    notes: { name: "📝 Notes" }
+};
+// Date formats of imported files ('-', '/' or '.' between the parts; a time after the date is ignored)
+export const CSV_DATE_FORMATS = {
+    ymd: { name: "Year-Month-Day (2024-03-31)", order: ['year', 'month', 'day'] },
+    dmy: { name: "Day/Month/Year (31/03/2024)", order: ['day', 'month', 'year'] },
+    mdy: { name: "Month/Day/Year (03/31/2024)", order: ['month', 'day', 'year'] }
+};
+const MOOD_SCALES = [[1, 5], [0, 5], [1, 10], [0, 10], [0, 100]]; // Common ranges, smallest first
+const CHECKED_WORDS = ['yes', 'y', 'true', 'x', '✓', '✔', '✅', 'done', 'completed', 'complete'];
+const DATE_PARTS_PATTERN = /^\s*(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T].*)?$/;
+
+// --- Date Range ---
+
+/**
+ * Returns the dates the history covers: from the first day with any entry to today
+ * (or the last day with an entry, if later).
+ * @param {object} state - The application state.
+ * @returns {{from: string, to: string}|null} The range, or null if nothing was logged yet.
+ */
+export function getHistoryDateRange(state) {
+    const dates = getLoggedDates(state);
+    if (dates.length === 0) return null;
+    const today = getToday(state);
+    return { from: dates[0], to: dates[dates.length - 1] > today ? dates[dates.length - 1] : today };
+}
+
+// --- Building Files ---
+
+/**
+ * Builds the daily history CSV.
+ * @param {object} state - The application state.
+ * @param {{from?: string, to?: string}} [range] - First and last date to include ('YYYY-MM-DD'); defaults to the whole history.
+ * @returns {{csv: string, rows: number}} The file content and the number of days in it.
+ */
+export function buildHistoryCSV(state, { from, to } = {}) {
+    const pillars = getPillars(state);
+    const header = ['Date', ...pillars.map(p => p.name), 'Mood', 'Saved', 'XP', 'Notes'];
+    const notesByDate = {};
+    getNotes(state).forEach(note => {
+        const date = getTimelineEntryDate(note);
+        (notesByDate[date] = notesByDate[date] || []).push(note.text || '');
+    });
+
+    const rows = getDatesInRange(state, from, to).map(date => {
+        const xp = state.xpLedger?.[date]?.total;
+        return [
+            date,
+            ...pillars.map(p => state.pillars?.[p.id]?.days?.[date] ? 1 : 0),
+            state.mood?.[date] || '',
+            state.savedDays?.[date] ? 1 : 0,
+            typeof xp === 'number' ? xp : '',
+            (notesByDate[date] || []).join('\n')
+        ];
+    });
+    return { csv: toCSV([header, ...rows]), rows: rows.length };
+}
+
+/**
+ * Builds the notes CSV, oldest note first.
+ * @param {object} state - The application state.
+ * @param {{from?: string, to?: string}} [range] - First and last entry date to include ('YYYY-MM-DD'); defaults to all notes.
+ * @returns {{csv: string, rows: number}} The file content and the number of notes in it.
+ */
+export function buildNotesCSV(state, { from, to } = {}) {
+    const first = isValidDateString(from) ? from : '';
+    const last = isValidDateString(to) ? to : '9999-12-31';
+    const rows = getNotes(state)
+        .filter(note => getTimelineEntryDate(note) >= first && getTimelineEntryDate(note) <= last)
+        .sort(compareTimelineEntries)
+        .map(note => [getTimelineEntryDate(note), note.createdAt || '', note.text || '']);
+    return { csv: toCSV([['Date', 'Written', 'Note'], ...rows]), rows: rows.length };
+}
+
+/**
+ * Joins rows of cells into CSV text.
+ * @param {Array<Array<string|number>>} rows - The rows, header first.
+ * @returns {string}
+ */
+export function toCSV(rows) {
+    return BYTE_ORDER_MARK + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Reading Files ---
+
+/**
+ * Parses CSV text (RFC 4180 quoting; comma, semicolon or tab separated, whichever the header uses most).
+ * Blank lines are skipped and short rows are padded to the header's width.
+ * @param {string} text - The file content.
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ * @throws {Error} If the file has no header or no data rows.
+ */
+export function parseCSV(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+    const records = [];
+    let record = [], cell = '', inQuotes = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(cell); records.push(record); record = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || record.length > 0) { record.push(cell); records.push(record); }
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length < 2) throw new Error("The file needs a header row and at least one row of data.");
+    const headers = nonEmpty[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const rows = nonEmpty.slice(1).map(r => headers.map((_, index) => (r[index] ?? '').trim()));
+    return { headers, rows };
+}
+
+/**
+ * Suggests how to map an imported file's columns: the date column, pillars by name or ID,
+ * a mood column and note columns (recognised by their headers), with the date format and mood
+ * range guessed from the values.
+ * @param {object} state - The application state (for the pillars).
+ * @param {{headers: Array<string>, rows: Array<Array<string>>}} parsed - From parseCSV().
+ * @returns {{columns: Array<string>, dateFormat: string, moodScale: {min: number, max: number}}}
+ *     One target per column (a key of CSV_IMPORT_TARGETS or 'pillar:<id>').
+ */
+export function guessCSVMapping(state, { headers, rows }) {
+    const pillars = getPillars(state);
+    const columnValues = (index) => rows.map(row => row[index]).filter(Boolean);
+    const columns = headers.map(header => {
+        const name = header.trim().toLowerCase();
+        const pillar = pillars.find(p => p.name.toLowerCase() === name || p.id.toLowerCase() === name || `${p.emoji} ${p.name}`.toLowerCase() === name);
+        if (pillar) return `pillar:${pillar.id}`;
+        if (/mood|feeling/.test(name)) return 'mood';
+        if (/note|journal|memo|comment|diary/.test(name)) return 'notes';
+        if (/date|day|datum|fecha/.test(name)) return 'date';
+        return 'ignore';
+    });
+    // Keep only the first date and mood column; else use the first column that holds dates
+    ['date', 'mood'].forEach(target => {
+        columns.forEach((column, index) => { if (column === target && columns.indexOf(target) !== index) columns[index] = 'ignore'; });
+    });
+    if (!columns.includes('date')) {
+        const dateIndex = headers.findIndex((_, index) => columns[index] === 'ignore' && columnValues(index).length > 0 && columnValues(index).every(value => DATE_PARTS_PATTERN.test(value)));
+        if (dateIndex !== -1) columns[dateIndex] = 'date';
+    }
+    const dateFormat = detectDateFormat(columns.includes('date') ? columnValues(columns.indexOf('date')) : []);
+    const moodValues = columns.includes('mood') ? columnValues(columns.indexOf('mood')).map(parseNumber).filter(value => value !== null) : [];
+    return { columns, dateFormat, moodScale: detectMoodScale(moodValues) };
+}
+
+/**
+ * Converts an imported date to 'YYYY-MM-DD'.
+ * @param {string} value - The cell value (e.g. "31/03/2024" or "2024-03-31 08:15").
+ * @param {string} format - A key of CSV_DATE_FORMATS.
+ * @returns {string|null} The date, or null if the value isn't a valid date in that format.
+ */
+export function parseCSVDate(value, format) {
+    const match = DATE_PARTS_PATTERN.exec(String(value || ''));
+    const order = CSV_DATE_FORMATS[format]?.order;
+    if (!match || !order) return null;
+    const parts = Object.fromEntries(order.map((part, index) => [part, match[index + 1]]));
+    const year = parts.year.length === 2 ? `20${parts.year}` : parts.year;
+    if (year.length !== 4 || parts.month.length > 2 || parts.day.length > 2) return null;
+    const date = `${year}-${parts.month.padStart(2, '0')}-${parts.day.padStart(2, '0')}`;
+    // Rejects dates that don't exist (e.g. 31/02), which Date.parse would roll over
+    return isValidDateString(date) && new Date(`${date}T00:00:00Z`).toISOString().startsWith(date) ? date : null;
+}
+
+/**
+ * Scales an imported mood from the other app's range to a WellSpring mood level.
+ * @param {string} value - The cell value.
+ * @param {{min: number, max: number}} scale - The other app's lowest and highest mood.
+ * @returns {number|null} The level (1-5), or null if the value is empty, not a number or outside the range.
+ */
+export function scaleMood(value, { min, max }) {
+    const number = parseNumber(value);
+    if (number === null || !(max > min) || number < min || number > max) return null;
+    return Math.round(1 + (number - min) / (max - min) * 4);
+}
+
+/**
+ * @param {string} value - A pillar cell value.
+ * @returns {boolean} True if it marks the pillar as done (1, yes, true, x, ✓, done or any number above 0).
+ */
+export function isCheckedValue(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const number = parseNumber(text);
+    return number !== null ? number > 0 : CHECKED_WORDS.includes(text);
+}
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} date - A date ('YYYY-MM-DD').
+ * @returns {boolean} True if the day has entries (checks, amounts, tags, times, mood or check-ins) that aren't saved yet.
+ */
+export function hasUnsavedEntries(state, date) {
+    if (state?.savedDays?.[date]) return false;
+    if (state?.mood?.[date] || state?.wellbeing?.[date]) return true;
+    return Object.values(state?.pillars || {}).some(pillarData => ['days', 'amounts', 'tags', 'times'].some(mapKey => {
+        const value = pillarData?.[mapKey]?.[date];
+        return value !== undefined && value !== null && value !== false;
+    }));
+}
+
+/**
+ * Works out the days an imported file adds, using a column mapping (see guessCSVMapping).
+ * Rows without a valid date, dates after today and dates in archived years are skipped, and so are
+ * notes the day already has. Days with entries that aren't saved yet are skipped too, so an import
+ * never saves a day the user is still filling in.
+ * @param {object} state - The application state.
+ * @param {{headers: Array<string>, rows: Array<Array<string>>}} parsed - From parseCSV().
+ * @param {{columns: Array<string>, dateFormat: string, moodScale: {min: number, max: number}}} mapping - The column mapping.
+ * @returns {{days: Array<{date: string, pillars: Array<string>, mood: number|null, notes: Array<string>}>, error: string|null,
+ *     skippedRows: number, invalidMoods: number, existingDays: number, unsavedDays: number, checks: number, moods: number, notes: number}}
+ *     The days to import (oldest first) and what the preview shows.
+ */
+export function buildCSVImport(state, { rows }, { columns, dateFormat, moodScale }) {
+    const summary = { days: [], error: null, skippedRows: 0, invalidMoods: 0, existingDays: 0, unsavedDays: 0, checks: 0, moods: 0, notes: 0 };
+    const dateIndex = columns.indexOf('date');
+    if (dateIndex === -1) return { ...summary, error: "Choose the column that holds the date." };
+    const moodIndex = columns.indexOf('mood');
+    const pillarIds = new Set(getPillars(state).map(p => p.id));
+    if (moodIndex === -1 && !columns.some(column => column === 'notes' || pillarIds.has(column.replace(/^pillar:/, '')))) {
+        return { ...summary, error: "Map at least one column to a pillar, the mood or notes." };
+    }
+    const today = getToday(state);
+    const byDate = new Map();
+    rows.forEach(row => {
+        const date = parseCSVDate(row[dateIndex], dateFormat);
+        if (!date || date > today || isArchivedDate(state, date)) { summary.skippedRows++; return; }
+        const day = byDate.get(date) || { date, pillars: [], mood: null, notes: [] };
+        columns.forEach((column, index) => {
+            const pillarId = column.startsWith('pillar:') ? column.slice('pillar:'.length) : null;
+            if (pillarId && pillarIds.has(pillarId) && isCheckedValue(row[index]) && !day.pillars.includes(pillarId)) day.pillars.push(pillarId);
+            if (column === 'notes' && row[index] && !day.notes.includes(row[index])) day.notes.push(row[index]);
+        });
+        if (moodIndex !== -1 && row[moodIndex]) {
+            const mood = scaleMood(row[moodIndex], moodScale);
+            if (mood === null) summary.invalidMoods++; else day.mood = mood;
+        }
+        byDate.set(date, day);
+    });
+    summary.days = [...byDate.values()]
+        .filter(day => day.pillars.length > 0 || day.mood !== null || day.notes.length > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    // Notes the day already has are not added again
+    const existingNotes = new Set(getNotes(state).map(note => `${getTimelineEntryDate(note)}\n${note.text}`));
+    summary.days.forEach(day => { day.notes = day.notes.filter(text => !existingNotes.has(`${day.date}\n${text}`)); });
+    summary.days = summary.days.filter(day => day.pillars.length > 0 || day.mood !== null || day.notes.length > 0);
+    summary.unsavedDays = summary.days.filter(day => hasUnsavedEntries(state, day.date)).length;
+    summary.days = summary.days.filter(day => !hasUnsavedEntries(state, day.date));
+    const loggedDates = new Set(getLoggedDates(state));
+    summary.days.forEach(day => {
+        if (loggedDates.has(day.date)) summary.existingDays++;
+        summary.checks += day.pillars.length;
+        if (day.mood !== null) summary.moods++;
+        summary.notes += day.notes.length;
+    });
+    if (summary.days.length === 0 && summary.unsavedDays > 0) summary.error = "Every day in the file is one you've logged here but not saved yet. Save or clear those days, then import again.";
+    else if (summary.days.length === 0) summary.error = "No rows with a valid date and something to import were found. Check the date format and the column mapping.";
+    return summary;
+}
+
+// --- Internal Helpers ---
+
+/** Quotes a cell if needed, and stops text that looks like a formula from being run by spreadsheet apps. */
+function formatCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Parses a number, with a comma or a point as the decimal separator (null if the value isn't one). */
+function parseNumber(value) {
+    const text = String(value ?? '').trim().replace(',', '.');
+    return text !== '' && !isNaN(Number(text)) ? Number(text) : null;
+}
+
+/** The date format the values are in: year first if they start with one, otherwise day first unless a month above 12 says otherwise. */
+function detectDateFormat(values) {
+    const matches = values.map(value => DATE_PARTS_PATTERN.exec(value)).filter(Boolean);
+    if (matches.length === 0 || matches.every(match => match[1].length === 4)) return 'ymd';
+    if (matches.some(match => Number(match[1]) > 12)) return 'dmy';
+    if (matches.some(match => Number(match[2]) > 12)) return 'mdy';
+    return 'dmy';
+}
+
+/** The smallest common mood range that holds all the values (or the values' own range). */
+function detectMoodScale(values) {
+    if (values.length === 0) return { min: 1, max: 5 };
+    const lowest = Math.min(...values), highest = Math.max(...values);
+    const [min, max] = MOOD_SCALES.find(([min, max]) => lowest >= min && highest <= max) || [lowest, highest];
+    return { min, max: max > min ? max : min + 1 };
+}
+
+function getNotes(state) {
+    return (state?.timeline || []).filter(entry => entry?.type === 'note' && getTimelineEntryDate(entry));
+}
+
+/** Every date with a pillar check, mood, saved day, XP or note, oldest first. */
+function getLoggedDates(state) {
+    const dates = new Set([
+        ...Object.keys(state?.mood || {}).filter(date => state.mood[date]),
+        ...Object.keys(state?.savedDays || {}).filter(date => state.savedDays[date]),
+        ...Object.keys(state?.xpLedger || {}),
+        ...getNotes(state).map(getTimelineEntryDate)
+    ]);
+    Object.values(state?.pillars || {}).forEach(pillarData => {
+        Object.keys(pillarData?.days || {}).forEach(date => { if (pillarData.days[date]) dates.add(date); });
+    });
+    return [...dates].filter(isValidDateString).sort();
+}
+
+/** The dates from `from` to `to`, inclusive (missing ends default to the history's range). */
+function getDatesInRange(state, from, to) {
+    const range = getHistoryDateRange(state);
+    const first = isValidDateString(from) ? from : range?.from;
+    const last = isValidDateString(to) ? to : range?.to;
+    if (!first || !last || first > last) return [];
+    const dates = [];
+    for (let date = first; date <= last; date = addDays(date, 1)) dates.push(date);
+    return dates;
+}
@@ -3,15 +3,33 @@
 /**
  * Handles data export and import functionality for the WellSpring application.
  * *** MODIFIED: Added call to setLastDataExportTime on successful export. ***
+ * *** MODIFIED: Restores write the backup into IndexedDB via storage.js. ***
+ * *** MODIFIED: Backups are upgraded through the schema migrations before validation. ***
+ * *** MODIFIED: Added all-profiles export; imports restore either the active profile or every profile in a bundle. ***
+ * *** MODIFIED: With a passphrase set, backups are encrypted unless plaintext is chosen; encrypted backups ask for the passphrase on import. ***
+ * *** MODIFIED: Backup file names use the user's local day (see dates.js). ***
+ * *** MODIFIED: Added CSV export of the daily history and of notes (see csv.js). ***
+ * *** MODIFIED: Added CSV import of other habit trackers' history, through a column mapping wizard (see ui/importUI.js). ***
+ * *** MODIFIED: Single-profile backups can be merged into the current data instead of replacing it (see backupmerge.js). ***
  */
 
 // --- Imports ---
-import { getState, setLastDataExportTime } from './state.js'; // Import getState and setLastDataExportTime
+import { getState, setLastDataExportTime, importHistoryDays } from './state.js'; // Import getState and setLastDataExportTime
 import { showToast } from './ui/globalUI.js';
 import { playSound, handleInteractionForAudio } from './audio.js';
+import { replacePersistedState, readProfileState, writeProfileState, isEncryptionEnabled, isProfileEncrypted, createEncryptedBackup } from './storage.js';
+import { ENCRYPTED_BACKUP_FORMAT, openBackup } from './encryption.js';
+import { requestPassphrase } from './ui/encryptionUI.js';
+import { migrateState } from './migrations.js';
+import { getProfiles, getActiveProfile, getProfileStorage, upsertProfile } from './profiles.js';
+import { getToday } from './dates.js';
+import { buildHistoryCSV, buildNotesCSV, parseCSV, buildCSVImport } from './csv.js';
+import { showCSVImportModal, requestBackupImport } from './ui/importUI.js';
+import { mergeBackupState } from './backupmerge.js';
 
 // --- Constants ---
-const LOCAL_STORAGE_KEY = 'wellspringAppState_v2'; // Ensure this matches state.js if it was changed there
+const PROFILES_BACKUP_FORMAT = 'wellspring-profiles'; // Marks a backup containing several profiles
+const REQUIRED_BACKUP_KEYS = ['currentDate', 'totalXP', 'streak', 'pillars', 'savedDays', 'mood', 'timeline', 'achievements', 'habitPlans', 'userMode'];
 
 // --- Export Function ---
 
@@ -19,29 +37,23 @@ const LOCAL_STORAGE_KEY = 'wellspringAppState_v2'; // Ensure this matches state.
  * Exports the current application state to a JSON backup file.
  * Creates a JSON string from the state, creates a Blob, and triggers a download.
  * Updates the last data export time in the state.
+ * If a passphrase is set, the backup is encrypted with it unless plaintext is requested.
+ * @param {{plaintext?: boolean}} [options] - Set plaintext to export unencrypted even with a passphrase.
  */
-export function exportData() {
+export async function exportData({ plaintext = false } = {}) {
     handleInteractionForAudio();
     try {
         console.log("[DataMgmt] Starting data export...");
         const stateToExport = getState();
-        const dataString = JSON.stringify(stateToExport, null, 2);
-        const blob = new Blob([dataString], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `wellspring-backup-${new Date().toISOString().split("T")[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const { content, suffix } = await prepareBackupFile(stateToExport, plaintext);
+        downloadFile(content, `wellspring-backup${suffix}-${getToday(stateToExport)}.json`, "application/json");
 
         // --- START MODIFICATION: Record successful export time ---
         setLastDataExportTime(); // Update the state with the export timestamp
         // --- END MODIFICATION ---
 
         console.log("[DataMgmt] Data exported successfully and export time recorded.");
-        showToast('Data exported successfully!', 'success');
+        showToast(suffix ? 'Encrypted backup downloaded!' : 'Data exported successfully!', 'success');
         playSound('save', 'G5', '8n');
 
     } catch (error) {
@@ -51,8 +63,188 @@ export function exportData() {
     }
 }
 
+/**
+ * Exports the daily history or the notes of the current profile as a CSV file for spreadsheets
+ * (see csv.js). CSV files are never encrypted, and don't count as a backup.
+ * @param {{kind?: string, from?: string, to?: string}} [options] - 'history' or 'notes', and an optional date range ('YYYY-MM-DD').
+ * @returns {boolean} True if a file was downloaded.
+ */
+export function exportCSV({ kind = 'history', from = '', to = '' } = {}) {
+    handleInteractionForAudio();
+    if (from && to && from > to) {
+        showToast("The start date must be on or before the end date.", "error");
+        playSound('error');
+        return false;
+    }
+    try {
+        const state = getState();
+        const { csv, rows } = kind === 'notes' ? buildNotesCSV(state, { from, to }) : buildHistoryCSV(state, { from, to });
+        if (rows === 0) {
+            showToast(kind === 'notes' ? "There are no notes in this date range." : "Nothing has been logged yet.", "info");
+            return false;
+        }
+        downloadFile(csv, `wellspring-${kind === 'notes' ? 'notes' : 'history'}-${getToday(state)}.csv`, "text/csv;charset=utf-8");
+        console.log(`[DataMgmt] Exported ${rows} CSV row(s) (${kind}).`);
+        showToast(`${rows} ${kind === 'notes' ? 'note' : 'day'}${rows === 1 ? '' : 's'} exported to CSV!`, 'success');
+        playSound('save', 'G5', '8n');
+        return true;
+    } catch (error) {
+        console.error("[DataMgmt] Error exporting CSV:", error);
+        showToast('Failed to export CSV. See console for details.', 'error');
+        playSound('error');
+        return false;
+    }
+}
+
+/**
+ * Exports every profile on this device into a single JSON backup file.
+ * The active profile is exported from memory; the others are read from their own databases.
+ * Other profiles protected with a passphrase cannot be read here and are left out.
+ * @param {{plaintext?: boolean}} [options] - Set plaintext to export unencrypted even with a passphrase.
+ */
+export async function exportAllProfiles({ plaintext = false } = {}) {
+    handleInteractionForAudio();
+    try {
+        console.log("[DataMgmt] Starting all-profiles export...");
+        const activeProfileId = getActiveProfile().id;
+        const today = getToday(getState());
+        const profiles = [];
+        const skipped = [];
+        for (const profile of getProfiles()) {
+            if (profile.id !== activeProfileId && isProfileEncrypted(getProfileStorage(profile.id))) {
+                skipped.push(profile.name);
+                continue;
+            }
+            const state = profile.id === activeProfileId
+                ? getState()
+                : { currentDate: today, ...(await readProfileState(getProfileStorage(profile.id)) || {}) };
+            profiles.push({ id: profile.id, name: profile.name, createdAt: profile.createdAt, state });
+        }
+        const bundle = { format: PROFILES_BACKUP_FORMAT, exportedAt: new Date().toISOString(), profiles };
+        const { content, suffix } = await prepareBackupFile(bundle, plaintext);
+        downloadFile(content, `wellspring-all-profiles-backup${suffix}-${today}.json`, "application/json");
+        setLastDataExportTime();
+        console.log(`[DataMgmt] Exported ${profiles.length} profile(s).`);
+        if (skipped.length > 0) {
+            showToast(`Exported ${profiles.length} profile(s). Passphrase-protected profiles were skipped (${skipped.join(', ')}): open each one to back it up.`, 'info', 6000);
+        } else {
+            showToast(`Exported ${profiles.length} profile(s) successfully!`, 'success');
+        }
+        playSound('save', 'G5', '8n');
+    } catch (error) {
+        console.error("[DataMgmt] Error exporting all profiles:", error);
+        showToast('Failed to export profiles. See console for details.', 'error');
+        playSound('error');
+    }
+}
+
+/**
+ * Serializes a backup, encrypting it with the active profile's passphrase if one is set.
+ * @param {object} backup - The backup contents.
+ * @param {boolean} plaintext - True to skip encryption.
+ * @returns {Promise<{content: string, suffix: string}>} The file content and a file name suffix.
+ */
+async function prepareBackupFile(backup, plaintext) {
+    if (!isEncryptionEnabled() || plaintext) return { content: JSON.stringify(backup, null, 2), suffix: '' };
+    return { content: JSON.stringify(await createEncryptedBackup(backup), null, 2), suffix: '-encrypted' };
+}
+
+/**
+ * Triggers a browser download of the given text content.
+ * @param {string} content - The file content.
+ * @param {string} filename - The suggested file name.
+ * @param {string} mimeType - The MIME type of the content.
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // --- Import Functionality ---
-// ... (handleFileImport and setupImportListener remain the same as your existing file) ...
+
+/**
+ * Upgrades a single-profile backup through the migrations and checks its structure.
+ * @param {object} data - The parsed backup.
+ * @returns {object} The upgraded state.
+ * @throws {Error} If the backup is invalid.
+ */
+function prepareBackupState(data) {
+    // Upgrade older backups (e.g. legacy pillar IDs) before checking their structure
+    const { state: importedData, fromVersion, migrated } = migrateState(data);
+    if (migrated) console.log(`[DataMgmt] Backup upgraded from schema version ${fromVersion}.`);
+    const missingKeys = REQUIRED_BACKUP_KEYS.filter(key => !(key in importedData));
+    if (missingKeys.length > 0) {
+        throw new Error(`Invalid backup file structure. Missing keys: ${missingKeys.join(', ')}`);
+    }
+    if (!Array.isArray(importedData.timeline)) {
+        throw new Error("Invalid backup file structure: 'timeline' is not an array.");
+    }
+    return importedData;
+}
+
+/**
+ * Merges a single-profile backup into the active profile's data and reloads (see backupmerge.js).
+ * @param {object} importedData - The backup's state, from prepareBackupState().
+ * @param {string} prefer - The conflict rule (a key of backupmerge.MERGE_CONFLICT_RULES).
+ */
+async function mergeBackup(importedData, prefer) {
+    const { state: mergedState, summary } = mergeBackupState(getState(), importedData, { prefer });
+    try {
+        await replacePersistedState(mergedState, 'backupMerge');
+        console.log(`[DataMgmt] Backup merged: ${summary.addedDays} day(s) added, ${summary.changedDays} changed, ${summary.addedNotes} note(s) added.`);
+        showToast(`Backup merged: ${summary.addedDays} day${summary.addedDays === 1 ? '' : 's'} added, ${summary.changedDays} updated. Reloading...`, 'success');
+        playSound('save', 'A5', '8n');
+        setTimeout(() => {
+            location.reload();
+        }, 1500);
+    } catch (storageError) {
+        console.error("[DataMgmt] Error saving merged state to storage:", storageError);
+        showToast('Merge failed: Could not save the merged data. Storage might be full.', 'error');
+        playSound('error');
+    }
+}
+
+/**
+ * Restores every profile in an all-profiles backup. Profiles with the same ID are overwritten,
+ * profiles only in the backup are added, and profiles only on this device are kept.
+ * @param {object} bundle - The parsed all-profiles backup.
+ */
+async function restoreProfilesBackup(bundle) {
+    if (!Array.isArray(bundle.profiles) || bundle.profiles.length === 0) {
+        throw new Error("Invalid profiles backup: no profiles found.");
+    }
+    const prepared = bundle.profiles.map(profile => {
+        if (!profile?.id || !profile.state) throw new Error("Invalid profiles backup: a profile is missing its ID or data.");
+        return { ...profile, state: prepareBackupState(profile.state) };
+    });
+    const names = prepared.map(p => p.name).join(', ');
+    const activeProfileId = getActiveProfile().id;
+    const protectedNames = getProfiles()
+        .filter(p => p.id !== activeProfileId && isProfileEncrypted(getProfileStorage(p.id)) && prepared.some(b => b.id === p.id))
+        .map(p => p.name);
+    const passphraseNote = protectedNames.length > 0 ? ` The passphrase of ${protectedNames.join(', ')} will be removed.` : '';
+    if (!confirm(`Restore ${prepared.length} profile(s) (${names})? Profiles from this backup overwrite the matching profiles on this device; other profiles are kept.${passphraseNote} The application will reload.`)) {
+        showToast('Restore cancelled.', 'info');
+        return;
+    }
+    for (const profile of prepared) {
+        upsertProfile(profile);
+        await writeProfileState(getProfileStorage(profile.id), profile.state, 'backupRestore');
+    }
+    showToast(`${prepared.length} profile(s) restored successfully! Reloading...`, 'success');
+    playSound('save', 'A5', '8n');
+    setTimeout(() => {
+        location.reload();
+    }, 1500);
+}
+
 function handleFileImport(event) {
     handleInteractionForAudio();
     const fileInput = event.target;
@@ -61,29 +253,52 @@ function handleFileImport(event) {
         return;
     }
     const reader = new FileReader();
-    reader.onload = function (readerEvent) {
+    reader.onload = async function (readerEvent) {
         try {
             const fileContent = readerEvent.target.result;
-            const importedData = JSON.parse(fileContent);
-            const requiredKeys = ['currentDate', 'totalXP', 'streak', 'pillars', 'savedDays', 'mood', 'timeline', 'achievements', 'habitPlans', 'userMode'];
-            const missingKeys = requiredKeys.filter(key => !(key in importedData));
-            if (missingKeys.length > 0) {
-                throw new Error(`Invalid backup file structure. Missing keys: ${missingKeys.join(', ')}`);
+            let parsed = JSON.parse(fileContent);
+            if (parsed?.format === ENCRYPTED_BACKUP_FORMAT) {
+                let opened = null;
+                const passphrase = await requestPassphrase({
+                    title: '🔒 Encrypted Backup',
+                    message: 'This backup is encrypted. Enter the passphrase that was set when it was downloaded.',
+                    submitLabel: 'Open Backup',
+                    onSubmit: async (value) => { opened = await openBackup(value, parsed); }
+                });
+                if (passphrase === null) {
+                    showToast('Restore cancelled.', 'info');
+                    return;
+                }
+                parsed = opened;
+            }
+            if (parsed?.format === PROFILES_BACKUP_FORMAT) {
+                await restoreProfilesBackup(parsed);
+                return;
+            }
+            const importedData = prepareBackupState(parsed);
+            const currentState = getState();
+            const choice = await requestBackupImport({
+                profileName: getActiveProfile().name,
+                summarize: (prefer) => mergeBackupState(currentState, importedData, { prefer }).summary
+            });
+            if (!choice) {
+                showToast('Restore cancelled.', 'info');
+                return;
             }
-            if (!Array.isArray(importedData.timeline)) {
-                throw new Error("Invalid backup file structure: 'timeline' is not an array.");
+            if (choice.mode === 'merge') {
+                await mergeBackup(importedData, choice.prefer);
+                return;
             }
-            if (confirm("Restore backup? This will overwrite your current WellSpring data and reload the application.")) {
+            if (confirm(`Replace all WellSpring data in the profile "${getActiveProfile().name}" with this backup? Anything not in the backup will be lost. The application will reload.`)) {
                 try {
-                    // Use the same key as defined in state.js for consistency
-                    localStorage.setItem(LOCAL_STORAGE_KEY, fileContent);
+                    await replacePersistedState(importedData, 'backupRestore');
                     showToast('Data restored successfully! Reloading...', 'success');
                     playSound('save', 'A5', '8n');
                     setTimeout(() => {
                         location.reload();
                     }, 1500);
                 } catch (storageError) {
-                    console.error("[DataMgmt] Error saving imported state to localStorage:", storageError);
+                    console.error("[DataMgmt] Error saving imported state to storage:", storageError);
                     showToast('Restore failed: Could not save imported data. Storage might be full.', 'error');
                     playSound('error');
                 }
@@ -111,6 +326,81 @@ function handleFileImport(event) {
     reader.readAsText(file);
 }
 
+// --- CSV Import ---
+
+/**
+ * Reads a CSV file exported by another habit tracker and opens the import wizard for it.
+ * @param {Event} event - The change event of the CSV file input.
+ */
+function handleCSVFileImport(event) {
+    handleInteractionForAudio();
+    const fileInput = event.target;
+    const file = fileInput.files[0];
+    if (!file) {
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = function (readerEvent) {
+        try {
+            const parsed = parseCSV(readerEvent.target.result);
+            console.log(`[DataMgmt] Read ${parsed.rows.length} CSV row(s) with ${parsed.headers.length} column(s).`);
+            showCSVImportModal(parsed, file.name);
+        } catch (error) {
+            console.error("[DataMgmt] Error reading CSV file:", error);
+            showToast(`Import failed: ${error.message || 'Could not read the CSV file.'}`, 'error');
+            playSound('error');
+        } finally {
+            fileInput.value = '';
+        }
+    };
+    reader.onerror = function() {
+        console.error("[DataMgmt] Failed to read the selected CSV file.");
+        showToast("Failed to read file.", 'error');
+        playSound('error');
+        fileInput.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Imports the days of a CSV file with the column mapping chosen in the wizard.
+ * Imported days are merged into the history (see state.importHistoryDays), which recalculates XP.
+ * The toast counts the days written, and the days that only got notes or had nothing new.
+ * @param {{parsed: object, mapping: object, fileName?: string}} request - From importUI.getCSVImportRequest().
+ * @returns {boolean} True if any days or notes were written.
+ */
+export function importCSVHistory({ parsed, mapping, fileName = '' }) {
+    handleInteractionForAudio();
+    try {
+        const plan = buildCSVImport(getState(), parsed, mapping);
+        if (plan.error) {
+            showToast(plan.error, 'error');
+            playSound('error');
+            return false;
+        }
+        const result = importHistoryDays(plan.days, fileName);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const unchanged = result.unchangedDays > 0 ? ` ${plural(result.unchangedDays, 'day')} had nothing new.` : '';
+        if (result.days === 0 && result.notes === 0) {
+            showToast(`Nothing was imported.${unchanged}`, 'info');
+            return false;
+        }
+        console.log(`[DataMgmt] Imported ${result.days} day(s) and ${result.notes} note(s) from "${fileName}".`);
+        const imported = result.days > 0
+            ? `${plural(result.days, 'day')} imported${result.notes > 0 ? ` with ${plural(result.notes, 'note')}` : ''}!`
+            : `${plural(result.notes, 'note')} imported!`;
+        const notesOnly = result.notesOnlyDays > 0 ? ` ${plural(result.notesOnlyDays, 'day')} only got notes.` : '';
+        showToast(`${imported}${notesOnly}${unchanged}`, 'success');
+        playSound('save', 'A5', '8n');
+        return true;
+    } catch (error) {
+        console.error("[DataMgmt] Error importing CSV:", error);
+        showToast('Import failed. See console for details.', 'error');
+        playSound('error');
+        return false;
+    }
+}
+
 export function setupImportListener() {
     const fileInput = document.getElementById("file-input");
     const triggerBtn = document.getElementById('import-data-trigger-btn');
@@ -126,4 +416,11 @@ export function setupImportListener() {
         if (!fileInput) console.warn("[DataMgmt] File input element (#file-input) not found for import listener setup.");
         if (!triggerBtn) console.warn("[DataMgmt] Import trigger button (#import-data-trigger-btn) not found for setup.");
     }
+    const csvFileInput = document.getElementById("csv-file-input");
+    if (csvFileInput) {
+        csvFileInput.value = "";
+        csvFileInput.addEventListener("change", handleCSVFileImport);
+    } else {
+        console.warn("[DataMgmt] CSV file input element (#csv-file-input) not found for import listener setup.");
+    }
 }
@@ -0,0 +1,188 @@
+// dates.js
+
+/**
+ * The user's calendar day for WellSpring.
+ * Days are stored as 'YYYY-MM-DD' strings of the user's own (local) calendar, with no timezone
+ * attached. "Today" is the local date on the device clock, moved back by the day rollover:
+ * with state.dayRolloverHour = 3, anything before 3am still counts as the previous day (for night owls).
+ * Date strings are shifted and compared as plain calendar dates (worked out in UTC, so daylight
+ * saving and the device timezone never move them).
+ * Travel: state.lastSeenDay remembers the last "today" and the timezone it was in. When the timezone
+ * changes and the calendar has moved further ahead than it would have in the old timezone
+ * (e.g. flying east overnight), the skipped, unsaved dates become travel days
+ * (state.restDays[date] = 'travel'), which keep the streak going like a planned rest day.
+ * Weeks: state.weekStartDay ('monday' by default, as in ISO 8601, or 'sunday' or 'saturday') sets the
+ * first day of the week everywhere weeks are used: the calendar grid, weekly streaks and the weekly
+ * reflection (offered on the last day of the week). A week is identified by the date it starts on.
+ */
+
+// --- Constants ---
+export const ROLLOVER_HOURS = [0, 1, 2, 3, 4, 5, 6]; // Hours the new day can start at (0 = midnight)
+export const TRAVEL_DAY = 'travel'; // state.restDays value of a day skipped by a timezone change
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Days the week can start on (day: 0 = Sunday ... 6 = Saturday)
+export const WEEK_START_DAYS = {
+    monday: { name: "Monday", day: 1 },
+    sunday: { name: "Sunday", day: 0 },
+    saturday: { name: "Saturday", day: 6 }
+};
+export const DEFAULT_WEEK_START = 'monday';
+
+// --- Today ---
+
+/**
+ * @param {object} state - The application state.
+ * @returns {number} The hour the new day starts at (0-6, 0 = midnight).
+ */
+export function getRolloverHour(state) {
+    const hour = Number(state?.dayRolloverHour);
+    return ROLLOVER_HOURS.includes(hour) ? hour : 0;
+}
+
+/**
+ * Returns today's date on the user's calendar: the local date, or the day before while it is
+ * still earlier than the rollover hour.
+ * @param {object} state - The application state (for the rollover hour).
+ * @param {Date} [now] - The moment to use (defaults to now).
+ * @param {string} [timeZone] - An IANA timezone to use instead of the device's.
+ * @returns {string} The date ('YYYY-MM-DD').
+ */
+export function getToday(state, now = new Date(), timeZone = null) {
+    const { date, hour } = timeZone ? getZonedDateAndHour(now, timeZone) : { date: toLocalDateString(now), hour: now.getHours() };
+    return hour < getRolloverHour(state) ? addDays(date, -1) : date;
+}
+
+/**
+ * @param {Date} [date] - The moment to format (defaults to now).
+ * @returns {string} Its local calendar date as 'YYYY-MM-DD' (without the rollover).
+ */
+export function toLocalDateString(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * @returns {string} The device's IANA timezone (e.g. "Europe/London"), or its UTC offset if unknown.
+ */
+export function getTimeZone() {
+    try {
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (timeZone) return timeZone;
+    } catch (error) { /* Fall back to the offset below */ }
+    return `UTC${-new Date().getTimezoneOffset() / 60}`;
+}
+
+// --- Calendar Arithmetic ---
+
+/**
+ * @param {string} dateString - A date ('YYYY-MM-DD').
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} The resulting date ('YYYY-MM-DD').
+ */
+export function addDays(dateString, days) {
+    return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * ONE_DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} from - A date ('YYYY-MM-DD').
+ * @param {string} to - Another date ('YYYY-MM-DD').
+ * @returns {number} The number of days from `from` to `to` (negative if `to` is earlier).
+ */
+export function getDaysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / ONE_DAY_MS);
+}
+
+/**
+ * @param {string} dateString - A date ('YYYY-MM-DD').
+ * @returns {number} Its day of the week (0 = Sunday ... 6 = Saturday).
+ */
+export function getDayOfWeek(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * @param {*} dateString - A value to check.
+ * @returns {boolean} True if it is a date stored as 'YYYY-MM-DD'.
+ */
+export function isValidDateString(dateString) {
+    return typeof dateString === 'string' && DATE_PATTERN.test(dateString) && !isNaN(Date.parse(`${dateString}T00:00:00Z`));
+}
+
+// --- Weeks ---
+
+/**
+ * @param {object} state - The application state.
+ * @returns {string} The chosen week start (a key of WEEK_START_DAYS).
+ */
+export function getWeekStartDay(state) {
+    return WEEK_START_DAYS[state?.weekStartDay] ? state.weekStartDay : DEFAULT_WEEK_START;
+}
+
+/**
+ * @param {object} state - The application state (for the week start).
+ * @param {string} dateString - A date ('YYYY-MM-DD').
+ * @returns {string|null} The first day of its week ('YYYY-MM-DD'), which also identifies the week (null for an invalid date).
+ */
+export function getWeekStart(state, dateString) {
+    if (!isValidDateString(dateString)) return null;
+    const startDay = WEEK_START_DAYS[getWeekStartDay(state)].day;
+    return addDays(dateString, -((getDayOfWeek(dateString) - startDay + 7) % 7));
+}
+
+/**
+ * @param {object} state - The application state (for the week start).
+ * @returns {Array<{day: number, name: string}>} The days of the week in order, starting with the first.
+ */
+export function getWeekdays(state) {
+    const startDay = WEEK_START_DAYS[getWeekStartDay(state)].day;
+    return Array.from({ length: 7 }, (_, i) => (startDay + i) % 7).map(day => ({ day, name: WEEKDAY_NAMES[day] }));
+}
+
+/**
+ * @param {object} state - The application state (for the week start).
+ * @param {string} dateString - A date ('YYYY-MM-DD').
+ * @returns {boolean} True if it is the last day of its week (when the weekly reflection is offered).
+ */
+export function isLastDayOfWeek(state, dateString) {
+    return getWeekStart(state, addDays(dateString, 1)) === addDays(dateString, 1);
+}
+
+// --- Travel ---
+
+/**
+ * Works out which dates a timezone change skipped since the app last saw the user's day.
+ * Only dates after the last seen day that would not yet have been reached in the old timezone
+ * count, and only as many as the calendar jumped ahead (so a westward trip, or simply not opening
+ * the app for a few days, never adds any). Saved days and planned rest days are left alone.
+ * @param {object} state - The application state (uses lastSeenDay, savedDays and restDays).
+ * @param {Date} [now] - The moment to use (defaults to now).
+ * @param {string} [timeZone] - The current timezone (defaults to the device's).
+ * @returns {Array<string>} The dates to mark as travel days, oldest first.
+ */
+export function findTravelDays(state, now = new Date(), timeZone = getTimeZone()) {
+    const lastSeen = state?.lastSeenDay;
+    if (!isValidDateString(lastSeen?.date) || !lastSeen.timeZone || lastSeen.timeZone === timeZone) return [];
+    let today, todayInOldTimeZone;
+    try {
+        today = timeZone === getTimeZone() ? getToday(state, now) : getToday(state, now, timeZone);
+        todayInOldTimeZone = getToday(state, now, lastSeen.timeZone);
+    } catch (error) {
+        console.warn(`[Dates] Cannot work out the date in timezone "${lastSeen.timeZone}":`, error);
+        return [];
+    }
+    const skipped = getDaysBetween(todayInOldTimeZone, today);
+    if (skipped <= 0) return [];
+    const candidates = Array.from({ length: Math.max(0, getDaysBetween(lastSeen.date, today) - 1) }, (_, i) => addDays(lastSeen.date, i + 1));
+    return candidates.filter(date => !state.savedDays?.[date] && !state.restDays?.[date]).slice(0, skipped);
+}
+
+// --- Internal Helpers ---
+
+function getZonedDateAndHour(now, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
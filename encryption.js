@@ -0,0 +1,135 @@
+// encryption.js
+
+/**
+ * Passphrase-based encryption helpers (WebCrypto).
+ * A key is derived from the passphrase with PBKDF2 (SHA-256) and used with AES-GCM.
+ * The passphrase itself is never stored: each profile keeps a small key configuration
+ * (salt, iteration count and an encrypted check value) to verify it on unlock.
+ * Encrypted backups carry the same salt, so they open with the same passphrase.
+ */
+
+// --- Imports ---
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+// --- Constants ---
+const KEY_CONFIG_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Recommended nonce size for AES-GCM
+const VERIFIER_VALUE = 'wellspring-passphrase-check';
+export const ENCRYPTED_BACKUP_FORMAT = 'wellspring-encrypted';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// --- Key Derivation ---
+
+/**
+ * Derives an AES-GCM key from a passphrase.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {string} salt - Base64 salt.
+ * @param {number} iterations - PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>} The derived key (not extractable).
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Creates a new key configuration for a passphrase.
+ * @param {string} passphrase - The new passphrase (at least MIN_PASSPHRASE_LENGTH characters).
+ * @returns {Promise<{key: CryptoKey, config: object}>} The key and the configuration to store.
+ * @throws {Error} If the passphrase is too short.
+ */
+export async function createKeyConfig(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Your passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+    }
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const verifier = await encryptJSON(key, VERIFIER_VALUE);
+    return { key, config: { version: KEY_CONFIG_VERSION, salt, iterations: PBKDF2_ITERATIONS, verifier } };
+}
+
+/**
+ * Derives the key for a stored configuration and checks the passphrase against it.
+ * @param {string} passphrase - The passphrase entered by the user.
+ * @param {object} config - A configuration from createKeyConfig().
+ * @returns {Promise<CryptoKey>} The key.
+ * @throws {Error} If the passphrase is wrong.
+ */
+export async function unlockKeyConfig(passphrase, config) {
+    const key = await deriveKey(passphrase || '', config.salt, config.iterations);
+    try {
+        if (await decryptJSON(key, config.verifier) === VERIFIER_VALUE) return key;
+    } catch (error) {
+        // AES-GCM fails to decrypt with the wrong key
+    }
+    throw new Error("Incorrect passphrase.");
+}
+
+// --- Encryption ---
+
+/**
+ * Encrypts a JSON-serializable value.
+ * @param {CryptoKey} key - The AES-GCM key.
+ * @param {*} value - The value to encrypt.
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext.
+ */
+export async function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypts a value encrypted with encryptJSON().
+ * @param {CryptoKey} key - The AES-GCM key.
+ * @param {{iv: string, data: string}} sealed - The encrypted value.
+ * @returns {Promise<*>} The original value.
+ */
+export async function decryptJSON(key, sealed) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// --- Encrypted Backups ---
+
+/**
+ * Wraps a backup in an encrypted envelope that can be opened with the profile's passphrase.
+ * @param {CryptoKey} key - The profile's key.
+ * @param {object} config - The profile's key configuration (its salt is stored in the backup).
+ * @param {object} backup - The backup contents.
+ * @returns {Promise<object>} The encrypted backup file contents.
+ */
+export async function sealBackup(key, config, backup) {
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: KEY_CONFIG_VERSION,
+        exportedAt: new Date().toISOString(),
+        salt: config.salt,
+        iterations: config.iterations,
+        ...(await encryptJSON(key, backup))
+    };
+}
+
+/**
+ * Decrypts an encrypted backup file.
+ * @param {string} passphrase - The passphrase the backup was made with.
+ * @param {object} envelope - The parsed encrypted backup.
+ * @returns {Promise<object>} The backup contents.
+ * @throws {Error} If the passphrase is wrong or the file is damaged.
+ */
+export async function openBackup(passphrase, envelope) {
+    const key = await deriveKey(passphrase || '', envelope.salt, envelope.iterations);
+    try {
+        return await decryptJSON(key, envelope);
+    } catch (error) {
+        throw new Error("Incorrect passphrase, or the backup file is damaged.");
+    }
+}
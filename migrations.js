@@ -0,0 +1,159 @@
+// migrations.js
+
+/**
+ * Versioned state schema for WellSpring.
+ * Each migration upgrades stored state (or an imported backup) from one schema version to the next.
+ * Migrations run in order from the state's `schemaVersion` up to CURRENT_SCHEMA_VERSION,
+ * both when loading from storage and when restoring a backup file.
+ * To change the shape of the persisted state, append a migration and bump CURRENT_SCHEMA_VERSION.
+ * Migrations don't calculate XP: they leave an empty, unstamped XP ledger, which the current code
+ * rebuilds after loading (see xpledger.isXPLedgerCurrent), so old migrations don't follow today's rules.
+ */
+
+// --- Imports ---
+import { createXPRules, DEFAULT_XP_RULES_PRESET } from './xprules.js';
+
+// --- Constants ---
+export const CURRENT_SCHEMA_VERSION = 6;
+
+// Pillar IDs that were renamed for clarity (see constants.js)
+const LEGACY_PILLAR_IDS = {
+    ground: 'stillness',
+    order: 'tidy',
+    reach: 'connect',
+    fuel: 'nourish',
+    pause: 'unplug',
+    savor: 'enjoy'
+};
+
+// --- Migration Registry ---
+// Each entry upgrades state from `version - 1` to `version`. Keep this list in ascending order.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Rename legacy pillar IDs",
+        migrate(state) {
+            const mapId = (id) => LEGACY_PILLAR_IDS[id] || id;
+
+            if (state.pillars && typeof state.pillars === 'object') {
+                Object.entries(LEGACY_PILLAR_IDS).forEach(([oldId, newId]) => {
+                    const legacyData = state.pillars[oldId];
+                    if (!legacyData) return;
+                    const target = state.pillars[newId] || { days: {} };
+                    target.days = target.days || {};
+                    // A day counts if it was logged under either ID
+                    Object.entries(legacyData.days || {}).forEach(([date, logged]) => {
+                        target.days[date] = target.days[date] || logged;
+                    });
+                    state.pillars[newId] = target;
+                    delete state.pillars[oldId];
+                });
+            }
+
+            if (Array.isArray(state.simpleModePillars)) {
+                state.simpleModePillars = [...new Set(state.simpleModePillars.map(mapId))];
+            }
+
+            Object.values(state.habitPlans || {}).forEach(plan => {
+                if (!plan) return;
+                if (plan.pillarId) plan.pillarId = mapId(plan.pillarId);
+                if (plan.secondaryPillarId) plan.secondaryPillarId = mapId(plan.secondaryPillarId);
+            });
+            return state;
+        }
+    },
+    {
+        version: 2,
+        description: "Ensure collections exist and every note has a noteId",
+        migrate(state) {
+            ['pillars', 'mood', 'savedDays', 'achievements', 'habitPlans'].forEach(key => {
+                if (!state[key] || typeof state[key] !== 'object' || Array.isArray(state[key])) state[key] = {};
+            });
+            if (!Array.isArray(state.timeline)) state.timeline = [];
+            // Notes from early versions have no ID, so they could not be edited or deleted
+            state.timeline.forEach(entry => {
+                if (entry?.type === 'note' && !entry.noteId) entry.noteId = crypto.randomUUID();
+            });
+            return state;
+        }
+    },
+    {
+        version: 3,
+        description: "Add the per-day XP ledger",
+        migrate(state) {
+            state.xpLedger = {}; // Built after loading, like every unstamped ledger
+            return state;
+        }
+    },
+    {
+        version: 4,
+        description: "Store the XP rules (the 3-month curve used so far)",
+        migrate(state) {
+            if (!state.xpRules) state.xpRules = createXPRules(DEFAULT_XP_RULES_PRESET);
+            return state;
+        }
+    },
+    {
+        version: 5,
+        description: "Add planned rest days and streak freeze tokens to the XP ledger",
+        migrate(state) {
+            if (!state.restDays || typeof state.restDays !== 'object') state.restDays = {};
+            state.xpLedger = {}; // Rebuilt after loading, with the frozen days
+            return state;
+        }
+    },
+    {
+        version: 6,
+        description: "Give notes an entry date (the day they are about) and a creation time",
+        migrate(state) {
+            // Notes used to have only `date`, the time they were written, which was also the day they showed on
+            (state.timeline || []).forEach(entry => {
+                if (entry?.type !== 'note') return;
+                if (!entry.createdAt) entry.createdAt = typeof entry.date === 'string' ? entry.date : new Date().toISOString();
+                if (!entry.entryDate) entry.entryDate = entry.createdAt.slice(0, 10);
+                delete entry.date;
+            });
+            return state;
+        }
+    }
+];
+
+// --- Public API ---
+
+/**
+ * Returns the schema version of a stored state object. State saved before versioning was added has version 0.
+ * @param {object} state - A stored state object or backup.
+ * @returns {number} The schema version.
+ */
+export function getSchemaVersion(state) {
+    const version = Number(state?.schemaVersion);
+    return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Upgrades a stored state object or backup to CURRENT_SCHEMA_VERSION.
+ * The input is not modified.
+ * @param {object} state - The stored state to upgrade.
+ * @returns {{state: object, fromVersion: number, migrated: boolean}} The upgraded state and the version it started from.
+ * @throws {Error} If the state is not an object or comes from a newer version of the app.
+ */
+export function migrateState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error("Invalid data: expected a WellSpring state object.");
+    }
+    const fromVersion = getSchemaVersion(state);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Data uses schema version ${fromVersion}, but this version of WellSpring only supports up to ${CURRENT_SCHEMA_VERSION}. Please update the app.`);
+    }
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { state, fromVersion, migrated: false };
+    }
+
+    let upgraded = JSON.parse(JSON.stringify(state));
+    MIGRATIONS.filter(m => m.version > fromVersion).forEach(migration => {
+        console.log(`[Migrations] Applying migration ${migration.version}: ${migration.description}`);
+        upgraded = migration.migrate(upgraded) || upgraded;
+        upgraded.schemaVersion = migration.version;
+    });
+    return { state: upgraded, fromVersion, migrated: true };
+}
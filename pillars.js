@@ -0,0 +1,243 @@
+// pillars.js
+
+/**
+ * The pillar list for WellSpring: the ten built-in pillars (PILLARS in constants.js) followed by
+ * the user's custom pillars (state.customPillars, created in settings).
+ * Custom pillars have the same shape as the built-in ones ({ id, name, emoji, color, description })
+ * and their logged days are kept in state.pillars[id] like any other pillar, so every module that
+ * lists, charts or exports pillars should use getPillars(state) instead of PILLARS.
+ * Custom pillar IDs start with 'custom-' and never contain dots (they are part of the stored field
+ * paths, see storage.js).
+ * *** MODIFIED: Built-in pillars can be renamed/recoloured (state.pillarOverrides) and any pillar can be
+ * hidden or archived (state.pillarStatus). getPillars() still lists every pillar, so history stays
+ * visible; getActivePillars() lists the ones that can be logged. ***
+ * *** MODIFIED: The pillar manager also sets each pillar's quantity logging (state.pillarQuantities, see quantities.js). ***
+ * *** MODIFIED: The pillar manager also edits each pillar's sub-activity tag list (state.pillarTags, see tags.js). ***
+ */
+
+// --- Imports ---
+import { PILLARS } from './constants.js';
+import { checkQuantitySettings } from './quantities.js';
+import { parseTagList } from './tags.js';
+
+// --- Constants ---
+const CUSTOM_PILLAR_ID_PREFIX = 'custom-';
+const MAX_CUSTOM_PILLARS = 20;
+export const DEFAULT_CUSTOM_PILLAR_EMOJI = '⭐';
+export const DEFAULT_CUSTOM_PILLAR_COLOR = '#16a085';
+const MAX_NAME_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 120;
+const MAX_EMOJI_LENGTH = 8; // UTF-16 code units: enough for emoji with modifiers or joiners
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ID_PATTERN = /^custom-[a-z0-9-]+$/;
+const UNSAFE_EMOJI_PATTERN = /[<>&"']/; // Emoji are inserted into markup unescaped, like the built-in ones
+const DISPLAY_FIELDS = ['name', 'emoji', 'color', 'description'];
+
+// Pillar statuses (state.pillarStatus[id]; a pillar without one is active)
+export const PILLAR_STATUSES = {
+    active: { name: "Active" },
+    hidden: { name: "Hidden" },     // Off the Daily Log for now
+    archived: { name: "Archived" }  // Retired: off the Daily Log, history marked as archived
+};
+
+// --- Pillar List ---
+
+/**
+ * Returns every pillar, active or not: the built-in ones (with the user's display overrides)
+ * followed by the custom ones. Use this for history (calendar, analytics, XP, exports).
+ * @param {object} state - The application state.
+ * @returns {Array<object>} Pillar definitions ({ id, name, emoji, color, description, status, isCustom }).
+ */
+export function getPillars(state) {
+    const builtIn = PILLARS.map(pillar => ({ ...pillar, ...getPillarOverride(state, pillar.id), isCustom: false }));
+    return [...builtIn, ...getCustomPillars(state).map(pillar => ({ ...pillar, isCustom: true }))]
+        .map(pillar => ({ ...pillar, status: getPillarStatus(state, pillar.id) }));
+}
+
+/**
+ * Returns the pillars that can be logged (not hidden or archived).
+ * Use this for the Daily Log and for pillar pickers (Simple Mode, onboarding, planner).
+ * @param {object} state - The application state.
+ * @returns {Array<object>}
+ */
+export function getActivePillars(state) {
+    return getPillars(state).filter(pillar => pillar.status === 'active');
+}
+
+/**
+ * Finds a pillar (built-in or custom, active or not) by ID.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @returns {object|null} The pillar definition, or null if there is none with that ID.
+ */
+export function getPillar(state, pillarId) {
+    return getPillars(state).find(p => p.id === pillarId) || null;
+}
+
+/**
+ * Returns the custom pillars stored in state. Entries without a valid ID or name are skipped, and
+ * an emoji or colour that isn't safe to display (e.g. from an edited backup) is replaced by the default.
+ * @param {object} state - The application state.
+ * @returns {Array<object>}
+ */
+export function getCustomPillars(state) {
+    if (!Array.isArray(state?.customPillars)) return [];
+    return state.customPillars
+        .filter(p => p && ID_PATTERN.test(p.id) && typeof p.name === 'string' && p.name.trim())
+        .map(p => ({
+            ...p,
+            emoji: isSafeEmoji(p.emoji) ? p.emoji : DEFAULT_CUSTOM_PILLAR_EMOJI,
+            color: COLOR_PATTERN.test(p.color || '') ? p.color : DEFAULT_CUSTOM_PILLAR_COLOR,
+            description: typeof p.description === 'string' ? p.description : ''
+        }));
+}
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @returns {string} 'active', 'hidden' or 'archived'.
+ */
+export function getPillarStatus(state, pillarId) {
+    const status = state?.pillarStatus?.[pillarId];
+    return PILLAR_STATUSES[status] ? status : 'active';
+}
+
+// --- Custom Pillars ---
+
+/**
+ * Checks and normalizes the fields entered for a new custom pillar.
+ * An empty emoji or an invalid colour falls back to the defaults.
+ * @param {object} state - The application state.
+ * @param {{name: string, emoji?: string, color?: string, description?: string}} fields - The entered values.
+ * @returns {{pillar: object|null, error: string|null}} The new pillar (with a unique ID), or an error message.
+ */
+export function createCustomPillar(state, fields) {
+    const pillars = getPillars(state);
+    const { values, error } = checkPillarFields(fields, pillars.map(p => p.name));
+    if (error) return { pillar: null, error };
+    if (getCustomPillars(state).length >= MAX_CUSTOM_PILLARS) return { pillar: null, error: `You can create up to ${MAX_CUSTOM_PILLARS} custom pillars.` };
+
+    const slug = values.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pillar';
+    let id = `${CUSTOM_PILLAR_ID_PREFIX}${slug}`;
+    for (let suffix = 2; pillars.some(p => p.id === id) || state?.pillars?.[id]; suffix++) {
+        id = `${CUSTOM_PILLAR_ID_PREFIX}${slug}-${suffix}`;
+    }
+    return { pillar: { id, ...values, createdAt: new Date().toISOString() }, error: null };
+}
+
+/**
+ * Explains why a custom pillar can't be deleted: deleting is only allowed while nothing refers to
+ * it, so no logged history is ever lost (a pillar with history can be archived instead).
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The custom pillar's ID.
+ * @returns {string|null} The reason, or null if the pillar can be deleted.
+ */
+export function getCustomPillarDeleteBlocker(state, pillarId) {
+    if (Object.values(state?.pillars?.[pillarId]?.days || {}).some(Boolean)) return "It has logged days. Archive it instead to retire it.";
+    if ((state?.simpleModePillars || []).includes(pillarId)) return "It is one of your Simple Mode pillars.";
+    if (Object.values(state?.habitPlans || {}).some(plan => plan?.pillarId === pillarId || plan?.secondaryPillarId === pillarId)) return "A habit plan uses it.";
+    return null;
+}
+
+// --- Pillar Management ---
+
+/**
+ * Checks the edits made on the pillar management screen and works out what to store.
+ * Built-in pillars keep only the fields that differ from their defaults (so restoring the
+ * defaults removes the override); custom pillars store their new values directly.
+ * @param {object} state - The application state.
+ * @param {Array<{id: string, name: string, emoji: string, color: string, description: string, status: string, quantity?: object, tags?: string}>} edits - The edited pillars
+ *        (tags is the comma-separated tag list).
+ * @returns {{pillarOverrides: object, customPillars: Array<object>, pillarStatus: object, pillarQuantities: object, pillarTags: object, error: string|null}}
+ *          The new state.pillarOverrides, state.customPillars, state.pillarStatus, state.pillarQuantities and state.pillarTags, or an error message.
+ */
+export function resolvePillarEdits(state, edits) {
+    const result = {
+        pillarOverrides: { ...(state?.pillarOverrides || {}) },
+        customPillars: getCustomPillars(state),
+        pillarStatus: { ...(state?.pillarStatus || {}) },
+        pillarQuantities: { ...(state?.pillarQuantities || {}) },
+        pillarTags: { ...(state?.pillarTags || {}) },
+        error: null
+    };
+    const editsById = new Map((edits || []).map(edit => [edit.id, edit]));
+    const pillars = getPillars(state);
+    const simpleModePillars = state?.userMode === 'simple' ? (state.simpleModePillars || []) : [];
+
+    for (const pillar of pillars) {
+        const edit = editsById.get(pillar.id);
+        if (!edit) continue;
+        const otherNames = pillars.filter(p => p.id !== pillar.id).map(p => editsById.get(p.id)?.name?.trim() || p.name);
+        const { values, error } = checkPillarFields(edit, otherNames);
+        if (error) return { ...result, error: `${pillar.emoji} ${pillar.name}: ${error}` };
+
+        if (pillar.isCustom) {
+            result.customPillars = result.customPillars.map(p => p.id === pillar.id ? { ...p, ...values } : p);
+        } else {
+            const defaults = PILLARS.find(p => p.id === pillar.id);
+            const override = Object.fromEntries(DISPLAY_FIELDS.filter(field => values[field] !== defaults[field]).map(field => [field, values[field]]));
+            if (Object.keys(override).length > 0) result.pillarOverrides[pillar.id] = override;
+            else delete result.pillarOverrides[pillar.id];
+        }
+
+        const status = PILLAR_STATUSES[edit.status] ? edit.status : 'active';
+        if (status !== 'active' && simpleModePillars.includes(pillar.id)) {
+            return { ...result, error: `${values.emoji} ${values.name} is one of your Simple Mode pillars. Choose other pillars in Settings before hiding or archiving it.` };
+        }
+        if (status === 'active') delete result.pillarStatus[pillar.id];
+        else result.pillarStatus[pillar.id] = status;
+
+        if (edit.quantity) {
+            const { settings, error: quantityError } = checkQuantitySettings(edit.quantity);
+            if (quantityError) return { ...result, error: `${values.emoji} ${values.name}: ${quantityError}` };
+            if (settings) result.pillarQuantities[pillar.id] = settings;
+            else delete result.pillarQuantities[pillar.id];
+        }
+
+        if (edit.tags !== undefined) {
+            const { tags, error: tagError } = parseTagList(edit.tags);
+            if (tagError) return { ...result, error: `${values.emoji} ${values.name}: ${tagError}` };
+            if (tags.length > 0) result.pillarTags[pillar.id] = tags;
+            else delete result.pillarTags[pillar.id];
+        }
+    }
+
+    if (!pillars.some(pillar => !result.pillarStatus[pillar.id])) return { ...result, error: "Keep at least one pillar active." };
+    return result;
+}
+
+// --- Internal Helpers ---
+
+function getPillarOverride(state, pillarId) {
+    const override = state?.pillarOverrides?.[pillarId];
+    if (!override || typeof override !== 'object') return {};
+    const safe = {};
+    if (typeof override.name === 'string' && override.name.trim()) safe.name = override.name;
+    if (isSafeEmoji(override.emoji)) safe.emoji = override.emoji;
+    if (COLOR_PATTERN.test(override.color || '')) safe.color = override.color;
+    if (typeof override.description === 'string') safe.description = override.description;
+    return safe;
+}
+
+function isSafeEmoji(emoji) {
+    return typeof emoji === 'string' && emoji.length > 0 && emoji.length <= MAX_EMOJI_LENGTH && !UNSAFE_EMOJI_PATTERN.test(emoji);
+}
+
+/**
+ * Normalizes a pillar's display fields and checks them against the names of the other pillars
+ * (compared case-insensitively). An empty emoji or an invalid colour falls back to the defaults.
+ */
+function checkPillarFields(fields, takenNames) {
+    const values = {
+        name: String(fields?.name || '').trim(),
+        emoji: String(fields?.emoji || '').trim() || DEFAULT_CUSTOM_PILLAR_EMOJI,
+        color: COLOR_PATTERN.test(fields?.color || '') ? fields.color.toLowerCase() : DEFAULT_CUSTOM_PILLAR_COLOR,
+        description: String(fields?.description || '').trim()
+    };
+    if (!values.name) return { values, error: "Please enter a name for the pillar." };
+    if (values.name.length > MAX_NAME_LENGTH) return { values, error: `Pillar names can be at most ${MAX_NAME_LENGTH} characters.` };
+    if (takenNames.some(name => name.toLowerCase() === values.name.toLowerCase())) return { values, error: `There is already a pillar called "${values.name}".` };
+    if (!isSafeEmoji(values.emoji)) return { values, error: "Please use a single emoji." };
+    if (values.description.length > MAX_DESCRIPTION_LENGTH) return { values, error: `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+    return { values, error: null };
+}
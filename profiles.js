@@ -0,0 +1,188 @@
+// profiles.js
+
+/**
+ * Registry of the local profiles sharing this device.
+ * Each profile has its own IndexedDB database (and legacy localStorage key), so its pillars,
+ * mood, timeline, achievements, habit plans and settings are fully separate.
+ * The registry itself (profile names and the active profile) is kept in localStorage.
+ * The original single-user data belongs to the default profile.
+ * The active profile is read once when the page loads: storage.js opens that profile's database, so
+ * this tab keeps using it even if another tab switches profiles (which only affects the next load).
+ */
+
+// --- Constants ---
+const PROFILES_STORAGE_KEY = 'wellspringProfiles';
+export const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'My Profile';
+const DEFAULT_DATABASE_NAME = 'wellspring';
+const LEGACY_STORAGE_KEY = 'wellspringAppState_v2';
+const ENCRYPTION_CONFIG_KEY = 'wellspringEncryption'; // Passphrase key configuration (see encryption.js)
+const MAX_PROFILE_NAME_LENGTH = 30;
+
+// --- Registry Helpers ---
+
+function createDefaultRegistry() {
+    return {
+        activeProfileId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: new Date().toISOString() }]
+    };
+}
+
+function readRegistry() {
+    try {
+        const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+        const registry = stored ? JSON.parse(stored) : null;
+        if (registry && Array.isArray(registry.profiles) && registry.profiles.length > 0) {
+            if (!registry.profiles.some(p => p.id === registry.activeProfileId)) {
+                registry.activeProfileId = registry.profiles[0].id;
+            }
+            return registry;
+        }
+    } catch (error) {
+        console.error("[Profiles] Error reading profile registry:", error);
+    }
+    return createDefaultRegistry();
+}
+
+function writeRegistry(registry) {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(registry));
+}
+
+function validateProfileName(name, registry, ignoreId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error("Please enter a profile name.");
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+    if (registry.profiles.some(p => p.id !== ignoreId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A profile named "${trimmed}" already exists.`);
+    }
+    return trimmed;
+}
+
+// --- Module State ---
+// The profile loaded in this tab (fixed until the page reloads)
+const loadedProfileId = readRegistry().activeProfileId;
+
+// --- Public API ---
+
+/**
+ * Returns all profiles on this device.
+ * @returns {Array<{id: string, name: string, createdAt: string}>}
+ */
+export function getProfiles() {
+    return readRegistry().profiles.map(p => ({ ...p }));
+}
+
+/**
+ * Returns the profile whose data is loaded in this tab.
+ * If another tab has deleted it since, it is returned with the default name.
+ * @returns {{id: string, name: string, createdAt: string}}
+ */
+export function getActiveProfile() {
+    const profile = readRegistry().profiles.find(p => p.id === loadedProfileId);
+    return profile ? { ...profile } : { id: loadedProfileId, name: DEFAULT_PROFILE_NAME, createdAt: null };
+}
+
+/**
+ * Returns the profile that another tab made active, which the next page load opens instead of this tab's.
+ * @returns {{id: string, name: string, createdAt: string}|null} Null if it is still the profile loaded in this tab.
+ */
+export function getProfileActiveElsewhere() {
+    const registry = readRegistry();
+    if (registry.activeProfileId === loadedProfileId) return null;
+    return { ...registry.profiles.find(p => p.id === registry.activeProfileId) };
+}
+
+/**
+ * Returns where a profile's data is stored.
+ * @param {string} profileId - The profile ID.
+ * @returns {{databaseName: string, legacyStorageKey: string, encryptionConfigKey: string}}
+ */
+export function getProfileStorage(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) {
+        return { databaseName: DEFAULT_DATABASE_NAME, legacyStorageKey: LEGACY_STORAGE_KEY, encryptionConfigKey: ENCRYPTION_CONFIG_KEY };
+    }
+    return {
+        databaseName: `${DEFAULT_DATABASE_NAME}-profile-${profileId}`,
+        legacyStorageKey: `${LEGACY_STORAGE_KEY}::${profileId}`,
+        encryptionConfigKey: `${ENCRYPTION_CONFIG_KEY}::${profileId}`
+    };
+}
+
+/**
+ * Creates a new, empty profile. It does not become active until switched to.
+ * @param {string} name - Display name for the profile.
+ * @returns {{id: string, name: string, createdAt: string}} The new profile.
+ * @throws {Error} If the name is empty, too long or already used.
+ */
+export function createProfile(name) {
+    const registry = readRegistry();
+    const profile = { id: crypto.randomUUID(), name: validateProfileName(name, registry), createdAt: new Date().toISOString() };
+    registry.profiles.push(profile);
+    writeRegistry(registry);
+    console.log(`[Profiles] Created profile "${profile.name}".`);
+    return { ...profile };
+}
+
+/**
+ * Renames a profile.
+ * @param {string} profileId - The profile ID.
+ * @param {string} name - The new name.
+ * @throws {Error} If the profile does not exist or the name is invalid.
+ */
+export function renameProfile(profileId, name) {
+    const registry = readRegistry();
+    const profile = registry.profiles.find(p => p.id === profileId);
+    if (!profile) throw new Error("Profile not found.");
+    profile.name = validateProfileName(name, registry, profileId);
+    writeRegistry(registry);
+}
+
+/**
+ * Removes a profile from the registry. If it was active, the first remaining profile becomes active.
+ * The caller is responsible for deleting the profile's stored data.
+ * @param {string} profileId - The profile ID.
+ * @returns {{id: string, name: string, createdAt: string}} The profile the next page load opens.
+ * @throws {Error} If it is the only profile or does not exist.
+ */
+export function removeProfile(profileId) {
+    const registry = readRegistry();
+    if (!registry.profiles.some(p => p.id === profileId)) throw new Error("Profile not found.");
+    if (registry.profiles.length <= 1) throw new Error("You can't delete the only profile. Create another one first.");
+    registry.profiles = registry.profiles.filter(p => p.id !== profileId);
+    if (registry.activeProfileId === profileId) registry.activeProfileId = registry.profiles[0].id;
+    writeRegistry(registry);
+    return { ...registry.profiles.find(p => p.id === registry.activeProfileId) };
+}
+
+/**
+ * Makes a profile active. The page must be reloaded for its data to load.
+ * @param {string} profileId - The profile ID.
+ * @returns {{id: string, name: string, createdAt: string}} The profile.
+ * @throws {Error} If the profile does not exist.
+ */
+export function setActiveProfile(profileId) {
+    const registry = readRegistry();
+    const profile = registry.profiles.find(p => p.id === profileId);
+    if (!profile) throw new Error("Profile not found.");
+    registry.activeProfileId = profileId;
+    writeRegistry(registry);
+    return { ...profile };
+}
+
+/**
+ * Adds a profile with a known ID (from an all-profiles backup), or renames it if it already exists.
+ * A numeric suffix is added if another profile already uses the name.
+ * @param {{id: string, name: string, createdAt?: string}} profile - The profile to add or update.
+ */
+export function upsertProfile(profile) {
+    const registry = readRegistry();
+    const baseName = (profile.name || DEFAULT_PROFILE_NAME).trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+    let name = baseName;
+    for (let suffix = 2; registry.profiles.some(p => p.id !== profile.id && p.name.toLowerCase() === name.toLowerCase()); suffix++) {
+        name = `${baseName} (${suffix})`;
+    }
+    const existing = registry.profiles.find(p => p.id === profile.id);
+    if (existing) existing.name = name;
+    else registry.profiles.push({ id: profile.id, name, createdAt: profile.createdAt || new Date().toISOString() });
+    writeRegistry(registry);
+}
@@ -0,0 +1,124 @@
+// quantities.js
+
+/**
+ * Optional quantity logging per pillar (e.g. minutes of Move, glasses of water, pages read).
+ * - state.pillarQuantities[pillarId] = { unit: 'minutes'|'count'|'custom', customUnit?: string, minimum: number }
+ *   turns quantity logging on for a pillar (set in the pillar manager).
+ * - state.pillars[pillarId].amounts[date] holds the amount logged that day, in the pillar's unit.
+ * state.pillars[pillarId].days[date] stays the "done" flag that XP, streaks and achievements read:
+ * reaching the minimum checks the pillar and dropping back below it unchecks it, while the card
+ * can still be checked by hand without an amount. Changing a pillar's unit or minimum only affects
+ * new entries, so past days keep their XP.
+ */
+
+// --- Constants ---
+export const QUANTITY_UNITS = {
+    none: { name: "Just a check", label: '', increments: [] },
+    minutes: { name: "Minutes", label: 'min', increments: [5, 15, 30] },
+    count: { name: "Count", label: 'times', increments: [1, 5] },
+    custom: { name: "Custom unit", label: '', increments: [1, 5] } // Labelled with the pillar's customUnit
+};
+export const MAX_AMOUNT = 100000; // Per pillar and day
+const MAX_UNIT_LENGTH = 12;
+const UNSAFE_UNIT_PATTERN = /[<>&"']/;
+
+// --- Settings ---
+
+/**
+ * Returns the quantity settings of a pillar, or null if it is logged with a simple check.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @returns {{unit: string, unitLabel: string, minimum: number, increments: Array<number>}|null}
+ */
+export function getQuantitySettings(state, pillarId) {
+    const stored = state?.pillarQuantities?.[pillarId];
+    if (!stored || !QUANTITY_UNITS[stored.unit] || stored.unit === 'none') return null;
+    const unitLabel = stored.unit === 'custom' ? (isSafeUnit(stored.customUnit) ? stored.customUnit : 'units') : QUANTITY_UNITS[stored.unit].label;
+    const minimum = Number(stored.minimum);
+    return {
+        unit: stored.unit,
+        unitLabel,
+        minimum: minimum > 0 && minimum <= MAX_AMOUNT ? minimum : 0,
+        increments: QUANTITY_UNITS[stored.unit].increments
+    };
+}
+
+/**
+ * Checks and normalizes the quantity settings entered for a pillar.
+ * @param {{unit?: string, customUnit?: string, minimum?: number|string}} fields - The entered values.
+ * @returns {{settings: object|null, error: string|null}} The settings to store (null for 'Just a check'), or an error message.
+ */
+export function checkQuantitySettings(fields) {
+    const unit = QUANTITY_UNITS[fields?.unit] ? fields.unit : 'none';
+    if (unit === 'none') return { settings: null, error: null };
+    const minimum = fields.minimum === '' || fields.minimum === undefined ? 0 : Number(fields.minimum);
+    if (!Number.isFinite(minimum) || minimum < 0 || minimum > MAX_AMOUNT) return { settings: null, error: `The minimum must be a number from 0 to ${MAX_AMOUNT}.` };
+    const settings = { unit, minimum };
+    if (unit === 'custom') {
+        const customUnit = String(fields.customUnit || '').trim();
+        if (!customUnit) return { settings: null, error: "Please name the custom unit (e.g. km or pages)." };
+        if (customUnit.length > MAX_UNIT_LENGTH || !isSafeUnit(customUnit)) return { settings: null, error: `Units can be at most ${MAX_UNIT_LENGTH} characters, without < > & " or '.` };
+        settings.customUnit = customUnit;
+    }
+    return { settings, error: null };
+}
+
+// --- Amounts ---
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @returns {number} The amount logged that day (0 if none).
+ */
+export function getAmount(state, pillarId, date) {
+    const amount = Number(state?.pillars?.[pillarId]?.amounts?.[date]);
+    return amount > 0 ? amount : 0;
+}
+
+/**
+ * Whether an amount reaches the pillar's minimum (any amount counts when there is no minimum).
+ * @param {object} settings - The pillar's quantity settings (see getQuantitySettings).
+ * @param {number} amount - The amount.
+ * @returns {boolean}
+ */
+export function isAmountDone(settings, amount) {
+    return amount > 0 && amount >= (settings?.minimum || 0);
+}
+
+/**
+ * Formats an amount with its unit, e.g. "30 min", "3 times" or "5 km".
+ * @param {object} settings - The pillar's quantity settings (see getQuantitySettings).
+ * @param {number} amount - The amount.
+ * @returns {string}
+ */
+export function formatAmount(settings, amount) {
+    const value = Number.isInteger(amount) ? amount : Math.round(amount * 10) / 10;
+    return settings?.unitLabel ? `${value} ${settings.unitLabel}` : String(value);
+}
+
+/**
+ * Sums the amounts logged for a pillar, optionally within a date range.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} [from] - First date to include ('YYYY-MM-DD').
+ * @param {string} [to] - Last date to include ('YYYY-MM-DD').
+ * @returns {{total: number, days: number, best: number}} The total, the number of days with an amount, and the best day.
+ */
+export function getAmountTotals(state, pillarId, from = '', to = '9999-12-31') {
+    let total = 0, days = 0, best = 0;
+    Object.entries(state?.pillars?.[pillarId]?.amounts || {}).forEach(([date, value]) => {
+        const amount = Number(value);
+        if (!(amount > 0) || date < from || date > to) return;
+        total += amount;
+        days++;
+        best = Math.max(best, amount);
+    });
+    return { total, days, best };
+}
+
+// --- Internal Helpers ---
+
+function isSafeUnit(unit) {
+    return typeof unit === 'string' && unit.trim().length > 0 && unit.length <= MAX_UNIT_LENGTH && !UNSAFE_UNIT_PATTERN.test(unit);
+}
@@ -3,35 +3,75 @@
 /**
  * Manages the application state for WellSpring.
  * *** MODIFIED: Implemented retroactive XP recalculation and state reloading. ***
+ * *** MODIFIED: Persistence moved to IndexedDB (storage.js); mutators record which day/timeline records they touch. ***
+ * *** MODIFIED: Added undo/redo history for daily log, journal and habit plan mutations. ***
+ * *** MODIFIED: saveState takes an optional payload that is recorded with the action in the storage action log. ***
+ * *** MODIFIED: Changes from other tabs are merged record by record (applyExternalChanges) instead of reloading everything. ***
+ * *** MODIFIED: Completed years can be archived (read-only); failed saves are retried and a full storage quota is reported. ***
+ * *** MODIFIED: XP and streak come from a persisted per-day XP ledger (xpledger.js), updated from the edited date forward. ***
+ * *** MODIFIED: XP values come from the active XP rules preset (xprules.js), stored in state. ***
+ * *** MODIFIED: Added planned rest days; rest days and freeze tokens keep the streak going (see xpledger.js). ***
+ * *** MODIFIED: Added the streak mode setting (daily or weekly target, see streaks.js). ***
+ * *** MODIFIED: Added user-defined custom pillars (see pillars.js). ***
+ * *** MODIFIED: Pillars can be renamed, recoloured, hidden and archived (updatePillarSettings). ***
+ * *** MODIFIED: Added optional quantity logging per pillar (addPillarAmount, see quantities.js). ***
+ * *** MODIFIED: Added sub-activity tags per pillar entry (togglePillarTag, see tags.js). ***
+ * *** MODIFIED: Checking a pillar on the current day records the local time; it can be edited (setPillarTime, see times.js). ***
+ * *** MODIFIED: Added wellbeing check-ins (energy, stress, sleep, anxiety; morning and evening) next to the mood (updateWellbeing, see wellbeing.js). ***
+ * *** MODIFIED: Notes have an entry date (the day they are about) and a creation time. ***
+ * *** MODIFIED: "Today" is the local calendar day with a configurable rollover hour; dates skipped by a timezone change become travel days (checkDayChange, see dates.js). ***
+ * *** MODIFIED: Added the week start day (setWeekStartDay, see dates.js). ***
+ * *** MODIFIED: Days imported from other habit trackers' CSV files are merged into the history (importHistoryDays, see csv.js). ***
  */
 
 // --- Imports ---
 import { ALL_ACHIEVEMENTS } from './achievements.js';
-import { PILLARS } from './constants.js';
-import { calculateLevelData, getWeekNumber } from './utils.js';
+import { getPillars, getCustomPillars, resolvePillarEdits } from './pillars.js';
+import { calculateLevelData, isArchivedDate, getTimelineEntryDate } from './utils.js';
 import { showToast } from './ui/globalUI.js';
 import { playSound } from './audio.js';
+import { loadPersistedState, persistChanges, replacePersistedState, clearPersistedState, createChangeSet, getTimelineEntryKey, rebuildStateFromLog, applyExternalRecords, archiveYear } from './storage.js';
+import { isQuotaExceededError } from './storagehealth.js';
+import { updateXPLedger, repairXPLedger, verifyXPLedger, isXPLedgerCurrent, summarizeXPLedger } from './xpledger.js';
+import { createXPRules, getXPRules, DEFAULT_XP_RULES_PRESET } from './xprules.js';
+import { CURRENT_SCHEMA_VERSION, migrateState } from './migrations.js';
+import { getQuantitySettings, getAmount, isAmountDone, MAX_AMOUNT } from './quantities.js';
+import { getTagList, getDayTags, checkTag, isSameTag, MAX_TAGS_PER_PILLAR } from './tags.js';
+import { getLocalTimeString, isValidTime } from './times.js';
+import { CHECK_INS, isValidLevel } from './wellbeing.js';
+import { getToday, getTimeZone, findTravelDays, TRAVEL_DAY, ROLLOVER_HOURS, WEEK_START_DAYS } from './dates.js';
+import { hasUnsavedEntries } from './csv.js';
 
 // --- Constants ---
-const LOCAL_STORAGE_KEY = 'wellspringAppState_v2';
-const ONE_DAY_MS = 24 * 60 * 60 * 1000;
-const XP_PER_NOTE = 10;
-const XP_PER_PILLAR = 5; // Base XP per pillar
-const STREAK_BONUS_DIVISOR = 5; // Bonus XP = streak / 5
+const MAX_HISTORY_STEPS = 50; // Undo steps kept in memory
+const PILLAR_ENTRY_KEYS = ['amounts', 'tags', 'times']; // Per-date pillar details kept next to the days check
 
 // --- Module State ---
 let appState = {};
+let pendingChanges = createChangeSet(); // Day/timeline records touched since the last save
+let undoStack = [];
+let redoStack = [];
+let openHistoryStep = null; // Latest step, while achievements unlocked by the same action can still attach to it
 
 const initialState = {
+    // Schema version of the persisted data (see migrations.js)
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+
     // Core Tracking
-    currentDate: new Date().toISOString().split('T')[0],
+    currentDate: getToday(null),
     pillars: {},
     mood: {},
+    wellbeing: {}, // Optional check-ins per date: { energy, stress, sleep, anxiety, morning: {...}, evening: {...} } (see wellbeing.js)
     savedDays: {},
+    restDays: {}, // Planned rest days ('YYYY-MM-DD' -> true): missed days that don't break the streak
 
     // Gamification & Progress
     totalXP: 0,
     streak: 0,
+    freezeTokens: 0, // Streak freeze tokens held after the latest saved day (from the XP ledger)
+    xpLedger: {}, // Per-day XP breakdown for saved days (see xpledger.js)
+    xpLedgerStamp: null, // Calculation version and XP rules the ledger was built with (see xpledger.js)
+    xpRules: createXPRules(DEFAULT_XP_RULES_PRESET), // Active XP rules (see xprules.js)
     prestige: 0,
     level100ToastShownForCycle: null,
 
@@ -42,6 +82,9 @@ const initialState = {
     // Habit Planner
     habitPlans: {},
 
+    // Storage
+    archivedYears: [], // Completed years moved to a read-only archive (derived from the stored archives)
+
     // Settings & User Info
     userName: null,
     userMode: null,
@@ -50,10 +93,20 @@ const initialState = {
     isOnboardingComplete: false,
     isSoundEnabled: true,
     showPlanner: false,
+    customPillars: [], // User-defined pillars, listed after the built-in ones (see pillars.js)
+    pillarOverrides: {}, // Renamed/recoloured built-in pillars: { pillarId: { name?, emoji?, color?, description? } }
+    pillarStatus: {}, // Hidden or archived pillars: { pillarId: 'hidden'|'archived' } (missing = active)
+    pillarQuantities: {}, // Pillars logged with an amount: { pillarId: { unit, customUnit?, minimum } } (see quantities.js)
+    pillarTags: {}, // Sub-activity tag lists: { pillarId: ['Yoga', 'Cycling'] } (see tags.js)
+    streakMode: 'daily', // 'daily' or 'weekly' (see streaks.js)
+    weeklyStreakTarget: 5, // Days per week needed in weekly streak mode
+    dayRolloverHour: 0, // Hour the new day starts at (0-6, see dates.js)
+    weekStartDay: 'monday', // First day of the week: 'monday', 'sunday' or 'saturday' (see dates.js)
+    lastSeenDay: null, // Last "today" the app saw and its timezone: { date, timeZone } (for travel days)
 
     // UI State
-    currentMonth: new Date().getMonth(),
-    currentYear: new Date().getFullYear(),
+    currentMonth: Number(getToday(null).slice(5, 7)) - 1,
+    currentYear: Number(getToday(null).slice(0, 4)),
     timelineSortOrder: 'newest',
     timelineFilter: 'all',
 
@@ -63,30 +116,34 @@ const initialState = {
 };
 
 // --- State Initialization & Persistence ---
-export function loadState() {
-    console.log(`[State] Loading state from localStorage key: ${LOCAL_STORAGE_KEY}...`);
+export async function loadState() {
+    console.log("[State] Loading state from storage...");
     let loadedState = null;
     let finalState = {};
 
     try {
-        const storedState = localStorage.getItem(LOCAL_STORAGE_KEY);
-        if (storedState) {
-            loadedState = JSON.parse(storedState);
-        }
+        loadedState = await loadPersistedState();
     } catch (error) {
-        console.error("[State] Error loading/parsing state from localStorage:", error);
+        console.error("[State] Error loading state from storage:", error);
     }
 
-    finalState = JSON.parse(JSON.stringify(initialState));
-    finalState.currentDate = new Date().toISOString().split('T')[0];
-    finalState.currentMonth = new Date().getMonth();
-    finalState.currentYear = new Date().getFullYear();
-
-    PILLARS.forEach(p => {
-        if (!finalState.pillars[p.id]) {
-            finalState.pillars[p.id] = { days: {} };
+    if (loadedState) {
+        try {
+            const result = migrateState(loadedState);
+            if (result.migrated) {
+                loadedState = result.state;
+                await replacePersistedState(loadedState, 'schemaMigration');
+                console.log(`[State] Migrated stored data from schema version ${result.fromVersion} to ${CURRENT_SCHEMA_VERSION}.`);
+            }
+        } catch (error) {
+            console.error("[State] Error migrating stored state:", error);
         }
-    });
+    }
+
+    finalState = JSON.parse(JSON.stringify(initialState));
+    finalState.currentDate = getToday(loadedState); // The rollover hour is a stored setting
+    finalState.currentMonth = Number(finalState.currentDate.slice(5, 7)) - 1;
+    finalState.currentYear = Number(finalState.currentDate.slice(0, 4));
 
     if (loadedState) {
         Object.keys(initialState).forEach(key => {
@@ -100,7 +157,7 @@ export function loadState() {
                     }
                 } else if (key === 'timeline') {
                     finalState[key] = Array.isArray(loadedState[key]) ? loadedState[key] : [...initialState[key]];
-                } else if (key === 'simpleModePillars') {
+                } else if (key === 'simpleModePillars' || key === 'customPillars') {
                      finalState[key] = (Array.isArray(loadedState[key])) ? loadedState[key] : [...initialState[key]];
                 } else {
                      finalState[key] = loadedState[key];
@@ -109,41 +166,54 @@ export function loadState() {
         });
     }
 
-    // Merge Achievements
-    const initialAchievements = {};
-    const loadedAchievements = loadedState?.achievements || {};
+    getPillars(finalState).forEach(p => {
+        if (!finalState.pillars[p.id]) {
+            finalState.pillars[p.id] = { days: {} };
+        }
+    });
+
+    finalState.achievements = mergeAchievementDefinitions(loadedState?.achievements);
+
+    appState = finalState;
+    clearHistory();
+    ensureXPLedger(); // Rebuild the ledger if it was built by an older version or with other rules (e.g. after a migration)
+    console.log("[State] State loaded.");
+}
+
+/**
+ * Builds the achievements map from the definitions, restoring unlock status from stored data.
+ * @param {object} [loadedAchievements] - Stored achievements keyed by ID ({ unlocked, date }).
+ * @returns {object} The merged achievements map.
+ */
+function mergeAchievementDefinitions(loadedAchievements = {}) {
+    const mergedAchievements = {};
     if (ALL_ACHIEVEMENTS) {
         Object.keys(ALL_ACHIEVEMENTS).forEach(id => {
              const definition = ALL_ACHIEVEMENTS[id];
-             initialAchievements[id] = {
+             mergedAchievements[id] = {
                  id: definition.id,
                  name: definition.name,
                  description: definition.description,
                  flavor: definition.flavor || '',
                  icon: definition.icon || 'fa-solid fa-question-circle',
                  criteria: { ...(definition.criteria) },
-                 unlocked: loadedAchievements[id]?.unlocked ?? false,
-                 date: loadedAchievements[id]?.date ?? null,
+                 unlocked: loadedAchievements?.[id]?.unlocked ?? false,
+                 date: loadedAchievements?.[id]?.date ?? null,
              };
         });
     }
-    finalState.achievements = initialAchievements;
-
-    appState = finalState;
-    // Recalculate XP on load to ensure data integrity
-    recalculateTotalXP(); 
-    console.log("[State] State loaded.");
+    return mergedAchievements;
 }
 
 /**
- * Reloads the state from local storage. Used for cross-tab synchronization.
- * @returns {boolean} True if state was reloaded successfully.
+ * Reloads the state from storage. Used for cross-tab synchronization.
+ * @returns {Promise<boolean>} True if state was reloaded successfully.
  */
-export function reloadState() {
+export async function reloadState() {
     try {
-        const storedState = localStorage.getItem(LOCAL_STORAGE_KEY);
-        if (storedState) {
-            const parsed = JSON.parse(storedState);
+        const loaded = await loadPersistedState();
+        const parsed = loaded ? migrateState(loaded).state : null;
+        if (parsed) {
             // We preserve the current date/view settings to not jar the user
             const currentViewSettings = {
                 currentDate: appState.currentDate,
@@ -158,6 +228,9 @@ export function reloadState() {
             if (parsed.mood) appState.mood = parsed.mood;
             if (parsed.savedDays) appState.savedDays = parsed.savedDays;
             if (parsed.timeline) appState.timeline = parsed.timeline;
+            appState.achievements = mergeAchievementDefinitions(parsed.achievements);
+            clearHistory(); // Recorded steps may no longer match the data written by the other tab
+            ensureXPLedger();
             
             console.log("[State] State reloaded from external change.");
             return true;
@@ -168,25 +241,94 @@ export function reloadState() {
     return false;
 }
 
-export function saveState(action = 'unknown') {
+/**
+ * Merges changes another tab has saved into the in-memory state.
+ * Only the changed days, notes, plans, achievements and settings are replaced, so edits made
+ * in this tab are kept. Undo steps for records the other tab changed are dropped.
+ * @param {{replaced: boolean, records?: object}} update - From storage.subscribeToExternalChanges().
+ * @returns {Promise<boolean>} True if the state was updated.
+ */
+export async function applyExternalChanges(update) {
+    if (update.replaced) return reloadState();
     try {
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(appState));
-        document.dispatchEvent(new CustomEvent('stateChanged', { detail: { action: action } }));
-    } catch (error) {
-        console.error("[State] Error saving state to localStorage:", error);
+        applyExternalRecords(appState, update);
+        const { days, timeline, plans } = update.records;
+        const touchedByOtherTab = (step) =>
+            (step.kind === 'day' && days.has(step.key)) ||
+            (step.kind === 'note' && timeline.has(getTimelineEntryKey({ type: 'note', noteId: step.key }))) ||
+            (step.kind === 'plan' && plans.has(step.key));
+        undoStack = undoStack.filter(step => !touchedByOtherTab(step));
+        redoStack = redoStack.filter(step => !touchedByOtherTab(step));
+        openHistoryStep = null;
+        const earliestChangedDate = [...days.keys()].sort()[0] || null;
+        updateXP(earliestChangedDate);
+        console.log("[State] Merged changes from another tab.");
+        return true;
+    } catch (e) {
+        console.error("[State] Error merging external changes:", e);
+        return reloadState();
     }
 }
 
-export function resetState() {
+/**
+ * Records that a persisted record changed, so the next saveState() writes it.
+ * Settings, achievements and habit plans are detected automatically and need no marking.
+ * @param {'days'|'timeline'} store - The record store.
+ * @param {string} key - The date ('YYYY-MM-DD') or timeline entry key.
+ */
+function markChanged(store, key) {
+    pendingChanges[store].add(key);
+}
+
+/**
+ * Persists pending changes and notifies listeners.
+ * @param {string} [action='unknown'] - Name of the action, recorded in the action log.
+ * @param {object|null} [payload=null] - Details of the action (e.g. { date }), recorded in the action log.
+ */
+export function saveState(action = 'unknown', payload = null) {
+    const changes = pendingChanges;
+    pendingChanges = createChangeSet();
+    persistChanges(appState, changes, { action, payload }).catch(error => {
+        console.error("[State] Error saving state to storage:", error);
+        // Keep the unsaved records marked, so the next save tries them again
+        if (changes.all) pendingChanges.all = true;
+        changes.days.forEach(date => pendingChanges.days.add(date));
+        changes.timeline.forEach(key => pendingChanges.timeline.add(key));
+        if (isQuotaExceededError(error)) {
+            document.dispatchEvent(new CustomEvent('storageQuotaExceeded', { detail: { action } }));
+            return;
+        }
+        showToast("Could not save your latest changes. Please export a backup.", 'error');
+    });
+    document.dispatchEvent(new CustomEvent('stateChanged', { detail: { action: action } }));
+}
+
+export async function resetState() {
     try {
-        localStorage.removeItem(LOCAL_STORAGE_KEY);
+        await clearPersistedState();
         localStorage.removeItem('wellnessTrackerVisited');
         return true;
     } catch (error) {
+        console.error("[State] Error clearing stored data:", error);
         return false;
     }
 }
 
+/**
+ * Rebuilds the stored data by replaying the action log (recovery from a corrupted state).
+ * The rebuilt data replaces the current records and is reloaded into memory.
+ * @returns {Promise<number|null>} The number of events replayed, or null if no log is available.
+ */
+export async function rebuildStateFromActionLog() {
+    const rebuilt = await rebuildStateFromLog();
+    if (!rebuilt) return null;
+    await replacePersistedState(rebuilt.state, 'rebuildFromLog');
+    await reloadState();
+    saveState('rebuildFromLog');
+    console.log(`[State] State rebuilt from ${rebuilt.eventsReplayed} logged action(s).`);
+    return rebuilt.eventsReplayed;
+}
+
 export function getState() {
     if (typeof appState !== 'object' || appState === null) return JSON.parse(JSON.stringify(initialState));
     try { return JSON.parse(JSON.stringify(appState)); } catch (e) { return { ...appState }; }
@@ -207,146 +349,528 @@ export function updateCurrentDate(newDate) {
     }
 }
 
+/**
+ * Catches up with the user's calendar day (called on startup and whenever the app comes back into view).
+ * Dates skipped by a timezone change become travel days, which keep the streak going (see dates.js).
+ * If "today" has moved and the Daily Log was showing the previous today, it moves to the new one.
+ * @returns {{today: string, previousToday: string|null, travelDays: Array<string>}}
+ */
+export function checkDayChange() {
+    const timeZone = getTimeZone();
+    const today = getToday(appState);
+    const previousToday = appState.lastSeenDay?.date || null;
+    const travelDays = findTravelDays(appState).filter(date => !isArchivedDate(appState, date));
+
+    if (travelDays.length > 0) {
+        if (!appState.restDays) appState.restDays = {};
+        travelDays.forEach(date => {
+            appState.restDays[date] = TRAVEL_DAY;
+            markChanged('days', date);
+        });
+        updateXP(travelDays[0]);
+        console.log(`[State] Marked ${travelDays.length} travel day(s) after moving to ${timeZone}.`);
+    }
+    if (previousToday !== today && appState.currentDate === previousToday) updateCurrentDate(today);
+
+    if (travelDays.length > 0) {
+        appState.lastSeenDay = { date: today, timeZone };
+        saveState('addTravelDays', { dates: travelDays, timeZone });
+    } else if (previousToday !== today || appState.lastSeenDay?.timeZone !== timeZone) {
+        appState.lastSeenDay = { date: today, timeZone };
+        saveState('recordLastSeenDay', { date: today, timeZone });
+    }
+    return { today, previousToday, travelDays };
+}
+
+/**
+ * Sets the hour the new day starts at. The Daily Log follows "today" if it was showing it.
+ * @param {number} hour - An hour from ROLLOVER_HOURS (0 = midnight).
+ */
+export function setDayRolloverHour(hour) {
+    if (!ROLLOVER_HOURS.includes(hour)) return;
+    const previousToday = getToday(appState);
+    appState.dayRolloverHour = hour;
+    const today = getToday(appState);
+    if (appState.currentDate === previousToday) updateCurrentDate(today);
+    appState.lastSeenDay = { date: today, timeZone: getTimeZone() };
+    saveState('setDayRolloverHour', { hour });
+}
+
 export function togglePillarStatus(pillarId, dateString) {
+    if (isArchivedDate(appState, dateString)) return !!appState.pillars[pillarId]?.days?.[dateString];
     if (!appState.pillars[pillarId]) appState.pillars[pillarId] = { days: {} };
+    const before = captureHistoryTarget('day', dateString);
     const newStatus = !appState.pillars[pillarId].days[dateString];
     appState.pillars[pillarId].days[dateString] = newStatus;
-    saveState('togglePillar');
+    // Unchecking also clears the day's amount, so it can't still read as reaching the minimum, and its tags
+    if (!newStatus && getAmount(appState, pillarId, dateString) > 0) appState.pillars[pillarId].amounts[dateString] = 0;
+    if (!newStatus && getDayTags(appState, pillarId, dateString).length > 0) delete appState.pillars[pillarId].tags[dateString];
+    updatePillarTime(appState.pillars[pillarId], dateString);
+    markChanged('days', dateString);
+    if (appState.savedDays[dateString]) updateXP(dateString);
+    recordHistoryStep('pillar toggle', 'day', dateString, before);
+    saveState('togglePillar', { pillarId, date: dateString, value: newStatus });
     return newStatus;
 }
 
+/**
+ * Adds to (or, with a negative delta, takes from) the amount logged for a pillar on a date.
+ * Reaching the pillar's minimum checks the pillar; dropping back below it unchecks it
+ * (a pillar checked by hand stays checked while the amount is below the minimum).
+ * @param {string} pillarId - A pillar with quantity logging (see quantities.js).
+ * @param {string} dateString - The date ('YYYY-MM-DD').
+ * @param {number} delta - The amount to add.
+ * @returns {{amount: number, done: boolean}|null} The new amount and check, or null if nothing changed.
+ */
+export function addPillarAmount(pillarId, dateString, delta) {
+    const settings = getQuantitySettings(appState, pillarId);
+    if (!settings || isArchivedDate(appState, dateString) || !Number.isFinite(delta)) return null;
+    if (!appState.pillars[pillarId]) appState.pillars[pillarId] = { days: {} };
+    const pillarData = appState.pillars[pillarId];
+    const previous = getAmount(appState, pillarId, dateString);
+    const amount = Math.min(MAX_AMOUNT, Math.max(0, previous + delta));
+    if (amount === previous) return null;
+
+    const before = captureHistoryTarget('day', dateString);
+    pillarData.amounts = pillarData.amounts || {};
+    pillarData.amounts[dateString] = amount;
+    const wasDone = isAmountDone(settings, previous);
+    const isDone = isAmountDone(settings, amount);
+    if (wasDone !== isDone) pillarData.days[dateString] = isDone;
+    updatePillarTime(pillarData, dateString);
+    markChanged('days', dateString);
+    if (appState.savedDays[dateString]) updateXP(dateString);
+    recordHistoryStep('amount change', 'day', dateString, before);
+    saveState('updatePillarAmount', { pillarId, date: dateString, value: amount });
+    return { amount, done: !!pillarData.days[dateString] };
+}
+
+/**
+ * Adds a sub-activity tag to (or removes it from) a pillar's entry on a date.
+ * Adding a tag checks the pillar; a tag that isn't in the pillar's tag list yet is added to it.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} dateString - The date ('YYYY-MM-DD').
+ * @param {string} tag - The tag (see tags.checkTag).
+ * @returns {{tags: Array<string>, done: boolean, error: string|null}|null} The day's tags and check (or an error message),
+ *          or null if nothing changed.
+ */
+export function togglePillarTag(pillarId, dateString, tag) {
+    if (isArchivedDate(appState, dateString)) return null;
+    const { tag: cleanTag, error } = checkTag(tag);
+    if (error) return { tags: getDayTags(appState, pillarId, dateString), done: !!appState.pillars[pillarId]?.days?.[dateString], error };
+    if (!cleanTag) return null;
+    const tagList = getTagList(appState, pillarId);
+    const isNewTag = !tagList.some(t => isSameTag(t, cleanTag));
+    if (isNewTag && tagList.length >= MAX_TAGS_PER_PILLAR) {
+        return { tags: getDayTags(appState, pillarId, dateString), done: !!appState.pillars[pillarId]?.days?.[dateString], error: `A pillar can have up to ${MAX_TAGS_PER_PILLAR} tags. Remove some in Settings > Manage Pillars.` };
+    }
+    if (!appState.pillars[pillarId]) appState.pillars[pillarId] = { days: {} };
+    const pillarData = appState.pillars[pillarId];
+
+    const before = captureHistoryTarget('day', dateString);
+    const dayTags = getDayTags(appState, pillarId, dateString);
+    const isRemoving = dayTags.some(t => isSameTag(t, cleanTag));
+    const tags = isRemoving ? dayTags.filter(t => !isSameTag(t, cleanTag)) : [...dayTags, cleanTag];
+    pillarData.tags = pillarData.tags || {};
+    if (tags.length > 0) pillarData.tags[dateString] = tags;
+    else delete pillarData.tags[dateString];
+    if (!isRemoving) pillarData.days[dateString] = true; // A tagged entry is a logged entry
+    updatePillarTime(pillarData, dateString);
+    // The tag list is a setting, so undoing keeps a tag added here (it is only removed in the pillar manager)
+    if (isNewTag) appState.pillarTags = { ...(appState.pillarTags || {}), [pillarId]: [...tagList, cleanTag] };
+    markChanged('days', dateString);
+    if (appState.savedDays[dateString]) updateXP(dateString);
+    recordHistoryStep('tag change', 'day', dateString, before);
+    saveState('updatePillarTags', { pillarId, date: dateString, value: tags });
+    return { tags, done: !!pillarData.days[dateString], error: null };
+}
+
+/**
+ * Sets (or, with an empty time, clears) the time a checked pillar was done on a date.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} dateString - The date ('YYYY-MM-DD').
+ * @param {string} time - The local time as 'HH:MM', or '' for unknown.
+ * @returns {boolean} True if the time changed.
+ */
+export function setPillarTime(pillarId, dateString, time) {
+    const pillarData = appState.pillars[pillarId];
+    if (isArchivedDate(appState, dateString) || !pillarData?.days?.[dateString]) return false;
+    if (time && !isValidTime(time)) return false;
+    if ((pillarData.times?.[dateString] || '') === (time || '')) return false;
+
+    const before = captureHistoryTarget('day', dateString);
+    pillarData.times = pillarData.times || {};
+    if (time) pillarData.times[dateString] = time;
+    else delete pillarData.times[dateString];
+    markChanged('days', dateString);
+    recordHistoryStep('time change', 'day', dateString, before);
+    saveState('updatePillarTime', { pillarId, date: dateString, value: time || null });
+    return true;
+}
+
 export function updateMood(dateString, level) {
+    if (isArchivedDate(appState, dateString)) return;
+    const before = captureHistoryTarget('day', dateString);
     if (level === 0) delete appState.mood[dateString];
     else appState.mood[dateString] = level;
-    saveState('updateMood');
+    markChanged('days', dateString);
+    if (appState.savedDays[dateString]) updateXP(dateString);
+    recordHistoryStep('mood change', 'day', dateString, before);
+    saveState('updateMood', { date: dateString, level });
+}
+
+/**
+ * Sets (or, with level 0, clears) a wellbeing level for a date. The Daily Mood is set with updateMood.
+ * @param {string} dateString - The date ('YYYY-MM-DD').
+ * @param {string} checkIn - 'day', 'morning' or 'evening'.
+ * @param {string} scale - A scale of that check-in (see wellbeing.CHECK_INS).
+ * @param {number} level - 1 to 5, or 0 to clear.
+ * @returns {boolean} True if the level changed.
+ */
+export function updateWellbeing(dateString, checkIn, scale, level) {
+    if (isArchivedDate(appState, dateString) || !CHECK_INS[checkIn]?.scales.includes(scale)) return false;
+    if (level !== 0 && !isValidLevel(level)) return false;
+    const current = appState.wellbeing?.[dateString] || {};
+    const target = checkIn === 'day' ? current : (current[checkIn] || {});
+    if ((target[scale] || 0) === level) return false;
+
+    const before = captureHistoryTarget('day', dateString);
+    const updated = JSON.parse(JSON.stringify(current));
+    const updatedTarget = checkIn === 'day' ? updated : (updated[checkIn] = updated[checkIn] || {});
+    if (level === 0) delete updatedTarget[scale];
+    else updatedTarget[scale] = level;
+    if (checkIn !== 'day' && Object.keys(updatedTarget).length === 0) delete updated[checkIn];
+    appState.wellbeing = appState.wellbeing || {};
+    if (Object.keys(updated).length > 0) appState.wellbeing[dateString] = updated;
+    else delete appState.wellbeing[dateString];
+    markChanged('days', dateString);
+    recordHistoryStep('wellbeing change', 'day', dateString, before);
+    saveState('updateWellbeing', { date: dateString, checkIn, scale, level });
+    return true;
+}
+
+/**
+ * Marks or clears a planned rest day. Only today, future days and missed past days can be changed
+ * (saved and archived days cannot), and only today or future days can be newly marked.
+ * @param {string} dateString - The day ('YYYY-MM-DD').
+ * @returns {boolean|null} True if the day is now a rest day, false if cleared, or null if it cannot be changed.
+ */
+export function toggleRestDay(dateString) {
+    if (appState.savedDays[dateString] || isArchivedDate(appState, dateString)) return null;
+    if (!appState.restDays) appState.restDays = {};
+    const isRestDay = !appState.restDays[dateString];
+    if (isRestDay && dateString < getToday(appState)) return null; // Rest days are planned in advance
+    const before = captureHistoryTarget('day', dateString);
+    if (isRestDay) appState.restDays[dateString] = true;
+    else delete appState.restDays[dateString];
+    markChanged('days', dateString);
+    updateXP(dateString);
+    recordHistoryStep(isRestDay ? 'rest day' : 'rest day removal', 'day', dateString, before);
+    saveState('toggleRestDay', { date: dateString, value: isRestDay });
+    return isRestDay;
 }
 
+/**
+ * Adds an entry to the timeline. A note gets an ID, its creation time and, unless given, the day it
+ * is about (the date shown in the Daily Log, which may be a past day).
+ * @param {object} entry - The timeline entry.
+ * @returns {boolean} False if the note is about a day in an archived year.
+ */
 export function addTimelineEntry(entry) {
     if (!appState.timeline) appState.timeline = [];
     if (entry.type === 'note') {
         entry.noteId = crypto.randomUUID();
-        // Note XP is handled in recalculateTotalXP
+        entry.createdAt = new Date().toISOString();
+        if (!entry.entryDate) entry.entryDate = appState.currentDate;
+        if (isArchivedDate(appState, entry.entryDate)) return false;
     }
     appState.timeline.unshift(entry);
-    recalculateTotalXP(); // Recalculate to include new note XP
-    saveState('addTimelineEntry');
+    markChanged('timeline', getTimelineEntryKey(entry));
+    // Achievement entries are undone together with the action that unlocked them
+    if (entry.type === 'note') recordHistoryStep('new note', 'note', entry.noteId, null);
+    updateXP(); // Include the new note's XP
+    saveState('addTimelineEntry', { type: entry.type, noteId: entry.noteId, date: entry.entryDate, achievementId: entry.achievementId });
+    return true;
 }
 
 export function updateNoteInTimeline(noteId, newText) {
     const entry = appState.timeline.find(e => e.type === 'note' && e.noteId === noteId);
-    if (entry) {
+    if (entry && !isArchivedDate(appState, getTimelineEntryDate(entry))) {
+        const before = captureHistoryTarget('note', noteId);
         entry.text = newText;
         entry.updatedAt = new Date().toISOString();
-        saveState('updateNoteInTimeline');
+        markChanged('timeline', getTimelineEntryKey(entry));
+        recordHistoryStep('note edit', 'note', noteId, before);
+        saveState('updateNoteInTimeline', { noteId });
         return true;
     }
     return false;
 }
 
 export function deleteNoteFromTimeline(noteId) {
+    const entry = appState.timeline.find(e => e.type === 'note' && e.noteId === noteId);
+    if (entry && isArchivedDate(appState, getTimelineEntryDate(entry))) return false;
+    const before = captureHistoryTarget('note', noteId);
     appState.timeline = appState.timeline.filter(e => !(e.type === 'note' && e.noteId === noteId));
-    recalculateTotalXP(); // Recalculate to remove note XP
-    saveState('deleteNoteFromTimeline');
+    markChanged('timeline', getTimelineEntryKey({ type: 'note', noteId }));
+    if (before) recordHistoryStep('note deletion', 'note', noteId, before);
+    updateXP(); // Remove the note's XP
+    saveState('deleteNoteFromTimeline', { noteId });
     return true;
 }
 
 export function prestigeLevel() {
-    const levelData = calculateLevelData(appState.totalXP, appState.prestige);
+    const levelData = calculateLevelData(appState.totalXP, appState.prestige, getXPRules(appState));
     if (levelData.level >= 100) {
         appState.prestige++;
         // Add timeline entry
-        appState.timeline.unshift({ type: 'prestige', date: new Date().toISOString(), prestigeLevel: appState.prestige });
+        const prestigeEntry = { type: 'prestige', date: new Date().toISOString(), prestigeLevel: appState.prestige };
+        appState.timeline.unshift(prestigeEntry);
+        markChanged('timeline', getTimelineEntryKey(prestigeEntry));
         // Note: totalXP will be recalculated based on history, but calculation logic for *level* handles prestige scaling.
         // However, traditionally prestige resets XP. In this non-destructive model, we might just increase the requirement.
         // If we want to strictly reset XP to 0 visually, we need to offset the calculation or clear history (bad).
         // The 'calculateLevelData' utility handles the math using Total XP vs Prestige Rank.
         // So we simply save the new prestige rank.
         appState.level100ToastShownForCycle = null;
-        saveState('prestige');
+        saveState('prestige', { prestige: appState.prestige });
         return true;
     }
     return false;
 }
 
 export function saveDay(dateString) {
-    if (appState.savedDays[dateString]) return false;
+    if (appState.savedDays[dateString] || isArchivedDate(appState, dateString)) return false;
+    const before = captureHistoryTarget('day', dateString);
     appState.savedDays[dateString] = true;
-    recalculateTotalXP(); // Full recalculation ensures correct values
-    saveState('saveDay');
+    markChanged('days', dateString);
+    recordHistoryStep('day save', 'day', dateString, before);
+    updateXP(dateString); // Adds this day and updates the streak of the saved days after it
+    saveState('saveDay', { date: dateString });
     return true;
 }
 
 export function unlockDayEntry(dateString) {
-    if (!appState.savedDays[dateString]) return false;
+    if (!appState.savedDays[dateString] || isArchivedDate(appState, dateString)) return false;
+    const before = captureHistoryTarget('day', dateString);
     delete appState.savedDays[dateString];
-    recalculateTotalXP(); // Deducts XP by recalculating history without this day
-    saveState('unlockDay');
+    markChanged('days', dateString);
+    recordHistoryStep('day unlock', 'day', dateString, before);
+    updateXP(dateString); // Removes this day and updates the streak of the saved days after it
+    saveState('unlockDay', { date: dateString });
     return true;
 }
 
-// --- Helper: Retroactive XP Calculation ---
+/**
+ * Writes days imported from another habit tracker (see csv.buildCSVImport) into the history.
+ * Days already logged are merged: imported checks are added (none are removed), an existing mood is
+ * kept, and a note is only added if the day has no note with the same text. A day is saved if it has a
+ * pillar check or a mood afterwards (as when saving it by hand); notes alone leave it unsaved. Days with
+ * entries that aren't saved yet are skipped, so the import never saves a day the user is still filling in.
+ * XP is recalculated from the earliest imported day. Undo history is cleared, since an import
+ * can't be undone step by step.
+ * Only days whose checks, mood or saved status changed count as imported; days that only got notes
+ * and days the file had nothing new for are counted separately.
+ * @param {Array<{date: string, pillars: Array<string>, mood: number|null, notes: Array<string>}>} days - The days to import.
+ * @param {string} [source=''] - The imported file's name, recorded in the action log.
+ * @returns {{days: number, notes: number, notesOnlyDays: number, unchangedDays: number}} How many days and notes were written,
+ *     how many days only got notes and how many were left as they were.
+ */
+export function importHistoryDays(days, source = '') {
+    if (!appState.timeline) appState.timeline = [];
+    const result = { days: 0, notes: 0, notesOnlyDays: 0, unchangedDays: 0 };
+    let earliestDate = null;
+    days.forEach(({ date, pillars, mood, notes }) => {
+        if (isArchivedDate(appState, date) || hasUnsavedEntries(appState, date)) return;
+        let dayChanged = false;
+        pillars.forEach(pillarId => {
+            if (!appState.pillars[pillarId]) appState.pillars[pillarId] = { days: {} };
+            appState.pillars[pillarId].days = appState.pillars[pillarId].days || {};
+            if (appState.pillars[pillarId].days[date]) return;
+            appState.pillars[pillarId].days[date] = true;
+            dayChanged = true;
+        });
+        if (mood && !appState.mood[date]) {
+            appState.mood[date] = mood;
+            dayChanged = true;
+        }
+        const existingNotes = appState.timeline.filter(e => e.type === 'note' && getTimelineEntryDate(e) === date).map(e => e.text);
+        const newNotes = notes.filter(text => !existingNotes.includes(text));
+        newNotes.forEach(text => {
+            const entry = { type: 'note', text, noteId: crypto.randomUUID(), createdAt: new Date().toISOString(), entryDate: date };
+            appState.timeline.unshift(entry);
+            markChanged('timeline', getTimelineEntryKey(entry));
+        });
+        result.notes += newNotes.length;
+        if (!appState.savedDays[date] && (Object.values(appState.pillars).some(pillarData => pillarData?.days?.[date]) || appState.mood[date])) {
+            appState.savedDays[date] = true;
+            dayChanged = true;
+        }
+        if (dayChanged) {
+            markChanged('days', date);
+            result.days++;
+            if (!earliestDate || date < earliestDate) earliestDate = date;
+        } else if (newNotes.length > 0) {
+            result.notesOnlyDays++;
+        } else {
+            result.unchangedDays++;
+        }
+    });
+    if (result.days === 0 && result.notes === 0) return result;
+    updateXP(earliestDate); // Totals include the new notes' XP even when no day was written
+    clearHistory();
+    saveState('importCSV', { ...result, source });
+    console.log(`[State] Imported ${result.days} day(s) and ${result.notes} note(s) from CSV (${result.notesOnlyDays} day(s) only got notes, ${result.unchangedDays} unchanged).`);
+    return result;
+}
 
 /**
- * Recalculates the total XP and Streak from scratch based on the saved history.
- * This prevents "XP farming" by locking/unlocking days and ensures data consistency.
+ * Moves a completed year's logs and timeline entries into a compressed, read-only archive.
+ * The archived data stays in memory, so it still counts toward XP, streaks and achievements.
+ * Undo history is cleared, since its steps may point into the archived year.
+ * @param {number} year - The year to archive (must be before the current year).
+ * @returns {Promise<object>} What was archived (see storage.archiveYear).
+ * @throws {Error} If the year cannot be archived.
  */
-function recalculateTotalXP() {
-    let calculatedXP = 0;
-    
-    // 1. Calculate XP from Notes
-    if (Array.isArray(appState.timeline)) {
-        const noteCount = appState.timeline.filter(e => e.type === 'note').length;
-        calculatedXP += (noteCount * XP_PER_NOTE);
+export async function archiveCompletedYear(year) {
+    if (!Number.isInteger(year) || year >= Number(getToday(appState).slice(0, 4))) throw new Error("Only completed years can be archived.");
+    const result = await archiveYear(year);
+    appState.archivedYears = [...new Set([...(appState.archivedYears || []), year])].sort((a, b) => a - b);
+    clearHistory();
+    console.log(`[State] Archived ${year}.`);
+    return result;
+}
+
+/**
+ * Keeps a pillar's time in line with its check: a check on the current day records the local time
+ * (unless one is set already), and unchecking clears it. A check on another day says nothing about
+ * when the pillar was done, so its time stays unknown until the user enters it.
+ */
+function updatePillarTime(pillarData, dateString) {
+    if (!pillarData.days?.[dateString]) {
+        if (pillarData.times) delete pillarData.times[dateString];
+    } else if (!pillarData.times?.[dateString] && dateString === getToday(appState)) {
+        pillarData.times = pillarData.times || {};
+        pillarData.times[dateString] = getLocalTimeString();
     }
+}
 
-    // 2. Calculate XP from Days (Pillars + Mood + Streak Bonus)
-    // We must iterate chronologically to calculate the streak bonus correctly for each day
-    const sortedDates = Object.keys(appState.savedDays || {}).sort();
-    let currentIterativeStreak = 0;
-    
-    // Mood multipliers
-    const moodMultipliers = { 1: 0.8, 2: 0.9, 3: 1.0, 4: 1.1, 5: 1.2 };
-
-    sortedDates.forEach((dateStr, index) => {
-        // A. Update Streak Counter for this specific day in history
-        const thisDate = new Date(dateStr + 'T00:00:00Z');
-        if (index > 0) {
-            const prevDate = new Date(sortedDates[index - 1] + 'T00:00:00Z');
-            const diffTime = Math.abs(thisDate - prevDate);
-            const diffDays = Math.ceil(diffTime / ONE_DAY_MS); 
-            
-            if (diffDays === 1) {
-                currentIterativeStreak++;
-            } else {
-                currentIterativeStreak = 1;
-            }
-        } else {
-            currentIterativeStreak = 1;
-        }
+// --- XP Ledger ---
 
-        // B. Calculate Base Pillar XP for this day
-        let dailyPillarXP = 0;
-        PILLARS.forEach(p => {
-            if (appState.pillars[p.id]?.days?.[dateStr]) {
-                dailyPillarXP += XP_PER_PILLAR;
-            }
-        });
+/**
+ * Updates the XP ledger from a changed date forward and refreshes the XP total and streak.
+ * Ledger entries that change are marked, so they are saved with their day records.
+ * @param {string|null} [fromDate=null] - The earliest date whose XP may have changed (null if only notes changed).
+ */
+function updateXP(fromDate = null) {
+    if (fromDate) updateXPLedger(appState, fromDate).forEach(date => markChanged('days', date));
+    const { totalXP, streak, freezeTokens } = summarizeXPLedger(appState);
+    appState.totalXP = totalXP;
+    appState.streak = streak;
+    appState.freezeTokens = freezeTokens;
+}
 
-        // C. Calculate Bonus
-        const streakBonus = Math.floor(currentIterativeStreak / STREAK_BONUS_DIVISOR);
-        
-        // D. Apply Mood Multiplier
-        const moodLevel = appState.mood[dateStr];
-        const multiplier = moodLevel ? (moodMultipliers[moodLevel] || 1.0) : 1.0;
+/**
+ * Repairs the XP ledger if its stamp shows it was built by another version of the calculation or
+ * with other XP rules. Otherwise the stored ledger is used as it is: the full recalculation only
+ * runs on request (verifyXPLedgerState, repairXPLedgerState) or when the stamp differs.
+ */
+function ensureXPLedger() {
+    if (isXPLedgerCurrent(appState)) {
+        updateXP();
+        return;
+    }
+    const changedDates = repairXPLedger(appState);
+    changedDates.forEach(date => markChanged('days', date));
+    updateXP();
+    saveState('repairXPLedger', { days: changedDates.length }); // Also stores the new stamp
+    console.warn(`[State] XP ledger was built by another version or with other XP rules; rebuilt ${changedDates.length} day(s).`);
+}
 
-        // E. Finalize Day XP
-        const dayTotal = Math.round((dailyPillarXP + streakBonus) * multiplier);
-        calculatedXP += dayTotal;
-    });
+/**
+ * Compares the XP ledger with a full recalculation of the saved history.
+ * @returns {{matches: boolean, differences: Array<string>}} The dates whose ledger entries are wrong.
+ */
+export function verifyXPLedgerState() {
+    return verifyXPLedger(appState);
+}
 
-    // Update State
-    appState.totalXP = calculatedXP;
-    appState.streak = currentIterativeStreak; // The streak at the end of the loop is the current streak
+/**
+ * Rebuilds the XP ledger from the saved history and saves the corrected days.
+ * @returns {number} The number of days whose ledger entry was corrected.
+ */
+export function repairXPLedgerState() {
+    const changedDates = repairXPLedger(appState);
+    changedDates.forEach(date => markChanged('days', date));
+    updateXP();
+    saveState('repairXPLedger', { days: changedDates.length });
+    console.log(`[State] XP ledger repaired (${changedDates.length} day(s) corrected).`);
+    return changedDates.length;
+}
+
+/**
+ * Switches to another XP rules preset and recalculates the XP of every saved day with it.
+ * The result only depends on the saved history and the preset, so switching back restores the previous XP.
+ * @param {string} presetId - A key of XP_RULE_PRESETS.
+ * @returns {boolean} False if this preset is already active.
+ */
+export function setXPRulesPreset(presetId) {
+    if (getXPRules(appState).preset === presetId) return false;
+    appState.xpRules = createXPRules(presetId);
+    repairXPLedger(appState).forEach(date => markChanged('days', date));
+    updateXP();
+    saveState('setXPRules', { preset: presetId });
+    console.log(`[State] XP rules switched to "${presetId}" (total XP now ${appState.totalXP}).`);
+    return true;
+}
+
+// --- Custom Pillars ---
+
+/**
+ * Adds a custom pillar (created and checked with pillars.createCustomPillar).
+ * @param {object} pillar - The pillar definition.
+ * @returns {boolean} False if a pillar with this ID already exists.
+ */
+export function addCustomPillar(pillar) {
+    if (getPillars(appState).some(p => p.id === pillar.id)) return false;
+    appState.customPillars = [...getCustomPillars(appState), pillar];
+    if (!appState.pillars[pillar.id]) appState.pillars[pillar.id] = { days: {} };
+    saveState('addCustomPillar', { customPillarId: pillar.id, label: pillar.name });
+    return true;
+}
+
+/**
+ * Deletes a custom pillar. Only call this when pillars.getCustomPillarDeleteBlocker allows it
+ * (the pillar has no logged days), so no history is lost.
+ * @param {string} pillarId - The custom pillar's ID.
+ * @returns {boolean} False if there is no custom pillar with this ID.
+ */
+export function deleteCustomPillar(pillarId) {
+    const pillar = getCustomPillars(appState).find(p => p.id === pillarId);
+    if (!pillar) return false;
+    appState.customPillars = getCustomPillars(appState).filter(p => p.id !== pillarId);
+    delete appState.pillars[pillarId];
+    if (appState.pillarQuantities) delete appState.pillarQuantities[pillarId];
+    if (appState.pillarTags) delete appState.pillarTags[pillarId];
+    saveState('deleteCustomPillar', { customPillarId: pillarId, label: pillar.name });
+    return true;
+}
+
+/**
+ * Applies the edits made on the pillar management screen (display overrides, statuses, quantity logging and tag lists).
+ * @param {Array<object>} edits - The edited pillars, see pillars.resolvePillarEdits.
+ * @returns {string|null} An error message if the edits were rejected (nothing is changed then).
+ */
+export function updatePillarSettings(edits) {
+    const { pillarOverrides, customPillars, pillarStatus, pillarQuantities, pillarTags, error } = resolvePillarEdits(appState, edits);
+    if (error) return error;
+    appState.pillarOverrides = pillarOverrides;
+    appState.customPillars = customPillars;
+    appState.pillarStatus = pillarStatus;
+    appState.pillarQuantities = pillarQuantities;
+    appState.pillarTags = pillarTags;
+    saveState('updatePillars');
+    return null;
 }
 
 // --- Passthrough Setters ---
@@ -359,6 +883,8 @@ export function setSimpleModePillarCount(c) { appState.simpleModePillarCount = c
 export function setSimpleModePillars(p) { appState.simpleModePillars = p; saveState('setSimpleModePillars'); }
 export function setOnboardingComplete(c) { appState.isOnboardingComplete = c; saveState('setOnboardingComplete'); }
 export function setShowPlanner(s) { appState.showPlanner = s; saveState('setShowPlanner'); }
+export function setStreakSettings(mode, target) { appState.streakMode = mode; appState.weeklyStreakTarget = target; saveState('setStreakSettings', { mode, target }); }
+export function setWeekStartDay(day) { if (WEEK_START_DAYS[day]) { appState.weekStartDay = day; saveState('setWeekStartDay', { day }); } }
 export function setLevel100ToastShown(c) { appState.level100ToastShownForCycle = c; saveState('setLevel100ToastShown'); }
 export function setLastBackupReminderShown() { appState.lastBackupReminderShown = new Date().toISOString(); saveState('setLastBackupReminderShown'); }
 export function setLastDataExportTime() { appState.lastDataExportTime = new Date().toISOString(); saveState('setLastDataExportTime'); }
@@ -366,10 +892,158 @@ export function unlockAchievement(id) {
     if (!appState.achievements[id].unlocked) {
         appState.achievements[id].unlocked = true; 
         appState.achievements[id].date = new Date().toISOString();
-        addTimelineEntry({ type: 'achievement', date: new Date().toISOString(), achievementId: id });
+        const timelineEntry = { type: 'achievement', date: new Date().toISOString(), achievementId: id };
+        addTimelineEntry(timelineEntry);
+        // Undoing the action that unlocked this achievement locks it again
+        openHistoryStep?.achievements.push({ id, date: appState.achievements[id].date, timelineEntry: { ...timelineEntry } });
         return true;
     }
     return false;
 }
-export function saveHabitPlan(p) { appState.habitPlans = appState.habitPlans || {}; appState.habitPlans[p.id] = p; saveState('saveHabitPlan'); return true; }
-export function deleteHabitPlan(id) { delete appState.habitPlans[id]; saveState('deleteHabitPlan'); return true; }
+export function saveHabitPlan(p) { appState.habitPlans = appState.habitPlans || {}; const before = captureHistoryTarget('plan', p.id); appState.habitPlans[p.id] = p; recordHistoryStep('habit plan save', 'plan', p.id, before); saveState('saveHabitPlan', { planId: p.id }); return true; }
+export function deleteHabitPlan(id) { const before = captureHistoryTarget('plan', id); delete appState.habitPlans[id]; if (before) recordHistoryStep('habit plan deletion', 'plan', id, before); saveState('deleteHabitPlan', { planId: id }); return true; }
+
+// --- Undo/Redo History ---
+
+/**
+ * Snapshot/restore functions for each kind of record an undoable mutation touches.
+ * A snapshot of null means the record did not exist.
+ */
+const HISTORY_TARGETS = {
+    day: {
+        capture(date) {
+            const pillars = {};
+            const entries = Object.fromEntries(PILLAR_ENTRY_KEYS.map(mapKey => [mapKey, {}]));
+            Object.keys(appState.pillars || {}).forEach(id => {
+                const days = appState.pillars[id]?.days;
+                if (days && Object.prototype.hasOwnProperty.call(days, date)) pillars[id] = days[date];
+                PILLAR_ENTRY_KEYS.forEach(mapKey => {
+                    const values = appState.pillars[id]?.[mapKey];
+                    if (values && Object.prototype.hasOwnProperty.call(values, date)) entries[mapKey][id] = JSON.parse(JSON.stringify(values[date]));
+                });
+            });
+            const wellbeing = appState.wellbeing?.[date];
+            return { pillars, entries, mood: appState.mood[date], wellbeing: wellbeing && JSON.parse(JSON.stringify(wellbeing)), saved: appState.savedDays[date], rest: appState.restDays?.[date] };
+        },
+        restore(date, snapshot) {
+            Object.keys(appState.pillars || {}).forEach(id => {
+                if (!appState.pillars[id]?.days) return;
+                if (Object.prototype.hasOwnProperty.call(snapshot.pillars, id)) appState.pillars[id].days[date] = snapshot.pillars[id];
+                else delete appState.pillars[id].days[date];
+                PILLAR_ENTRY_KEYS.forEach(mapKey => {
+                    const snapshotValues = snapshot.entries?.[mapKey] || {};
+                    if (Object.prototype.hasOwnProperty.call(snapshotValues, id)) {
+                        appState.pillars[id][mapKey] = appState.pillars[id][mapKey] || {};
+                        appState.pillars[id][mapKey][date] = JSON.parse(JSON.stringify(snapshotValues[id]));
+                    } else if (appState.pillars[id][mapKey]) {
+                        delete appState.pillars[id][mapKey][date];
+                    }
+                });
+            });
+            if (snapshot.mood === undefined) delete appState.mood[date]; else appState.mood[date] = snapshot.mood;
+            if (!appState.wellbeing) appState.wellbeing = {};
+            if (snapshot.wellbeing === undefined) delete appState.wellbeing[date]; else appState.wellbeing[date] = JSON.parse(JSON.stringify(snapshot.wellbeing));
+            if (snapshot.saved === undefined) delete appState.savedDays[date]; else appState.savedDays[date] = snapshot.saved;
+            if (!appState.restDays) appState.restDays = {};
+            if (snapshot.rest === undefined) delete appState.restDays[date]; else appState.restDays[date] = snapshot.rest;
+            markChanged('days', date);
+        }
+    },
+    note: {
+        capture(noteId) {
+            const index = appState.timeline.findIndex(e => e.type === 'note' && e.noteId === noteId);
+            return index === -1 ? null : { index, entry: { ...appState.timeline[index] } };
+        },
+        restore(noteId, snapshot) {
+            appState.timeline = appState.timeline.filter(e => !(e.type === 'note' && e.noteId === noteId));
+            if (snapshot) appState.timeline.splice(Math.min(snapshot.index, appState.timeline.length), 0, { ...snapshot.entry });
+            markChanged('timeline', getTimelineEntryKey({ type: 'note', noteId }));
+        }
+    },
+    plan: {
+        capture(planId) {
+            const plan = appState.habitPlans?.[planId];
+            return plan ? JSON.parse(JSON.stringify(plan)) : null;
+        },
+        restore(planId, snapshot) {
+            appState.habitPlans = appState.habitPlans || {};
+            if (snapshot) appState.habitPlans[planId] = JSON.parse(JSON.stringify(snapshot));
+            else delete appState.habitPlans[planId];
+        }
+    }
+};
+
+function captureHistoryTarget(kind, key) {
+    return HISTORY_TARGETS[kind].capture(key);
+}
+
+/**
+ * Pushes an undo step for a mutation that has just been applied, and clears the redo stack.
+ * Achievements unlocked later in the same task (e.g. by checkAchievements after saveDay) attach to this step.
+ * @param {string} label - Human readable description used in toasts (e.g. 'day save').
+ * @param {'day'|'note'|'plan'} kind - The kind of record that changed.
+ * @param {string} key - The date, note ID or plan ID.
+ * @param {object|null} before - Snapshot taken before the mutation.
+ */
+function recordHistoryStep(label, kind, key, before) {
+    const step = { label, kind, key, before, after: captureHistoryTarget(kind, key), achievements: [] };
+    undoStack.push(step);
+    if (undoStack.length > MAX_HISTORY_STEPS) undoStack.shift();
+    redoStack = [];
+    openHistoryStep = step;
+    setTimeout(() => { if (openHistoryStep === step) openHistoryStep = null; }, 0);
+}
+
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    openHistoryStep = null;
+}
+
+/**
+ * Reverts the most recent undoable mutation, re-locking any achievements it unlocked.
+ * XP and streak are recalculated from the restored history.
+ * @returns {string|null} The label of the undone step, or null if there was nothing to undo.
+ */
+export function undoLastAction() {
+    const step = undoStack.pop();
+    if (!step) return null;
+    openHistoryStep = null;
+    HISTORY_TARGETS[step.kind].restore(step.key, step.before);
+    step.achievements.forEach(({ id, timelineEntry }) => {
+        if (appState.achievements[id]) {
+            appState.achievements[id].unlocked = false;
+            appState.achievements[id].date = null;
+        }
+        const entryKey = getTimelineEntryKey(timelineEntry);
+        appState.timeline = appState.timeline.filter(e => getTimelineEntryKey(e) !== entryKey);
+        markChanged('timeline', entryKey);
+    });
+    redoStack.push(step);
+    updateXP(step.kind === 'day' ? step.key : null);
+    saveState('undo', { label: step.label, kind: step.kind, key: step.key });
+    return step.label;
+}
+
+/**
+ * Re-applies the most recently undone mutation, including the achievements it had unlocked.
+ * @returns {string|null} The label of the redone step, or null if there was nothing to redo.
+ */
+export function redoLastAction() {
+    const step = redoStack.pop();
+    if (!step) return null;
+    openHistoryStep = null;
+    HISTORY_TARGETS[step.kind].restore(step.key, step.after);
+    step.achievements.forEach(({ id, date, timelineEntry }) => {
+        if (appState.achievements[id]) {
+            appState.achievements[id].unlocked = true;
+            appState.achievements[id].date = date;
+        }
+        appState.timeline.unshift({ ...timelineEntry });
+        markChanged('timeline', getTimelineEntryKey(timelineEntry));
+    });
+    undoStack.push(step);
+    updateXP(step.kind === 'day' ? step.key : null);
+    saveState('redo', { label: step.label, kind: step.kind, key: step.key });
+    return step.label;
+}
@@ -0,0 +1,1417 @@
+// storage.js
+
+/**
+ * Persistence layer for the WellSpring application state.
+ * Stores the state in IndexedDB as separate records (one per day, timeline entry,
+ * achievement, habit plan and setting) so a change only rewrites the records it touched.
+ * Migrates the legacy single localStorage blob on first run, and falls back to that
+ * blob if IndexedDB is not available in the browser.
+ * Every write is also appended to an action log (action name, timestamp, payload and the
+ * record changes), so the stored state can be audited and rebuilt by replaying the log.
+ * The log can be compacted on request: events keep their action, time, payload and dates,
+ * but drop their record copies, and a snapshot of the current data becomes the replay start.
+ * Each local profile (profiles.js) has its own database; this tab uses the active profile's.
+ * Records carry change timestamps (day records per field), and writes are merged into what is
+ * stored: only the fields this tab changed are written, so concurrent edits from other tabs are kept.
+ * Other tabs are told which records changed over a BroadcastChannel and merge just those records.
+ * With a passphrase set (encryption.js), record contents and action log details are stored
+ * encrypted with AES-GCM; only record keys (dates, IDs) and action names stay readable.
+ * A passphrase change is stored and announced under the write lock, and every locked write first
+ * checks that the stored passphrase is still the one this tab unlocked with.
+ * Completed years can be moved into compressed archive records (compression.js). Archived days
+ * and timeline entries are loaded back into the state read-only, so they still count everywhere;
+ * only their XP ledger entries are rewritten (inside the archive record) when XP is recalculated.
+ */
+
+// --- Imports ---
+import { getActiveProfile, getProfileStorage } from './profiles.js';
+import { createKeyConfig, unlockKeyConfig, encryptJSON, decryptJSON, sealBackup } from './encryption.js';
+import { compressJSON, decompressJSON } from './compression.js';
+import { isArchivedDate, getTimelineEntryDate, compareTimelineEntries } from './utils.js';
+
+// --- Constants ---
+const DB_VERSION = 3; // v2: added the action log store, v3: added the year archive store
+
+// Object stores and their key paths. Every record also has an `updatedAt` timestamp.
+const STORES = {
+    days: 'date',          // { date, fields: { 'mood': 4, 'wellbeing': { energy: 3, morning: { mood: 4 } }, 'savedDays': true, 'pillars.move.days': true, 'pillars.move.amounts': 30, 'pillars.move.tags': ['Yoga'], 'pillars.move.times': '07:30' }, fieldTimes: { 'mood': '...' } }
+    timeline: 'key',       // { key, entry }
+    achievements: 'id',    // { id, unlocked, date }
+    plans: 'id',           // { id, plan }
+    meta: 'key',           // { key, value } - settings, gamification totals, etc.
+    archives: 'year'       // { year, format, data, dayCount, entryCount, originalBytes } - compressed { days, timeline } records of a completed year
+};
+const STORE_NAMES = Object.keys(STORES);
+// Append-only log: { seq, action, timestamp, payload, changes: { puts, deletes } }, a full 'snapshot' event,
+// or a 'yearArchived' event (payload { year }), which replays by moving the year into its stored archive record
+const LOG_STORE = 'actionLog';
+const SNAPSHOT_ACTION = 'snapshot';
+const YEAR_ARCHIVED_ACTION = 'yearArchived';
+
+// Cross-tab messages
+const RECORDS_CHANGED_MESSAGE = 'recordsChanged'; // { type, keys: { days: [...], timeline: [...], ... } }
+const STATE_REPLACED_MESSAGE = 'stateReplaced';   // Everything changed (restore, rebuild, reset)
+const ENCRYPTION_CHANGED_MESSAGE = 'encryptionChanged'; // Passphrase set, changed or removed: other tabs must unlock again
+
+// Top-level state maps keyed by date, stored inside the day records
+const DATE_MAP_KEYS = ['mood', 'wellbeing', 'savedDays', 'restDays', 'xpLedger'];
+// Per-pillar maps keyed by date (state.pillars[id][mapKey][date]), stored inside the day records
+const PILLAR_DATE_MAP_KEYS = ['days', 'amounts', 'tags', 'times'];
+// State keys with their own object stores (everything else is a meta record)
+const COLLECTION_KEYS = ['pillars', 'mood', 'wellbeing', 'savedDays', 'restDays', 'xpLedger', 'timeline', 'achievements', 'habitPlans'];
+// State that is recalculated on every load and never stored as a meta record
+// (archivedYears is derived from the archive records)
+const TRANSIENT_KEYS = ['currentDate', 'currentMonth', 'currentYear', 'archivedYears'];
+
+// --- Module State ---
+// Database and legacy key of the profile loaded in this tab (fixed until the page reloads)
+const { databaseName: DB_NAME, legacyStorageKey: LEGACY_STORAGE_KEY, encryptionConfigKey: ENCRYPTION_CONFIG_KEY } = getProfileStorage(getActiveProfile().id);
+const WRITE_LOCK_NAME = `${DB_NAME}-write`; // Serializes read-merge-write cycles across tabs
+let db = null;
+let encryptionKey = null; // Derived from the passphrase on unlock; never persisted
+let encryptionConfigInUse = readEncryptionConfig(); // The stored configuration encryptionKey belongs to (null: plaintext)
+let writeQueue = Promise.resolve(); // Fallback serialization where the Web Locks API is unavailable
+let useLegacyStorage = false;
+let syncChannel = null;
+// Record contents (without timestamps) as this tab last loaded, wrote or merged them.
+// Local edits are found by comparing against these, so unchanged fields never overwrite other tabs' edits.
+let knownRecords = createRecordMaps();
+// Records with a local write in progress ('store/key' -> count). Updates from other tabs for these
+// keys are held back and delivered with the merged result once the local write has finished.
+const pendingWrites = new Map();
+const heldBackKeys = new Set();
+// Contents of the latest local write in progress for each record ('store/key' -> content, null to delete).
+// Edits made while it is in progress are compared against it, since knownRecords is only updated once it finishes.
+const submittedRecords = new Map();
+let externalChangeCallbacks = [];
+
+// --- IndexedDB Helpers ---
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+function openDatabase() {
+    if (db) return Promise.resolve(db);
+    return openNamedDatabase(DB_NAME).then(database => {
+        db = database;
+        // Another tab is deleting or upgrading the database (e.g. a data reset)
+        db.onversionchange = () => { db.close(); db = null; };
+        return db;
+    });
+}
+
+function openNamedDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            Object.entries(STORES).forEach(([storeName, keyPath]) => {
+                if (!database.objectStoreNames.contains(storeName)) {
+                    database.createObjectStore(storeName, { keyPath });
+                }
+            });
+            if (!database.objectStoreNames.contains(LOG_STORE)) {
+                database.createObjectStore(LOG_STORE, { keyPath: 'seq', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn("[Storage] Database open is blocked by another tab.");
+    });
+}
+
+// --- Record Conversion ---
+
+/**
+ * Returns the storage key for a timeline entry.
+ * Notes use their noteId; other entries (achievements, prestige) are keyed by type and timestamp.
+ * @param {object} entry - A timeline entry.
+ * @returns {string} The record key.
+ */
+export function getTimelineEntryKey(entry) {
+    if (entry?.type === 'note' && entry.noteId) return `note:${entry.noteId}`;
+    return `${entry?.type}:${entry?.date}:${entry?.achievementId ?? entry?.prestigeLevel ?? ''}`;
+}
+
+function getMetaKeys(state) {
+    return Object.keys(state).filter(key => !COLLECTION_KEYS.includes(key) && !TRANSIENT_KEYS.includes(key));
+}
+
+function buildDayRecord(state, date) {
+    const fields = {};
+    DATE_MAP_KEYS.forEach(mapKey => {
+        const value = state[mapKey]?.[date];
+        if (value !== undefined && value !== null) fields[mapKey] = value;
+    });
+    Object.entries(state.pillars || {}).forEach(([pillarId, pillarData]) => {
+        PILLAR_DATE_MAP_KEYS.forEach(mapKey => {
+            const value = pillarData?.[mapKey]?.[date];
+            if (value !== undefined && value !== null) fields[`pillars.${pillarId}.${mapKey}`] = value;
+        });
+    });
+    return Object.keys(fields).length > 0 ? { date, fields } : null;
+}
+
+function applyDayRecord(state, record) {
+    Object.entries(record.fields || {}).forEach(([path, value]) => {
+        if (path.startsWith('pillars.')) {
+            const [, pillarId, mapKey] = path.split('.');
+            state.pillars[pillarId] = state.pillars[pillarId] || {};
+            state.pillars[pillarId][mapKey] = state.pillars[pillarId][mapKey] || {};
+            state.pillars[pillarId][mapKey][record.date] = value;
+        } else {
+            state[path] = state[path] || {};
+            state[path][record.date] = value;
+        }
+    });
+}
+
+function collectAllDates(state) {
+    const dates = new Set();
+    DATE_MAP_KEYS.forEach(mapKey => Object.keys(state[mapKey] || {}).forEach(date => dates.add(date)));
+    Object.values(state.pillars || {}).forEach(pillarData => {
+        PILLAR_DATE_MAP_KEYS.forEach(mapKey => Object.keys(pillarData?.[mapKey] || {}).forEach(date => dates.add(date)));
+    });
+    return dates;
+}
+
+function buildSmallRecords(state) {
+    const meta = new Map();
+    getMetaKeys(state).forEach(key => {
+        if (state[key] !== undefined) meta.set(key, { key, value: state[key] });
+    });
+    const achievements = new Map();
+    Object.entries(state.achievements || {}).forEach(([id, achievement]) => {
+        if (achievement?.unlocked) achievements.set(id, { id, unlocked: true, date: achievement.date ?? null });
+    });
+    const plans = new Map();
+    Object.entries(state.habitPlans || {}).forEach(([id, plan]) => {
+        if (plan) plans.set(id, { id, plan });
+    });
+    return { meta, achievements, plans };
+}
+
+function assembleState(records, archived = { days: [], timeline: [], years: [] }) {
+    const state = { pillars: {}, mood: {}, wellbeing: {}, savedDays: {}, restDays: {}, xpLedger: {}, timeline: [], achievements: {}, habitPlans: {} };
+    records.meta.forEach(record => { state[record.key] = record.value; });
+    [...archived.days, ...records.days].forEach(record => applyDayRecord(state, record));
+    state.timeline = [...archived.timeline, ...records.timeline]
+        .map(record => record.entry)
+        .sort((a, b) => compareTimelineEntries(b, a));
+    records.achievements.forEach(record => { state.achievements[record.id] = { unlocked: record.unlocked, date: record.date }; });
+    records.plans.forEach(record => { state.habitPlans[record.id] = record.plan; });
+    state.archivedYears = archived.years;
+    return state;
+}
+
+/**
+ * Builds the state from stored records, including the contents of the year archives.
+ */
+async function assembleStoredState(records) {
+    return assembleState(records, await expandArchives(records.archives));
+}
+
+function createRecordMaps() {
+    return Object.fromEntries(STORE_NAMES.map(storeName => [storeName, new Map()]));
+}
+
+/**
+ * Returns a copy of a record without its timestamps, i.e. what the state is built from.
+ * It is a deep copy, so later in-place edits of the state cannot change the remembered version.
+ */
+function getRecordContent(record) {
+    if (!record) return null;
+    const { updatedAt, fieldTimes, ...content } = record;
+    return JSON.parse(JSON.stringify(content));
+}
+
+/**
+ * Serializes a record content with object keys sorted, so equal contents compare equal
+ * regardless of the order their fields were added in.
+ */
+function serializeContent(value) {
+    return JSON.stringify(value ?? null, (key, nested) => (
+        nested && typeof nested === 'object' && !Array.isArray(nested)
+            ? Object.fromEntries(Object.keys(nested).sort().map(k => [k, nested[k]]))
+            : nested
+    ));
+}
+
+function rememberRecords(records) {
+    knownRecords = createRecordMaps();
+    STORE_NAMES.forEach(storeName => {
+        records[storeName].forEach(record => knownRecords[storeName].set(record[STORES[storeName]], getRecordContent(record)));
+    });
+}
+
+function stampRecords(records, time) {
+    records.days.forEach(record => {
+        record.fieldTimes = Object.fromEntries(Object.keys(record.fields).map(path => [path, time]));
+    });
+    STORE_NAMES.forEach(storeName => records[storeName].forEach(record => { record.updatedAt = time; }));
+    return records;
+}
+
+// --- Encryption ---
+
+/**
+ * Returns true if this profile's data is protected with a passphrase.
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+    return readEncryptionConfig() !== null || readEncryptionConfig(getPendingConfigKey(ENCRYPTION_CONFIG_KEY)) !== null;
+}
+
+/**
+ * Returns true if the data is encrypted and has not been unlocked in this tab yet.
+ * loadPersistedState() fails until unlockStorage() succeeds.
+ * @returns {boolean}
+ */
+export function isStorageLocked() {
+    return isEncryptionEnabled() && !encryptionKey;
+}
+
+/**
+ * Unlocks the encrypted data for this tab.
+ * @param {string} passphrase - The passphrase entered by the user.
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong.
+ */
+export async function unlockStorage(passphrase) {
+    const config = readEncryptionConfig();
+    const pendingConfig = readEncryptionConfig(getPendingConfigKey(ENCRYPTION_CONFIG_KEY));
+    if (pendingConfig) {
+        await unlockInterruptedChange(passphrase, config, pendingConfig);
+        return;
+    }
+    if (!config) return;
+    encryptionKey = await unlockKeyConfig(passphrase, config);
+    encryptionConfigInUse = config;
+    console.log("[Storage] Encrypted data unlocked.");
+}
+
+/**
+ * Encrypts all stored data (records and action log) with a new passphrase.
+ * Also used to change the passphrase; the data must already be unlocked.
+ * The new configuration is kept as pending until the rewrite has committed, so the old passphrase
+ * keeps working if it fails. If the tab closes in between, unlockStorage() finishes the change.
+ * @param {string} passphrase - The new passphrase.
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is too short, or the data could not be rewritten (it is left as it was).
+ */
+export async function setStoragePassphrase(passphrase) {
+    const { key, config } = await createKeyConfig(passphrase);
+    await rewriteStoredData(key, config, isEncryptionEnabled() ? 'passphraseChanged' : 'passphraseSet');
+}
+
+/**
+ * Decrypts all stored data and removes the passphrase.
+ * The passphrase is only removed once the data has been rewritten in plaintext.
+ * @returns {Promise<void>}
+ */
+export async function removeStoragePassphrase() {
+    await rewriteStoredData(null, null, 'passphraseRemoved');
+}
+
+/**
+ * Encrypts a backup with this profile's passphrase (see encryption.js sealBackup).
+ * @param {object} backup - The backup contents.
+ * @returns {Promise<object>} The encrypted backup file contents.
+ * @throws {Error} If no passphrase is set or the data is locked.
+ */
+export async function createEncryptedBackup(backup) {
+    const config = readEncryptionConfig();
+    if (!config || !encryptionKey) throw new Error("Set a passphrase to create encrypted backups.");
+    return sealBackup(encryptionKey, config, backup);
+}
+
+/**
+ * Returns true if another profile's data is protected with a passphrase (it cannot be read from this tab).
+ * @param {{encryptionConfigKey: string}} profileStorage - From getProfileStorage().
+ * @returns {boolean}
+ */
+export function isProfileEncrypted(profileStorage) {
+    return readEncryptionConfig(profileStorage.encryptionConfigKey) !== null
+        || readEncryptionConfig(getPendingConfigKey(profileStorage.encryptionConfigKey)) !== null;
+}
+
+/**
+ * Finishes a passphrase change that was interrupted between rewriting the data and saving the new
+ * configuration: whichever configuration the passphrase unlocks and the stored data opens with is kept.
+ */
+async function unlockInterruptedChange(passphrase, config, pendingConfig) {
+    const pendingConfigKey = getPendingConfigKey(ENCRYPTION_CONFIG_KEY);
+    const sample = await readSealedSample();
+    if (!sample) {
+        // Nothing was encrypted with the new passphrase
+        localStorage.removeItem(pendingConfigKey);
+        if (config) encryptionKey = await unlockKeyConfig(passphrase, config);
+        encryptionConfigInUse = config;
+        return;
+    }
+    for (const candidate of [pendingConfig, config].filter(Boolean)) {
+        const key = await unlockKeyConfig(passphrase, candidate).catch(() => null);
+        if (!key || !(await decryptJSON(key, sample.sealed).then(() => true, () => false))) continue;
+        localStorage.setItem(ENCRYPTION_CONFIG_KEY, JSON.stringify(candidate));
+        localStorage.removeItem(pendingConfigKey);
+        encryptionKey = key;
+        encryptionConfigInUse = candidate;
+        console.log("[Storage] Encrypted data unlocked; an interrupted passphrase change was finished.");
+        return;
+    }
+    throw new Error("Incorrect passphrase.");
+}
+
+/** Returns one encrypted record or log event from storage, or null if nothing is encrypted. */
+async function readSealedSample() {
+    const legacyBlob = readLegacyBlob();
+    if (legacyBlob?.sealed) return legacyBlob;
+    if (useLegacyStorage || typeof indexedDB === 'undefined') return null;
+    const storeNames = [...STORE_NAMES, LOG_STORE];
+    const tx = (await openDatabase()).transaction(storeNames, 'readonly');
+    const requests = storeNames.map(storeName => requestToPromise(tx.objectStore(storeName).openCursor()));
+    for (const request of requests) {
+        const cursor = await request;
+        if (cursor?.value?.sealed) return cursor.value;
+    }
+    return null;
+}
+
+function getPendingConfigKey(configKey) {
+    return `${configKey}:pending`;
+}
+
+/**
+ * Throws if another tab set, changed or removed the passphrase since this tab got its key:
+ * writing with it now would leave records under two keys. Called under the write lock.
+ */
+function assertEncryptionUnchanged() {
+    if (JSON.stringify(readEncryptionConfig()) !== JSON.stringify(encryptionConfigInUse)) {
+        throw new Error("The passphrase was changed in another tab. Unlock your data again to save changes.");
+    }
+}
+
+/** Stores the configuration of a finished rewrite (or removes it) and drops the pending one. */
+function storeEncryptionConfig(config) {
+    if (config) localStorage.setItem(ENCRYPTION_CONFIG_KEY, JSON.stringify(config));
+    else localStorage.removeItem(ENCRYPTION_CONFIG_KEY);
+    localStorage.removeItem(getPendingConfigKey(ENCRYPTION_CONFIG_KEY));
+    encryptionConfigInUse = config;
+}
+
+function readEncryptionConfig(key = ENCRYPTION_CONFIG_KEY) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error("[Storage] Error reading encryption settings:", error);
+        return null;
+    }
+}
+
+async function sealRecord(storeName, record, key) {
+    if (!key) return record;
+    return { [STORES[storeName]]: record[STORES[storeName]], sealed: await encryptJSON(key, record) };
+}
+
+async function openRecord(record, key) {
+    if (!record?.sealed) return record; // Plaintext record
+    if (!key) throw new Error("Stored data is encrypted. Unlock it with the passphrase first.");
+    return decryptJSON(key, record.sealed);
+}
+
+async function sealLogEvent(event, key) {
+    if (!key) return event;
+    const { seq, action, timestamp, ...details } = event;
+    return { ...(seq !== undefined ? { seq } : {}), action, timestamp, sealed: await encryptJSON(key, details) };
+}
+
+async function openLogEvent(event, key) {
+    if (!event?.sealed) return event;
+    if (!key) throw new Error("Stored data is encrypted. Unlock it with the passphrase first.");
+    const { sealed, ...summary } = event;
+    return { ...summary, ...(await decryptJSON(key, sealed)) };
+}
+
+/**
+ * Re-writes every stored record and log event encrypted with a new key (or in plaintext if null).
+ * Record contents and timestamps are unchanged, so the log still replays to the same data.
+ * The rewrite is one transaction, and this tab only switches to the new key once it has committed.
+ * The new configuration (null to remove the passphrase) is pending until then, and is stored and
+ * announced to other tabs before the write lock is released, so no other write can use the old key.
+ */
+async function rewriteStoredData(newKey, newConfig, action) {
+    const pendingConfigKey = getPendingConfigKey(ENCRYPTION_CONFIG_KEY);
+    if (useLegacyStorage) {
+        assertEncryptionUnchanged();
+        if (newConfig) localStorage.setItem(pendingConfigKey, JSON.stringify(newConfig));
+        try {
+            const state = await readLegacyState();
+            if (state) await writeLegacyState(LEGACY_STORAGE_KEY, state, newKey);
+        } catch (error) {
+            localStorage.removeItem(pendingConfigKey);
+            throw error;
+        }
+        encryptionKey = newKey;
+        storeEncryptionConfig(newConfig);
+        return;
+    }
+    await withWriteLock(async () => {
+        assertEncryptionUnchanged();
+        if (newConfig) localStorage.setItem(pendingConfigKey, JSON.stringify(newConfig));
+        try {
+            await rewriteRecords(newKey, action);
+        } catch (error) {
+            localStorage.removeItem(pendingConfigKey);
+            throw error;
+        }
+        encryptionKey = newKey;
+        storeEncryptionConfig(newConfig);
+        notifyOtherTabs({ type: ENCRYPTION_CHANGED_MESSAGE });
+    });
+    console.log(`[Storage] Stored data rewritten (${action}).`);
+}
+
+/** The rewrite transaction of rewriteStoredData(), run under the write lock. */
+async function rewriteRecords(newKey, action) {
+    const database = await openDatabase();
+    const records = await readAllRecords(database, encryptionKey);
+    const events = await readLogEvents(database, encryptionKey);
+    events.push({ action, timestamp: new Date().toISOString(), payload: null, changes: { puts: {}, deletes: {} } });
+    const sealedRecords = {};
+    for (const storeName of STORE_NAMES) {
+        sealedRecords[storeName] = await Promise.all(records[storeName].map(record => sealRecord(storeName, record, newKey)));
+    }
+    const sealedEvents = await Promise.all(events.map(event => sealLogEvent(event, newKey)));
+    const tx = database.transaction([...STORE_NAMES, LOG_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    try {
+        STORE_NAMES.forEach(storeName => {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            sealedRecords[storeName].forEach(record => store.put(record));
+        });
+        const logStore = tx.objectStore(LOG_STORE);
+        logStore.clear();
+        sealedEvents.forEach(event => logStore.put(event));
+    } catch (error) {
+        // A half-queued rewrite must not commit: the records would be sealed with two different keys
+        tx.abort();
+        await done.catch(() => {});
+        throw error;
+    }
+    await done;
+}
+
+/**
+ * Runs a read-merge-write task while no other tab (or other write in this tab) is writing.
+ */
+function withWriteLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+        return navigator.locks.request(WRITE_LOCK_NAME, task);
+    }
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+// --- Change Sets ---
+
+/**
+ * Creates an empty change set. State mutators add the day and timeline keys they touch;
+ * meta, achievement and plan records are compared automatically on every save.
+ * @returns {{all: boolean, days: Set<string>, timeline: Set<string>}}
+ */
+export function createChangeSet() {
+    return { all: false, days: new Set(), timeline: new Set() };
+}
+
+// --- Public API ---
+
+/**
+ * Loads the persisted state. On the first run with IndexedDB, the legacy localStorage
+ * blob is migrated into separate records and then removed.
+ * @returns {Promise<object|null>} The stored state, or null if nothing has been saved yet.
+ */
+export async function loadPersistedState() {
+    if (typeof indexedDB === 'undefined') {
+        console.warn("[Storage] IndexedDB not available. Falling back to localStorage.");
+        useLegacyStorage = true;
+    } else {
+        try {
+            await openDatabase();
+        } catch (error) {
+            console.error("[Storage] Could not open IndexedDB. Falling back to localStorage:", error);
+            useLegacyStorage = true;
+        }
+    }
+
+    if (isStorageLocked()) throw new Error("Stored data is encrypted. Unlock it with the passphrase first.");
+    if (useLegacyStorage) return readLegacyState();
+
+    const records = await readAllRecords(await openDatabase(), encryptionKey);
+    const hasRecords = Object.values(records).some(list => list.length > 0);
+    if (hasRecords) {
+        const state = await assembleStoredState(records);
+        rememberRecords(records);
+        // Data stored before the action log existed: record it as the starting point for replays
+        if (await countLogEvents() === 0) await appendSnapshotEvent(records, 'baseline');
+        return state;
+    }
+
+    // First run on IndexedDB: migrate the legacy blob if there is one
+    const legacyState = await readLegacyState();
+    if (legacyState) {
+        console.log("[Storage] Migrating legacy localStorage data to IndexedDB...");
+        await replacePersistedState(legacyState, 'legacyMigration');
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        console.log("[Storage] Migration complete.");
+    }
+    return legacyState;
+}
+
+/**
+ * Writes the records named in the change set, plus any meta, achievement or plan
+ * records that differ from what was last persisted, and appends the write to the action log.
+ * Records are built synchronously, so later state mutations cannot leak into this write.
+ * Only what this tab changed is written: day records are merged field by field with the stored
+ * record, and a field or record changed more recently by another tab is left alone.
+ * The read-merge-write cycle holds a write lock, so writes from several tabs cannot interleave.
+ * @param {object} state - The current application state.
+ * @param {object} changes - A change set from createChangeSet().
+ * @param {{action: string, payload: object|null}} [logEntry] - What caused the write (recorded in the action log).
+ * @returns {Promise<void>}
+ */
+export async function persistChanges(state, changes, logEntry = { action: 'unknown', payload: null }) {
+    if (useLegacyStorage) {
+        assertEncryptionUnchanged();
+        await writeLegacyState(LEGACY_STORAGE_KEY, state);
+        return;
+    }
+    if (changes.all) return replacePersistedState(state, logEntry.action);
+
+    const changeTime = new Date().toISOString();
+    const edits = collectEdits(state, changes);
+    const archivedLedger = collectArchivedLedger(state, changes);
+    if (!STORE_NAMES.some(storeName => edits[storeName].length > 0) && archivedLedger.size === 0) return;
+
+    const puts = createEditLists();
+    const deletes = createEditLists();
+    const finalRecords = createRecordMaps(); // What each edited record looks like in storage afterwards
+    const pendingIds = STORE_NAMES.flatMap(storeName => edits[storeName].map(edit => `${storeName}/${edit.key}`));
+    pendingIds.forEach(id => pendingWrites.set(id, (pendingWrites.get(id) || 0) + 1));
+    STORE_NAMES.forEach(storeName => edits[storeName].forEach(edit => submittedRecords.set(`${storeName}/${edit.key}`, edit.local)));
+    try {
+        await writeEdits(edits, archivedLedger, changeTime, logEntry, puts, deletes, finalRecords);
+    } finally {
+        pendingIds.forEach(id => {
+            const count = pendingWrites.get(id) - 1;
+            if (count > 0) {
+                pendingWrites.set(id, count);
+            } else {
+                pendingWrites.delete(id);
+                submittedRecords.delete(id);
+            }
+        });
+    }
+
+    // Records that now differ from this tab's state (merged with another tab's changes) are fed back into it
+    const feedback = createRecordMaps();
+    STORE_NAMES.forEach(storeName => {
+        edits[storeName].forEach(edit => {
+            const id = `${storeName}/${edit.key}`;
+            const finalContent = getRecordContent(finalRecords[storeName].get(edit.key));
+            if (finalContent) knownRecords[storeName].set(edit.key, finalContent);
+            else knownRecords[storeName].delete(edit.key);
+            if (pendingWrites.has(id)) return; // A later local write for this record will report it
+            if (heldBackKeys.delete(id) || serializeContent(finalContent) !== serializeContent(edit.local)) {
+                feedback[storeName].set(edit.key, finalRecords[storeName].get(edit.key) ?? null);
+            }
+        });
+    });
+    if (STORE_NAMES.some(storeName => feedback[storeName].size > 0)) {
+        externalChangeCallbacks.forEach(callback => callback({ replaced: false, records: feedback }));
+    }
+
+    puts.archives.forEach(record => knownRecords.archives.set(record.year, getRecordContent(record)));
+
+    const changedKeys = {};
+    STORE_NAMES.forEach(storeName => {
+        const keys = [...puts[storeName].map(record => record[STORES[storeName]]), ...deletes[storeName]];
+        if (keys.length > 0) changedKeys[storeName] = keys;
+    });
+    // Archived days are only loaded with the whole state, so other tabs reload it if an archive changed
+    if (changedKeys.archives) notifyOtherTabs({ type: STATE_REPLACED_MESSAGE });
+    else if (Object.keys(changedKeys).length > 0) notifyOtherTabs({ type: RECORDS_CHANGED_MESSAGE, keys: changedKeys });
+}
+
+/**
+ * Read-merge-write cycle of persistChanges(), run under the write lock.
+ * Fills puts, deletes and finalRecords with the outcome for each edit, and puts each archive
+ * whose XP ledger entries changed.
+ */
+function writeEdits(edits, archivedLedger, changeTime, logEntry, puts, deletes, finalRecords) {
+    return withWriteLock(async () => {
+        assertEncryptionUnchanged();
+        const editedKeys = Object.fromEntries(STORE_NAMES.map(storeName => [storeName, edits[storeName].map(edit => edit.key)]));
+        editedKeys.archives = [...archivedLedger.keys()];
+        const stored = await readRecordsByKey(editedKeys);
+        STORE_NAMES.forEach(storeName => {
+            edits[storeName].forEach(edit => {
+                const storedRecord = stored[storeName].get(edit.key);
+                const merged = storeName === 'days'
+                    ? mergeDayEdit(storedRecord, edit, changeTime)
+                    : mergeRecordEdit(storedRecord, edit, changeTime);
+                finalRecords[storeName].set(edit.key, merged === undefined ? storedRecord : merged);
+                if (merged === undefined) return; // Another tab changed it more recently
+                if (merged) puts[storeName].push(merged);
+                else if (storedRecord) deletes[storeName].push(edit.key);
+            });
+        });
+        for (const [year, entries] of archivedLedger) {
+            const archive = await updateArchivedLedger(stored.archives.get(year), entries, changeTime);
+            if (!archive) continue;
+            puts.archives.push(archive);
+            finalRecords.archives.set(year, archive);
+        }
+        // Keep only the non-empty store lists in the log entry
+        const loggedChanges = { puts: {}, deletes: {} };
+        STORE_NAMES.forEach(storeName => {
+            if (puts[storeName].length > 0) loggedChanges.puts[storeName] = puts[storeName];
+            if (deletes[storeName].length > 0) loggedChanges.deletes[storeName] = deletes[storeName];
+        });
+        if (Object.keys(loggedChanges.puts).length === 0 && Object.keys(loggedChanges.deletes).length === 0) return;
+
+        // Encrypt before opening the transaction: it would commit while waiting for WebCrypto
+        const sealedPuts = {};
+        for (const storeName of STORE_NAMES) {
+            sealedPuts[storeName] = await Promise.all(puts[storeName].map(record => sealRecord(storeName, record, encryptionKey)));
+        }
+        const logEvent = await sealLogEvent({
+            action: logEntry.action,
+            timestamp: changeTime,
+            payload: logEntry.payload ?? null,
+            changes: loggedChanges
+        }, encryptionKey);
+
+        const database = await openDatabase();
+        const tx = database.transaction([...STORE_NAMES, LOG_STORE], 'readwrite');
+        STORE_NAMES.forEach(storeName => {
+            const store = tx.objectStore(storeName);
+            sealedPuts[storeName].forEach(record => store.put(record));
+            deletes[storeName].forEach(key => store.delete(key));
+        });
+        tx.objectStore(LOG_STORE).add(logEvent);
+        await transactionDone(tx);
+    });
+}
+
+/**
+ * Replaces everything in storage with the given state (used for migration, backup restore and rebuilds).
+ * The new contents are appended to the action log as a snapshot event, which later replays start from.
+ * @param {object} state - The complete state to store.
+ * @param {string} [reason='replace'] - Why the data was replaced (recorded in the action log).
+ * @returns {Promise<void>}
+ */
+export async function replacePersistedState(state, reason = 'replace') {
+    if (useLegacyStorage) {
+        assertEncryptionUnchanged();
+        await writeLegacyState(LEGACY_STORAGE_KEY, state);
+        return;
+    }
+    rememberRecords(await withWriteLock(async () => {
+        assertEncryptionUnchanged();
+        return writeAllRecords(await openDatabase(), state, reason, encryptionKey);
+    }));
+    notifyOtherTabs({ type: STATE_REPLACED_MESSAGE });
+}
+
+/**
+ * Deletes all persisted WellSpring data, including any legacy localStorage blob and the passphrase.
+ * @returns {Promise<void>}
+ */
+export async function clearPersistedState() {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    localStorage.removeItem(ENCRYPTION_CONFIG_KEY);
+    localStorage.removeItem(getPendingConfigKey(ENCRYPTION_CONFIG_KEY));
+    encryptionKey = null;
+    encryptionConfigInUse = null;
+    if (useLegacyStorage || typeof indexedDB === 'undefined') return;
+    if (db) { db.close(); db = null; }
+    await requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+    knownRecords = createRecordMaps();
+    notifyOtherTabs({ type: STATE_REPLACED_MESSAGE });
+}
+
+/**
+ * Registers a callback for when another tab or window changes the stored data.
+ * Uses BroadcastChannel with IndexedDB, and the storage event in localStorage fallback mode.
+ * The callback receives `{ replaced: true }` when the whole state must be reloaded
+ * (with `encryptionChanged: true` if the passphrase changed and the page must unlock again), or
+ * `{ replaced: false, records }` with the changed records (null if deleted) per store,
+ * to be merged into the in-memory state with applyExternalRecords(). The same update is also delivered
+ * after a local write when the stored result includes another tab's changes to the written records.
+ * @param {function(object): void} callback - Called after an external change.
+ */
+export function subscribeToExternalChanges(callback) {
+    if (useLegacyStorage) {
+        window.addEventListener('storage', (event) => {
+            if (event.key === LEGACY_STORAGE_KEY) callback({ replaced: true });
+        });
+        return;
+    }
+    externalChangeCallbacks.push(callback);
+    const channel = getSyncChannel();
+    if (!channel) return;
+    channel.addEventListener('message', async (event) => {
+        if (event.data?.type === ENCRYPTION_CHANGED_MESSAGE) {
+            callback({ replaced: true, encryptionChanged: true });
+            return;
+        }
+        if (event.data?.type !== RECORDS_CHANGED_MESSAGE) {
+            callback({ replaced: true });
+            return;
+        }
+        try {
+            const records = await readRecordsByKey(event.data.keys || {});
+            STORE_NAMES.forEach(storeName => {
+                records[storeName].forEach((record, key) => {
+                    const id = `${storeName}/${key}`;
+                    if (pendingWrites.has(id)) {
+                        // Delivered with the merged result when this tab's write finishes
+                        heldBackKeys.add(id);
+                        records[storeName].delete(key);
+                        return;
+                    }
+                    if (record) knownRecords[storeName].set(key, getRecordContent(record));
+                    else knownRecords[storeName].delete(key);
+                });
+            });
+            if (STORE_NAMES.some(storeName => records[storeName].size > 0)) callback({ replaced: false, records });
+        } catch (error) {
+            console.error("[Storage] Could not read records changed in another tab:", error);
+            callback({ replaced: true });
+        }
+    });
+}
+
+/**
+ * Merges records changed in another tab (from subscribeToExternalChanges) into a state object.
+ * Each changed day replaces that date's values, and each changed note, plan, achievement
+ * or setting replaces the matching entry; everything else in the state is left as it is.
+ * @param {object} state - The state to update in place.
+ * @param {{records: object}} update - The update passed to the subscription callback.
+ */
+export function applyExternalRecords(state, update) {
+    const { days, timeline, achievements, plans, meta } = update.records;
+    days.forEach((record, date) => {
+        DATE_MAP_KEYS.forEach(mapKey => { if (state[mapKey]) delete state[mapKey][date]; });
+        Object.values(state.pillars || {}).forEach(pillarData => {
+            PILLAR_DATE_MAP_KEYS.forEach(mapKey => { if (pillarData?.[mapKey]) delete pillarData[mapKey][date]; });
+        });
+        if (record) applyDayRecord(state, record);
+    });
+    if (timeline.size > 0) {
+        state.timeline = (state.timeline || []).filter(entry => !timeline.has(getTimelineEntryKey(entry)));
+        timeline.forEach(record => { if (record) state.timeline.push(record.entry); });
+        state.timeline.sort((a, b) => compareTimelineEntries(b, a));
+    }
+    achievements.forEach((record, id) => {
+        state.achievements[id] = { ...(state.achievements[id] || {}), unlocked: !!record?.unlocked, date: record?.date ?? null };
+    });
+    plans.forEach((record, id) => {
+        if (record) state.habitPlans[id] = record.plan; else delete state.habitPlans[id];
+    });
+    meta.forEach((record, key) => {
+        if (record) state[key] = record.value; else delete state[key];
+    });
+}
+
+// --- Year Archives ---
+
+/**
+ * Returns true if this browser has no IndexedDB and the state is kept in a single localStorage blob.
+ * @returns {boolean}
+ */
+export function isUsingLegacyStorage() {
+    return useLegacyStorage;
+}
+
+/**
+ * Moves a year's day records and timeline entries into one compressed archive record.
+ * The move is a single transaction, recorded in the action log as one 'yearArchived' event (without
+ * record copies); replays move the year into the stored archive record. Earlier log events are kept.
+ * Archived records are read-only: later saves skip dates in archived years.
+ * @param {number} year - The year to archive.
+ * @returns {Promise<{year: number, dayCount: number, entryCount: number, originalBytes: number, archivedBytes: number, freedBytes: number}>}
+ *     freedBytes is how much smaller the stored records are afterwards (never below 0).
+ * @throws {Error} If archiving is not available, the year is already archived or has no data.
+ */
+export async function archiveYear(year) {
+    if (useLegacyStorage) throw new Error("Archiving needs IndexedDB, which is not available in this browser.");
+    const { archiveRecord: archive, freedBytes } = await withWriteLock(async () => {
+        assertEncryptionUnchanged();
+        const database = await openDatabase();
+        const records = await readAllRecords(database, encryptionKey);
+        if (records.archives.some(record => record.year === year)) throw new Error(`${year} is already archived.`);
+        const days = records.days.filter(record => getRecordYear(record.date) === year);
+        const timeline = records.timeline.filter(record => getRecordYear(getTimelineEntryDate(record.entry)) === year);
+        if (days.length === 0 && timeline.length === 0) throw new Error(`There is nothing from ${year} to archive.`);
+
+        const timestamp = new Date().toISOString();
+        const archiveRecord = await createArchiveRecord(year, days, timeline, timestamp);
+        const storedSizes = await readStoredSizes(database, ['days', 'timeline']);
+        // Encrypt before opening the transaction: it would commit while waiting for WebCrypto
+        const sealedArchive = await sealRecord('archives', archiveRecord, encryptionKey);
+        const logEvent = await sealLogEvent({ action: YEAR_ARCHIVED_ACTION, timestamp, payload: { year } }, encryptionKey);
+
+        const tx = database.transaction([...STORE_NAMES, LOG_STORE], 'readwrite');
+        tx.objectStore('archives').put(sealedArchive);
+        days.forEach(record => tx.objectStore('days').delete(record.date));
+        timeline.forEach(record => tx.objectStore('timeline').delete(record.key));
+        tx.objectStore(LOG_STORE).add(logEvent);
+        await transactionDone(tx);
+
+        const removedBytes = days.reduce((sum, record) => sum + (storedSizes.days.get(record.date) || 0), 0)
+            + timeline.reduce((sum, record) => sum + (storedSizes.timeline.get(record.key) || 0), 0);
+        return { archiveRecord, freedBytes: Math.max(0, removedBytes - getStoredBytes(sealedArchive)) };
+    });
+
+    // Keep the remembered records in step with what is stored now
+    knownRecords.archives.set(year, getRecordContent(archive));
+    knownRecords.days.forEach((_, date) => { if (getRecordYear(date) === year) knownRecords.days.delete(date); });
+    knownRecords.timeline.forEach((record, key) => { if (getRecordYear(getTimelineEntryDate(record.entry)) === year) knownRecords.timeline.delete(key); });
+    notifyOtherTabs({ type: STATE_REPLACED_MESSAGE });
+    console.log(`[Storage] Archived ${year}: ${archive.dayCount} day(s), ${archive.entryCount} timeline entries.`);
+    return { year, dayCount: archive.dayCount, entryCount: archive.entryCount, originalBytes: archive.originalBytes, archivedBytes: archive.data.length, freedBytes };
+}
+
+// --- Other Profiles ---
+
+/**
+ * Reads the stored state of any profile without switching to it.
+ * @param {{databaseName: string, legacyStorageKey: string, encryptionConfigKey: string}} profileStorage - From getProfileStorage().
+ * @returns {Promise<object|null>} The stored state, or null if the profile has no data.
+ * @throws {Error} If another profile's data is protected with a passphrase.
+ */
+export async function readProfileState(profileStorage) {
+    if (profileStorage.databaseName === DB_NAME) {
+        if (useLegacyStorage) return readLegacyState();
+        const records = await readAllRecords(await openDatabase(), encryptionKey);
+        return Object.values(records).some(list => list.length > 0) ? assembleStoredState(records) : null;
+    }
+    if (isProfileEncrypted(profileStorage)) throw new Error("This profile is protected with a passphrase. Switch to it to read its data.");
+    if (useLegacyStorage) return readLegacyBlob(profileStorage.legacyStorageKey);
+    const database = await openNamedDatabase(profileStorage.databaseName);
+    try {
+        const records = await readAllRecords(database);
+        // Fall back to a legacy blob that has not been migrated yet (the profile has not been opened since)
+        return Object.values(records).some(list => list.length > 0) ? await assembleStoredState(records) : readLegacyBlob(profileStorage.legacyStorageKey);
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Replaces the stored state of any profile without switching to it.
+ * Another profile's data is written in plaintext (its passphrase cannot be used from this tab),
+ * so any passphrase it had is removed along with the data it protected.
+ * @param {{databaseName: string, legacyStorageKey: string, encryptionConfigKey: string}} profileStorage - From getProfileStorage().
+ * @param {object} state - The complete state to store.
+ * @param {string} [reason='replace'] - Why the data was replaced (recorded in the action log).
+ * @returns {Promise<void>}
+ */
+export async function writeProfileState(profileStorage, state, reason = 'replace') {
+    if (profileStorage.databaseName === DB_NAME) return replacePersistedState(state, reason);
+    localStorage.removeItem(profileStorage.encryptionConfigKey);
+    localStorage.removeItem(getPendingConfigKey(profileStorage.encryptionConfigKey));
+    if (useLegacyStorage) {
+        localStorage.setItem(profileStorage.legacyStorageKey, JSON.stringify(state));
+        return;
+    }
+    const database = await openNamedDatabase(profileStorage.databaseName);
+    try {
+        await writeAllRecords(database, state, reason);
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Deletes all stored data of a profile that is not loaded in this tab.
+ * @param {{databaseName: string, legacyStorageKey: string, encryptionConfigKey: string}} profileStorage - From getProfileStorage().
+ * @returns {Promise<void>}
+ */
+export async function deleteProfileData(profileStorage) {
+    if (profileStorage.databaseName === DB_NAME) return clearPersistedState();
+    localStorage.removeItem(profileStorage.legacyStorageKey);
+    localStorage.removeItem(profileStorage.encryptionConfigKey);
+    localStorage.removeItem(getPendingConfigKey(profileStorage.encryptionConfigKey));
+    if (typeof indexedDB === 'undefined') return;
+    await requestToPromise(indexedDB.deleteDatabase(profileStorage.databaseName));
+}
+
+// --- Action Log ---
+
+/**
+ * Reads events from the action log, oldest first.
+ * Snapshot events are returned without their (potentially large) record copies.
+ * @returns {Promise<Array<object>>} The log events ({ seq, action, timestamp, payload, changes }).
+ */
+export async function readActionLog() {
+    if (useLegacyStorage) return [];
+    const events = await readLogEvents(await openDatabase(), encryptionKey);
+    return events.map(event => event.action === SNAPSHOT_ACTION ? { ...event, snapshot: undefined } : event);
+}
+
+/**
+ * Compacts the action log to save space. A snapshot of the current data is appended first, so replays
+ * start there; every earlier event keeps its action, time, payload and the dates it touched, but drops
+ * its copies of the changed records (and earlier snapshot events their data).
+ * @returns {Promise<{events: number, freedBytes: number}>} How many events were compacted, and how much smaller the log is.
+ * @throws {Error} If the action log is not available in this browser.
+ */
+export async function compactActionLog() {
+    if (useLegacyStorage) throw new Error("The activity log needs IndexedDB, which is not available in this browser.");
+    const result = await withWriteLock(async () => {
+        assertEncryptionUnchanged();
+        const database = await openDatabase();
+        const records = await readAllRecords(database, encryptionKey);
+        const compacted = (await readLogEvents(database, encryptionKey))
+            .filter(event => event.changes || event.snapshot)
+            .map(({ changes, ...event }) => {
+                const dates = [...new Set([...(changes?.puts?.days || []).map(record => record.date), ...(changes?.deletes?.days || [])])];
+                return { ...event, ...(event.snapshot ? { snapshot: null } : {}), ...(dates.length > 0 ? { dates } : {}) };
+            });
+        const storedSizes = await readStoredSizes(database, [LOG_STORE]);
+        // Encrypt before opening the transaction: it would commit while waiting for WebCrypto
+        const snapshotEvent = await sealLogEvent(createSnapshotEvent(records, 'compacted'), encryptionKey);
+        const sealedEvents = await Promise.all(compacted.map(event => sealLogEvent(event, encryptionKey)));
+
+        const tx = database.transaction(LOG_STORE, 'readwrite');
+        const logStore = tx.objectStore(LOG_STORE);
+        sealedEvents.forEach(event => logStore.put(event));
+        logStore.add(snapshotEvent);
+        await transactionDone(tx);
+        const freedBytes = sealedEvents.reduce((sum, event) => sum + (storedSizes[LOG_STORE].get(event.seq) || 0) - getStoredBytes(event), 0) - getStoredBytes(snapshotEvent);
+        return { events: compacted.length, freedBytes: Math.max(0, freedBytes) };
+    });
+    console.log(`[Storage] Action log compacted: ${result.events} event(s).`);
+    return result;
+}
+
+/**
+ * Rebuilds the state by replaying the action log from its most recent snapshot event.
+ * @returns {Promise<{state: object, eventsReplayed: number}|null>} The rebuilt state, or null if there is no log.
+ */
+export async function rebuildStateFromLog() {
+    const replayed = await replayActionLog();
+    return replayed ? { state: await assembleStoredState(replayed.records), eventsReplayed: replayed.eventsReplayed } : null;
+}
+
+/**
+ * Compares the stored records with the result of replaying the action log.
+ * @returns {Promise<{matches: boolean, differences: number, eventsReplayed: number}|null>} Null if there is no log.
+ */
+export async function verifyStateAgainstLog() {
+    const replayed = await replayActionLog();
+    if (!replayed) return null;
+    const stored = await readAllRecords(await openDatabase(), encryptionKey);
+    let differences = 0;
+    Object.entries(STORES).forEach(([storeName, keyPath]) => {
+        const storedByKey = new Map(stored[storeName].map(record => [record[keyPath], JSON.stringify(record)]));
+        const replayedByKey = new Map(replayed.records[storeName].map(record => [record[keyPath], JSON.stringify(record)]));
+        new Set([...storedByKey.keys(), ...replayedByKey.keys()]).forEach(key => {
+            if (storedByKey.get(key) !== replayedByKey.get(key)) differences++;
+        });
+    });
+    return { matches: differences === 0, differences, eventsReplayed: replayed.eventsReplayed };
+}
+
+// --- Internal Helpers ---
+
+function buildAllRecords(state) {
+    const smallRecords = buildSmallRecords(state);
+    const records = { days: [], timeline: [], achievements: [], plans: [], meta: [], archives: [] };
+    collectAllDates(state).forEach(date => {
+        const record = buildDayRecord(state, date);
+        if (record) records.days.push(record);
+    });
+    (state.timeline || []).forEach(entry => {
+        if (entry) records.timeline.push({ key: getTimelineEntryKey(entry), entry });
+    });
+    ['achievements', 'plans', 'meta'].forEach(storeName => {
+        records[storeName] = Array.from(smallRecords[storeName].values());
+    });
+    return records;
+}
+
+/**
+ * Finds what changed locally since the records were last loaded, written or merged.
+ * Day edits list the changed field paths; other edits are whole records (local: null to delete).
+ */
+function collectEdits(state, changes) {
+    const edits = createEditLists();
+    changes.days.forEach(date => {
+        if (isArchivedDate(state, date)) return; // Archived years are read-only
+        const local = buildDayRecord(state, date);
+        const localFields = local?.fields || {};
+        const knownFields = getBaseContent('days', date)?.fields || {};
+        const paths = [...new Set([...Object.keys(localFields), ...Object.keys(knownFields)])]
+            .filter(path => serializeContent(localFields[path]) !== serializeContent(knownFields[path]));
+        if (paths.length > 0) edits.days.push({ key: date, local: getRecordContent(local), paths });
+    });
+    if (changes.timeline.size > 0) {
+        const entriesByKey = new Map((state.timeline || []).map(entry => [getTimelineEntryKey(entry), entry]));
+        changes.timeline.forEach(key => {
+            const entry = entriesByKey.get(key);
+            if (entry && isArchivedDate(state, getTimelineEntryDate(entry))) return;
+            addRecordEdit(edits.timeline, key, entry ? { key, entry } : null, getBaseContent('timeline', key));
+        });
+    }
+    const smallRecords = buildSmallRecords(state);
+    ['achievements', 'plans', 'meta'].forEach(storeName => {
+        smallRecords[storeName].forEach((record, key) => addRecordEdit(edits[storeName], key, record, getBaseContent(storeName, key)));
+        getBaseKeys(storeName).forEach(key => {
+            if (!smallRecords[storeName].has(key)) addRecordEdit(edits[storeName], key, null, getBaseContent(storeName, key));
+        });
+    });
+    return edits;
+}
+
+/**
+ * Finds the XP ledger entries of changed dates in archived years (null where an entry was removed), by year.
+ * The rest of an archived day is read-only, but its XP is recalculated when the XP rules change.
+ * @returns {Map<number, Map<string, object|null>>}
+ */
+function collectArchivedLedger(state, changes) {
+    const byYear = new Map();
+    changes.days.forEach(date => {
+        if (!isArchivedDate(state, date)) return;
+        const year = getRecordYear(date);
+        if (!byYear.has(year)) byYear.set(year, new Map());
+        const entry = state.xpLedger?.[date];
+        byYear.get(year).set(date, entry ? JSON.parse(JSON.stringify(entry)) : null);
+    });
+    return byYear;
+}
+
+/**
+ * Returns what this tab expects a record to contain once its writes finish: the latest
+ * write in progress, or the record as last loaded, written or merged.
+ */
+function getBaseContent(storeName, key) {
+    const id = `${storeName}/${key}`;
+    return submittedRecords.has(id) ? submittedRecords.get(id) : knownRecords[storeName].get(key);
+}
+
+function getBaseKeys(storeName) {
+    const keys = new Set(knownRecords[storeName].keys());
+    submittedRecords.forEach((content, id) => {
+        if (content && id.startsWith(`${storeName}/`)) keys.add(id.slice(storeName.length + 1));
+    });
+    return keys;
+}
+
+function createEditLists() {
+    return Object.fromEntries(STORE_NAMES.map(storeName => [storeName, []]));
+}
+
+function addRecordEdit(list, key, local, known) {
+    if (serializeContent(local) !== serializeContent(known)) list.push({ key, local: getRecordContent(local) });
+}
+
+/**
+ * Applies this tab's changed day fields on top of the stored day record.
+ * Fields changed by another tab after this edit was made keep the other tab's value.
+ * @returns {object|null} The record to store, or null if the day is now empty.
+ */
+function mergeDayEdit(stored, edit, changeTime) {
+    const record = {
+        date: edit.key,
+        fields: { ...(stored?.fields || {}) },
+        fieldTimes: { ...(stored?.fieldTimes || {}) },
+        updatedAt: stored?.updatedAt > changeTime ? stored.updatedAt : changeTime
+    };
+    edit.paths.forEach(path => {
+        if ((record.fieldTimes[path] || '') > changeTime) return;
+        if (edit.local && path in edit.local.fields) {
+            record.fields[path] = edit.local.fields[path];
+            record.fieldTimes[path] = changeTime;
+        } else {
+            delete record.fields[path];
+            delete record.fieldTimes[path];
+        }
+    });
+    return Object.keys(record.fields).length > 0 ? record : null;
+}
+
+/**
+ * Resolves a whole-record edit against the stored record: the most recent change wins.
+ * @returns {object|null|undefined} The record to store, null to delete it, or undefined to keep the stored one.
+ */
+function mergeRecordEdit(stored, edit, changeTime) {
+    if ((stored?.updatedAt || '') > changeTime) return undefined;
+    return edit.local ? { ...edit.local, updatedAt: changeTime } : null;
+}
+
+async function readRecordsByKey(keys) {
+    const database = await openDatabase();
+    const tx = database.transaction(STORE_NAMES, 'readonly');
+    const requests = createRecordMaps();
+    STORE_NAMES.forEach(storeName => {
+        (keys[storeName] || []).forEach(key => requests[storeName].set(key, requestToPromise(tx.objectStore(storeName).get(key))));
+    });
+    const records = createRecordMaps();
+    for (const storeName of STORE_NAMES) {
+        for (const [key, request] of requests[storeName]) {
+            records[storeName].set(key, (await openRecord(await request, encryptionKey)) ?? null);
+        }
+    }
+    return records;
+}
+
+/**
+ * Replays the action log from its most recent snapshot event into per-store record lists.
+ * @returns {Promise<{records: object, eventsReplayed: number}|null>} Null if there is no log.
+ */
+async function replayActionLog() {
+    if (useLegacyStorage) return null;
+    const database = await openDatabase();
+    const events = await readLogEvents(database, encryptionKey);
+    if (events.length === 0) return null;
+    const tx = database.transaction('archives', 'readonly');
+    const archives = await Promise.all((await requestToPromise(tx.objectStore('archives').getAll())).map(record => openRecord(record, encryptionKey)));
+    return replayEvents(events, new Map(archives.map(archive => [archive.year, archive])));
+}
+
+/**
+ * Replays log events from the most recent snapshot event among them (or from nothing, if there is none).
+ * @param {Map<number, object>} archives - The stored archive records by year, which 'yearArchived' events move years into.
+ * @returns {{records: object, eventsReplayed: number}} The resulting per-store record lists.
+ */
+function replayEvents(events, archives) {
+    let startIndex = -1;
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i].action === SNAPSHOT_ACTION) { startIndex = i; break; }
+    }
+
+    // Replay into per-store maps keyed like the object stores
+    const stores = {};
+    Object.entries(STORES).forEach(([storeName, keyPath]) => {
+        const startRecords = startIndex >= 0 ? (events[startIndex].snapshot?.[storeName] || []) : [];
+        stores[storeName] = new Map(startRecords.map(record => [record[keyPath], record]));
+    });
+    const replayed = events.slice(startIndex + 1);
+    replayed.forEach(event => {
+        if (event.action === YEAR_ARCHIVED_ACTION) {
+            const year = event.payload?.year;
+            if (!archives.has(year)) { console.warn(`[Storage] The archive of ${year} is missing; its records are replayed unarchived.`); return; }
+            stores.days.forEach((_, date) => { if (getRecordYear(date) === year) stores.days.delete(date); });
+            stores.timeline.forEach((record, key) => { if (getRecordYear(getTimelineEntryDate(record.entry)) === year) stores.timeline.delete(key); });
+            stores.archives.set(year, archives.get(year));
+            return;
+        }
+        Object.entries(event.changes?.puts || {}).forEach(([storeName, records]) => {
+            records.forEach(record => stores[storeName]?.set(record[STORES[storeName]], record));
+        });
+        Object.entries(event.changes?.deletes || {}).forEach(([storeName, keys]) => {
+            keys.forEach(key => stores[storeName]?.delete(key));
+        });
+    });
+
+    const records = {};
+    STORE_NAMES.forEach(storeName => { records[storeName] = Array.from(stores[storeName].values()); });
+    return { records, eventsReplayed: replayed.length };
+}
+
+async function writeAllRecords(database, state, reason, key = null) {
+    const time = new Date().toISOString();
+    const records = await moveToArchives(stampRecords(buildAllRecords(state), time), state.archivedYears || [], time);
+    const sealedRecords = {};
+    for (const storeName of STORE_NAMES) {
+        sealedRecords[storeName] = await Promise.all(records[storeName].map(record => sealRecord(storeName, record, key)));
+    }
+    const snapshotEvent = await sealLogEvent(createSnapshotEvent(records, reason), key);
+    const tx = database.transaction([...STORE_NAMES, LOG_STORE], 'readwrite');
+    STORE_NAMES.forEach(storeName => {
+        const store = tx.objectStore(storeName);
+        store.clear();
+        sealedRecords[storeName].forEach(record => store.put(record));
+    });
+    tx.objectStore(LOG_STORE).add(snapshotEvent);
+    await transactionDone(tx);
+    return records;
+}
+
+function getRecordYear(dateString) {
+    return Number(String(dateString || '').slice(0, 4));
+}
+
+/** The serialized size of each stored value (sealed, if encrypted), by store and key. */
+async function readStoredSizes(database, storeNames) {
+    const tx = database.transaction(storeNames, 'readonly');
+    const requests = storeNames.map(storeName => {
+        const store = tx.objectStore(storeName);
+        return Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+    });
+    const sizes = {};
+    for (const [index, [keys, values]] of (await Promise.all(requests)).entries()) {
+        sizes[storeNames[index]] = new Map(keys.map((key, i) => [key, getStoredBytes(values[i])]));
+    }
+    return sizes;
+}
+
+function getStoredBytes(value) {
+    return new Blob([JSON.stringify(value)]).size;
+}
+
+async function createArchiveRecord(year, days, timeline, timestamp) {
+    const compressed = await compressJSON({ days, timeline });
+    return { year, ...compressed, dayCount: days.length, entryCount: timeline.length, updatedAt: timestamp };
+}
+
+/**
+ * Writes XP ledger entries into the day records held by an archive record.
+ * @returns {Promise<object|null>} The rewritten archive record, or null if it already holds these entries.
+ */
+async function updateArchivedLedger(archive, entries, timestamp) {
+    if (!archive) return null;
+    const contents = await decompressJSON(archive);
+    const days = new Map((contents.days || []).map(record => [record.date, record]));
+    let changed = false;
+    entries.forEach((entry, date) => {
+        const record = days.get(date) || { date, fields: {}, fieldTimes: {} };
+        if (serializeContent(record.fields.xpLedger) === serializeContent(entry)) return;
+        if (entry) {
+            record.fields.xpLedger = entry;
+            record.fieldTimes = { ...record.fieldTimes, xpLedger: timestamp };
+        } else {
+            delete record.fields.xpLedger;
+            delete record.fieldTimes?.xpLedger;
+        }
+        record.updatedAt = timestamp;
+        if (Object.keys(record.fields).length > 0) days.set(date, record);
+        else days.delete(date);
+        changed = true;
+    });
+    if (!changed) return null;
+    const dayRecords = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return createArchiveRecord(archive.year, dayRecords, contents.timeline || [], timestamp);
+}
+
+/**
+ * Moves the day and timeline records of archived years out of the record lists and into
+ * one archive record per year (used when the whole state is written, e.g. a backup restore).
+ */
+async function moveToArchives(records, years, timestamp) {
+    for (const year of years) {
+        const days = records.days.filter(record => getRecordYear(record.date) === year);
+        const timeline = records.timeline.filter(record => getRecordYear(getTimelineEntryDate(record.entry)) === year);
+        records.days = records.days.filter(record => !days.includes(record));
+        records.timeline = records.timeline.filter(record => !timeline.includes(record));
+        records.archives.push(await createArchiveRecord(year, days, timeline, timestamp));
+    }
+    return records;
+}
+
+/**
+ * Decompresses archive records into the day and timeline records they hold.
+ * @returns {Promise<{days: Array, timeline: Array, years: Array<number>}>}
+ */
+async function expandArchives(archiveRecords = []) {
+    const archived = { days: [], timeline: [], years: [] };
+    for (const archive of archiveRecords) {
+        const contents = await decompressJSON(archive);
+        archived.days.push(...(contents.days || []));
+        archived.timeline.push(...(contents.timeline || []));
+        archived.years.push(archive.year);
+    }
+    archived.years.sort((a, b) => a - b);
+    return archived;
+}
+
+function createSnapshotEvent(records, reason) {
+    return { action: SNAPSHOT_ACTION, timestamp: new Date().toISOString(), payload: { reason }, snapshot: records };
+}
+
+async function appendSnapshotEvent(records, reason) {
+    const snapshotEvent = await sealLogEvent(createSnapshotEvent(records, reason), encryptionKey);
+    const database = await openDatabase();
+    const tx = database.transaction(LOG_STORE, 'readwrite');
+    tx.objectStore(LOG_STORE).add(snapshotEvent);
+    await transactionDone(tx);
+}
+
+async function countLogEvents() {
+    const database = await openDatabase();
+    const tx = database.transaction(LOG_STORE, 'readonly');
+    return requestToPromise(tx.objectStore(LOG_STORE).count());
+}
+
+async function readLogEvents(database, key) {
+    const tx = database.transaction(LOG_STORE, 'readonly');
+    const events = await requestToPromise(tx.objectStore(LOG_STORE).getAll());
+    return Promise.all(events.map(event => openLogEvent(event, key)));
+}
+
+async function readAllRecords(database, key = null) {
+    const tx = database.transaction(STORE_NAMES, 'readonly');
+    const requests = {};
+    STORE_NAMES.forEach(storeName => {
+        requests[storeName] = requestToPromise(tx.objectStore(storeName).getAll());
+    });
+    const records = {};
+    for (const storeName of STORE_NAMES) {
+        records[storeName] = await Promise.all((await requests[storeName]).map(record => openRecord(record, key)));
+    }
+    return records;
+}
+
+function readLegacyBlob(key = LEGACY_STORAGE_KEY) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error("[Storage] Error reading legacy localStorage state:", error);
+        return null;
+    }
+}
+
+// The localStorage fallback keeps the whole state in one blob, encrypted as { sealed } when a passphrase is set
+async function readLegacyState(key = LEGACY_STORAGE_KEY) {
+    const stored = readLegacyBlob(key);
+    return stored?.sealed ? openRecord(stored, encryptionKey) : stored;
+}
+
+async function writeLegacyState(key, state, sealKey = encryptionKey) {
+    const value = sealKey ? { sealed: await encryptJSON(sealKey, state) } : state;
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+function getSyncChannel() {
+    if (!syncChannel && typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(`${DB_NAME}-sync`); // One channel per profile database
+    }
+    return syncChannel;
+}
+
+function notifyOtherTabs(message) {
+    try {
+        getSyncChannel()?.postMessage(message);
+    } catch (error) {
+        console.warn("[Storage] Could not notify other tabs of the change:", error);
+    }
+}
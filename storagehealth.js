@@ -0,0 +1,101 @@
+// storagehealth.js
+
+/**
+ * Storage health checks for WellSpring.
+ * Estimates how much of the browser's storage quota is in use (navigator.storage.estimate,
+ * or the localStorage contents in fallback mode) and how large the saved state is, so the
+ * user can be warned well before saves start failing. Also lists the completed years that
+ * could be moved into a compressed archive (storage.js archiveYear) to free up space.
+ */
+
+// --- Imports ---
+import { isUsingLegacyStorage } from './storage.js';
+import { isArchivedDate, getTimelineEntryDate } from './utils.js';
+import { getToday } from './dates.js';
+
+// --- Constants ---
+const WARNING_USAGE_RATIO = 0.8;   // Warn once 80% of the quota is used
+const CRITICAL_USAGE_RATIO = 0.95; // Saves are likely to fail soon
+const LEGACY_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024; // Typical localStorage limit per site
+const QUOTA_ERROR_NAMES = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'];
+
+// --- Health Check ---
+
+/**
+ * Checks how close the stored data is to the browser's storage quota.
+ * @param {object} state - The current application state (its serialized size is reported).
+ * @returns {Promise<{level: 'ok'|'warning'|'critical'|'unknown', usage: number|null, quota: number|null, ratio: number|null, stateBytes: number, archivableYears: Array<{year: number, dayCount: number, entryCount: number}>}>}
+ */
+export async function checkStorageHealth(state) {
+    const serialized = JSON.stringify(state);
+    const stateBytes = new Blob([serialized]).size;
+    let usage = null;
+    let quota = null;
+
+    if (isUsingLegacyStorage()) {
+        // localStorage counts UTF-16 characters (two bytes each) across all keys of the site
+        usage = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+        }
+        quota = LEGACY_STORAGE_QUOTA_BYTES;
+    } else if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        try {
+            ({ usage, quota } = await navigator.storage.estimate());
+        } catch (error) {
+            console.warn("[StorageHealth] Could not estimate storage usage:", error);
+        }
+    }
+
+    const ratio = Number.isFinite(usage) && quota > 0 ? usage / quota : null;
+    let level = 'unknown';
+    if (ratio !== null) {
+        if (ratio >= CRITICAL_USAGE_RATIO) level = 'critical';
+        else if (ratio >= WARNING_USAGE_RATIO) level = 'warning';
+        else level = 'ok';
+    }
+    return { level, usage, quota, ratio, stateBytes, archivableYears: getArchivableYears(state) };
+}
+
+/**
+ * Returns true if an error means the browser refused to store more data.
+ * @param {Error|DOMException} error - The error thrown by a save.
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+    return QUOTA_ERROR_NAMES.includes(error?.name) || error?.code === 22;
+}
+
+/**
+ * Lists the completed (past) years that have logged days or timeline entries and are not archived yet.
+ * @param {object} state - The application state.
+ * @returns {Array<{year: number, dayCount: number, entryCount: number}>} Oldest year first.
+ */
+export function getArchivableYears(state) {
+    const currentYear = Number(getToday(state).slice(0, 4));
+    const years = new Map();
+    const countFor = (year) => {
+        if (!years.has(year)) years.set(year, { year, dates: new Set(), entryCount: 0 });
+        return years.get(year);
+    };
+    const addDate = (date) => {
+        const year = Number(String(date).slice(0, 4));
+        if (year < currentYear && !isArchivedDate(state, date)) countFor(year).dates.add(date);
+    };
+
+    Object.keys(state?.savedDays || {}).forEach(addDate);
+    Object.keys(state?.mood || {}).forEach(addDate);
+    Object.keys(state?.wellbeing || {}).forEach(addDate);
+    Object.values(state?.pillars || {}).forEach(pillarData => Object.keys(pillarData?.days || {}).forEach(addDate));
+    (state?.timeline || []).forEach(entry => {
+        const date = getTimelineEntryDate(entry);
+        const year = Number(date.slice(0, 4));
+        if (year && year < currentYear && !isArchivedDate(state, date)) countFor(year).entryCount++;
+    });
+
+    return Array.from(years.values())
+        .filter(info => info.year > 0)
+        .sort((a, b) => a.year - b.year)
+        .map(info => ({ year: info.year, dayCount: info.dates.size, entryCount: info.entryCount }));
+}
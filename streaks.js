@@ -0,0 +1,102 @@
+// streaks.js
+
+/**
+ * Streak modes for WellSpring.
+ * - 'daily' (default): the streak counts consecutive saved days, as kept in the XP ledger
+ *   (state.streak, with planned rest days and freeze tokens bridging missed days).
+ * - 'weekly': the streak counts consecutive weeks (starting on the chosen week start day, see
+ *   dates.getWeekStart) with at least
+ *   state.weeklyStreakTarget saved or planned rest days. The current week only adds to the streak
+ *   once it meets the target, and does not break it while it is still in progress.
+ * The mode changes how the streak is shown and how streak achievements are judged; the XP
+ * streak bonus always follows the daily streak, so switching modes never changes XP.
+ */
+
+// --- Imports ---
+import { getToday, getWeekStart, addDays, isValidDateString } from './dates.js';
+
+// --- Constants ---
+export const STREAK_MODES = {
+    daily: { name: "Daily streak", description: "Counts consecutive days you save (rest days and streak freezes keep it going)." },
+    weekly: { name: "Weekly target", description: "Counts consecutive weeks (from your chosen week start day) in which you save at least your target number of days." }
+};
+export const DEFAULT_STREAK_MODE = 'daily';
+export const DEFAULT_WEEKLY_TARGET = 5;
+
+// --- Settings ---
+
+/**
+ * Returns the streak settings for a state, falling back to the defaults for missing or invalid values.
+ * @param {object} state - The application state.
+ * @returns {{mode: string, weeklyTarget: number}}
+ */
+export function getStreakSettings(state) {
+    const mode = STREAK_MODES[state?.streakMode] ? state.streakMode : DEFAULT_STREAK_MODE;
+    const target = parseInt(state?.weeklyStreakTarget);
+    return { mode, weeklyTarget: target >= 1 && target <= 7 ? target : DEFAULT_WEEKLY_TARGET };
+}
+
+// --- Weekly Streak ---
+
+/**
+ * Counts the consecutive weeks, up to the week of `today`, that met the weekly target.
+ * Saved days and planned rest days up to `today` count toward a week's target.
+ * @param {object} state - The application state.
+ * @param {string} [today] - Today's date ('YYYY-MM-DD'), the user's local day by default (see dates.js).
+ * @returns {{weeks: number, daysThisWeek: number, target: number, currentWeekMet: boolean}}
+ */
+export function calculateWeeklyStreak(state, today = getToday(state)) {
+    const { weeklyTarget } = getStreakSettings(state);
+    const daysPerWeek = {};
+    const countedDates = [...Object.keys(state?.savedDays || {}).filter(date => state.savedDays[date]),
+        ...Object.keys(state?.restDays || {}).filter(date => state.restDays[date])];
+    new Set(countedDates).forEach(date => {
+        if (date > today || !isValidDateString(date)) return;
+        const weekId = getWeekStart(state, date);
+        daysPerWeek[weekId] = (daysPerWeek[weekId] || 0) + 1;
+    });
+
+    const thisWeek = getWeekStart(state, today);
+    const daysThisWeek = daysPerWeek[thisWeek] || 0;
+    const currentWeekMet = daysThisWeek >= weeklyTarget;
+    let weeks = currentWeekMet ? 1 : 0; // An unfinished week below target doesn't break the streak yet
+    // Walk back one week at a time until a week misses the target (weeks before the first log always do)
+    for (let week = addDays(thisWeek, -7); ; week = addDays(week, -7)) {
+        if ((daysPerWeek[week] || 0) < weeklyTarget) break;
+        weeks++;
+    }
+    return { weeks, daysThisWeek, target: weeklyTarget, currentWeekMet };
+}
+
+// --- Streak Status ---
+
+/**
+ * Returns the streak to show for the active mode.
+ * @param {object} state - The application state.
+ * @returns {{mode: string, value: number, unit: string, label: string, daysThisWeek?: number, target?: number}}
+ *          `unit` is 'day' or 'week'; `label` is e.g. "12 days" or "3 weeks".
+ */
+export function getStreakStatus(state) {
+    const { mode } = getStreakSettings(state);
+    if (mode === 'weekly') {
+        const { weeks, daysThisWeek, target } = calculateWeeklyStreak(state);
+        return { mode, value: weeks, unit: 'week', label: `${weeks} week${weeks === 1 ? '' : 's'}`, daysThisWeek, target };
+    }
+    const days = state?.streak || 0;
+    return { mode, value: days, unit: 'day', label: `${days} day${days === 1 ? '' : 's'}` };
+}
+
+/**
+ * Returns the progress toward a streak achievement in the active mode.
+ * Streak achievement targets are given in days; in weekly mode they need one target week
+ * per started 7 days (e.g. 30 days → 5 weeks).
+ * @param {object} state - The application state.
+ * @param {number} days - The achievement's streak target in days.
+ * @returns {{progress: number, target: number}}
+ */
+export function getStreakAchievementProgress(state, days) {
+    const status = getStreakStatus(state);
+    return status.mode === 'weekly'
+        ? { progress: status.value, target: Math.ceil(days / 7) }
+        : { progress: status.value, target: days };
+}
@@ -2,7 +2,7 @@
 
 // Define a unique cache name, including a version number.
 // Increment the version number when you update the cached files.
-const CACHE_NAME = 'wellspring-cache-v8'; // Updated to v8 for balanced XP curve
+const CACHE_NAME = 'wellspring-cache-v47'; // Updated to v47 for CSV import counts of written, notes-only and unchanged days
 
 // List of essential files to cache for the application shell.
 const urlsToCache = [
@@ -11,6 +11,23 @@ const urlsToCache = [
     'style.css',
     'app.js',
     'state.js',
+    'storage.js',
+    'migrations.js',
+    'profiles.js',
+    'encryption.js',
+    'compression.js',
+    'storagehealth.js',
+    'xpledger.js',
+    'xprules.js',
+    'streaks.js',
+    'pillars.js',
+    'quantities.js',
+    'tags.js',
+    'times.js',
+    'wellbeing.js',
+    'dates.js',
+    'csv.js',
+    'backupmerge.js',
     'utils.js',
     'constants.js',
     'achievements.js',
@@ -31,6 +48,13 @@ const urlsToCache = [
     'ui/collapsibleUI.js',
     'ui/datePickerUI.js',
     'ui/settingsUI.js',
+    'ui/actionLogUI.js',
+    'ui/profilesUI.js',
+    'ui/encryptionUI.js',
+    'ui/storageUI.js',
+    'ui/pillarManagerUI.js',
+    'ui/exportUI.js',
+    'ui/importUI.js',
     // Assets
     'assets/wellspringlogo.png',
     'assets/favicon.PNG', // Ensure this matches your actual file casing
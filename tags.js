@@ -0,0 +1,138 @@
+// tags.js
+
+/**
+ * Optional sub-activity tags per pillar (e.g. Yoga or Cycling for Move, who you met for Connect).
+ * - state.pillarTags[pillarId] = ['Yoga', 'Cycling'] is the pillar's tag list (edited in the pillar manager,
+ *   or grown by adding a new tag on the pillar card).
+ * - state.pillars[pillarId].tags[date] = ['Yoga'] holds the tags picked for that day's entry.
+ * Tags describe an entry, so tagging a day checks the pillar and unchecking the pillar clears its tags.
+ * Tags are compared case-insensitively. Removing a tag from the list keeps it on the days it was used.
+ */
+
+// --- Constants ---
+export const MAX_TAGS_PER_PILLAR = 20;
+const MAX_TAG_LENGTH = 24;
+const SUGGESTED_TAG_COUNT = 5; // Tags shown on a pillar card (besides the ones picked that day)
+const UNSAFE_TAG_PATTERN = /[<>&"',]/; // Commas separate tags in the pillar manager
+
+// --- Tag Lists ---
+
+/**
+ * Returns a pillar's tag list (entries that aren't safe to display, e.g. from an edited backup, are skipped).
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @returns {Array<string>}
+ */
+export function getTagList(state, pillarId) {
+    const tags = state?.pillarTags?.[pillarId];
+    return Array.isArray(tags) ? tags.filter(isSafeTag) : [];
+}
+
+/**
+ * Checks and normalizes a comma-separated tag list entered in the pillar manager.
+ * Duplicates (ignoring case) are dropped.
+ * @param {string} text - The entered list, e.g. "Yoga, Cycling".
+ * @returns {{tags: Array<string>, error: string|null}}
+ */
+export function parseTagList(text) {
+    const tags = [];
+    for (const entry of String(text || '').split(',')) {
+        const { tag, error } = checkTag(entry);
+        if (error) return { tags: [], error };
+        if (tag && !tags.some(t => isSameTag(t, tag))) tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS_PER_PILLAR) return { tags: [], error: `A pillar can have up to ${MAX_TAGS_PER_PILLAR} tags.` };
+    return { tags, error: null };
+}
+
+/**
+ * Checks and normalizes a single tag.
+ * @param {string} text - The entered tag.
+ * @returns {{tag: string, error: string|null}} The trimmed tag ('' if empty), or an error message.
+ */
+export function checkTag(text) {
+    const tag = String(text || '').trim().replace(/\s+/g, ' ');
+    if (tag.length > MAX_TAG_LENGTH || (tag && !isSafeTag(tag))) return { tag: '', error: `Tags can be at most ${MAX_TAG_LENGTH} characters, without < > & " ' or commas.` };
+    return { tag, error: null };
+}
+
+/**
+ * @param {string} a - A tag.
+ * @param {string} b - Another tag.
+ * @returns {boolean} True if both are the same tag (ignoring case).
+ */
+export function isSameTag(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// --- Tagged Days ---
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @returns {Array<string>} The tags picked that day.
+ */
+export function getDayTags(state, pillarId, date) {
+    const tags = state?.pillars?.[pillarId]?.tags?.[date];
+    return Array.isArray(tags) ? tags.filter(isSafeTag) : [];
+}
+
+/**
+ * Returns the tags to show on a pillar card for a date: the ones picked that day, then the pillar's
+ * other tags, most recently used first.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} date - The date shown ('YYYY-MM-DD').
+ * @returns {Array<string>}
+ */
+export function getSuggestedTags(state, pillarId, date) {
+    const dayTags = getDayTags(state, pillarId, date);
+    const lastUsed = new Map();
+    Object.entries(state?.pillars?.[pillarId]?.tags || {}).forEach(([tagDate, tags]) => {
+        if (!Array.isArray(tags)) return;
+        tags.forEach(tag => {
+            const key = String(tag).toLowerCase();
+            if ((lastUsed.get(key) || '') < tagDate) lastUsed.set(key, tagDate);
+        });
+    });
+    const others = getTagList(state, pillarId)
+        .filter(tag => !dayTags.some(t => isSameTag(t, tag)))
+        .map((tag, index) => ({ tag, index, lastUsed: lastUsed.get(tag.toLowerCase()) || '' }))
+        .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed) || a.index - b.index)
+        .map(entry => entry.tag);
+    return [...dayTags, ...others.slice(0, SUGGESTED_TAG_COUNT)];
+}
+
+/**
+ * Counts how often each tag was used for a pillar, optionally within a date range.
+ * Tags are grouped ignoring case and shown as last used.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} [from] - First date to include ('YYYY-MM-DD').
+ * @param {string} [to] - Last date to include ('YYYY-MM-DD').
+ * @returns {{counts: Array<{tag: string, count: number}>, taggedDays: number}} Tags by count (highest first) and the number of tagged days.
+ */
+export function getTagCounts(state, pillarId, from = '', to = '9999-12-31') {
+    const counts = new Map();
+    let taggedDays = 0;
+    Object.keys(state?.pillars?.[pillarId]?.tags || {}).sort().forEach(date => {
+        const tags = getDayTags(state, pillarId, date);
+        if (tags.length === 0 || date < from || date > to) return;
+        taggedDays++;
+        tags.forEach(tag => {
+            const key = tag.toLowerCase();
+            counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
+        });
+    });
+    return {
+        counts: [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+        taggedDays
+    };
+}
+
+// --- Internal Helpers ---
+
+function isSafeTag(tag) {
+    return typeof tag === 'string' && tag.trim().length > 0 && tag.length <= MAX_TAG_LENGTH && !UNSAFE_TAG_PATTERN.test(tag);
+}
@@ -0,0 +1,108 @@
+// times.js
+
+/**
+ * Time of day of pillar entries.
+ * state.pillars[pillarId].times[date] = 'HH:MM' is the local (wall-clock) time a pillar was done that day,
+ * recorded when it is checked on the current day and editable on its card. Entries without a time
+ * (everything logged before times were recorded, and checks on past days) have an unknown time.
+ */
+
+// --- Constants ---
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Parts of the day used by the Time of Day analytics (start hour inclusive, end hour exclusive)
+export const TIME_OF_DAY_PERIODS = [
+    { id: 'morning', name: "Morning", emoji: '🌅', startHour: 5, endHour: 12 },
+    { id: 'afternoon', name: "Afternoon", emoji: '☀️', startHour: 12, endHour: 17 },
+    { id: 'evening', name: "Evening", emoji: '🌇', startHour: 17, endHour: 22 },
+    { id: 'night', name: "Night", emoji: '🌙', startHour: 22, endHour: 5 } // Wraps past midnight
+];
+
+// --- Times ---
+
+/**
+ * @param {Date} [date] - The moment to format (defaults to now).
+ * @returns {string} Its local time as 'HH:MM'.
+ */
+export function getLocalTimeString(date = new Date()) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {*} time - A value to check.
+ * @returns {boolean} True if it is a time of day stored as 'HH:MM'.
+ */
+export function isValidTime(time) {
+    return typeof time === 'string' && TIME_PATTERN.test(time);
+}
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @returns {string|null} The time the pillar was done that day ('HH:MM'), or null if unknown.
+ */
+export function getPillarTime(state, pillarId, date) {
+    const time = state?.pillars?.[pillarId]?.times?.[date];
+    return isValidTime(time) ? time : null;
+}
+
+/**
+ * Formats a stored time for display in the user's locale, e.g. "7:05 AM" or "07:05".
+ * @param {string} time - A time as 'HH:MM'.
+ * @returns {string}
+ */
+export function formatTime(time) {
+    if (!isValidTime(time)) return '';
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * @param {string} time - A time as 'HH:MM'.
+ * @returns {object|null} The part of the day it falls in (see TIME_OF_DAY_PERIODS).
+ */
+export function getTimeOfDayPeriod(time) {
+    if (!isValidTime(time)) return null;
+    const hour = Number(time.slice(0, 2));
+    return TIME_OF_DAY_PERIODS.find(period => period.startHour < period.endHour
+        ? hour >= period.startHour && hour < period.endHour
+        : hour >= period.startHour || hour < period.endHour) || null;
+}
+
+// --- Time of Day Analysis ---
+
+/**
+ * Works out when a pillar tends to happen and the mood on those days.
+ * @param {object} state - The application state.
+ * @param {string} pillarId - The pillar ID.
+ * @returns {{periods: Array<{id: string, name: string, emoji: string, count: number, averageMood: number|null}>,
+ *            timed: number, unknown: number, typicalTime: string|null}}
+ *          Per part of the day: the number of entries and the average mood of those days (null if no mood
+ *          was logged); the number of entries with and without a time; and the median time.
+ */
+export function getTimeOfDayStats(state, pillarId) {
+    const periods = TIME_OF_DAY_PERIODS.map(period => ({ id: period.id, name: period.name, emoji: period.emoji, count: 0, moodTotal: 0, moodDays: 0 }));
+    const minutes = [];
+    let unknown = 0;
+
+    Object.entries(state?.pillars?.[pillarId]?.days || {}).forEach(([date, done]) => {
+        if (!done) return;
+        const time = getPillarTime(state, pillarId, date);
+        if (!time) { unknown++; return; }
+        const period = periods.find(p => p.id === getTimeOfDayPeriod(time).id);
+        period.count++;
+        const mood = Number(state.mood?.[date]);
+        if (mood >= 1 && mood <= 5) { period.moodTotal += mood; period.moodDays++; }
+        minutes.push(Number(time.slice(0, 2)) * 60 + Number(time.slice(3)));
+    });
+
+    minutes.sort((a, b) => a - b);
+    const median = minutes.length > 0 ? minutes[Math.floor((minutes.length - 1) / 2)] : null;
+    return {
+        periods: periods.map(({ moodTotal, moodDays, ...period }) => ({ ...period, averageMood: moodDays > 0 ? moodTotal / moodDays : null })),
+        timed: minutes.length,
+        unknown,
+        typicalTime: median === null ? null : `${String(Math.floor(median / 60)).padStart(2, '0')}:${String(median % 60).padStart(2, '0')}`
+    };
+}
@@ -0,0 +1,152 @@
+// ui/actionLogUI.js
+
+/**
+ * Renders the action log (audit trail) in the Settings modal.
+ * Lists logged actions newest first, optionally filtered to a single day,
+ * and reports whether replaying the log reproduces the stored data.
+ * *** MODIFIED: Lists day changes, travel days and the day rollover hour (see dates.js). ***
+ * *** MODIFIED: Lists week start changes. ***
+ * *** MODIFIED: Lists CSV imports. ***
+ * *** MODIFIED: Compacted events (see storage.compactActionLog) are matched to a day by the dates they kept. ***
+ */
+
+// --- Imports ---
+import { readActionLog, verifyStateAgainstLog } from '../storage.js';
+import { getState } from '../state.js';
+import { getPillar } from '../pillars.js';
+import { getQuantitySettings, formatAmount } from '../quantities.js';
+import { formatTime } from '../times.js';
+import { WELLBEING_SCALES, CHECK_INS, formatLevel } from '../wellbeing.js';
+import { formatDate, escapeHtml, getMoodEmoji } from '../utils.js';
+import { WEEK_START_DAYS } from '../dates.js';
+
+// --- Constants ---
+const MAX_LOG_ENTRIES_SHOWN = 200;
+const ACTION_LABELS = {
+    togglePillar: 'Pillar toggled',
+    updateMood: 'Mood updated',
+    saveDay: 'Day saved',
+    unlockDay: 'Day unlocked',
+    addTimelineEntry: 'Timeline entry added',
+    updateNoteInTimeline: 'Note edited',
+    deleteNoteFromTimeline: 'Note deleted',
+    prestige: 'New cycle started',
+    saveHabitPlan: 'Habit plan saved',
+    deleteHabitPlan: 'Habit plan deleted',
+    undo: 'Undo',
+    redo: 'Redo',
+    passphraseSet: 'Passphrase set',
+    passphraseChanged: 'Passphrase changed',
+    passphraseRemoved: 'Passphrase removed',
+    yearArchived: 'Year archived',
+    snapshot: 'Full data snapshot',
+    rebuildFromLog: 'Rebuilt from log',
+    repairXPLedger: 'XP history repaired',
+    setXPRules: 'XP rules changed',
+    toggleRestDay: 'Rest day changed',
+    setStreakSettings: 'Streak mode changed',
+    addCustomPillar: 'Custom pillar added',
+    deleteCustomPillar: 'Custom pillar deleted',
+    updatePillars: 'Pillars updated',
+    updatePillarAmount: 'Pillar amount changed',
+    updatePillarTags: 'Pillar tags changed',
+    updatePillarTime: 'Pillar time changed',
+    updateWellbeing: 'Wellbeing updated',
+    recordLastSeenDay: 'New day',
+    addTravelDays: 'Travel days added',
+    setDayRolloverHour: 'Day rollover changed',
+    setWeekStartDay: 'Week start changed',
+    importCSV: 'CSV imported'
+};
+
+// --- Rendering ---
+
+/**
+ * Renders the action log list and the replay verification status.
+ * @param {string|null} [filterDate=null] - Only show actions that touched this day ('YYYY-MM-DD').
+ */
+export async function renderActionLog(filterDate = null) {
+    const list = document.getElementById('action-log-list');
+    const status = document.getElementById('action-log-status');
+    if (!list || !status) {
+        console.error("[ActionLogUI] Action log elements (#action-log-list, #action-log-status) not found.");
+        return;
+    }
+
+    status.textContent = 'Loading activity log...';
+    try {
+        const events = await readActionLog();
+        const filtered = filterDate ? events.filter(event => eventTouchesDate(event, filterDate)) : events;
+        const shown = filtered.slice(-MAX_LOG_ENTRIES_SHOWN).reverse();
+
+        if (shown.length === 0) {
+            list.innerHTML = `<li class="action-log-entry empty">${filterDate ? `No logged actions for ${escapeHtml(formatDate(filterDate))}.` : 'No logged actions yet.'}</li>`;
+        } else {
+            list.innerHTML = shown.map(event => `
+                <li class="action-log-entry">
+                    <span class="action-log-time">${escapeHtml(new Date(event.timestamp).toLocaleString())}</span>
+                    <span class="action-log-action">${escapeHtml(ACTION_LABELS[event.action] || event.action)}</span>
+                    <span class="action-log-details">${escapeHtml(describeEvent(event))}</span>
+                </li>`).join('');
+        }
+
+        const verification = await verifyStateAgainstLog();
+        if (!verification) {
+            status.textContent = 'The activity log is not available in this browser.';
+        } else if (verification.matches) {
+            status.textContent = `✅ Replaying the log reproduces your current data (${events.length} logged actions).`;
+        } else {
+            status.textContent = `⚠️ ${verification.differences} record(s) differ from the log replay. Use "Rebuild from Log" to restore them.`;
+        }
+    } catch (error) {
+        console.error("[ActionLogUI] Error rendering action log:", error);
+        status.textContent = 'Could not read the activity log.';
+    }
+}
+
+// --- Internal Helpers ---
+
+function eventTouchesDate(event, date) {
+    if (event.payload?.date === date || event.dates?.includes(date)) return true;
+    const puts = event.changes?.puts?.days || [];
+    const deletes = event.changes?.deletes?.days || [];
+    return puts.some(record => record.date === date) || deletes.includes(date);
+}
+
+function describeEvent(event) {
+    const payload = event.payload || {};
+    const parts = [];
+    if (payload.date) parts.push(formatDate(payload.date));
+    if (payload.pillarId) {
+        const pillar = getPillar(getState(), payload.pillarId);
+        const value = event.action === 'updatePillarAmount' ? formatAmount(getQuantitySettings(getState(), payload.pillarId), payload.value)
+            : event.action === 'updatePillarTags' ? (payload.value?.length ? payload.value.join(', ') : 'no tags')
+            : event.action === 'updatePillarTime' ? (payload.value ? `at ${formatTime(payload.value)}` : 'time unknown')
+            : (payload.value ? 'on' : 'off');
+        parts.push(`${pillar ? `${pillar.emoji} ${pillar.name}` : payload.pillarId} ${value}`);
+    }
+    if (event.action === 'updateMood') parts.push(payload.level ? `${getMoodEmoji(payload.level)} (${payload.level})` : 'cleared');
+    if (event.action === 'updateWellbeing' && WELLBEING_SCALES[payload.scale]) {
+        const checkIn = payload.checkIn !== 'day' && CHECK_INS[payload.checkIn] ? `${CHECK_INS[payload.checkIn].emoji} ${CHECK_INS[payload.checkIn].name} ` : '';
+        parts.push(`${checkIn}${WELLBEING_SCALES[payload.scale].name} ${payload.level ? formatLevel(payload.scale, payload.level) : 'cleared'}`);
+    }
+    if (payload.type && payload.type !== 'note') parts.push(payload.type);
+    if (payload.label) parts.push(payload.label);
+    if (payload.reason) parts.push(payload.reason);
+    if (payload.prestige) parts.push(`Cycle ${payload.prestige}`);
+    if (payload.year) parts.push(String(payload.year));
+    if (event.action === 'setXPRules') parts.push(payload.preset);
+    if (event.action === 'toggleRestDay') parts.push(payload.value ? 'planned' : 'cleared');
+    if (event.action === 'setStreakSettings') parts.push(payload.mode === 'weekly' ? `${payload.target} days/week` : payload.mode);
+    if (event.action === 'addTravelDays') parts.push((payload.dates || []).map(formatDate).join(', '));
+    if (payload.timeZone) parts.push(payload.timeZone);
+    if (event.action === 'setDayRolloverHour') parts.push(payload.hour ? `starts at ${formatTime(`0${payload.hour}:00`)}` : 'starts at midnight');
+    if (event.action === 'setWeekStartDay' && WEEK_START_DAYS[payload.day]) parts.push(WEEK_START_DAYS[payload.day].name);
+    if (event.action === 'repairXPLedger') parts.push(`${payload.days} day(s) corrected`);
+    if (event.action === 'importCSV') parts.push(`${payload.days} day(s), ${payload.notes} note(s)${payload.notesOnlyDays ? `, ${payload.notesOnlyDays} day(s) notes only` : ''}${payload.unchangedDays ? `, ${payload.unchangedDays} unchanged` : ''}${payload.source ? ` from ${payload.source}` : ''}`);
+    if (parts.length === 0 && event.changes) {
+        const changedStores = Object.keys({ ...(event.changes.puts || {}), ...(event.changes.deletes || {}) });
+        if (changedStores.length > 0) parts.push(`Updated: ${changedStores.join(', ')}`);
+    }
+    return parts.join(' · ');
+}
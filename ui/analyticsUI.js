@@ -3,25 +3,48 @@
 /**
  * Manages the UI elements and rendering for the Analytics section,
  * including the statistics dashboard and the habit balance polygon chart.
+ * *** MODIFIED: Added the XP History view (per-day XP breakdown with a running total). ***
+ * *** MODIFIED: The current streak is shown in the chosen streak mode. ***
+ * *** MODIFIED: The polygon chart includes custom pillars. ***
+ * *** MODIFIED: Hidden and archived pillars stay in the polygon chart while they have logged days, marked in the legend. ***
+ * *** MODIFIED: Added the Amounts view (totals and a 14-day chart for pillars with quantity logging). ***
+ * *** MODIFIED: Added the Tags view (how often each sub-activity tag was used per pillar). ***
+ * *** MODIFIED: Added the Time of Day view (when each pillar tends to happen, and the mood on those days). ***
+ * *** MODIFIED: Added the Wellbeing view (mood and check-in scales over time, morning vs evening). ***
+ * *** MODIFIED: Recent periods end on the user's local day (see dates.js). ***
  */
 
 // --- Imports ---
 import { getState, getStateReference } from '../state.js'; // State access
-import { PILLARS } from '../constants.js'; // Pillar definitions
+import { getPillars, getPillar } from '../pillars.js'; // Built-in and custom pillars
 import {
-    formatDate, escapeHtml, calculateLevelData, findFirstUsageDate,
+    formatDate, escapeHtml, calculateLevelData, findFirstUsageDate, getMoodEmoji,
     calculateTotalDaysLogged, calculateTotalPillarEntries, calculateTotalNotesAdded,
     calculateTotalAchievementsUnlocked
 } from '../utils.js'; // Utilities
 import { ALL_ACHIEVEMENTS } from '../achievements.js'; // For total achievements count
+import { getDayXPBreakdown, describeXPBreakdown } from '../xpledger.js'; // Per-day XP breakdown
+import { getXPRules } from '../xprules.js'; // Active XP rules
+import { getStreakStatus } from '../streaks.js'; // Streak in the chosen mode
+import { getQuantitySettings, getAmount, getAmountTotals, formatAmount } from '../quantities.js'; // Pillar amounts
+import { getTagCounts } from '../tags.js'; // Pillar tags
+import { getTimeOfDayStats, formatTime } from '../times.js'; // Pillar times
+import { WELLBEING_SCALES, getDayLevel, getLevelAverage, formatLevel } from '../wellbeing.js'; // Mood & check-ins
+import { getToday, addDays } from '../dates.js'; // The user's calendar day
 // Import global UI functions if needed (e.g., showToast - though maybe handled by app.js)
 // import { showToast } from './globalUI.js';
 // Import audio functions if needed (usually handled by app.js)
 // import { playSound, handleInteractionForAudio } from '../audio.js';
 
+// --- Constants ---
+const XP_HISTORY_PAGE_SIZE = 30; // Days added to the XP History list per "Show more"
+const AMOUNT_CHART_DAYS = 14; // Days shown in each Amounts chart
+const RECENT_TAG_DAYS = 30; // Days counted in the "recent" column of the Tags view
+
 // --- Module State ---
-// Keep track of the currently active analytics view ('stats' or 'polygon')
+// Keep track of the currently active analytics view ('stats', 'polygon', 'xp', 'amounts', 'tags', 'times' or 'wellbeing')
 let currentAnalyticsView = 'stats'; // Default to stats view
+let xpHistoryLimit = XP_HISTORY_PAGE_SIZE; // Number of days shown in the XP History list
 
 // --- Core Functions ---
 
@@ -72,7 +95,7 @@ export function toggleAnalyticsVisibility(forceShow) {
 /**
  * Switches between different analytics views (e.g., 'stats', 'polygon').
  * Updates toggle buttons, shows/hides view containers, and triggers rendering.
- * @param {string} view - The view to switch to ('stats' or 'polygon').
+ * @param {string} view - The view to switch to ('stats', 'polygon', 'xp', 'amounts', 'tags', 'times' or 'wellbeing').
  */
 export function switchAnalyticsView(view) {
     // console.log(`[AnalyticsUI] switchAnalyticsView called for: ${view}`); // Debug log
@@ -89,9 +112,14 @@ export function switchAnalyticsView(view) {
     // --- Get Container Elements ---
     const statsViewContainer = document.getElementById("stats-dashboard-view");
     const polygonChartContainer = document.getElementById("polygon-chart-container");
+    const xpHistoryContainer = document.getElementById("xp-history-container");
+    const amountsContainer = document.getElementById("amounts-container");
+    const tagsContainer = document.getElementById("tags-container");
+    const timesContainer = document.getElementById("times-container");
+    const wellbeingContainer = document.getElementById("wellbeing-container");
     const descriptionContainer = document.getElementById("analytics-description");
 
-    if (!statsViewContainer || !polygonChartContainer || !descriptionContainer) {
+    if (!statsViewContainer || !polygonChartContainer || !xpHistoryContainer || !amountsContainer || !tagsContainer || !timesContainer || !wellbeingContainer || !descriptionContainer) {
         console.error("[AnalyticsUI] Analytics view containers or description not found in switchAnalyticsView.");
         return;
     }
@@ -99,8 +127,18 @@ export function switchAnalyticsView(view) {
     // --- Hide All Views First ---
     statsViewContainer.style.display = "none";
     polygonChartContainer.style.display = "none";
+    xpHistoryContainer.style.display = "none";
+    amountsContainer.style.display = "none";
+    tagsContainer.style.display = "none";
+    timesContainer.style.display = "none";
+    wellbeingContainer.style.display = "none";
     statsViewContainer.setAttribute('aria-hidden', 'true');
     polygonChartContainer.setAttribute('aria-hidden', 'true');
+    xpHistoryContainer.setAttribute('aria-hidden', 'true');
+    amountsContainer.setAttribute('aria-hidden', 'true');
+    tagsContainer.setAttribute('aria-hidden', 'true');
+    timesContainer.setAttribute('aria-hidden', 'true');
+    wellbeingContainer.setAttribute('aria-hidden', 'true');
 
     // --- Show and Render the Selected View ---
     if (view === "stats") {
@@ -115,6 +153,36 @@ export function switchAnalyticsView(view) {
         console.log("[AnalyticsUI] Rendering polygon chart...");
         renderPolygonChart(); // Render the polygon chart
         descriptionContainer.textContent = "Visual representation of habit frequency and balance.";
+    } else if (view === "xp") {
+        xpHistoryContainer.style.display = "block"; // Show XP history container
+        xpHistoryContainer.removeAttribute('aria-hidden');
+        console.log("[AnalyticsUI] Rendering XP history...");
+        renderXPHistory(); // Render the XP history list
+        descriptionContainer.textContent = "How every saved day's XP was calculated.";
+    } else if (view === "amounts") {
+        amountsContainer.style.display = "block"; // Show amounts container
+        amountsContainer.removeAttribute('aria-hidden');
+        console.log("[AnalyticsUI] Rendering amounts...");
+        renderAmounts(); // Render the amount totals and charts
+        descriptionContainer.textContent = `How much you logged for each pillar, with the last ${AMOUNT_CHART_DAYS} days.`;
+    } else if (view === "tags") {
+        tagsContainer.style.display = "block"; // Show tags container
+        tagsContainer.removeAttribute('aria-hidden');
+        console.log("[AnalyticsUI] Rendering tags...");
+        renderTags(); // Render the tag frequency breakdown
+        descriptionContainer.textContent = `How often you did each sub-activity, all time and in the last ${RECENT_TAG_DAYS} days.`;
+    } else if (view === "times") {
+        timesContainer.style.display = "block"; // Show time of day container
+        timesContainer.removeAttribute('aria-hidden');
+        console.log("[AnalyticsUI] Rendering time of day...");
+        renderTimesOfDay(); // Render when each pillar happens
+        descriptionContainer.textContent = "When each pillar tends to happen, and your average mood on those days.";
+    } else if (view === "wellbeing") {
+        wellbeingContainer.style.display = "block"; // Show wellbeing container
+        wellbeingContainer.removeAttribute('aria-hidden');
+        console.log("[AnalyticsUI] Rendering wellbeing...");
+        renderWellbeing(); // Render the mood and check-in scales
+        descriptionContainer.textContent = `Your mood and check-ins, with the last ${AMOUNT_CHART_DAYS} days.`;
     } else {
         console.warn(`[AnalyticsUI] Unknown analytics view requested: ${view}`);
         descriptionContainer.textContent = ""; // Clear description for unknown view
@@ -152,18 +220,18 @@ function renderStatsDashboard() {
         // --- Calculate Stats ---
         const startDate = findFirstUsageDate(state);
         const totalDaysLogged = calculateTotalDaysLogged(state.savedDays);
-        const currentStreak = state.streak || 0;
+        const streakStatus = getStreakStatus(state);
         const totalPillarEntries = calculateTotalPillarEntries(state.pillars);
         const totalNotesAdded = calculateTotalNotesAdded(state.timeline);
         const totalAchievementsUnlocked = calculateTotalAchievementsUnlocked(state.achievements);
         const totalAchievementsAvailable = Object.keys(ALL_ACHIEVEMENTS).length; // Get total defined
         const achievementsText = `${totalAchievementsUnlocked} / ${totalAchievementsAvailable}`;
-        const levelData = calculateLevelData(state.totalXP, state.prestige);
+        const levelData = calculateLevelData(state.totalXP, state.prestige, getXPRules(state));
 
         // --- Update Dashboard Elements ---
         updateElementText('stat-start-date', startDate ? formatDate(startDate) : null, '', 'N/A');
         updateElementText('stat-days-logged', totalDaysLogged);
-        updateElementText('stat-current-streak', currentStreak, ' days');
+        updateElementText('stat-current-streak', streakStatus.label, streakStatus.mode === 'weekly' ? ` (${streakStatus.daysThisWeek}/${streakStatus.target} this week)` : '');
         updateElementText('stat-pillar-entries', totalPillarEntries);
         updateElementText('stat-notes-added', totalNotesAdded);
         updateElementText('stat-achievements-unlocked', achievementsText, '', '0 / 0'); // Show X / Y format
@@ -195,6 +263,249 @@ function renderStatsDashboard() {
     }
 }
 
+// --- XP History Rendering ---
+
+/**
+ * Renders the XP History list: saved and frozen days (newest first) with their XP breakdown
+ * and the running total of day XP up to each day.
+ */
+function renderXPHistory() {
+    const summaryEl = document.getElementById('xp-history-summary');
+    const listEl = document.getElementById('xp-history-list');
+    const moreButton = document.getElementById('xp-history-more-btn');
+    if (!summaryEl || !listEl || !moreButton) {
+        console.error("[AnalyticsUI] XP history elements not found.");
+        return;
+    }
+
+    const state = getStateReference();
+    const dates = Object.keys(state.xpLedger || {}).sort();
+    // Running totals are summed oldest first, then the newest days are shown first
+    let runningTotal = 0;
+    const runningTotals = dates.map(date => (runningTotal += state.xpLedger[date].total));
+    const noteCount = calculateTotalNotesAdded(state.timeline);
+    const { xpPerNote } = getXPRules(state);
+    const savedDayCount = dates.filter(date => !state.xpLedger[date].frozen).length;
+    summaryEl.textContent = `${state.totalXP || 0} XP in total: ${runningTotal} from ${savedDayCount} saved day(s) and ${noteCount * xpPerNote} from ${noteCount} note(s) (${xpPerNote} XP each).`;
+
+    if (dates.length === 0) {
+        listEl.innerHTML = '<li class="xp-history-item empty">Save a day to start earning XP.</li>';
+        moreButton.style.display = 'none';
+        return;
+    }
+
+    const shownIndexes = dates.map((_, index) => index).reverse().slice(0, xpHistoryLimit);
+    listEl.innerHTML = shownIndexes.map(index => {
+        const breakdown = getDayXPBreakdown(state, dates[index]);
+        return `
+            <li class="xp-history-item${breakdown.frozen ? ' frozen' : ''}">
+                <div class="xp-history-header">
+                    <span class="xp-history-date">${escapeHtml(formatDate(dates[index]))}</span>
+                    <span class="xp-history-total">+${breakdown.total} XP</span>
+                </div>
+                <div class="xp-history-steps">${describeXPBreakdown(breakdown).map(escapeHtml).join(' · ')}</div>
+                <div class="xp-history-running">Running total: ${runningTotals[index]} XP</div>
+            </li>`;
+    }).join('');
+    moreButton.style.display = dates.length > xpHistoryLimit ? 'block' : 'none';
+}
+
+/**
+ * Shows more days in the XP History list.
+ */
+export function showMoreXPHistory() {
+    xpHistoryLimit += XP_HISTORY_PAGE_SIZE;
+    renderXPHistory();
+}
+
+// --- Amounts Rendering ---
+
+/**
+ * Renders a card per pillar with quantity logging (or with amounts logged before it was switched off):
+ * its totals, and a bar chart of the last AMOUNT_CHART_DAYS days with the minimum marked.
+ */
+function renderAmounts() {
+    const listEl = document.getElementById('amounts-list');
+    const emptyState = document.getElementById('amounts-empty-state');
+    if (!listEl || !emptyState) {
+        console.error("[AnalyticsUI] Amounts elements (#amounts-list, #amounts-empty-state) not found.");
+        return;
+    }
+
+    const state = getState();
+    const today = getToday(state);
+    const chartDates = Array.from({ length: AMOUNT_CHART_DAYS }, (_, i) => addDays(today, i - (AMOUNT_CHART_DAYS - 1)));
+    const weekStart = chartDates[AMOUNT_CHART_DAYS - 7];
+
+    const cards = getPillars(state).map(pillar => {
+        const quantity = getQuantitySettings(state, pillar.id);
+        const allTime = getAmountTotals(state, pillar.id);
+        if (!quantity && allTime.days === 0) return '';
+        const lastWeek = getAmountTotals(state, pillar.id, weekStart, today);
+        const amounts = chartDates.map(date => getAmount(state, pillar.id, date));
+        const chartMax = Math.max(...amounts, quantity?.minimum || 0, 1);
+        const bars = chartDates.map((date, i) => `
+                <span class="amount-bar${amounts[i] > 0 && amounts[i] >= (quantity?.minimum || 0) ? ' done' : ''}" style="height: ${Math.round(amounts[i] / chartMax * 100)}%"
+                      title="${escapeHtml(`${formatDate(date)}: ${formatAmount(quantity, amounts[i])}`)}"></span>`).join('');
+        const minimumLine = quantity?.minimum > 0 ? `<span class="amount-minimum-line" style="bottom: ${Math.round(quantity.minimum / chartMax * 100)}%" title="${escapeHtml(`Done at ${formatAmount(quantity, quantity.minimum)}`)}"></span>` : '';
+        return `
+            <div class="amount-card" style="--pillar-color: ${pillar.color}">
+                <h4><span aria-hidden="true">${pillar.emoji}</span> ${escapeHtml(pillar.name)}${quantity ? '' : ' <small class="legend-status">(quantity logging off)</small>'}</h4>
+                <div class="amount-stats">
+                    <span><strong>${escapeHtml(formatAmount(quantity, allTime.total))}</strong> in total</span>
+                    <span><strong>${escapeHtml(formatAmount(quantity, lastWeek.total))}</strong> in the last 7 days</span>
+                    <span><strong>${escapeHtml(formatAmount(quantity, allTime.days > 0 ? allTime.total / allTime.days : 0))}</strong> per logged day</span>
+                    <span>Best day: <strong>${escapeHtml(formatAmount(quantity, allTime.best))}</strong></span>
+                </div>
+                <div class="amount-chart" role="img" aria-label="${escapeHtml(`${pillar.name}, last ${AMOUNT_CHART_DAYS} days: ${amounts.join(', ')}`)}">${minimumLine}${bars}
+                </div>
+            </div>`;
+    }).filter(Boolean);
+
+    emptyState.style.display = cards.length === 0 ? 'block' : 'none';
+    listEl.innerHTML = cards.join('');
+}
+
+// --- Tags Rendering ---
+
+/**
+ * Renders a card per pillar with tagged days: a bar per tag showing its share of the pillar's
+ * tagged days, with its all-time and recent counts.
+ */
+function renderTags() {
+    const listEl = document.getElementById('tags-list');
+    const emptyState = document.getElementById('tags-empty-state');
+    if (!listEl || !emptyState) {
+        console.error("[AnalyticsUI] Tags elements (#tags-list, #tags-empty-state) not found.");
+        return;
+    }
+
+    const state = getState();
+    const today = getToday(state);
+    const recentStart = addDays(today, -(RECENT_TAG_DAYS - 1));
+
+    const cards = getPillars(state).map(pillar => {
+        const { counts, taggedDays } = getTagCounts(state, pillar.id);
+        if (taggedDays === 0) return '';
+        const recentCounts = new Map(getTagCounts(state, pillar.id, recentStart, today).counts.map(({ tag, count }) => [tag.toLowerCase(), count]));
+        const loggedDays = Object.values(state.pillars?.[pillar.id]?.days || {}).filter(Boolean).length;
+        const rows = counts.map(({ tag, count }) => {
+            const share = Math.round(count / taggedDays * 100);
+            return `
+                <li class="tag-frequency-row">
+                    <span class="tag-frequency-name">${escapeHtml(tag)}</span>
+                    <span class="tag-frequency-bar" aria-hidden="true"><span style="width: ${share}%"></span></span>
+                    <span class="tag-frequency-count">${count} <small>(${share}%, ${recentCounts.get(tag.toLowerCase()) || 0} recent)</small></span>
+                </li>`;
+        }).join('');
+        return `
+            <div class="amount-card tag-card" style="--pillar-color: ${pillar.color}">
+                <h4><span aria-hidden="true">${pillar.emoji}</span> ${escapeHtml(pillar.name)}${pillar.status !== 'active' ? ` <small class="legend-status">(${pillar.status})</small>` : ''}</h4>
+                <p class="amount-stats">${taggedDays} tagged day${taggedDays === 1 ? '' : 's'} of ${loggedDays} logged</p>
+                <ul class="tag-frequency-list">${rows}
+                </ul>
+            </div>`;
+    }).filter(Boolean);
+
+    emptyState.style.display = cards.length === 0 ? 'block' : 'none';
+    listEl.innerHTML = cards.join('');
+}
+
+// --- Time of Day Rendering ---
+
+/**
+ * Renders a card per pillar with timed entries: its typical time, a bar per part of the day, and
+ * the average mood on the days it was done in each part. Entries with an unknown time are counted
+ * but not charted.
+ */
+function renderTimesOfDay() {
+    const listEl = document.getElementById('times-list');
+    const emptyState = document.getElementById('times-empty-state');
+    if (!listEl || !emptyState) {
+        console.error("[AnalyticsUI] Time of day elements (#times-list, #times-empty-state) not found.");
+        return;
+    }
+
+    const state = getState();
+    const cards = getPillars(state).map(pillar => {
+        const stats = getTimeOfDayStats(state, pillar.id);
+        if (stats.timed === 0) return '';
+        const rows = stats.periods.map(period => {
+            const share = Math.round(period.count / stats.timed * 100);
+            const mood = period.averageMood === null ? 'no mood logged' : `${getMoodEmoji(Math.round(period.averageMood))} ${period.averageMood.toFixed(1)} mood`;
+            return `
+                <li class="tag-frequency-row">
+                    <span class="tag-frequency-name"><span aria-hidden="true">${period.emoji}</span> ${period.name}</span>
+                    <span class="tag-frequency-bar" aria-hidden="true"><span style="width: ${share}%"></span></span>
+                    <span class="tag-frequency-count">${period.count} <small>(${period.count > 0 ? mood : '–'})</small></span>
+                </li>`;
+        }).join('');
+        const moodPeriods = stats.periods.filter(period => period.averageMood !== null);
+        const bestMood = moodPeriods.length > 1 ? moodPeriods.reduce((best, period) => period.averageMood > best.averageMood ? period : best) : null;
+        const insight = bestMood ? `<p class="time-of-day-insight">Your mood was highest on days you did it in the ${bestMood.name.toLowerCase()}.</p>` : '';
+        return `
+            <div class="amount-card tag-card" style="--pillar-color: ${pillar.color}">
+                <h4><span aria-hidden="true">${pillar.emoji}</span> ${escapeHtml(pillar.name)}${pillar.status !== 'active' ? ` <small class="legend-status">(${pillar.status})</small>` : ''}</h4>
+                <p class="amount-stats">Usually around <strong>${formatTime(stats.typicalTime)}</strong> · ${stats.timed} with a time${stats.unknown > 0 ? `, ${stats.unknown} time unknown` : ''}</p>
+                <ul class="tag-frequency-list">${rows}
+                </ul>${insight}
+            </div>`;
+    }).filter(Boolean);
+
+    emptyState.style.display = cards.length === 0 ? 'block' : 'none';
+    listEl.innerHTML = cards.join('');
+}
+
+// --- Wellbeing Rendering ---
+
+/**
+ * Renders a card per wellbeing scale (mood first) that has been logged: its averages, morning vs
+ * evening when check-ins exist, and a chart of the last AMOUNT_CHART_DAYS days.
+ */
+function renderWellbeing() {
+    const listEl = document.getElementById('wellbeing-list');
+    const emptyState = document.getElementById('wellbeing-empty-state');
+    if (!listEl || !emptyState) {
+        console.error("[AnalyticsUI] Wellbeing elements (#wellbeing-list, #wellbeing-empty-state) not found.");
+        return;
+    }
+
+    const state = getState();
+    const today = getToday(state);
+    const chartDates = Array.from({ length: AMOUNT_CHART_DAYS }, (_, i) => addDays(today, i - (AMOUNT_CHART_DAYS - 1)));
+    const monthStart = addDays(today, -29);
+
+    const cards = Object.entries(WELLBEING_SCALES).map(([scale, definition]) => {
+        const allTime = getLevelAverage(state, scale);
+        if (allTime.days === 0) return '';
+        const lastMonth = getLevelAverage(state, scale, { from: monthStart, to: today });
+        const morning = getLevelAverage(state, scale, { checkIn: 'morning' });
+        const evening = getLevelAverage(state, scale, { checkIn: 'evening' });
+        const levels = chartDates.map(date => getDayLevel(state, date, scale));
+        const bars = chartDates.map((date, i) => `
+                <span class="amount-bar${levels[i] !== null ? ' done' : ''}" style="height: ${Math.round((levels[i] || 0) / 5 * 100)}%"
+                      title="${escapeHtml(`${formatDate(date)}: ${levels[i] !== null ? formatLevel(scale, levels[i]) : 'not logged'}`)}"></span>`).join('');
+        const checkInStats = morning.days > 0 || evening.days > 0
+            ? `<span>🌅 Morning <strong>${morning.average !== null ? escapeHtml(formatLevel(scale, morning.average)) : '–'}</strong></span>
+                    <span>🌙 Evening <strong>${evening.average !== null ? escapeHtml(formatLevel(scale, evening.average)) : '–'}</strong></span>`
+            : '';
+        return `
+            <div class="amount-card wellbeing-card" style="--pillar-color: var(--primary)">
+                <h4><span aria-hidden="true">${definition.emoji}</span> ${definition.name} <small class="legend-status">(${definition.lowerIsBetter ? 'lower is better' : 'higher is better'})</small></h4>
+                <div class="amount-stats">
+                    <span>Average <strong>${escapeHtml(formatLevel(scale, allTime.average))}</strong> over ${allTime.days} day${allTime.days === 1 ? '' : 's'}</span>
+                    <span>Last 30 days <strong>${lastMonth.average !== null ? escapeHtml(formatLevel(scale, lastMonth.average)) : '–'}</strong></span>
+                    ${checkInStats}
+                </div>
+                <div class="amount-chart" role="img" aria-label="${escapeHtml(`${definition.name}, last ${AMOUNT_CHART_DAYS} days: ${levels.map(level => level === null ? 'none' : Math.round(level * 10) / 10).join(', ')}`)}">${bars}
+                </div>
+            </div>`;
+    }).filter(Boolean);
+
+    emptyState.style.display = cards.length === 0 ? 'block' : 'none';
+    listEl.innerHTML = cards.join('');
+}
+
 // --- Polygon Chart Rendering ---
 
 /**
@@ -225,13 +536,13 @@ function renderPolygonChart() {
     }
 
     // --- Prepare Chart Data ---
-    const pillarsChartData = PILLARS.map(p => {
+    const pillarsChartData = getPillars(state).map(p => {
         const pillarState = state.pillars[p.id];
         // Count logged days for this pillar
         const count = pillarState?.days ? Object.values(pillarState.days).filter(logged => logged === true).length : 0;
         // Return object with pillar info, count, and color
         return { ...p, count, color: p.color || '#cccccc' }; // Use defined color or default gray
-    });
+    }).filter(p => p.status === 'active' || p.count > 0); // Hidden/archived pillars stay while they have history
 
     // Check if there is any data to display
     const hasData = pillarsChartData.some(p => p.count > 0);
@@ -390,7 +701,7 @@ function renderPolygonChart() {
             li.innerHTML = `
                 <span class="legend-color-box" style="background-color: ${pillar.color};"></span>
                 <span class="legend-emoji" aria-hidden="true">${pillar.emoji}</span>
-                <span class="legend-name">${escapeHtml(pillar.name)}</span>
+                <span class="legend-name">${escapeHtml(pillar.name)}${pillar.status !== 'active' ? ` <small class="legend-status">(${pillar.status})</small>` : ''}</span>
                 <span class="legend-value">${pillar.count}</span>`;
             legendList.appendChild(li); // Add legend item to list
         });
@@ -486,7 +797,7 @@ function addAxisHighlightInteraction(svgWrapperId) {
         // Find corresponding axis line and label using the pillarId
         const correspondingAxis = svg.querySelector(`.axis-line[data-pillar-id="${pillarId}"]`);
         const correspondingLabel = svg.querySelector(`.axis-label[data-pillar-id="${pillarId}"]`);
-        const pillarColor = PILLARS.find(p => p.id === pillarId)?.color || 'var(--primary)'; // Get pillar color
+        const pillarColor = getPillar(getState(), pillarId)?.color || 'var(--primary)'; // Get pillar color
 
         // Define highlight/unhighlight functions
         const highlight = () => {
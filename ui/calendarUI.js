@@ -3,24 +3,77 @@
 /**
  * Manages the rendering and interaction logic for the Calendar view,
  * including the monthly grid display and keyboard navigation.
+ * *** MODIFIED: Days in archived years are marked as archived (read-only). ***
+ * *** MODIFIED: Saved days show how their XP was calculated in the hover summary. ***
+ * *** MODIFIED: Planned rest days and frozen days (streak kept) are shown; rest days are planned in a calendar mode. ***
+ * *** MODIFIED: Custom pillars are shown with the built-in ones. ***
+ * *** MODIFIED: The hover summary shows the amount logged for pillars with quantity logging. ***
+ * *** MODIFIED: The hover summary shows each pillar's tags, and days can be filtered by tag (see tags.js). ***
+ * *** MODIFIED: The hover summary shows the time each pillar was done, when known (see times.js). ***
+ * *** MODIFIED: The hover summary shows wellbeing check-ins; mood descriptions moved to wellbeing.js. ***
+ * *** MODIFIED: Days with notes (by the note's entry date) are marked, with the note count in the hover summary. ***
+ * *** MODIFIED: Future days are worked out from the user's local day (see dates.js); travel days are shown. ***
+ * *** MODIFIED: Weeks start on the chosen week start day. ***
+ * *** FIXED: The keyboard listener was added on every render, so Enter/Space activated a day once per render (toggling rest days back off). It is attached once. ***
  */
 
 // --- Imports ---
 import { getState } from '../state.js'; // State access
-import { PILLARS } from '../constants.js'; // Pillar definitions
-import { formatDate, escapeHtml, getMoodEmoji } from '../utils.js'; // Formatting utilities & mood emoji helper
+import { getPillars } from '../pillars.js'; // Built-in and custom pillars
+import { formatDate, escapeHtml, getMoodEmoji, isArchivedDate, getTimelineEntryDate } from '../utils.js'; // Formatting utilities, mood emoji, archive & timeline helpers
+import { getDayXPBreakdown, describeXPBreakdown } from '../xpledger.js'; // Per-day XP breakdown
+import { getXPRules } from '../xprules.js'; // Freeze token rules
+import { getQuantitySettings, getAmount, formatAmount } from '../quantities.js'; // Pillar amounts
+import { getTagList, getDayTags, getTagCounts, isSameTag } from '../tags.js'; // Pillar tags
+import { getPillarTime, formatTime } from '../times.js'; // Pillar times
+import { MOOD_DESCRIPTIONS, describeWellbeing } from '../wellbeing.js'; // Mood descriptions & check-ins
+import { getToday, TRAVEL_DAY, getWeekdays } from '../dates.js'; // The user's calendar day & week start
 
 // Note: Click handling (setCurrentDateFromCalendar) is likely managed in app.js
 
-// --- Constants ---
-// Mapping for mood level descriptions (used in ARIA labels)
-const MOOD_DESCRIPTIONS = {
-    1: "Worried",
-    2: "Confused",
-    3: "Neutral",
-    4: "Happy",
-    5: "Excited"
-};
+// --- Module State ---
+let isPlanningRestDays = false; // While true, clicking a day marks or clears a planned rest day
+let tagFilter = null; // { pillarId, tag } while days are filtered by a tag
+let keyboardNavGrid = null; // The grid the keyboard listener is attached to (once, see setupCalendarKeyboardNav)
+let onKeyboardDayActivate = null; // The day activation callback of the latest render
+
+// --- Rest Day Planning ---
+
+/**
+ * Turns rest day planning mode on or off and updates the toggle button.
+ * The calendar must be re-rendered afterwards (future days are only clickable while planning).
+ * @param {boolean} enabled - Whether clicking a day should toggle a rest day.
+ */
+export function setRestDayPlanning(enabled) {
+    isPlanningRestDays = enabled;
+    const button = document.getElementById('plan-rest-days-btn');
+    if (button) {
+        button.setAttribute('aria-pressed', String(enabled));
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '✅ Done Planning' : '🛌 Plan Rest Days';
+    }
+    const hint = document.getElementById('rest-day-hint');
+    if (hint) hint.style.display = enabled ? 'block' : 'none';
+}
+
+/**
+ * @returns {boolean} True while rest day planning mode is on.
+ */
+export function isRestDayPlanning() {
+    return isPlanningRestDays;
+}
+
+// --- Tag Filter ---
+
+/**
+ * Sets the tag filter: days tagged with it are highlighted and the others dimmed.
+ * The calendar must be re-rendered afterwards.
+ * @param {string} value - An option value of #calendar-tag-filter ('pillarId:tag'), or '' for all days.
+ */
+export function setCalendarTagFilter(value) {
+    const separator = (value || '').indexOf(':');
+    tagFilter = separator > 0 ? { pillarId: value.slice(0, separator), tag: value.slice(separator + 1) } : null;
+}
 
 // --- Core Rendering Function ---
 
@@ -65,7 +118,6 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
 
     // --- Calculate Calendar Parameters (using UTC dates) ---
     const firstDayOfMonth = new Date(Date.UTC(year, month, 1));
-    const startDayOfWeek = firstDayOfMonth.getUTCDay(); // 0=Sun, 1=Mon, ..., 6=Sat
     const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate(); // Get last day of the month
 
     // --- Get State Data ---
@@ -79,6 +131,21 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
         return;
     }
 
+    // Leading empty cells: days from the week start to the 1st of the month (0=Sun, 1=Mon, ..., 6=Sat)
+    const startDayOfWeek = (firstDayOfMonth.getUTCDay() - getWeekdays(state)[0].day + 7) % 7;
+    renderWeekdayHeader(state);
+
+    const pillars = getPillars(state);
+    renderTagFilterOptions(state, pillars);
+    let taggedDaysThisMonth = 0;
+    // Notes per day, by the day they are about (not the day they were written)
+    const noteCounts = {};
+    (state.timeline || []).forEach(entry => {
+        if (entry?.type !== 'note') return;
+        const date = getTimelineEntryDate(entry);
+        noteCounts[date] = (noteCounts[date] || 0) + 1;
+    });
+
     // --- Build Calendar HTML ---
     let calendarHtml = "";
     let hasDataThisMonth = false; // Track if any day in the month has data
@@ -88,41 +155,63 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
         calendarHtml += '<div class="calendar-day disabled" aria-hidden="true"></div>';
     }
 
-    // Get the end of today (UTC) for future date comparison
-    const todayEnd = new Date();
-    todayEnd.setUTCHours(23, 59, 59, 999); // Set to the very end of the current day
+    // Today on the user's calendar (local day and rollover hour) for future date comparison
+    const todayStr = getToday(state);
 
     // Generate cells for each day in the month
     for (let d = 1; d <= daysInMonth; d++) {
         const dateObj = new Date(Date.UTC(year, month, d)); // Create Date object for the current day (UTC)
         const dateStr = dateObj.toISOString().split("T")[0]; // Format as YYYY-MM-DD
-        const isFuture = dateObj > todayEnd; // Check if the date is in the future
+        const isFuture = dateStr > todayStr; // Check if the date is in the future
         const isSaved = state.savedDays[dateStr]; // Check if the day was saved
         // Get pillars logged on this day
-        const pillarsLogged = PILLARS.filter(p => state.pillars[p.id]?.days?.[dateStr]);
+        const pillarsLogged = pillars.filter(p => state.pillars[p.id]?.days?.[dateStr]);
         const moodLevel = state.mood[dateStr]; // Get mood level for the day
+        const isArchived = isArchivedDate(state, dateStr); // Read-only day in an archived year
+        const isRestDay = !isSaved && !!state.restDays?.[dateStr]; // Planned rest day (or travel day)
+        const isTravelDay = isRestDay && state.restDays[dateStr] === TRAVEL_DAY; // Skipped by a timezone change
+        const frozenKind = state.xpLedger?.[dateStr]?.frozen; // Missed day that kept the streak ('rest', 'travel' or 'freeze')
+        const noteCount = noteCounts[dateStr] || 0; // Notes written about this day
+        // While planning, only unsaved days from today on (or already planned rest days) can be clicked
+        const isPlannable = !isSaved && !isArchived && (dateStr >= todayStr || isRestDay);
+        const isDisabled = isPlanningRestDays ? !isPlannable : isFuture;
 
         // Update flag if any data exists for this day
-        if (isSaved || pillarsLogged.length > 0 || moodLevel) hasDataThisMonth = true;
+        if (isSaved || pillarsLogged.length > 0 || moodLevel || state.wellbeing?.[dateStr] || noteCount > 0 || isRestDay || frozenKind) hasDataThisMonth = true;
 
         // --- Build CSS Classes ---
         let dayClasses = "calendar-day";
-        if (isFuture) dayClasses += " disabled"; // Mark future days as disabled
+        if (isDisabled) dayClasses += " disabled"; // Mark future days (or unplannable days while planning) as disabled
         if (isSaved) dayClasses += " saved"; // Highlight saved days
+        if (isRestDay) dayClasses += " rest-day"; // Planned rest day
+        if (frozenKind) dayClasses += ` frozen frozen-${frozenKind}`; // Streak kept through a missed day
+        if (isArchived) dayClasses += " archived"; // Mark archived (read-only) days
         if (dateStr === firstUsageDate) dayClasses += " first-day"; // Highlight first usage day
+        if (tagFilter) {
+            const isTagged = getDayTags(state, tagFilter.pillarId, dateStr).some(tag => isSameTag(tag, tagFilter.tag));
+            dayClasses += isTagged ? " tag-match" : " tag-dimmed";
+            if (isTagged) taggedDaysThisMonth++;
+        }
 
         // --- Build Title Attribute (Hover Summary) ---
         let titleSummary = "";
         if (isFuture) {
             titleSummary = `${formatDate(dateStr)}\nFuture date.`;
+            if (isRestDay) titleSummary += "\nPlanned rest day";
         } else {
             titleSummary = `${formatDate(dateStr)}\n`; // Date on first line
             // Logged Pillars Summary
-            titleSummary += `Logged: ${pillarsLogged.length > 0 ? pillarsLogged.map(p => p.emoji).join(' ') : 'None'}\n`;
+            titleSummary += `Logged: ${pillarsLogged.length > 0 ? pillarsLogged.map(p => describeLoggedPillar(state, p, dateStr)).join(' ') : 'None'}\n`;
             // Logged Mood Summary
             titleSummary += `Mood: ${moodLevel && MOOD_DESCRIPTIONS[moodLevel] ? getMoodEmoji(moodLevel) + ' ' + MOOD_DESCRIPTIONS[moodLevel] : 'Not logged'}`;
+            describeWellbeing(state, dateStr).forEach(line => { titleSummary += `\n${line}`; });
+            if (noteCount > 0) titleSummary += `\n📝 ${noteCount} note${noteCount === 1 ? '' : 's'}`;
             // Add extra info if saved or first day
             if (isSaved) titleSummary += "\n(Day Saved)";
+            if (isRestDay && !frozenKind) titleSummary += isTravelDay ? "\nTravel day (timezone change)" : "\nPlanned rest day";
+            const xpBreakdown = getDayXPBreakdown(state, dateStr);
+            if (xpBreakdown) titleSummary += `\nXP: ${xpBreakdown.total}\n` + describeXPBreakdown(xpBreakdown).map(line => `  ${line}`).join('\n');
+            if (isArchived) titleSummary += "\n(Archived, read-only)";
             if (dateStr === firstUsageDate) titleSummary += "\n(First Day)";
         }
         const escapedTitle = escapeHtml(titleSummary); // Escape for attribute safety
@@ -131,14 +220,20 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
         let ariaLabel = `${formatDate(dateStr)}. `;
         if (isFuture) {
             ariaLabel = `${formatDate(dateStr)}. Future date.`;
+            if (isRestDay) ariaLabel += " Planned rest day.";
         } else {
             if (isSaved) ariaLabel += "Day saved. ";
+            if (frozenKind) ariaLabel += { rest: "Rest day, streak kept. ", travel: "Travel day, streak kept. " }[frozenKind] || "Streak freeze used. ";
+            else if (isRestDay) ariaLabel += isTravelDay ? "Travel day. " : "Planned rest day. ";
+            if (state.xpLedger?.[dateStr]) ariaLabel += `${state.xpLedger[dateStr].total} XP. `;
+            if (isArchived) ariaLabel += "Archived. ";
             if (moodLevel && MOOD_DESCRIPTIONS[moodLevel]) ariaLabel += `Mood: ${getMoodEmoji(moodLevel)} ${MOOD_DESCRIPTIONS[moodLevel]}. `;
             if (pillarsLogged.length > 0) {
                 ariaLabel += `Pillars: ${pillarsLogged.map(p => p.name).join(', ')}.`;
-            } else if (!isSaved) { // Only say "Not logged" if it's not saved and has no pillars/mood
+            } else if (!isSaved && !isRestDay && !frozenKind) { // Only say "Not logged" if it's not saved and has no pillars/mood
                 ariaLabel += "Not logged.";
             }
+            if (noteCount > 0) ariaLabel += ` ${noteCount} note${noteCount === 1 ? '' : 's'}.`;
             if (dateStr === firstUsageDate) ariaLabel += " First recorded day.";
         }
         const escapedAriaLabel = escapeHtml(ariaLabel);
@@ -148,11 +243,13 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
             <div class="${dayClasses}"
                  data-date="${dateStr}"
                  role="button"
-                 tabindex="${isFuture ? -1 : 0}" // Make non-future days focusable
+                 tabindex="${isDisabled ? -1 : 0}" // Make enabled days focusable
                  aria-label="${escapedAriaLabel}"
                  title="${escapedTitle}">
                 <span class="day-number">${d}</span>
                 ${moodLevel ? `<div class="mood-indicator" aria-hidden="true">${getMoodEmoji(moodLevel)}</div>` : ''}
+                ${isRestDay || frozenKind ? `<div class="rest-indicator" aria-hidden="true">${frozenKind === 'freeze' ? '🧊' : (isTravelDay ? '✈️' : '🛌')}</div>` : ''}
+                ${noteCount > 0 ? '<div class="note-indicator" aria-hidden="true">📝</div>' : ''}
                 <div class="pillar-blocks" aria-hidden="true">
                     ${pillarsLogged.map(p => `<div class="pillar-block" style="background: ${p.color || '#ccc'}" title="${escapeHtml(p.name || '')}"></div>`).join("")}
                 </div>
@@ -162,6 +259,13 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
     // --- Update DOM ---
     container.innerHTML = calendarHtml; // Update grid content
     emptyState.style.display = hasDataThisMonth ? 'none' : 'block'; // Show/hide empty state message
+    const tagFilterStatus = document.getElementById('calendar-tag-filter-status');
+    if (tagFilterStatus) tagFilterStatus.textContent = tagFilter ? `${taggedDaysThisMonth} day${taggedDaysThisMonth === 1 ? '' : 's'} this month` : '';
+    const freezeStatus = document.getElementById('freeze-token-status');
+    if (freezeStatus) {
+        const { freezeTokenStreakDays, maxFreezeTokens } = getXPRules(state);
+        freezeStatus.textContent = `🧊 Streak freezes: ${state.freezeTokens || 0} / ${maxFreezeTokens} (earn one for every ${freezeTokenStreakDays} days of streak)`;
+    }
 
     // --- Setup Interactions ---
     setupCalendarKeyboardNav(container, onDayClick); // Add keyboard navigation
@@ -170,16 +274,57 @@ export function renderCalendar(month, year, firstUsageDate, onDayClick) {
 
 // --- Internal Helper Functions ---
 
+/** Orders the weekday header above the grid to match the week start. */
+function renderWeekdayHeader(state) {
+    const header = document.getElementById('calendar-weekday-header');
+    if (header) header.innerHTML = getWeekdays(state).map(({ name }) => `<div>${name.slice(0, 3)}</div>`).join('');
+}
+
+/** A logged pillar in the hover summary: its emoji, with the day's amount, tags and time if it has any (e.g. "🏃 30 min (Yoga) at 7:05 AM"). */
+function describeLoggedPillar(state, pillar, dateStr) {
+    const amount = getAmount(state, pillar.id, dateStr);
+    const tags = getDayTags(state, pillar.id, dateStr);
+    const time = getPillarTime(state, pillar.id, dateStr);
+    let description = amount > 0 ? `${pillar.emoji} ${formatAmount(getQuantitySettings(state, pillar.id), amount)}` : pillar.emoji;
+    if (tags.length > 0) description += ` (${tags.join(', ')})`;
+    if (time) description += ` at ${formatTime(time)}`;
+    return description;
+}
+
+/**
+ * Fills the tag filter with the tags of every pillar (its tag list and any tag used before), grouped
+ * by pillar. The filter is only shown once there are tags, and falls back to all days when the
+ * selected tag no longer exists.
+ */
+function renderTagFilterOptions(state, pillars) {
+    const row = document.getElementById('calendar-tag-filter-row');
+    const select = document.getElementById('calendar-tag-filter');
+    if (!row || !select) return;
+    const groups = pillars.map(pillar => {
+        const tags = [...getTagList(state, pillar.id)];
+        getTagCounts(state, pillar.id).counts.forEach(({ tag }) => { if (!tags.some(t => isSameTag(t, tag))) tags.push(tag); });
+        return { pillar, tags };
+    }).filter(group => group.tags.length > 0);
+
+    if (tagFilter && !groups.some(group => group.pillar.id === tagFilter.pillarId && group.tags.some(tag => isSameTag(tag, tagFilter.tag)))) tagFilter = null;
+    select.innerHTML = '<option value="">All days</option>' + groups.map(({ pillar, tags }) => `
+        <optgroup label="${escapeHtml(`${pillar.emoji} ${pillar.name}`)}">
+            ${tags.map(tag => `<option value="${escapeHtml(`${pillar.id}:${tag}`)}" ${tagFilter && tagFilter.pillarId === pillar.id && isSameTag(tag, tagFilter.tag) ? 'selected' : ''}>${escapeHtml(tag)}</option>`).join('')}
+        </optgroup>`).join('');
+    row.style.display = groups.length > 0 ? '' : 'none';
+}
+
 /**
  * Sets up keyboard navigation (arrow keys, Enter, Space) for the calendar grid.
- * Uses event delegation on the grid container.
+ * Uses event delegation on the grid container, which keeps its listener across renders: the listener
+ * is attached once, and later calls only update the callback it uses.
  * @param {HTMLElement} calendarGrid - The container element for the calendar days.
  * @param {function} onDayActivate - Callback function executed when a day is activated via Enter/Space. Receives the date string.
  */
 function setupCalendarKeyboardNav(calendarGrid, onDayActivate) {
-    // Remove existing listener to prevent duplicates if re-rendering
-    // Note: This requires storing the listener function reference if not using delegation properly.
-    // For simplicity here, we assume re-rendering clears old listeners or rely on delegation.
+    onKeyboardDayActivate = onDayActivate;
+    if (keyboardNavGrid === calendarGrid) return;
+    keyboardNavGrid = calendarGrid;
 
     calendarGrid.addEventListener('keydown', (e) => {
         const currentFocused = document.activeElement;
@@ -213,10 +358,10 @@ function setupCalendarKeyboardNav(calendarGrid, onDayActivate) {
                 break;
             case 'Enter':
             case ' ': // Activate day on Enter or Space
-                if (typeof onDayActivate === 'function') {
+                if (typeof onKeyboardDayActivate === 'function') {
                     const dateStr = currentFocused.dataset.date;
                     if (dateStr) {
-                        onDayActivate(dateStr); // Call the activation callback
+                        onKeyboardDayActivate(dateStr); // Call the activation callback
                     }
                 }
                 break;
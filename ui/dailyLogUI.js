@@ -3,17 +3,37 @@
 /**
  * Manages UI elements and rendering specifically for the Daily Log tab.
  * *** MODIFIED: Added debounce logic to prevent toast spam on locked days. ***
+ * *** MODIFIED: Days in archived years are shown read-only. ***
+ * *** MODIFIED: Saved days show how their XP was calculated. ***
+ * *** MODIFIED: Shows streak freeze tokens and planned rest days. ***
+ * *** MODIFIED: The streak is shown in the chosen streak mode (days, or weeks with this week's progress). ***
+ * *** MODIFIED: Custom pillars are shown after the built-in ones. ***
+ * *** MODIFIED: Hidden and archived pillars are left out, unless they were logged on the selected day. ***
+ * *** MODIFIED: Pillars with quantity logging show their amount and quick increment buttons (see quantities.js). ***
+ * *** MODIFIED: Pillars with a tag list show the day's tags and recent ones to pick from (see tags.js). ***
+ * *** MODIFIED: Checked pillars show the time they were done, which can be edited (see times.js). ***
+ * *** MODIFIED: Added optional wellbeing check-ins below the mood (see wellbeing.js). ***
+ * *** MODIFIED: The date picker stops at the user's local day (see dates.js); travel days are shown. ***
+ * *** FIXED: Card clicks were handled both here and in app.js, so a click toggled a pillar twice. app.js now handles them alone. ***
  */
 
 // --- Imports ---
-import { getState, getStateReference, togglePillarStatus, updateMood } from '../state.js';
-import { PILLARS } from '../constants.js';
+import { getState, getStateReference, togglePillarStatus, addPillarAmount, togglePillarTag, setPillarTime, updateMood, updateWellbeing } from '../state.js';
+import { getPillars, PILLAR_STATUSES } from '../pillars.js';
 import {
-    formatDate, escapeHtml, calculateLevelData, getMoodEmoji
+    formatDate, escapeHtml, calculateLevelData, getMoodEmoji, isArchivedDate
 } from '../utils.js';
 import { playSound, handleInteractionForAudio } from '../audio.js';
 import { findSuggestedAchievement } from '../achievementlogic.js';
+import { getDayXPBreakdown, describeXPBreakdown } from '../xpledger.js';
+import { getXPRules } from '../xprules.js';
+import { getStreakStatus } from '../streaks.js';
+import { getQuantitySettings, getAmount, formatAmount } from '../quantities.js';
+import { getTagList, getDayTags, getSuggestedTags, isSameTag } from '../tags.js';
+import { getPillarTime } from '../times.js';
+import { WELLBEING_SCALES, CHECK_INS, MOOD_DESCRIPTIONS, getWellbeingLevel, hasCheckIn } from '../wellbeing.js';
 import { showToast } from './globalUI.js';
+import { getToday, TRAVEL_DAY } from '../dates.js';
 
 // --- Constants ---
 const PILLAR_TOOLTIPS = { stillness: "Reduces stress, improves focus.", tidy: "Creates calm, reduces mental clutter.", connect: "Builds resilience, boosts happiness.", progress: "Fosters accomplishment, provides purpose.", nourish: "Engages the mind, expands knowledge.", move: "Boosts mood, improves physical health.", create: "Outlet for expression, potential for 'flow'.", unplug: "Reduces digital overload, enhances presence.", reflect: "Increases self-awareness, aids learning.", enjoy: "Cultivates appreciation, boosts positive emotions." };
@@ -21,6 +41,7 @@ const PILLAR_TOOLTIPS = { stillness: "Reduces stress, improves focus.", tidy: "C
 // --- Module State ---
 let tooltipListenersAdded = false;
 let isLockedToastActive = false; // Flag to prevent spamming the locked notification
+let selectedCheckIn = 'day'; // Wellbeing check-in shown: 'day', 'morning' or 'evening'
 
 // --- Core Rendering Function ---
 export function refreshDailyLogUI() {
@@ -29,7 +50,9 @@ export function refreshDailyLogUI() {
     
     renderPillarInputs();
     updateProgress();
+    updateXPBreakdown();
     updateMoodDisplay();
+    renderWellbeing();
     updateLockButtons();
     updateLevelDisplay();
     renderSuggestedAchievement();
@@ -42,7 +65,7 @@ export function refreshDailyLogUI() {
 
     const prestigeButton = document.getElementById('prestige-button');
     if (prestigeButton) {
-        const levelData = calculateLevelData(state.totalXP, state.prestige);
+        const levelData = calculateLevelData(state.totalXP, state.prestige, getXPRules(state));
         prestigeButton.style.display = (levelData.level >= 100 && state.userMode !== 'simple') ? 'inline-block' : 'none';
     }
 }
@@ -54,27 +77,27 @@ function renderPillarInputs() {
     const state = getState();
     const currentPillarsState = state?.pillars;
     const currentDate = state?.currentDate;
-    const userMode = state?.userMode;
-    const simpleModePillars = state?.simpleModePillars || [];
 
     if (!currentPillarsState || !currentDate) {
         container.innerHTML = '<p class="error-message">Error loading pillars.</p>';
         return;
     }
 
-    let pillarsToDisplay = PILLARS;
-    if (userMode === 'simple' && Array.isArray(simpleModePillars) && simpleModePillars.length > 0) {
-        pillarsToDisplay = PILLARS.filter(pillar => simpleModePillars.includes(pillar.id));
-    }
+    const pillarsToDisplay = getDailyLogPillars(state);
 
     container.innerHTML = pillarsToDisplay.map(p => {
         const pillarData = currentPillarsState[p.id];
         const isActive = currentDate && pillarData?.days?.[currentDate];
         const tooltipText = PILLAR_TOOLTIPS[p.id.toLowerCase()] || p.description;
         const pillarColor = p.color || '#cccccc';
+        const statusBadge = p.status !== 'active' ? `<span class="pillar-status-badge">${PILLAR_STATUSES[p.status].name}</span>` : '';
+        const quantity = getQuantitySettings(state, p.id);
+        const amountControls = quantity ? renderAmountControls(p, quantity, getAmount(state, p.id, currentDate)) : '';
+        const tagControls = renderTagControls(state, p, currentDate);
+        const isReadOnly = !!state.savedDays?.[currentDate] || isArchivedDate(state, currentDate);
 
         return `
-            <div class="pillar-card ${isActive ? 'active' : ''}"
+            <div class="pillar-card ${isActive ? 'active' : ''} ${p.status !== 'active' ? 'inactive-pillar' : ''}"
                  data-pillar="${p.id}"
                  style="--pillar-color: ${pillarColor}"
                  role="checkbox"
@@ -83,8 +106,15 @@ function renderPillarInputs() {
                 <div class="pillar-header">
                      <span class="pillar-emoji" aria-hidden="true">${p.emoji}</span>
                      <h3>${escapeHtml(p.name)}</h3>
+                     ${statusBadge}
                 </div>
                 <div class="pillar-description">${escapeHtml(p.description)}</div>
+                ${amountControls}
+                ${tagControls}
+                <label class="pillar-time" title="When you did it (leave empty if unknown)">
+                    <span aria-hidden="true">🕒</span>
+                    <input type="time" class="pillar-time-input" data-pillar-id="${p.id}" value="${getPillarTime(state, p.id, currentDate) || ''}" aria-label="Time you did ${escapeHtml(p.name)}" ${isReadOnly ? 'disabled' : ''}>
+                </label>
                 <div class="tooltip-container">
                     <button class="info-icon" data-pillar-id="${p.id}" aria-label="Info about ${escapeHtml(p.name)}" tabindex="0">?</button>
                 </div>
@@ -92,14 +122,60 @@ function renderPillarInputs() {
              </div>`;
     }).join('');
     
-    // Re-attach listeners after rendering
-    attachPillarCardListeners(container);
+    // Card clicks are delegated in app.js; tooltips are attached once
     if (!tooltipListenersAdded) {
         addTooltipListeners(container);
         tooltipListenersAdded = true;
     }
 }
 
+/**
+ * Builds the amount line of a pillar card: the day's amount (and the minimum that counts as done)
+ * with a button to take one step off and a button per quick increment.
+ */
+function renderAmountControls(pillar, quantity, amount) {
+    const smallestStep = Math.min(...quantity.increments);
+    const minimumText = quantity.minimum > 0 ? ` / ${formatAmount(quantity, quantity.minimum)}` : '';
+    return `
+                <div class="pillar-amount">
+                    <span class="pillar-amount-value">${escapeHtml(formatAmount(quantity, amount) + minimumText)}</span>
+                    <span class="pillar-amount-buttons">
+                        <button type="button" class="pillar-amount-btn" data-pillar-id="${pillar.id}" data-delta="${-smallestStep}" aria-label="Remove ${escapeHtml(formatAmount(quantity, smallestStep))} from ${escapeHtml(pillar.name)}" ${amount > 0 ? '' : 'disabled'}>−</button>
+                        ${quantity.increments.map(step => `<button type="button" class="pillar-amount-btn" data-pillar-id="${pillar.id}" data-delta="${step}" aria-label="Add ${escapeHtml(formatAmount(quantity, step))} to ${escapeHtml(pillar.name)}">+${step}</button>`).join('')}
+                    </span>
+                </div>`;
+}
+
+/**
+ * Builds the tag line of a pillar card: the day's tags (selected) and the most recently used other
+ * tags, plus a button to add a new one. Pillars without a tag list or tags that day get no tag line.
+ */
+function renderTagControls(state, pillar, date) {
+    const dayTags = getDayTags(state, pillar.id, date);
+    if (dayTags.length === 0 && getTagList(state, pillar.id).length === 0) return '';
+    const chips = getSuggestedTags(state, pillar.id, date).map(tag => {
+        const isSelected = dayTags.some(t => isSameTag(t, tag));
+        return `<button type="button" class="pillar-tag-btn ${isSelected ? 'selected' : ''}" data-pillar-id="${pillar.id}" data-tag="${escapeHtml(tag)}" aria-pressed="${isSelected}">${escapeHtml(tag)}</button>`;
+    }).join('');
+    return `
+                <div class="pillar-tags" aria-label="${escapeHtml(pillar.name)} tags">
+                    ${chips}
+                    <button type="button" class="pillar-tag-btn pillar-tag-add-btn" data-pillar-id="${pillar.id}" aria-label="Add a tag to ${escapeHtml(pillar.name)}">+ Tag</button>
+                </div>`;
+}
+
+/**
+ * Returns the pillars shown on the Daily Log: the active pillars (only the chosen ones in Simple Mode),
+ * plus any hidden or archived pillar that was logged on the selected day, so its entry can still be seen.
+ */
+function getDailyLogPillars(state) {
+    let pillars = getPillars(state).filter(p => p.status === 'active' || state.pillars?.[p.id]?.days?.[state.currentDate]);
+    if (state.userMode === 'simple' && Array.isArray(state.simpleModePillars) && state.simpleModePillars.length > 0) {
+        pillars = pillars.filter(p => state.simpleModePillars.includes(p.id));
+    }
+    return pillars;
+}
+
 function updateProgress() {
     const progressFill = document.getElementById("xp-progress");
     const totalXpSpan = document.getElementById("total-xp");
@@ -112,22 +188,23 @@ function updateProgress() {
     const state = getState();
     const isSaved = state.savedDays[state.currentDate];
     
-    // Determine which pillars count towards progress
-    let activeCount = 0;
-    let totalPillarsToShow = PILLARS.length;
-    
-    if (state.userMode === 'simple' && state.simpleModePillars.length > 0) {
-        totalPillarsToShow = state.simpleModePillars.length;
-        activeCount = state.simpleModePillars.filter(id => state.pillars[id]?.days?.[state.currentDate]).length;
-    } else {
-        activeCount = PILLARS.filter(p => state.pillars[p.id]?.days?.[state.currentDate]).length;
-    }
+    // Progress counts the pillars shown on the Daily Log
+    const pillars = getDailyLogPillars(state);
+    const totalPillarsToShow = pillars.length;
+    const activeCount = pillars.filter(p => state.pillars[p.id]?.days?.[state.currentDate]).length;
 
     const progressPercent = totalPillarsToShow > 0 ? (activeCount / totalPillarsToShow) * 100 : 0;
     
     progressBarTextEl.textContent = `${activeCount}/${totalPillarsToShow}`;
     totalXpSpan.textContent = state.totalXP || 0;
-    streakSpan.textContent = state.streak || 0;
+    const streakStatus = getStreakStatus(state);
+    streakSpan.textContent = streakStatus.value;
+    const streakUnitSpan = document.getElementById("current-streak-unit");
+    if (streakUnitSpan) streakUnitSpan.textContent = streakStatus.unit === 'week' ? 'Weeks' : 'Days';
+    const weeklyProgressSpan = document.getElementById("weekly-streak-progress");
+    if (weeklyProgressSpan) weeklyProgressSpan.textContent = streakStatus.mode === 'weekly' ? ` (${streakStatus.daysThisWeek}/${streakStatus.target} days this week)` : '';
+    const freezeTokensSpan = document.getElementById("freeze-tokens");
+    if (freezeTokensSpan) freezeTokensSpan.textContent = state.freezeTokens || 0;
 
     if (isSaved) {
         progressFill.classList.add("saved");
@@ -139,6 +216,25 @@ function updateProgress() {
         progressFill.classList.remove("saved");
         progressBarEl.setAttribute('aria-valuenow', String(Math.round(progressPercent)));
     }
+    if (isArchivedDate(state, state.currentDate)) progressBarTextEl.textContent += ' · Archived (read-only)';
+    if (!isSaved && state.restDays?.[state.currentDate]) progressBarTextEl.textContent += state.restDays[state.currentDate] === TRAVEL_DAY ? ' · Travel day' : ' · Planned rest day';
+}
+
+function updateXPBreakdown() {
+    const breakdownEl = document.getElementById('day-xp-breakdown');
+    if (!breakdownEl) return;
+
+    const state = getState();
+    const breakdown = getDayXPBreakdown(state, state.currentDate);
+    if (!breakdown) {
+        breakdownEl.style.display = 'none';
+        breakdownEl.innerHTML = '';
+        return;
+    }
+    breakdownEl.innerHTML = `
+        <span class="day-xp-total">${breakdown.frozen ? 'Streak kept: 0 XP' : `This day earned ${breakdown.total} XP`}</span>
+        <ul class="day-xp-steps">${describeXPBreakdown(breakdown).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+    breakdownEl.style.display = 'block';
 }
 
 function updateLevelDisplay() {
@@ -150,7 +246,7 @@ function updateLevelDisplay() {
     if (!levelInfoEl) return;
 
     const state = getState();
-    const levelData = calculateLevelData(state.totalXP, state.prestige);
+    const levelData = calculateLevelData(state.totalXP, state.prestige, getXPRules(state));
 
     // Update Stars
     starsContainer.innerHTML = '⭐'.repeat(levelData.prestige);
@@ -178,36 +274,126 @@ function updateLevelDisplay() {
 export function handlePillarClick(cardElement) {
     handleInteractionForAudio();
     const stateRef = getStateReference();
-    
-    // Check lock status
-    if (stateRef.savedDays[stateRef.currentDate]) {
-        // Anti-spam logic for the locked toast
-        if (!isLockedToastActive) {
-            showToast("Day is locked. Unlock to make changes.", "info");
-            playSound('error', 'C3', '16n');
-            isLockedToastActive = true;
-            // Reset flag after 2 seconds
-            setTimeout(() => { isLockedToastActive = false; }, 2000);
-        }
-        return;
-    }
+    if (isDayReadOnly(stateRef)) return;
 
     const pillarId = cardElement.dataset.pillar;
     const isActive = togglePillarStatus(pillarId, stateRef.currentDate);
     
     cardElement.classList.toggle("active", isActive);
     cardElement.setAttribute('aria-checked', String(isActive));
+    const timeInput = cardElement.querySelector('.pillar-time-input');
+    if (timeInput) timeInput.value = getPillarTime(stateRef, pillarId, stateRef.currentDate) || ''; // Shown while checked
     
     updateProgress(); 
     playSound('click', isActive ? 'E4' : 'C4', '16n');
 }
 
+/**
+ * Handles a quick increment (or decrement) button on a pillar card.
+ * @param {HTMLElement} buttonElement - The clicked .pillar-amount-btn.
+ * @returns {{amount: number, done: boolean}|null} The new amount, or null if nothing changed.
+ */
+export function handlePillarAmountClick(buttonElement) {
+    handleInteractionForAudio();
+    const stateRef = getStateReference();
+    if (isDayReadOnly(stateRef)) return null;
+
+    const result = addPillarAmount(buttonElement.dataset.pillarId, stateRef.currentDate, Number(buttonElement.dataset.delta));
+    if (!result) return null;
+    renderPillarInputs();
+    updateProgress();
+    playSound('click', Number(buttonElement.dataset.delta) > 0 ? 'E4' : 'C4', '16n');
+    return result;
+}
+
+/**
+ * Handles a tag button on a pillar card: toggles the tag for the selected day, or (for "+ Tag")
+ * asks for a tag to add.
+ * @param {HTMLElement} buttonElement - The clicked .pillar-tag-btn.
+ * @returns {{tags: Array<string>, done: boolean}|null} The day's tags, or null if nothing changed.
+ */
+export function handlePillarTagClick(buttonElement) {
+    handleInteractionForAudio();
+    const stateRef = getStateReference();
+    if (isDayReadOnly(stateRef)) return null;
+
+    const pillarId = buttonElement.dataset.pillarId;
+    let tag = buttonElement.dataset.tag;
+    if (buttonElement.classList.contains('pillar-tag-add-btn')) {
+        const pillarName = getPillars(stateRef).find(p => p.id === pillarId)?.name || 'this pillar';
+        tag = prompt(`Add a tag to ${pillarName} for this day (e.g. Yoga or a friend's name):`);
+        tag = tag?.trim();
+        if (!tag) return null;
+        if (getDayTags(stateRef, pillarId, stateRef.currentDate).some(t => isSameTag(t, tag))) return null; // Already tagged; the prompt never removes a tag
+    }
+
+    const result = togglePillarTag(pillarId, stateRef.currentDate, tag);
+    if (!result) return null;
+    if (result.error) {
+        showToast(result.error, 'error');
+        playSound('error', 'C3', '16n');
+        return null;
+    }
+    renderPillarInputs();
+    updateProgress();
+    playSound('click', result.tags.some(t => isSameTag(t, tag)) ? 'E4' : 'C4', '16n');
+    return result;
+}
+
+/**
+ * Handles an edited time on a pillar card (an empty time means unknown).
+ * @param {HTMLInputElement} inputElement - The changed .pillar-time-input.
+ * @returns {boolean} True if the time changed.
+ */
+export function handlePillarTimeChange(inputElement) {
+    const stateRef = getStateReference();
+    const pillarId = inputElement.dataset.pillarId;
+    if (isDayReadOnly(stateRef) || !setPillarTime(pillarId, stateRef.currentDate, inputElement.value)) {
+        inputElement.value = getPillarTime(stateRef, pillarId, stateRef.currentDate) || '';
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Shows another wellbeing check-in ('day', 'morning' or 'evening').
+ * @param {string} checkIn - The check-in to show.
+ */
+export function selectCheckIn(checkIn) {
+    if (!CHECK_INS[checkIn]) return;
+    selectedCheckIn = checkIn;
+    renderWellbeing();
+}
+
+/**
+ * Handles a wellbeing level button: sets the level, or clears it if it was already selected.
+ * @param {HTMLElement} buttonElement - The clicked .wellbeing-option.
+ * @returns {{checkIn: string, scale: string, level: number}|null} The change made, or null if nothing changed.
+ */
+export function handleWellbeingClick(buttonElement) {
+    handleInteractionForAudio();
+    const stateRef = getStateReference();
+    if (isDayReadOnly(stateRef)) return null;
+
+    const scale = buttonElement.dataset.scale;
+    const clickedLevel = parseInt(buttonElement.dataset.level);
+    const level = getWellbeingLevel(stateRef, stateRef.currentDate, selectedCheckIn, scale) === clickedLevel ? 0 : clickedLevel;
+    if (!updateWellbeing(stateRef.currentDate, selectedCheckIn, scale, level)) return null;
+    renderWellbeing();
+    playSound('click', level ? 'G4' : 'C4', '16n');
+    return { checkIn: selectedCheckIn, scale, level };
+}
+
 export function handleMoodClick(event) {
     handleInteractionForAudio();
     const targetOption = event.target.closest('.mood-option');
     if (!targetOption) return;
 
     const stateRef = getStateReference();
+    if (isArchivedDate(stateRef, stateRef.currentDate)) {
+        showArchivedDayToast();
+        return;
+    }
     if (stateRef.savedDays[stateRef.currentDate]) {
         if (!isLockedToastActive) {
             showToast("Day is locked. Unlock to change mood.", "info");
@@ -239,13 +425,83 @@ function updateMoodDisplay() {
     });
 }
 
+/**
+ * Renders the scales of the selected wellbeing check-in for the current date, and the summary of
+ * which check-ins have been filled in (shown while the section is collapsed).
+ */
+function renderWellbeing() {
+    const container = document.getElementById('wellbeing-scales');
+    if (!container) return;
+    const state = getState();
+    const date = state.currentDate;
+
+    document.querySelectorAll('.check-in-tab').forEach(tab => {
+        const isSelected = tab.dataset.checkIn === selectedCheckIn;
+        tab.classList.toggle('active', isSelected);
+        tab.setAttribute('aria-selected', String(isSelected));
+        tab.classList.toggle('logged', hasCheckIn(state, date, tab.dataset.checkIn));
+    });
+
+    container.innerHTML = CHECK_INS[selectedCheckIn].scales.map(scale => {
+        const definition = WELLBEING_SCALES[scale];
+        const current = getWellbeingLevel(state, date, selectedCheckIn, scale);
+        const options = [1, 2, 3, 4, 5].map(level => {
+            const label = scale === 'mood' ? `${level}: ${MOOD_DESCRIPTIONS[level]}` : String(level);
+            return `<button type="button" class="wellbeing-option ${current === level ? 'selected' : ''}" data-scale="${scale}" data-level="${level}" role="radio" aria-checked="${current === level}" aria-label="${definition.name} ${label}">${scale === 'mood' ? getMoodEmoji(level) : level}</button>`;
+        }).join('');
+        return `
+            <div class="wellbeing-scale" role="radiogroup" aria-label="${definition.name} (1 ${definition.low}, 5 ${definition.high})">
+                <span class="wellbeing-scale-label"><span aria-hidden="true">${definition.emoji}</span> ${definition.name}</span>
+                <span class="wellbeing-options">${options}</span>
+                <small class="wellbeing-scale-hint">${definition.low} → ${definition.high}</small>
+            </div>`;
+    }).join('');
+
+    const summary = document.getElementById('wellbeing-summary');
+    if (summary) {
+        const logged = Object.keys(CHECK_INS).filter(checkIn => hasCheckIn(state, date, checkIn));
+        summary.textContent = logged.map(checkIn => CHECK_INS[checkIn].emoji).join(' ');
+    }
+}
+
 function updateLockButtons() {
     const lockBtn = document.getElementById("lock-button");
     const unlockBtn = document.getElementById("unlock-button");
     const state = getState();
     const isSaved = state.savedDays[state.currentDate];
-    if(lockBtn) lockBtn.style.display = isSaved ? "none" : "inline-block";
-    if(unlockBtn) unlockBtn.style.display = isSaved ? "inline-block" : "none";
+    const isArchived = isArchivedDate(state, state.currentDate); // Archived days can be neither saved nor unlocked
+    if(lockBtn) lockBtn.style.display = isSaved || isArchived ? "none" : "inline-block";
+    if(unlockBtn) unlockBtn.style.display = isSaved && !isArchived ? "inline-block" : "none";
+}
+
+/**
+ * Whether the selected day can't be changed (archived, or saved and locked); shows why once every 2 seconds.
+ */
+function isDayReadOnly(stateRef) {
+    if (isArchivedDate(stateRef, stateRef.currentDate)) {
+        showArchivedDayToast();
+        return true;
+    }
+    if (stateRef.savedDays[stateRef.currentDate]) {
+        // Anti-spam logic for the locked toast
+        if (!isLockedToastActive) {
+            showToast("Day is locked. Unlock to make changes.", "info");
+            playSound('error', 'C3', '16n');
+            isLockedToastActive = true;
+            // Reset flag after 2 seconds
+            setTimeout(() => { isLockedToastActive = false; }, 2000);
+        }
+        return true;
+    }
+    return false;
+}
+
+function showArchivedDayToast() {
+    if (isLockedToastActive) return;
+    showToast("This day is in an archived year and can't be changed.", "info");
+    playSound('error', 'C3', '16n');
+    isLockedToastActive = true;
+    setTimeout(() => { isLockedToastActive = false; }, 2000);
 }
 
 function renderSuggestedAchievement() {
@@ -281,7 +537,7 @@ function updateWelcomeMessage() {
 
 export function deselectMood() {
     const stateRef = getStateReference();
-    if (!stateRef.savedDays[stateRef.currentDate]) {
+    if (!stateRef.savedDays[stateRef.currentDate] && !isArchivedDate(stateRef, stateRef.currentDate)) {
         updateMood(stateRef.currentDate, 0);
         updateMoodDisplay();
         return true;
@@ -294,17 +550,10 @@ export function resetDateDisplay() {
     const dateEl = document.getElementById('formatted-date');
     const inputEl = document.getElementById('hidden-date-input');
     if (dateEl) dateEl.textContent = formatDate(state.currentDate);
-    if (inputEl) inputEl.value = state.currentDate;
-}
-
-function attachPillarCardListeners(container) {
-    const handler = (e) => {
-        const card = e.target.closest('.pillar-card');
-        if (card && !e.target.classList.contains('info-icon')) handlePillarClick(card);
-    };
-    // Remove old to prevent duplicates if re-rendered
-    container.removeEventListener('click', handler); 
-    container.addEventListener('click', handler);
+    if (inputEl) {
+        inputEl.value = state.currentDate;
+        inputEl.max = getToday(state); // No future days
+    }
 }
 
 function addTooltipListeners(container) {
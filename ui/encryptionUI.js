@@ -0,0 +1,140 @@
+// ui/encryptionUI.js
+
+/**
+ * Manages the passphrase modal (unlock on startup, confirming the current passphrase,
+ * opening encrypted backups) and the Passphrase Lock section in the Settings modal.
+ * The encryption itself lives in storage.js and encryption.js.
+ */
+
+// --- Imports ---
+import { isEncryptionEnabled } from '../storage.js';
+import { MIN_PASSPHRASE_LENGTH } from '../encryption.js';
+import { escapeHtml } from '../utils.js';
+
+// --- DOM Elements ---
+const modal = document.getElementById('passphrase-modal');
+const titleEl = document.getElementById('passphrase-modal-title');
+const messageEl = document.getElementById('passphrase-modal-message');
+const form = document.getElementById('passphrase-form');
+const input = document.getElementById('passphrase-input');
+const errorEl = document.getElementById('passphrase-error');
+const submitButton = document.getElementById('passphrase-submit-btn');
+const cancelButton = document.getElementById('passphrase-cancel-btn');
+const forgotButton = document.getElementById('passphrase-forgot-btn');
+const profileSwitch = document.getElementById('passphrase-profile-switch');
+const profileSelect = document.getElementById('passphrase-profile-select');
+
+// --- Module State ---
+let activeRequest = null; // { onSubmit, resolve } while the modal is open
+
+// --- Passphrase Modal ---
+
+/**
+ * Asks for a passphrase in a modal. The modal stays open until onSubmit succeeds or the user cancels.
+ * @param {object} options
+ * @param {string} options.title - Modal title.
+ * @param {string} options.message - Explanation shown above the input.
+ * @param {string} [options.submitLabel='Continue'] - Label of the submit button.
+ * @param {function(string): Promise<void>} [options.onSubmit] - Checks the passphrase; throw an Error to show its message.
+ * @param {boolean} [options.allowCancel=true] - Show a Cancel button and close on Escape.
+ * @param {function} [options.onForgot] - Shows a "Forgot passphrase?" button that calls this.
+ * @param {{profiles: Array<{id: string, name: string}>, activeProfileId: string, onSwitch: function(string)}} [options.profileSwitch] - Lets the user open another profile instead.
+ * @returns {Promise<string|null>} The accepted passphrase, or null if cancelled.
+ */
+export function requestPassphrase({ title, message, submitLabel = 'Continue', onSubmit = async () => {}, allowCancel = true, onForgot = null, profileSwitch: switchOptions = null }) {
+    if (!modal || !form || !input) {
+        console.error("[EncryptionUI] Passphrase modal elements not found.");
+        return Promise.resolve(null);
+    }
+    if (activeRequest) activeRequest.resolve(null); // Only one request at a time
+
+    titleEl.textContent = title;
+    messageEl.textContent = message;
+    submitButton.textContent = submitLabel;
+    submitButton.disabled = false;
+    cancelButton.style.display = allowCancel ? '' : 'none';
+    forgotButton.style.display = onForgot ? '' : 'none';
+    forgotButton.onclick = onForgot;
+    errorEl.textContent = '';
+    input.value = '';
+
+    const canSwitch = switchOptions && switchOptions.profiles.length > 1;
+    profileSwitch.style.display = canSwitch ? '' : 'none';
+    if (canSwitch) {
+        profileSelect.innerHTML = switchOptions.profiles.map(profile =>
+            `<option value="${escapeHtml(profile.id)}"${profile.id === switchOptions.activeProfileId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`
+        ).join('');
+        profileSelect.onchange = () => switchOptions.onSwitch(profileSelect.value);
+    }
+
+    modal.classList.add('visible');
+    setTimeout(() => input.focus({ preventScroll: true }), 50);
+    return new Promise(resolve => {
+        activeRequest = { onSubmit, allowCancel, resolve: (value) => { activeRequest = null; modal.classList.remove('visible'); resolve(value); } };
+    });
+}
+
+/**
+ * Returns true if the passphrase modal is open.
+ * @returns {boolean}
+ */
+export function isPassphraseModalOpen() {
+    return !!modal && modal.classList.contains('visible');
+}
+
+async function handlePassphraseSubmit(event) {
+    event.preventDefault();
+    if (!activeRequest) return;
+    const passphrase = input.value;
+    if (!passphrase) {
+        errorEl.textContent = 'Please enter your passphrase.';
+        return;
+    }
+    const request = activeRequest;
+    submitButton.disabled = true;
+    errorEl.textContent = 'Checking...';
+    try {
+        await request.onSubmit(passphrase);
+        request.resolve(passphrase);
+    } catch (error) {
+        errorEl.textContent = error.message || 'That passphrase did not work.';
+        input.select();
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+function cancelRequest() {
+    if (activeRequest?.allowCancel) activeRequest.resolve(null);
+}
+
+if (form) {
+    form.addEventListener('submit', handlePassphraseSubmit);
+    cancelButton?.addEventListener('click', cancelRequest);
+    modal.addEventListener('keydown', (e) => { if (e.key === 'Escape') cancelRequest(); });
+}
+
+// --- Settings Section ---
+
+/**
+ * Updates the Passphrase Lock section of the Settings modal for the current encryption status.
+ */
+export function renderEncryptionSettings() {
+    const status = document.getElementById('encryption-status');
+    const setButton = document.getElementById('encryption-set-btn');
+    const removeButton = document.getElementById('encryption-remove-btn');
+    const plaintextOption = document.getElementById('settings-export-plaintext-option');
+    if (!status || !setButton || !removeButton) {
+        console.warn("[EncryptionUI] Passphrase settings elements not found.");
+        return;
+    }
+    const enabled = isEncryptionEnabled();
+    status.textContent = enabled
+        ? '🔒 Your data on this device is encrypted. Backups are encrypted with the same passphrase.'
+        : `🔓 Not encrypted. Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters to protect your data.`;
+    setButton.textContent = enabled ? '🔁 Change Passphrase' : '🔒 Set Passphrase';
+    removeButton.style.display = enabled ? '' : 'none';
+    if (plaintextOption) plaintextOption.style.display = enabled ? '' : 'none';
+    const plaintextCheckbox = document.getElementById('settings-export-plaintext');
+    if (plaintextCheckbox && !enabled) plaintextCheckbox.checked = false;
+}
@@ -0,0 +1,57 @@
+// ui/exportUI.js
+
+/**
+ * Manages the CSV export modal (opened from the Export CSV buttons in Settings and the guide):
+ * the choice between the daily history and notes (see csv.js) and an optional date range.
+ * app.js handles the form submission (see datamanagement.exportCSV).
+ */
+
+// --- Imports ---
+import { getState } from '../state.js';
+import { CSV_EXPORTS } from '../csv.js';
+import { getToday } from '../dates.js';
+import { escapeHtml } from '../utils.js';
+
+// --- DOM Elements ---
+const csvExportModal = document.getElementById('csv-export-modal');
+const csvExportKinds = document.getElementById('csv-export-kinds');
+const csvExportFrom = document.getElementById('csv-export-from');
+const csvExportTo = document.getElementById('csv-export-to');
+
+// --- Modal Visibility ---
+
+/**
+ * Shows the CSV export modal, with the daily history selected and no date range.
+ */
+export function showCSVExportModal() {
+    if (!csvExportModal || !csvExportKinds || !csvExportFrom || !csvExportTo) {
+        console.error("[ExportUI] CSV export modal elements (#csv-export-modal, #csv-export-kinds, #csv-export-from, #csv-export-to) not found.");
+        return;
+    }
+    const legend = csvExportKinds.querySelector('legend')?.outerHTML || '';
+    csvExportKinds.innerHTML = legend + Object.entries(CSV_EXPORTS).map(([id, kind], index) => `
+        <label class="checkbox-label">
+            <input type="radio" name="csvExportKind" value="${escapeHtml(id)}"${index === 0 ? ' checked' : ''}>
+            <span><strong>${escapeHtml(kind.name)}</strong> <small>${escapeHtml(kind.description)}</small></span>
+        </label>`).join('');
+    const today = getToday(getState());
+    csvExportFrom.value = '';
+    csvExportTo.value = '';
+    csvExportFrom.max = today;
+    csvExportTo.max = today;
+    csvExportModal.classList.add('visible');
+    console.log("[ExportUI] CSV export shown.");
+}
+
+/**
+ * Hides the CSV export modal.
+ * @returns {boolean} True if the modal was open.
+ */
+export function hideCSVExportModal() {
+    if (csvExportModal && csvExportModal.classList.contains('visible')) {
+        csvExportModal.classList.remove('visible');
+        console.log("[ExportUI] CSV export hidden.");
+        return true;
+    }
+    return false;
+}
@@ -10,8 +10,6 @@
 import { getStateReference } from '../state.js'; // Adjust path as needed
 // Import audio functions if UI needs to trigger sounds directly (e.g., theme toggle sound)
 import { playSound, handleInteractionForAudio } from '../audio.js'; // Adjust path as needed
-// Import utility functions if needed (e.g., escapeHtml for dynamic content)
-import { escapeHtml } from '../utils.js'; // Adjust path as needed
 
 // --- Theme Management ---
 
@@ -131,8 +129,9 @@ export function updateAudioToggleButton() {
  * @param {string} message - The message to display.
  * @param {'info'|'success'|'error'} [type='info'] - The type of toast (affects styling and sound).
  * @param {number} [duration=3000] - How long the toast should be visible (in milliseconds).
+ * @param {{label: string, onClick: function}|null} [action=null] - Optional button shown in the toast (e.g. "Undo").
  */
-export function showToast(message, type = 'info', duration = 3000) {
+export function showToast(message, type = 'info', duration = 3000, action = null) {
     const container = document.getElementById('toast-container');
     if (!container) {
         console.error("[GlobalUI] Toast container (#toast-container) not found!");
@@ -144,10 +143,25 @@ export function showToast(message, type = 'info', duration = 3000) {
     // Create the toast element
     const toast = document.createElement('div');
     toast.className = `toast ${type}`; // Apply base and type-specific classes
-    toast.textContent = escapeHtml(message); // Escape message to prevent XSS
+    toast.textContent = message; // textContent is never parsed as HTML, so the message is safe as-is (escaping it would show entities like &quot;)
     toast.setAttribute('role', 'alert'); // Make it accessible to screen readers
     toast.setAttribute('aria-live', 'assertive'); // Announce immediately
 
+    // Optional action button (e.g. Undo); clicking it runs the action and dismisses the toast
+    if (action && action.label && typeof action.onClick === 'function') {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'toast-action-btn';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            toast.classList.remove('show');
+            if (toast.parentNode === container) container.removeChild(toast);
+            action.onClick();
+        }, { once: true });
+        toast.appendChild(actionButton);
+        toast.classList.add('has-action');
+    }
+
     // Add the toast to the container (prepends to show newest at the top)
     container.prepend(toast);
 
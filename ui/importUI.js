@@ -0,0 +1,253 @@
+// ui/importUI.js
+
+/**
+ * Manages the CSV import wizard (opened after choosing a file with the Import CSV buttons in Settings
+ * and the guide): a mapping of each column of the file to the date, a pillar, the mood or notes,
+ * the date format and mood range of the other app, and a live preview of the days to import.
+ * app.js handles the form submission (see datamanagement.importCSVHistory).
+ * Also manages the backup restore modal, where a backup is merged into the current data or replaces it,
+ * with a summary of what merging adds and changes (see backupmerge.js).
+ */
+
+// --- Imports ---
+import { getState } from '../state.js';
+import { getPillars } from '../pillars.js';
+import { CSV_IMPORT_TARGETS, CSV_DATE_FORMATS, guessCSVMapping, buildCSVImport } from '../csv.js';
+import { MERGE_CONFLICT_RULES, DEFAULT_MERGE_CONFLICT_RULE, hasMergeChanges } from '../backupmerge.js';
+import { escapeHtml, formatDate, getMoodEmoji } from '../utils.js';
+
+// --- Constants ---
+const PREVIEW_DAYS = 5; // Days shown in the preview table
+const PREVIEW_NOTE_LENGTH = 60;
+
+// --- DOM Elements ---
+const csvImportModal = document.getElementById('csv-import-modal');
+const csvImportFileName = document.getElementById('csv-import-file-name');
+const csvImportColumns = document.getElementById('csv-import-columns');
+const csvImportDateFormat = document.getElementById('csv-import-date-format');
+const csvImportMoodMin = document.getElementById('csv-import-mood-min');
+const csvImportMoodMax = document.getElementById('csv-import-mood-max');
+const csvImportPreview = document.getElementById('csv-import-preview');
+const csvImportSubmitBtn = document.getElementById('csv-import-submit-btn');
+const backupImportModal = document.getElementById('backup-import-modal');
+const backupImportMessage = document.getElementById('backup-import-message');
+const backupImportRules = document.getElementById('backup-import-rules');
+const backupImportSummary = document.getElementById('backup-import-summary');
+const backupImportMergeBtn = document.getElementById('backup-import-merge-btn');
+const backupImportReplaceBtn = document.getElementById('backup-import-replace-btn');
+const backupImportCancelBtn = document.getElementById('backup-import-cancel-btn');
+
+// --- Module State ---
+let currentImport = null; // { parsed, fileName } of the file being imported
+let activeBackupRequest = null; // { summarize, resolve } while the backup restore modal is open
+
+// --- Modal Visibility ---
+
+/**
+ * Shows the CSV import wizard for a parsed file, with the columns mapped as guessed from its headers.
+ * @param {{headers: Array<string>, rows: Array<Array<string>>}} parsed - From csv.parseCSV().
+ * @param {string} fileName - The file's name.
+ */
+export function showCSVImportModal(parsed, fileName) {
+    if (!csvImportModal || !csvImportColumns || !csvImportDateFormat || !csvImportMoodMin || !csvImportMoodMax || !csvImportPreview) {
+        console.error("[ImportUI] CSV import modal elements (#csv-import-modal, #csv-import-columns, #csv-import-date-format, #csv-import-mood-min, #csv-import-mood-max, #csv-import-preview) not found.");
+        return;
+    }
+    const state = getState();
+    const mapping = guessCSVMapping(state, parsed);
+    currentImport = { parsed, fileName };
+    if (csvImportFileName) csvImportFileName.textContent = `${fileName} · ${parsed.rows.length} row${parsed.rows.length === 1 ? '' : 's'}`;
+
+    const pillarOptions = getPillars(state).map(p => ({ value: `pillar:${p.id}`, label: `${p.emoji} ${p.name}` }));
+    const renderSelect = (index) => `
+        <select name="csvImportColumn" data-column="${index}" aria-label="Import ${escapeHtml(parsed.headers[index])} as">
+            ${Object.entries(CSV_IMPORT_TARGETS).map(([value, target]) => `<option value="${value}"${mapping.columns[index] === value ? ' selected' : ''}>${escapeHtml(target.name)}</option>`).join('')}
+            <optgroup label="Pillar (done when 1, yes, x or ✓)">
+                ${pillarOptions.map(option => `<option value="${escapeHtml(option.value)}"${mapping.columns[index] === option.value ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+            </optgroup>
+        </select>`;
+    csvImportColumns.innerHTML = `
+        <table class="csv-import-table">
+            <thead><tr><th scope="col">Column</th><th scope="col">Example</th><th scope="col">Import as</th></tr></thead>
+            <tbody>
+                ${parsed.headers.map((header, index) => `
+                <tr>
+                    <th scope="row">${escapeHtml(header)}</th>
+                    <td class="csv-import-example">${escapeHtml(parsed.rows.find(row => row[index])?.[index] || '')}</td>
+                    <td>${renderSelect(index)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+    csvImportDateFormat.innerHTML = Object.entries(CSV_DATE_FORMATS)
+        .map(([value, format]) => `<option value="${value}"${mapping.dateFormat === value ? ' selected' : ''}>${escapeHtml(format.name)}</option>`).join('');
+    csvImportMoodMin.value = String(mapping.moodScale.min);
+    csvImportMoodMax.value = String(mapping.moodScale.max);
+    updateCSVImportPreview();
+    csvImportModal.classList.add('visible');
+    console.log(`[ImportUI] CSV import shown for "${fileName}".`);
+}
+
+/**
+ * Hides the CSV import wizard and forgets the file.
+ * @returns {boolean} True if the modal was open.
+ */
+export function hideCSVImportModal() {
+    if (csvImportModal && csvImportModal.classList.contains('visible')) {
+        csvImportModal.classList.remove('visible');
+        currentImport = null;
+        console.log("[ImportUI] CSV import hidden.");
+        return true;
+    }
+    return false;
+}
+
+// --- Mapping & Preview ---
+
+/**
+ * Returns the file being imported with the mapping currently chosen in the wizard.
+ * @returns {{parsed: object, fileName: string, mapping: {columns: Array<string>, dateFormat: string, moodScale: {min: number, max: number}}}|null}
+ *     Null if no file is open.
+ */
+export function getCSVImportRequest() {
+    if (!currentImport) return null;
+    const columns = currentImport.parsed.headers.map((_, index) => csvImportColumns?.querySelector(`select[data-column="${index}"]`)?.value || 'ignore');
+    const mapping = {
+        columns,
+        dateFormat: csvImportDateFormat?.value || 'ymd',
+        moodScale: { min: Number(csvImportMoodMin?.value), max: Number(csvImportMoodMax?.value) }
+    };
+    return { ...currentImport, mapping };
+}
+
+/**
+ * Shows what the current mapping would import: the number of days and their range, how many of them
+ * are merged into days already logged, skipped rows and the first few days.
+ */
+export function updateCSVImportPreview() {
+    const request = getCSVImportRequest();
+    if (!request || !csvImportPreview) return;
+    const { columns, moodScale } = request.mapping;
+    const hasMood = columns.includes('mood');
+    [csvImportMoodMin, csvImportMoodMax].forEach(input => { if (input) input.disabled = !hasMood; });
+    const moodScaleError = hasMood && !(moodScale.max > moodScale.min) ? "The highest mood must be above the lowest." : null;
+    const plan = buildCSVImport(getState(), request.parsed, request.mapping);
+    const error = columns.filter(column => column === 'date').length > 1 ? "Only one column can hold the date."
+        : columns.filter(column => column === 'mood').length > 1 ? "Only one column can hold the mood."
+        : moodScaleError || plan.error;
+    if (csvImportSubmitBtn) {
+        csvImportSubmitBtn.disabled = !!error;
+        csvImportSubmitBtn.textContent = error ? '📥 Import' : `📥 Import ${plan.days.length} day${plan.days.length === 1 ? '' : 's'}`;
+    }
+    if (error) {
+        csvImportPreview.innerHTML = `<p class="csv-import-error" role="alert">${escapeHtml(error)}</p>`;
+        return;
+    }
+
+    const pillarsById = Object.fromEntries(getPillars(getState()).map(p => [p.id, p]));
+    const first = plan.days[0].date, last = plan.days[plan.days.length - 1].date;
+    const details = [
+        `${plan.checks} pillar check${plan.checks === 1 ? '' : 's'}`,
+        `${plan.moods} mood${plan.moods === 1 ? '' : 's'}`,
+        `${plan.notes} note${plan.notes === 1 ? '' : 's'}`
+    ];
+    const warnings = [
+        plan.existingDays > 0 ? `${plan.existingDays} of these days ${plan.existingDays === 1 ? 'is' : 'are'} already logged: checks and notes are added, the mood you logged is kept.` : '',
+        plan.unsavedDays > 0 ? `${plan.unsavedDays} day${plan.unsavedDays === 1 ? '' : 's'} you logged here but haven't saved ${plan.unsavedDays === 1 ? 'is' : 'are'} skipped: save or clear ${plan.unsavedDays === 1 ? 'it' : 'them'} first to import ${plan.unsavedDays === 1 ? 'it' : 'them'}.` : '',
+        plan.skippedRows > 0 ? `${plan.skippedRows} row${plan.skippedRows === 1 ? '' : 's'} skipped (no valid date, a future date or an archived year).` : '',
+        plan.invalidMoods > 0 ? `${plan.invalidMoods} mood${plan.invalidMoods === 1 ? '' : 's'} outside ${moodScale.min}–${moodScale.max} skipped.` : ''
+    ].filter(Boolean);
+    const shortNote = (text) => text.length > PREVIEW_NOTE_LENGTH ? `${text.slice(0, PREVIEW_NOTE_LENGTH)}…` : text;
+    csvImportPreview.innerHTML = `
+        <p><strong>${plan.days.length} day${plan.days.length === 1 ? '' : 's'}</strong> from ${escapeHtml(formatDate(first))} to ${escapeHtml(formatDate(last))}: ${details.join(' · ')}.</p>
+        ${warnings.map(warning => `<p class="csv-import-warning"><small>${escapeHtml(warning)}</small></p>`).join('')}
+        <table class="csv-import-table">
+            <thead><tr><th scope="col">Date</th><th scope="col">Pillars</th><th scope="col">Mood</th><th scope="col">Notes</th></tr></thead>
+            <tbody>
+                ${plan.days.slice(0, PREVIEW_DAYS).map(day => `
+                <tr>
+                    <th scope="row">${escapeHtml(day.date)}</th>
+                    <td>${day.pillars.map(id => `<span title="${escapeHtml(pillarsById[id]?.name || id)}">${escapeHtml(pillarsById[id]?.emoji || id)}</span>`).join(' ') || '–'}</td>
+                    <td>${day.mood ? `${getMoodEmoji(day.mood)} ${day.mood}` : '–'}</td>
+                    <td>${escapeHtml(day.notes.map(shortNote).join(' / ')) || '–'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ${plan.days.length > PREVIEW_DAYS ? `<p><small>…and ${plan.days.length - PREVIEW_DAYS} more.</small></p>` : ''}`;
+}
+
+// --- Backup Restore Modal ---
+
+/**
+ * Asks how to restore a backup: merged into the current data (with the summary of what that adds
+ * and changes, for the chosen conflict rule) or replacing it.
+ * @param {object} options
+ * @param {string} options.profileName - The profile the backup is restored into.
+ * @param {function(string): object} options.summarize - Returns the merge summary for a conflict rule (see backupmerge.mergeBackupState).
+ * @returns {Promise<{mode: 'merge'|'replace', prefer: string}|null>} The choice, or null if cancelled.
+ */
+export function requestBackupImport({ profileName, summarize }) {
+    if (!backupImportModal || !backupImportRules || !backupImportSummary || !backupImportMergeBtn || !backupImportReplaceBtn) {
+        console.error("[ImportUI] Backup restore modal elements not found.");
+        return Promise.resolve(null);
+    }
+    if (activeBackupRequest) activeBackupRequest.resolve(null); // Only one request at a time
+    if (backupImportMessage) backupImportMessage.textContent = `Restore this backup into the profile "${profileName}". Merge adds what the backup has to your data and keeps everything else; Replace All overwrites the profile with the backup.`;
+    const legend = backupImportRules.querySelector('legend')?.outerHTML || '';
+    backupImportRules.innerHTML = legend + Object.entries(MERGE_CONFLICT_RULES).map(([id, rule]) => `
+        <label class="checkbox-label">
+            <input type="radio" name="backupImportRule" value="${escapeHtml(id)}"${id === DEFAULT_MERGE_CONFLICT_RULE ? ' checked' : ''}>
+            <span>${escapeHtml(rule.name)}</span>
+        </label>`).join('');
+    backupImportModal.classList.add('visible');
+    setTimeout(() => backupImportMergeBtn.focus({ preventScroll: true }), 50);
+    return new Promise(resolve => {
+        activeBackupRequest = { summarize, resolve: (value) => { activeBackupRequest = null; backupImportModal.classList.remove('visible'); resolve(value); } };
+        renderBackupImportSummary();
+    });
+}
+
+/**
+ * Returns true if the backup restore modal is open.
+ * @returns {boolean}
+ */
+export function isBackupImportModalOpen() {
+    return !!backupImportModal && backupImportModal.classList.contains('visible');
+}
+
+function getSelectedMergeRule() {
+    return backupImportRules?.querySelector('input[name="backupImportRule"]:checked')?.value || DEFAULT_MERGE_CONFLICT_RULE;
+}
+
+function renderBackupImportSummary() {
+    if (!activeBackupRequest) return;
+    const prefer = getSelectedMergeRule();
+    const summary = activeBackupRequest.summarize(prefer);
+    const count = (number, noun) => number > 0 ? `${number} ${noun}${number === 1 ? '' : 's'}` : '';
+    const list = (...parts) => parts.filter(Boolean).join(', ');
+    const added = list(count(summary.addedDays, 'day'), count(summary.addedNotes, 'note'), count(summary.addedPlans, 'habit plan'), count(summary.addedPillars, 'custom pillar'), count(summary.addedAchievements, 'achievement'));
+    const changed = list(count(summary.changedDays, 'day'), count(summary.changedNotes, 'note'), count(summary.changedPlans, 'habit plan'));
+    const lines = [
+        added ? `➕ Adds ${added}.` : '',
+        changed ? `✏️ Changes ${changed} already on this device (pillar checks and saved days are combined).` : '',
+        summary.conflictDays > 0 ? `⚖️ ${count(summary.conflictDays, 'day')} ${summary.conflictDays === 1 ? 'has' : 'have'} different values in both: ${prefer === 'backup' ? "the backup's are used" : "this device's are kept"}.` : '',
+        summary.skippedDays > 0 ? `🗄️ ${count(summary.skippedDays, 'day')} in archived years ${summary.skippedDays === 1 ? 'is' : 'are'} skipped.` : ''
+    ].filter(Boolean);
+    const hasChanges = hasMergeChanges(summary);
+    backupImportSummary.innerHTML = hasChanges
+        ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+        : `<p>${escapeHtml("Merging changes nothing: this device already has everything in the backup.")}</p>${lines.map(line => `<p><small>${escapeHtml(line)}</small></p>`).join('')}`;
+    backupImportMergeBtn.disabled = !hasChanges;
+}
+
+function cancelBackupRequest() {
+    if (activeBackupRequest) activeBackupRequest.resolve(null);
+}
+
+if (backupImportModal) {
+    backupImportRules?.addEventListener('change', renderBackupImportSummary);
+    backupImportMergeBtn?.addEventListener('click', () => activeBackupRequest?.resolve({ mode: 'merge', prefer: getSelectedMergeRule() }));
+    backupImportReplaceBtn?.addEventListener('click', () => activeBackupRequest?.resolve({ mode: 'replace', prefer: getSelectedMergeRule() }));
+    backupImportCancelBtn?.addEventListener('click', cancelBackupRequest);
+    backupImportModal.addEventListener('keydown', (e) => { if (e.key === 'Escape') cancelBackupRequest(); });
+    backupImportModal.addEventListener('click', (e) => { if (e.target === backupImportModal) cancelBackupRequest(); });
+}
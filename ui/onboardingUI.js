@@ -2,10 +2,12 @@
 
 /**
  * Manages the UI elements and logic for the multi-step onboarding modal.
+ * *** MODIFIED: The Simple Mode pillar list includes custom pillars (one can be added from step 5). ***
  */
 
 // --- Imports ---
-import { PILLARS } from '../constants.js'; // Pillar definitions
+import { getState } from '../state.js'; // Custom pillars
+import { getActivePillars } from '../pillars.js'; // Built-in and custom pillars that aren't hidden or archived
 import { escapeHtml } from '../utils.js'; // HTML escaping utility
 // Import global UI functions if needed (e.g., showToast - though maybe handled by app.js)
 // import { showToast } from './globalUI.js';
@@ -141,7 +143,7 @@ function performStepSpecificSetup(stepNumber) {
 
 /**
  * Populates the pillar selection checklist in Onboarding Step 5.
- * Uses the PILLARS constant.
+ * Lists the active built-in and custom pillars (see pillars.js), keeping the current selection.
  */
 export function populateOnboardingPillarList() {
     const container = document.getElementById('onboarding-pillar-list');
@@ -150,14 +152,18 @@ export function populateOnboardingPillarList() {
         return;
     }
 
-    // Avoid re-populating if already done
-    if (container.children.length > 1) { // Check if more than the initial <p> exists
+    // Avoid re-populating if already done for these pillars
+    const pillars = getActivePillars(getState());
+    const pillarList = pillars.map(pillar => `${pillar.id}:${pillar.emoji}:${pillar.name}`).join(',');
+    if (container.children.length > 1 && container.dataset.pillarList === pillarList) { // Check if more than the initial <p> exists
         // console.log("[OnboardingUI] Pillar list already populated."); // Optional log
         return;
     }
+    container.dataset.pillarList = pillarList;
+    const checkedIds = Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
 
     // Generate HTML for each pillar checkbox item
-    container.innerHTML = PILLARS.map(pillar => {
+    container.innerHTML = pillars.map(pillar => {
         const checkboxId = `onboarding-pillar-${pillar.id}`;
         return `
             <div class="pillar-checkbox-item">
@@ -170,6 +176,7 @@ export function populateOnboardingPillarList() {
             </div>
         `;
     }).join('');
+    container.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.checked = checkedIds.includes(cb.value); });
     console.log("[OnboardingUI] Onboarding pillar list populated.");
 }
 
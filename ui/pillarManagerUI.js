@@ -0,0 +1,153 @@
+// ui/pillarManagerUI.js
+
+/**
+ * Manages the pillar manager modal (opened from Settings): one editable row per pillar, built-in
+ * or custom, for its name, emoji, colour, description, status (active, hidden or archived),
+ * quantity logging (unit and minimum, see quantities.js) and sub-activity tags (see tags.js), plus the
+ * form for adding custom pillars.
+ * Edits are only stored when the user saves them (see state.updatePillarSettings); app.js
+ * wires up the buttons.
+ */
+
+// --- Imports ---
+import { getState } from '../state.js';
+import { getPillars, PILLAR_STATUSES } from '../pillars.js';
+import { PILLARS } from '../constants.js'; // Built-in defaults, for "Reset"
+import { QUANTITY_UNITS } from '../quantities.js';
+import { getTagList } from '../tags.js';
+import { escapeHtml } from '../utils.js';
+
+// --- DOM Elements ---
+const pillarManagerModal = document.getElementById('pillar-manager-modal');
+const pillarManagerList = document.getElementById('pillar-manager-list');
+
+// --- Modal Visibility ---
+
+/**
+ * Shows the pillar manager modal with the stored pillar settings.
+ */
+export function showPillarManagerModal() {
+    if (!pillarManagerModal || !pillarManagerList) {
+        console.error("[PillarManagerUI] Pillar manager modal (#pillar-manager-modal) or list (#pillar-manager-list) not found.");
+        return;
+    }
+    pillarManagerList.innerHTML = ''; // Start from the stored values, not leftover edits
+    renderPillarManagerList();
+    pillarManagerModal.classList.add('visible');
+    const firstInput = pillarManagerList.querySelector('input');
+    if (firstInput) setTimeout(() => firstInput.focus({ preventScroll: true }), 50);
+    console.log("[PillarManagerUI] Pillar manager shown.");
+}
+
+/**
+ * Hides the pillar manager modal. Unsaved edits are discarded.
+ * @returns {boolean} True if the modal was open.
+ */
+export function hidePillarManagerModal() {
+    if (pillarManagerModal && pillarManagerModal.classList.contains('visible')) {
+        pillarManagerModal.classList.remove('visible');
+        console.log("[PillarManagerUI] Pillar manager hidden.");
+        return true;
+    }
+    return false;
+}
+
+// --- Rendering ---
+
+/**
+ * Renders one editable row per pillar. Rows that are already on screen keep their unsaved edits,
+ * so adding or deleting a custom pillar doesn't undo the other changes.
+ */
+export function renderPillarManagerList() {
+    if (!pillarManagerList) return;
+    const state = getState();
+    const unsavedEdits = new Map(readPillarManagerEdits().map(edit => [edit.id, edit]));
+
+    pillarManagerList.innerHTML = getPillars(state).map(pillar => {
+        const values = unsavedEdits.get(pillar.id) || { ...pillar, quantity: state.pillarQuantities?.[pillar.id] || { unit: 'none' }, tags: getTagList(state, pillar.id).join(', ') };
+        const quantity = values.quantity;
+        const unitOptions = Object.entries(QUANTITY_UNITS)
+            .map(([id, unit]) => `<option value="${id}" ${quantity.unit === id ? 'selected' : ''}>${unit.name}</option>`).join('');
+        const loggedDays = Object.values(state.pillars?.[pillar.id]?.days || {}).filter(Boolean).length;
+        const statusOptions = Object.entries(PILLAR_STATUSES)
+            .map(([id, status]) => `<option value="${id}" ${values.status === id ? 'selected' : ''}>${status.name}</option>`).join('');
+        const actionButton = pillar.isCustom
+            ? `<button type="button" class="custom-pillar-delete-btn" data-pillar-id="${pillar.id}" aria-label="Delete ${escapeHtml(pillar.name)}" title="Delete">🗑️</button>`
+            : `<button type="button" class="pillar-manager-reset-btn" data-pillar-id="${pillar.id}" aria-label="Reset ${escapeHtml(pillar.name)} to its default name and colour" title="Reset to default">↺</button>`;
+        return `
+            <li class="pillar-manager-item status-${values.status} unit-${escapeHtml(quantity.unit)}" data-pillar-id="${pillar.id}" style="--pillar-color: ${pillar.color}">
+                <div class="pillar-manager-fields">
+                    <input type="text" class="pillar-manager-emoji" value="${escapeHtml(values.emoji)}" maxlength="8" aria-label="Emoji for ${escapeHtml(pillar.name)}">
+                    <input type="text" class="pillar-manager-name" value="${escapeHtml(values.name)}" maxlength="30" aria-label="Name for ${escapeHtml(pillar.name)}" required>
+                    <input type="color" class="pillar-manager-color" value="${escapeHtml(values.color)}" aria-label="Colour for ${escapeHtml(pillar.name)}">
+                    <select class="pillar-manager-status" aria-label="Status of ${escapeHtml(pillar.name)}">${statusOptions}</select>
+                    ${actionButton}
+                </div>
+                <input type="text" class="pillar-manager-description" value="${escapeHtml(values.description || '')}" maxlength="120" placeholder="Short description (optional)" aria-label="Description for ${escapeHtml(pillar.name)}">
+                <div class="pillar-manager-quantity">
+                    <select class="pillar-manager-unit" aria-label="How ${escapeHtml(pillar.name)} is logged">${unitOptions}</select>
+                    <input type="text" class="pillar-manager-custom-unit" value="${escapeHtml(quantity.customUnit || '')}" maxlength="12" placeholder="Unit, e.g. km" aria-label="Custom unit for ${escapeHtml(pillar.name)}">
+                    <label class="pillar-manager-minimum-label">Done at <input type="number" class="pillar-manager-minimum" value="${escapeHtml(String(quantity.minimum || ''))}" min="0" step="any" placeholder="any"></label>
+                </div>
+                <input type="text" class="pillar-manager-tags" value="${escapeHtml(values.tags)}" maxlength="500" placeholder="Tags, comma-separated (e.g. Yoga, Cycling)" aria-label="Tags for ${escapeHtml(pillar.name)}">
+                <small class="pillar-manager-meta">${pillar.isCustom ? 'Custom' : 'Built-in'} · ${loggedDays} day${loggedDays === 1 ? '' : 's'} logged</small>
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Restores a built-in pillar's default name, emoji, colour and description in its row
+ * (stored once the user saves).
+ * @param {string} pillarId - The built-in pillar's ID.
+ */
+export function resetPillarManagerRow(pillarId) {
+    const defaults = PILLARS.find(pillar => pillar.id === pillarId);
+    const row = pillarManagerList?.querySelector(`.pillar-manager-item[data-pillar-id="${pillarId}"]`);
+    if (!defaults || !row) return;
+    row.querySelector('.pillar-manager-emoji').value = defaults.emoji;
+    row.querySelector('.pillar-manager-name').value = defaults.name;
+    row.querySelector('.pillar-manager-color').value = defaults.color;
+    row.querySelector('.pillar-manager-description').value = defaults.description;
+}
+
+/**
+ * Shows the selected status on a row (dimmed when hidden or archived).
+ * @param {HTMLSelectElement} selectEl - A row's status select.
+ */
+export function updatePillarManagerRowStatus(selectEl) {
+    const row = selectEl.closest('.pillar-manager-item');
+    if (!row) return;
+    Object.keys(PILLAR_STATUSES).forEach(status => row.classList.toggle(`status-${status}`, selectEl.value === status));
+}
+
+/**
+ * Shows the custom unit and minimum inputs that apply to the unit selected on a row.
+ * @param {HTMLSelectElement} selectEl - A row's unit select.
+ */
+export function updatePillarManagerRowUnit(selectEl) {
+    const row = selectEl.closest('.pillar-manager-item');
+    if (!row) return;
+    Object.keys(QUANTITY_UNITS).forEach(unit => row.classList.toggle(`unit-${unit}`, selectEl.value === unit));
+}
+
+/**
+ * Reads the values entered in the pillar manager rows.
+ * @returns {Array<{id: string, name: string, emoji: string, color: string, description: string, status: string, quantity: object, tags: string}>}
+ */
+export function readPillarManagerEdits() {
+    if (!pillarManagerList) return [];
+    return Array.from(pillarManagerList.querySelectorAll('.pillar-manager-item')).map(row => ({
+        id: row.dataset.pillarId,
+        name: row.querySelector('.pillar-manager-name').value,
+        emoji: row.querySelector('.pillar-manager-emoji').value,
+        color: row.querySelector('.pillar-manager-color').value,
+        description: row.querySelector('.pillar-manager-description').value,
+        status: row.querySelector('.pillar-manager-status').value,
+        quantity: {
+            unit: row.querySelector('.pillar-manager-unit').value,
+            customUnit: row.querySelector('.pillar-manager-custom-unit').value,
+            minimum: row.querySelector('.pillar-manager-minimum').value
+        },
+        tags: row.querySelector('.pillar-manager-tags').value
+    }));
+}
@@ -3,11 +3,13 @@
 /**
  * Manages UI elements and rendering for the collapsible Habit Planner section
  * within the Daily Log tab.
+ * *** MODIFIED: Pillar dropdowns include custom pillars. ***
+ * *** MODIFIED: Pillar dropdowns leave out hidden and archived pillars (unless a saved plan uses them). ***
  */
 
 // --- Imports ---
 import { getState } from '../state.js'; // State access
-import { PILLARS } from '../constants.js'; // Pillar definitions
+import { getPillars } from '../pillars.js'; // Built-in and custom pillars
 import { escapeHtml } from '../utils.js'; // Utilities
 // Import global UI functions if needed (e.g., showToast, but often handled by app.js)
 // import { showToast } from './globalUI.js';
@@ -18,7 +20,7 @@ import { escapeHtml } from '../utils.js'; // Utilities
 
 /**
  * Populates the primary pillar select dropdown in the habit planner form.
- * Ensures it only populates once.
+ * Ensures it only populates once for the current pillars (built-in and custom).
  */
 export function populatePillarSelect() {
     const primarySelectEl = document.getElementById('habit-plan-pillar-select');
@@ -26,21 +28,7 @@ export function populatePillarSelect() {
         console.error("[PlannerUI] Primary Pillar select dropdown (#habit-plan-pillar-select) not found.");
         return;
     }
-    // Check if already populated (avoids duplicates on multiple calls, e.g., if section is toggled)
-    // Check if more than the default "-- Select --" option exists.
-    if (primarySelectEl.options.length > 1) {
-        // console.log("[PlannerUI] Primary pillar select already populated."); // Optional log
-        return;
-    }
-
-    // Add options for each pillar
-    PILLARS.forEach(pillar => {
-        const option = document.createElement('option');
-        option.value = pillar.id;
-        // Display emoji and escaped pillar name
-        option.textContent = `${pillar.emoji} ${escapeHtml(pillar.name)}`;
-        primarySelectEl.appendChild(option);
-    });
+    fillPillarOptions(primarySelectEl);
     console.log("[PlannerUI] Primary pillar select dropdown populated.");
 
     // Also populate the secondary dropdown when the primary is populated
@@ -49,7 +37,7 @@ export function populatePillarSelect() {
 
 /**
  * Populates the secondary pillar select dropdown in the habit planner form.
- * Ensures it only populates once.
+ * Ensures it only populates once for the current pillars.
  */
 function populateSecondaryPillarSelect() {
     const secondarySelectEl = document.getElementById('habit-plan-secondary-pillar-select');
@@ -57,19 +45,34 @@ function populateSecondaryPillarSelect() {
         console.error("[PlannerUI] Secondary Pillar select dropdown (#habit-plan-secondary-pillar-select) not found.");
         return;
     }
-    // Check if only the default "-- None --" option exists before populating
-    if (secondarySelectEl.options.length === 1) {
-        // Add options for each pillar (after the default "-- None --" option)
-        PILLARS.forEach(pillar => {
-            const option = document.createElement('option');
-            option.value = pillar.id;
-            option.textContent = `${pillar.emoji} ${escapeHtml(pillar.name)}`;
-            secondarySelectEl.appendChild(option);
-        });
-        console.log("[PlannerUI] Secondary pillar select dropdown populated.");
-    } else {
-        // console.log("[PlannerUI] Secondary pillar select already populated or has unexpected initial state."); // Optional log
-    }
+    fillPillarOptions(secondarySelectEl);
+}
+
+/**
+ * Adds an option for each active pillar (and any hidden or archived pillar a saved plan uses)
+ * after the select's first (placeholder) option, unless it already lists these pillars.
+ * Keeps the selected pillar if it still exists.
+ * @param {HTMLSelectElement} selectEl - The pillar select dropdown.
+ */
+function fillPillarOptions(selectEl) {
+    const state = getState();
+    const plannedIds = Object.values(state.habitPlans || {}).flatMap(plan => [plan?.pillarId, plan?.secondaryPillarId]);
+    const pillars = getPillars(state).filter(pillar => pillar.status === 'active' || plannedIds.includes(pillar.id));
+    const pillarList = pillars.map(pillar => `${pillar.id}:${pillar.emoji}:${pillar.name}`).join(',');
+    // Check if already populated (avoids duplicates on multiple calls, e.g., if section is toggled)
+    if (selectEl.options.length > 1 && selectEl.dataset.pillarList === pillarList) return;
+    selectEl.dataset.pillarList = pillarList;
+
+    const selectedValue = selectEl.value;
+    while (selectEl.options.length > 1) selectEl.remove(1); // Keep the "-- Select --" / "-- None --" option
+    pillars.forEach(pillar => {
+        const option = document.createElement('option');
+        option.value = pillar.id;
+        // Display emoji and pillar name (textContent needs no escaping)
+        option.textContent = `${pillar.emoji} ${pillar.name}`;
+        selectEl.appendChild(option);
+    });
+    selectEl.value = pillars.some(pillar => pillar.id === selectedValue) ? selectedValue : '';
 }
 
 // --- Form Management Functions ---
@@ -182,7 +185,7 @@ export function renderSavedHabitPlans() {
     const planIds = Object.keys(plans);
 
     // Create a map for quick pillar lookup by ID
-    const pillarMap = PILLARS.reduce((map, p) => { map[p.id] = p; return map; }, {});
+    const pillarMap = getPillars(state).reduce((map, p) => { map[p.id] = p; return map; }, {});
 
     // Start building HTML, always include the header
     let plansHtml = '<h4>Your Plans:</h4>';
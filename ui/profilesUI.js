@@ -0,0 +1,79 @@
+// ui/profilesUI.js
+
+/**
+ * Manages the profile switcher in the header: the current profile label
+ * and the dropdown menu listing all profiles on this device.
+ * Profile actions (switch, create, rename, delete) are handled in app.js.
+ */
+
+// --- Imports ---
+import { getProfiles, getActiveProfile } from '../profiles.js';
+import { escapeHtml } from '../utils.js';
+
+// --- DOM Elements ---
+const switcherButton = document.getElementById('profile-switcher-btn');
+const switcherName = document.getElementById('profile-switcher-name');
+const profileMenu = document.getElementById('profile-menu');
+const profileMenuList = document.getElementById('profile-menu-list');
+
+// --- Rendering ---
+
+/**
+ * Updates the header label and the profile list in the menu.
+ */
+export function renderProfileSwitcher() {
+    if (!switcherButton || !switcherName || !profileMenuList) {
+        console.warn("[ProfilesUI] Profile switcher elements not found.");
+        return;
+    }
+    const activeProfile = getActiveProfile();
+    const profiles = getProfiles();
+
+    switcherName.textContent = activeProfile.name;
+    switcherButton.setAttribute('aria-label', `Current profile: ${activeProfile.name}. Switch profile`);
+    switcherButton.title = `Profile: ${activeProfile.name}`;
+
+    profileMenuList.innerHTML = profiles.map(profile => {
+        const isActive = profile.id === activeProfile.id;
+        return `
+            <li>
+                <button class="profile-menu-item${isActive ? ' active' : ''}" role="menuitemradio" aria-checked="${isActive}" data-profile-id="${escapeHtml(profile.id)}">
+                    <i class="fas ${isActive ? 'fa-check-circle' : 'fa-user'}" aria-hidden="true"></i>
+                    <span>${escapeHtml(profile.name)}</span>
+                </button>
+            </li>`;
+    }).join('');
+
+    // Deleting needs at least one other profile to fall back to
+    const deleteButton = document.getElementById('profile-delete-btn');
+    if (deleteButton) deleteButton.disabled = profiles.length <= 1;
+    // The all-profiles backup is only useful with more than one profile
+    const allProfilesActions = document.getElementById('settings-all-profiles-actions');
+    if (allProfilesActions) allProfilesActions.style.display = profiles.length > 1 ? '' : 'none';
+}
+
+// --- Menu Visibility ---
+
+/**
+ * Opens or closes the profile menu.
+ * @param {boolean} [forceOpen] - Open (true) or close (false); toggles if omitted.
+ */
+export function toggleProfileMenu(forceOpen) {
+    if (!profileMenu || !switcherButton) return;
+    const shouldOpen = typeof forceOpen === 'boolean' ? forceOpen : profileMenu.hidden;
+    if (shouldOpen) renderProfileSwitcher();
+    profileMenu.hidden = !shouldOpen;
+    switcherButton.setAttribute('aria-expanded', String(shouldOpen));
+    if (shouldOpen) {
+        const firstItem = profileMenu.querySelector('.profile-menu-item');
+        if (firstItem) setTimeout(() => firstItem.focus({ preventScroll: true }), 50);
+    }
+}
+
+/**
+ * Returns true if the profile menu is open.
+ * @returns {boolean}
+ */
+export function isProfileMenuOpen() {
+    return !!profileMenu && !profileMenu.hidden;
+}
@@ -5,12 +5,22 @@
  * including populating fields based on current state and handling
  * visibility of conditional sections.
  * *** MODIFIED: Added logic for enabling Simple Mode pillar re-selection. ***
+ * *** MODIFIED: Added the XP rules preset selector. ***
+ * *** MODIFIED: Added the streak mode selector and weekly day target. ***
+ * *** MODIFIED: Custom pillars are offered for Simple Mode and listed in the Custom Pillars section. ***
+ * *** MODIFIED: Custom pillars moved to the pillar manager (pillarManagerUI.js); Simple Mode only offers active pillars. ***
+ * *** MODIFIED: Added the day rollover hour (when a new day starts, see dates.js). ***
+ * *** MODIFIED: Added the week start day. ***
  */
 
 // --- Imports ---
 import { getState } from '../state.js'; // To get current settings
-import { PILLARS } from '../constants.js'; // Pillar definitions
+import { getActivePillars } from '../pillars.js'; // Built-in and custom pillars that aren't hidden or archived
 import { escapeHtml } from '../utils.js'; // HTML escaping utility
+import { XP_RULE_PRESETS, getXPRules } from '../xprules.js'; // XP rules presets
+import { STREAK_MODES, getStreakSettings } from '../streaks.js'; // Streak modes
+import { ROLLOVER_HOURS, getRolloverHour, WEEK_START_DAYS, getWeekStartDay } from '../dates.js'; // Day rollover & week start
+import { formatTime } from '../times.js'; // Hour labels
 
 // --- DOM Elements ---
 const settingsModal = document.getElementById('settings-modal');
@@ -27,6 +37,14 @@ const pillarInstruction = document.getElementById('settings-pillar-instruction')
 const pillarCounter = document.getElementById('settings-pillar-counter');
 const plannerToggleContainer = document.getElementById('settings-planner-toggle-container');
 const plannerToggleCheckbox = document.getElementById('settings-planner-toggle');
+const xpRulesSelect = document.getElementById('settings-xp-rules-select');
+const xpRulesDescription = document.getElementById('settings-xp-rules-description');
+const streakModeSelect = document.getElementById('settings-streak-mode-select');
+const weeklyTargetGroup = document.getElementById('settings-weekly-target-group');
+const weeklyTargetInput = document.getElementById('settings-weekly-target-input');
+const streakModeDescription = document.getElementById('settings-streak-mode-description');
+const dayRolloverSelect = document.getElementById('settings-day-rollover-select');
+const weekStartSelect = document.getElementById('settings-week-start-select');
 
 // --- Modal Visibility ---
 
@@ -85,7 +103,7 @@ export function showSettingsModal() {
     }
 
     // Populate Pillar Checklist
-    populateSettingsPillarList(); // Populate if not already done
+    populateSettingsPillarList(); // Populate if not already done (or if the pillars changed)
     // Clear existing checks first
     pillarChecklist.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = false);
     // Check the saved pillars if in simple mode
@@ -105,6 +123,38 @@ export function showSettingsModal() {
         console.warn("[SettingsUI] Planner toggle checkbox not found.");
     }
 
+    // Populate XP Rules Select
+    if (xpRulesSelect) {
+        xpRulesSelect.innerHTML = Object.entries(XP_RULE_PRESETS)
+            .map(([id, preset]) => `<option value="${escapeHtml(id)}">${escapeHtml(preset.name)}</option>`).join('');
+        xpRulesSelect.value = getXPRules(currentState).preset;
+        updateXPRulesDescription();
+    }
+
+    // Populate Streak Mode Select & Weekly Target
+    if (streakModeSelect && weeklyTargetInput) {
+        const { mode, weeklyTarget } = getStreakSettings(currentState);
+        streakModeSelect.innerHTML = Object.entries(STREAK_MODES)
+            .map(([id, streakMode]) => `<option value="${escapeHtml(id)}">${escapeHtml(streakMode.name)}</option>`).join('');
+        streakModeSelect.value = mode;
+        weeklyTargetInput.value = weeklyTarget;
+        updateStreakModeDescription();
+    }
+
+    // Populate Day Rollover Select
+    if (dayRolloverSelect) {
+        dayRolloverSelect.innerHTML = ROLLOVER_HOURS
+            .map(hour => `<option value="${hour}">${hour === 0 ? 'Midnight (default)' : escapeHtml(formatTime(`0${hour}:00`))}</option>`).join('');
+        dayRolloverSelect.value = String(getRolloverHour(currentState));
+    }
+
+    // Populate Week Start Select
+    if (weekStartSelect) {
+        weekStartSelect.innerHTML = Object.entries(WEEK_START_DAYS)
+            .map(([id, weekStart]) => `<option value="${escapeHtml(id)}">${escapeHtml(weekStart.name)}</option>`).join('');
+        weekStartSelect.value = getWeekStartDay(currentState);
+    }
+
     // --- Initial Control State & Visibility ---
     updateSettingsModalVisibility(); // Update visibility based on populated mode
     updateSettingsPillarCounter(); // Update counter based on populated checks
@@ -135,6 +185,26 @@ export function showSettingsModal() {
     console.log("[SettingsUI] Settings modal shown and populated.");
 }
 
+/**
+ * Shows the description of the XP rules preset selected in the settings form.
+ */
+export function updateXPRulesDescription() {
+    if (!xpRulesSelect || !xpRulesDescription) return;
+    xpRulesDescription.textContent = XP_RULE_PRESETS[xpRulesSelect.value]?.description || '';
+}
+
+/**
+ * Shows the description of the streak mode selected in the settings form,
+ * and the weekly target input when the weekly mode is selected.
+ */
+export function updateStreakModeDescription() {
+    if (!streakModeSelect || !streakModeDescription) return;
+    const isWeekly = streakModeSelect.value === 'weekly';
+    if (weeklyTargetGroup) weeklyTargetGroup.style.display = isWeekly ? 'block' : 'none';
+    streakModeDescription.textContent = (STREAK_MODES[streakModeSelect.value]?.description || '')
+        + (isWeekly ? ' Streak achievements need one week per 7 days of their target (e.g. 30 days → 5 weeks). The XP streak bonus still follows consecutive days.' : '');
+}
+
 /**
  * Hides the settings modal overlay.
  */
@@ -237,7 +307,8 @@ export function enableSimpleModeEditing() {
 
 
 /**
- * Populates the pillar selection checklist in the Settings modal if not already done.
+ * Populates the pillar selection checklist in the Settings modal if not already done
+ * for the current pillars (built-in and custom).
  */
 function populateSettingsPillarList() {
     if (!pillarChecklist) {
@@ -245,13 +316,20 @@ function populateSettingsPillarList() {
         return;
     }
 
-    // Avoid re-populating if already done
-    if (pillarChecklist.children.length > 1) {
+    // Avoid re-populating if already done for these pillars
+    const pillars = getActivePillars(getState());
+    const pillarList = pillars.map(pillar => `${pillar.id}:${pillar.emoji}:${pillar.name}`).join(',');
+    if (pillarChecklist.children.length > 1 && pillarChecklist.dataset.pillarList === pillarList) {
         return;
     }
+    pillarChecklist.dataset.pillarList = pillarList;
+    // Keep the current selection (and disabled state) when the list changes while the modal is open
+    const existingBoxes = Array.from(pillarChecklist.querySelectorAll('input[type="checkbox"]'));
+    const checkedIds = existingBoxes.filter(cb => cb.checked).map(cb => cb.value);
+    const wasDisabled = existingBoxes.length > 0 && existingBoxes[0].disabled;
 
     // Generate HTML for each pillar checkbox item
-    pillarChecklist.innerHTML = PILLARS.map(pillar => {
+    pillarChecklist.innerHTML = pillars.map(pillar => {
         const checkboxId = `settings-pillar-${pillar.id}`;
         return `
             <div class="pillar-checkbox-item">
@@ -263,6 +341,10 @@ function populateSettingsPillarList() {
             </div>
         `;
     }).join('');
+    pillarChecklist.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+        cb.checked = checkedIds.includes(cb.value);
+        cb.disabled = wasDisabled;
+    });
     console.log("[SettingsUI] Settings pillar checklist populated.");
 }
 
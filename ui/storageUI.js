@@ -0,0 +1,54 @@
+// ui/storageUI.js
+
+/**
+ * Renders the Storage section of the Settings modal: how much of the browser's storage
+ * quota is used, the size of the saved data, and the completed years that can be archived.
+ * The checks themselves live in storagehealth.js; archiving is handled in app.js.
+ */
+
+// --- Imports ---
+import { formatBytes, escapeHtml } from '../utils.js';
+
+// --- Rendering ---
+
+/**
+ * Updates the Storage section for a health report.
+ * @param {object} report - From storagehealth.checkStorageHealth().
+ * @param {Array<number>} archivedYears - Years already archived (state.archivedYears).
+ * @param {boolean} canArchive - False if archiving is not available in this browser.
+ */
+export function renderStorageHealth(report, archivedYears = [], canArchive = true) {
+    const status = document.getElementById('storage-health-status');
+    const bar = document.getElementById('storage-usage-bar');
+    const fill = document.getElementById('storage-usage-fill');
+    const list = document.getElementById('storage-archive-list');
+    if (!status || !bar || !fill || !list) {
+        console.warn("[StorageUI] Storage settings elements not found.");
+        return;
+    }
+
+    const percent = report.ratio !== null ? Math.min(100, Math.round(report.ratio * 100)) : 0;
+    fill.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+    bar.style.display = report.ratio !== null ? '' : 'none';
+    bar.classList.toggle('warning', report.level === 'warning');
+    bar.classList.toggle('critical', report.level === 'critical');
+
+    let message = `Your WellSpring data is ${formatBytes(report.stateBytes)}.`;
+    if (report.ratio !== null) message = `${formatBytes(report.usage)} of ${formatBytes(report.quota)} used (${percent}%). ${message}`;
+    if (report.level === 'critical') message = `⚠️ Storage is almost full. New changes may not be saved. ${message}`;
+    else if (report.level === 'warning') message = `⚠️ Storage is getting full. ${message}`;
+    status.textContent = message;
+
+    const archivableItems = report.archivableYears.map(info => `
+        <li class="storage-archive-item">
+            <span>${info.year}: ${info.dayCount} day(s), ${info.entryCount} timeline entries</span>
+            ${canArchive ? `<button class="data-btn archive-year-btn" data-year="${info.year}">🗄️ Archive ${info.year}</button>` : ''}
+        </li>`);
+    const archivedItems = archivedYears.map(year => `
+        <li class="storage-archive-item archived">
+            <span>${escapeHtml(String(year))}: archived (read-only)</span>
+        </li>`);
+    list.innerHTML = [...archivedItems, ...archivableItems].join('')
+        || '<li class="storage-archive-item empty">No completed years to archive yet.</li>';
+}
@@ -3,11 +3,16 @@
 /**
  * Manages the UI elements and rendering for the Journey Timeline tab.
  * *** MODIFIED: Added more robust checks for element existence. ***
+ * *** MODIFIED: Notes from archived years are shown read-only (no edit/delete buttons). ***
+ * *** MODIFIED: Notes are shown and sorted by their entry date (the day they are about), noting when they were written later. ***
+ * *** MODIFIED: "Today" is the user's local day (see dates.js). ***
+ * *** MODIFIED: The weekly reflection is suggested on the last day of the chosen week. ***
  */
 
 // --- Imports ---
 import { getState, getStateReference } from '../state.js';
-import { formatDate, escapeHtml, getWeekNumber } from '../utils.js';
+import { formatDate, escapeHtml, isArchivedDate, getTimelineEntryDate, compareTimelineEntries } from '../utils.js';
+import { getToday, getWeekStart, isLastDayOfWeek } from '../dates.js';
 
 // --- Core Rendering Function ---
 export function renderTimeline() {
@@ -35,12 +40,7 @@ export function renderTimeline() {
         filteredTimeline = filteredTimeline.filter(entry => entry?.type === filterType);
     }
     try {
-        filteredTimeline.sort((a, b) => {
-            const dateA = new Date(a?.date || 0).getTime();
-            const dateB = new Date(b?.date || 0).getTime();
-            if (isNaN(dateA) || isNaN(dateB)) { return 0; }
-            return sortOrder === 'oldest' ? dateA - dateB : dateB - dateA;
-        });
+        filteredTimeline.sort((a, b) => sortOrder === 'oldest' ? compareTimelineEntries(a, b) : compareTimelineEntries(b, a));
     } catch (error) { console.error("[TimelineUI] Error sorting timeline:", error); }
 
     if (filteredTimeline.length === 0) {
@@ -54,19 +54,32 @@ export function renderTimeline() {
     }
 
     container.innerHTML = filteredTimeline.map((entry) => {
-        if (!entry || !entry.type || !entry.date) {
+        if (!entry || !entry.type || !getTimelineEntryDate(entry)) {
             console.warn("[TimelineUI] Skipping invalid timeline entry:", entry);
             return '';
         }
-        const entryDate = formatDate(entry.date.split('T')[0]) || 'Unknown Date';
+        const entryDate = formatDate(getTimelineEntryDate(entry)) || 'Unknown Date';
         const noteId = entry.noteId || '';
+        // A note written on a later day than the one it is about says when it was written
+        const writtenDate = entry.type === 'note' && typeof entry.createdAt === 'string' ? entry.createdAt.slice(0, 10) : '';
+        const writtenLater = writtenDate && writtenDate !== getTimelineEntryDate(entry) ? ` <small class="note-written-date">(written ${formatDate(writtenDate)})</small>` : '';
 
         switch (entry.type) {
             case 'note':
+                if (isArchivedDate(stateRef, getTimelineEntryDate(entry))) {
+                    return `
+                    <div class="timeline-entry note-entry archived" data-note-id="${escapeHtml(noteId)}">
+                        <div class="timeline-date">
+                            <span class="icon" aria-hidden="true">📝</span> Note: ${entryDate}${writtenLater}
+                        </div>
+                        <p class="note-text-content">${escapeHtml(entry.text || 'Empty note.')}</p>
+                        <span class="timeline-archived-badge">🗄️ Archived (read-only)</span>
+                    </div>`;
+                }
                 return `
                     <div class="timeline-entry note-entry" data-note-id="${escapeHtml(noteId)}">
                         <div class="timeline-date">
-                            <span class="icon" aria-hidden="true">📝</span> Note Added: ${entryDate}
+                            <span class="icon" aria-hidden="true">📝</span> Note: ${entryDate}${writtenLater}
                         </div>
                         <p class="note-text-content">${escapeHtml(entry.text || 'Empty note.')}</p>
                         <div class="timeline-entry-actions">
@@ -149,25 +162,24 @@ export function setupAutoResizeTextarea() {
 }
 
 export function updateNoteHeaderPrompt() {
-    const noteHeader = document.querySelector('#add-note-form h3');
+    const noteHeader = document.getElementById('add-note-header');
     if (!noteHeader) {
-        // console.warn("[TimelineUI] Note header for prompt (#add-note-form h3) not found.");
+        // console.warn("[TimelineUI] Note header for prompt (#add-note-header) not found.");
         return;
     }
     const state = getState();
     if (!state || !state.currentDate) { noteHeader.textContent = "Add a Timeline Note"; return; }
     const currentDate = state.currentDate;
-    let dateObj;
-    try { dateObj = new Date(currentDate + 'T00:00:00Z'); if (isNaN(dateObj.getTime())) throw new Error("Invalid date"); }
-    catch (e) { noteHeader.textContent = "Add a Timeline Note"; return; }
-    const isSunday = dateObj.getUTCDay() === 0;
+    const weekId = getWeekStart(state, currentDate);
+    if (!weekId) { noteHeader.textContent = "Add a Timeline Note"; return; }
     let headerText = "Add a Timeline Note";
-    if (isSunday) {
-        const weekId = getWeekNumber(currentDate);
-        if (weekId && Array.isArray(state.timeline)) {
-            const hasWeeklyNote = state.timeline.some(entry => entry?.type === 'note' && entry.text?.toLowerCase().includes('#weeklyreflection') && getWeekNumber(entry.date?.split('T')[0]) === weekId);
+    if (isLastDayOfWeek(state, currentDate)) { // Weekly reflection day
+        if (Array.isArray(state.timeline)) {
+            const hasWeeklyNote = state.timeline.some(entry => entry?.type === 'note' && entry.text?.toLowerCase().includes('#weeklyreflection') && getWeekStart(state, getTimelineEntryDate(entry)) === weekId);
             if (!hasWeeklyNote) { headerText = "Add a Timeline Note (Weekly Reflection?)"; }
         }
     }
+    // Notes are added for the day shown in the Daily Log, so say which day when it isn't today
+    if (currentDate !== getToday(getState())) headerText += ` for ${formatDate(currentDate)}`;
     noteHeader.textContent = headerText;
 }
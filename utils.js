@@ -3,19 +3,14 @@
 /**
  * Utility functions for the WellSpring application.
  * *** MODIFIED: XP constants tuned for ~3 months to reach Level 100. ***
+ * *** MODIFIED: Level constants moved to the XP rules presets (xprules.js). ***
+ * *** MODIFIED: Added timeline entry date helpers (notes belong to their entry date). ***
+ * *** MODIFIED: Removed getWeekNumber (weeks come from dates.getWeekStart, with the chosen week start). ***
  */
 
 // Import LEVEL_NAMES from constants
 import { LEVEL_NAMES } from './constants.js';
-
-// --- Constants (Level Calculation) ---
-// *** MODIFIED VALUES FOR 3-MONTH PROGRESSION CURVE ***
-// Target: ~3500 Total XP for Level 100.
-// Avg User (~35-40 XP/day) will reach Level 100 in approx 90-100 days.
-const BASE_XP_PER_LEVEL = 15; // XP needed for first level (Easy start)
-const LEVEL_SCALING_FACTOR = 1.015; // 1.5% increase per level (Smooth curve)
-const PRESTIGE_XP_MULTIPLIER = 1.25; // Each cycle requires 25% more XP
-// *** END MODIFIED VALUES ***
+import { createXPRules, DEFAULT_XP_RULES_PRESET } from './xprules.js';
 
 // --- Date Formatting ---
 
@@ -83,53 +78,6 @@ export function getOrdinal(day) {
     }
 }
 
-/**
- * Gets the ISO week number identifier for a given date string (e.g., "2025-W16").
- * Uses UTC dates to ensure consistency across timezones.
- * Based on the ISO 8601 week date system.
- * @param {string} dateString - The date string in 'YYYY-MM-DD' format.
- * @returns {string|null} The week identifier string (YYYY-Www) or null if date is invalid.
- */
-export function getWeekNumber(dateString) {
-    // Basic validation for the input string
-    if (!dateString || typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
-        console.warn("[Utils] getWeekNumber received invalid input:", dateString);
-        return null;
-    }
-    try {
-        // Parse the input date as UTC
-        const date = new Date(Date.UTC(
-            parseInt(dateString.substring(0, 4)),
-            parseInt(dateString.substring(5, 7)) - 1, // Month is 0-indexed
-            parseInt(dateString.substring(8, 10))
-        ));
-        if (isNaN(date.getTime())) throw new Error('Invalid Date object created');
-
-        // Create a copy to avoid modifying the original date object
-        const target = new Date(date.valueOf());
-
-        // Set to Monday of the week (adjust day: 0=Sun, 1=Mon, ..., 6=Sat)
-        // ISO week starts on Monday (day 1). If Sunday (day 0), go back 6 days. Otherwise, go back (day - 1) days.
-        target.setUTCDate(target.getUTCDate() - (target.getUTCDay() || 7) + 1);
-
-        // Get the year of the Thursday of the target week (ISO standard)
-        const weekYear = target.getUTCFullYear();
-
-        // Calculate the day number of the year for the target date (Monday)
-        const firstDayOfYear = Date.UTC(weekYear, 0, 1);
-        const dayOfYear = Math.floor((target - firstDayOfYear) / (24 * 60 * 60 * 1000)) + 1;
-
-        // Calculate the ISO week number
-        const weekNumber = Math.ceil(dayOfYear / 7);
-
-        // Format the result as YYYY-Www (pad week number with leading zero if needed)
-        return `${weekYear}-W${weekNumber.toString().padStart(2, '0')}`;
-    } catch (e) {
-        console.error("[Utils] Error getting week number:", e, "Input:", dateString);
-        return null;
-    }
-}
-
 
 // --- HTML Escaping ---
 
@@ -159,15 +107,17 @@ export function escapeHtml(str) {
  * Calculates the current level, prestige, level name, and XP progress based on total XP earned.
  * Handles prestige scaling where XP requirements increase per prestige rank.
  * Caps level at 100 before prestige.
- * Uses the rebalanced constants defined at the top of the file.
+ * Uses the level values of the active XP rules (xprules.getXPRules).
  * @param {number} totalXP - The total accumulated XP (defaults to 0).
  * @param {number} prestige - The current prestige rank (defaults to 0).
+ * @param {object} [rules] - The XP rules (defaults to the default preset).
  * @returns {{level: number, levelName: string|null, prestige: number, xpTowardsNext: number, xpNeededForNext: number}} - Object containing level data.
  */
-export function calculateLevelData(totalXP = 0, prestige = 0) {
+export function calculateLevelData(totalXP = 0, prestige = 0, rules = createXPRules(DEFAULT_XP_RULES_PRESET)) {
+    const { baseXPPerLevel, levelScalingFactor, prestigeXPMultiplier } = rules;
     let currentLevel = 0; // Start at level 0 internally for calculation
     // Calculate the base XP needed for level 1 of the *current* prestige cycle
-    let xpForNextLevel = BASE_XP_PER_LEVEL * Math.pow(PRESTIGE_XP_MULTIPLIER, prestige);
+    let xpForNextLevel = baseXPPerLevel * Math.pow(prestigeXPMultiplier, prestige);
     let cumulativeXPNeeded = 0; // Tracks total XP needed to reach the *start* of the current level
     let xpRemaining = totalXP; // XP available to spend on levels
 
@@ -178,7 +128,7 @@ export function calculateLevelData(totalXP = 0, prestige = 0) {
         cumulativeXPNeeded += xpForNextLevel; // Add to cumulative total
         currentLevel++; // Increment level
         // Calculate XP needed for the *next* level using the scaling factor
-        xpForNextLevel *= LEVEL_SCALING_FACTOR;
+        xpForNextLevel *= levelScalingFactor;
     }
 
     // Handle reaching or exceeding level 100
@@ -366,4 +316,78 @@ export function getMoodEmoji(level) {
     return ''; // Return empty string for invalid levels
 }
 
+// --- Timeline Helpers ---
+/**
+ * Returns the day a timeline entry belongs to: for a note, the day it is about (its entryDate,
+ * which can differ from the day it was written); for other entries, the day they happened.
+ * @param {object} entry - A timeline entry.
+ * @returns {string} The date ('YYYY-MM-DD'), or '' if the entry has none.
+ */
+export function getTimelineEntryDate(entry) {
+    const date = entry?.type === 'note' ? (entry.entryDate || entry.createdAt || entry.date) : entry?.date;
+    return typeof date === 'string' ? date.slice(0, 10) : '';
+}
+
+/**
+ * Sort comparator for timeline entries, oldest first: by the day they belong to, then by the time
+ * they were created (so a note written today about last week sits with last week's entries).
+ * @param {object} a - A timeline entry.
+ * @param {object} b - Another timeline entry.
+ * @returns {number}
+ */
+export function compareTimelineEntries(a, b) {
+    const timeOf = (entry) => String(entry?.createdAt || entry?.date || '');
+    return getTimelineEntryDate(a).localeCompare(getTimelineEntryDate(b)) || timeOf(a).localeCompare(timeOf(b));
+}
+
+// --- Archive Helpers ---
+/**
+ * Checks whether a date falls in a year that has been moved to a read-only archive.
+ * @param {object} state - The application state (uses state.archivedYears).
+ * @param {string} dateString - A date ('YYYY-MM-DD') or ISO timestamp.
+ * @returns {boolean} True if the date's year is archived.
+ */
+export function isArchivedDate(state, dateString) {
+    if (!dateString || !Array.isArray(state?.archivedYears)) return false;
+    return state.archivedYears.includes(Number(String(dateString).slice(0, 4)));
+}
+
+// --- Size & Encoding Helpers ---
+/**
+ * Formats a byte count for display (e.g. "1.4 MB").
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The formatted size.
+ */
+export function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) return 'unknown';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Encodes bytes as a Base64 string (for storing binary data as JSON).
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The Base64 string.
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decodes a Base64 string created with bytesToBase64().
+ * @param {string} base64 - The Base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
 // --- Add other general utility functions as needed ---
@@ -0,0 +1,166 @@
+// wellbeing.js
+
+/**
+ * Wellbeing check-ins: optional 1-5 scales logged alongside the daily mood.
+ * state.wellbeing[date] = {
+ *     energy: 4, stress: 2, sleep: 3, anxiety: 1,          // The day as a whole
+ *     morning: { mood: 3, energy: 2, stress: 3, anxiety: 2 }, // Optional check-ins on the same day
+ *     evening: { mood: 4, energy: 3, stress: 1, anxiety: 1 }
+ * }
+ * Every value is optional. The daily mood stays in state.mood and is the only one that affects XP
+ * (the mood multiplier); check-in moods are for reflection and analytics only.
+ */
+
+// --- Imports ---
+import { getMoodEmoji } from './utils.js';
+
+// --- Constants ---
+export const MOOD_DESCRIPTIONS = {
+    1: "Worried",
+    2: "Confused",
+    3: "Neutral",
+    4: "Happy",
+    5: "Excited"
+};
+
+// The scales. For stress and anxiety a lower level is better.
+export const WELLBEING_SCALES = {
+    mood: { name: "Mood", emoji: '🙂', low: "Worried", high: "Excited", lowerIsBetter: false },
+    energy: { name: "Energy", emoji: '⚡', low: "Drained", high: "Energised", lowerIsBetter: false },
+    stress: { name: "Stress", emoji: '🌡️', low: "Calm", high: "Very stressed", lowerIsBetter: true },
+    sleep: { name: "Sleep quality", emoji: '😴', low: "Poor", high: "Great", lowerIsBetter: false },
+    anxiety: { name: "Anxiety", emoji: '🌀', low: "At ease", high: "Very anxious", lowerIsBetter: true }
+};
+
+// Where scales are logged: the whole day (mood itself is the Daily Mood) or a morning/evening check-in
+export const CHECK_INS = {
+    day: { name: "Whole day", emoji: '📅', scales: ['energy', 'stress', 'sleep', 'anxiety'] },
+    morning: { name: "Morning", emoji: '🌅', scales: ['mood', 'energy', 'stress', 'anxiety'] },
+    evening: { name: "Evening", emoji: '🌙', scales: ['mood', 'energy', 'stress', 'anxiety'] }
+};
+
+// --- Reading Check-ins ---
+
+/**
+ * @param {*} level - A value to check.
+ * @returns {boolean} True if it is a level from 1 to 5.
+ */
+export function isValidLevel(level) {
+    return Number.isInteger(level) && level >= 1 && level <= 5;
+}
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {string} checkIn - 'day', 'morning' or 'evening'.
+ * @param {string} scale - A scale of that check-in (see CHECK_INS).
+ * @returns {number|null} The logged level, or null if none.
+ */
+export function getWellbeingLevel(state, date, checkIn, scale) {
+    const entry = state?.wellbeing?.[date];
+    const level = checkIn === 'day' ? entry?.[scale] : entry?.[checkIn]?.[scale];
+    return CHECK_INS[checkIn]?.scales.includes(scale) && isValidLevel(level) ? level : null;
+}
+
+/**
+ * Returns a scale's level for a day as a whole: the whole-day value if logged (the Daily Mood for mood),
+ * otherwise the average of the morning and evening check-ins.
+ * @param {object} state - The application state.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {string} scale - A scale ID (see WELLBEING_SCALES).
+ * @returns {number|null} The level (possibly fractional), or null if none was logged.
+ */
+export function getDayLevel(state, date, scale) {
+    const dayLevel = scale === 'mood' ? (isValidLevel(state?.mood?.[date]) ? state.mood[date] : null) : getWellbeingLevel(state, date, 'day', scale);
+    if (dayLevel !== null) return dayLevel;
+    const checkInLevels = ['morning', 'evening'].map(checkIn => getWellbeingLevel(state, date, checkIn, scale)).filter(level => level !== null);
+    return checkInLevels.length > 0 ? checkInLevels.reduce((sum, level) => sum + level, 0) / checkInLevels.length : null;
+}
+
+/**
+ * @param {object} state - The application state.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {string} checkIn - 'day', 'morning' or 'evening'.
+ * @returns {boolean} True if any scale of that check-in was logged.
+ */
+export function hasCheckIn(state, date, checkIn) {
+    return CHECK_INS[checkIn].scales.some(scale => getWellbeingLevel(state, date, checkIn, scale) !== null);
+}
+
+/**
+ * Formats a level for display: mood as its emoji and description (or its emoji and value for an
+ * average), other scales as "4/5" (or "3.5/5").
+ * @param {string} scale - A scale ID.
+ * @param {number} level - The level.
+ * @returns {string}
+ */
+export function formatLevel(scale, level) {
+    const value = Number.isInteger(level) ? String(level) : level.toFixed(1);
+    if (scale !== 'mood') return `${value}/5`;
+    return `${getMoodEmoji(Math.round(level))} ${Number.isInteger(level) ? MOOD_DESCRIPTIONS[level] : value}`;
+}
+
+/**
+ * Describes a day's wellbeing check-ins, one line per check-in (for the calendar hover summary).
+ * @param {object} state - The application state.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @returns {Array<string>} E.g. ["Energy 4/5 · Stress 2/5", "🌅 Morning: Mood 🫤 Neutral · Energy 2/5"].
+ */
+export function describeWellbeing(state, date) {
+    return Object.entries(CHECK_INS).map(([checkIn, definition]) => {
+        const parts = definition.scales
+            .map(scale => ({ scale, level: getWellbeingLevel(state, date, checkIn, scale) }))
+            .filter(({ level }) => level !== null)
+            .map(({ scale, level }) => `${WELLBEING_SCALES[scale].name} ${formatLevel(scale, level)}`);
+        if (parts.length === 0) return null;
+        return checkIn === 'day' ? parts.join(' · ') : `${definition.emoji} ${definition.name}: ${parts.join(' · ')}`;
+    }).filter(Boolean);
+}
+
+// --- Summaries ---
+
+/**
+ * Averages a scale over the days in a range (see getDayLevel), optionally for one check-in only.
+ * @param {object} state - The application state.
+ * @param {string} scale - A scale ID.
+ * @param {{from?: string, to?: string, checkIn?: string}} [options] - Date range ('YYYY-MM-DD') and check-in ('morning' or 'evening').
+ * @returns {{average: number|null, days: number}}
+ */
+export function getLevelAverage(state, scale, { from = '', to = '9999-12-31', checkIn = null } = {}) {
+    let total = 0, days = 0;
+    getWellbeingDates(state).forEach(date => {
+        if (date < from || date > to) return;
+        const level = checkIn ? getWellbeingLevel(state, date, checkIn, scale) : getDayLevel(state, date, scale);
+        if (level === null) return;
+        total += level;
+        days++;
+    });
+    return { average: days > 0 ? total / days : null, days };
+}
+
+/**
+ * Counts days for the 'wellbeing' achievement criteria:
+ * - { checkIns: 'both' }: days with both a morning and an evening check-in;
+ * - { scale, min?, max? }: days whose level on that scale (see getDayLevel) is within min..max;
+ * - otherwise: days with any wellbeing check-in (the Daily Mood alone doesn't count).
+ * @param {object} state - The application state.
+ * @param {{scale?: string, min?: number, max?: number, checkIns?: string}} criteria - The achievement criteria.
+ * @returns {number}
+ */
+export function countWellbeingDays(state, criteria = {}) {
+    return getWellbeingDates(state).filter(date => {
+        if (criteria.checkIns === 'both') return hasCheckIn(state, date, 'morning') && hasCheckIn(state, date, 'evening');
+        if (criteria.scale) {
+            const level = getDayLevel(state, date, criteria.scale);
+            return level !== null && level >= (criteria.min ?? 1) && level <= (criteria.max ?? 5);
+        }
+        return Object.keys(CHECK_INS).some(checkIn => hasCheckIn(state, date, checkIn));
+    }).length;
+}
+
+// --- Internal Helpers ---
+
+/** Dates with a wellbeing entry or a Daily Mood, oldest first. */
+function getWellbeingDates(state) {
+    return [...new Set([...Object.keys(state?.wellbeing || {}), ...Object.keys(state?.mood || {})])].sort();
+}
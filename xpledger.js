@@ -0,0 +1,276 @@
+// xpledger.js
+
+/**
+ * Per-day XP ledger for WellSpring.
+ * Every saved day has a ledger entry (state.xpLedger[date], stored in the day record) with the
+ * parts of its XP: pillar XP, the streak index reached that day, the streak bonus, the mood
+ * multiplier, the day total and the streak freeze tokens held after that day.
+ * Missed days between two saved days also get an entry (with `frozen` set and no XP) when a
+ * planned rest day, a travel day (see dates.js) or a freeze token kept the streak going through them.
+ * A saved day's entries only depend on its own data, the rest days before it and the previous
+ * saved day's entry, so an edit is applied by recalculating from the edited date forward and
+ * stopping at the first saved day whose entries come out unchanged.
+ * A full recalculation (calculateXPLedger) is only used to build, verify or repair the ledger.
+ * A repair stamps the ledger (state.xpLedgerStamp) with the calculation version and the rules it used;
+ * loading the app repairs it only when that stamp differs from the current ones.
+ * getDayXPBreakdown() exposes an entry with the values it was calculated from, for display.
+ * XP values come from the active rules (xprules.js); changing them requires a full repair.
+ */
+
+// --- Imports ---
+import { getPillars } from './pillars.js';
+import { getXPRules } from './xprules.js';
+import { addDays, getDaysBetween } from './dates.js';
+
+// --- Constants ---
+export const XP_LEDGER_VERSION = 2; // Bump when the calculation changes, so stored ledgers are repaired once (v2: tokens for multiples passed on frozen days)
+const FROZEN_REST = 'rest';     // Missed day covered by a planned rest day
+const FROZEN_FREEZE = 'freeze'; // Missed day covered by a freeze token
+const FROZEN_TRAVEL = 'travel'; // Missed day skipped by a timezone change (restDays[date] = 'travel')
+
+// --- Day Calculation ---
+
+/**
+ * Calculates the ledger entries for a saved day and for the missed days before it.
+ * The missed days since the previous saved day keep the streak going only if every one of them
+ * is a planned rest day or can be covered by a freeze token; otherwise no token is used and the
+ * streak starts again at 1. A saved day earns a freeze token for each multiple of rules.freezeTokenStreakDays
+ * its streak reaches, counting the values passed on the frozen days before it, up to rules.maxFreezeTokens.
+ * @param {object} state - The application state.
+ * @param {string} date - The saved day ('YYYY-MM-DD').
+ * @param {{date: string, entry: object}|null} previous - The previous saved day and its ledger entry.
+ * @param {object} [rules=getXPRules(state)] - The XP rules to apply.
+ * @returns {{entry: object, frozen: Array<{date: string, entry: object}>}} The saved day's entry and the frozen days before it.
+ */
+export function calculateDayEntries(state, date, previous, rules = getXPRules(state)) {
+    let streak = 1;
+    let previousStreak = 0; // The streak this day continues from (0 for a new streak)
+    let freezeTokens = previous?.entry.freezeTokens || 0;
+    let frozen = [];
+    if (previous) {
+        const missedDays = getDaysBetween(previous.date, date) - 1;
+        if (missedDays === 0) {
+            previousStreak = previous.entry.streak;
+            streak = previousStreak + 1;
+        } else {
+            // Walks the gap only until the first day that cannot be covered
+            let bridgedStreak = previous.entry.streak;
+            let tokensLeft = freezeTokens;
+            for (let offset = 1; offset <= missedDays; offset++) {
+                const missedDate = addDays(previous.date, offset);
+                const kind = state.restDays?.[missedDate] ? (state.restDays[missedDate] === FROZEN_TRAVEL ? FROZEN_TRAVEL : FROZEN_REST) : (tokensLeft > 0 ? FROZEN_FREEZE : null);
+                if (!kind) break;
+                if (kind === FROZEN_FREEZE) tokensLeft--;
+                bridgedStreak++;
+                frozen.push({ date: missedDate, entry: { pillarXP: 0, streak: bridgedStreak, streakBonus: 0, moodMultiplier: 1, total: 0, freezeTokens: tokensLeft, frozen: kind } });
+            }
+            if (frozen.length === missedDays) {
+                previousStreak = previous.entry.streak;
+                streak = bridgedStreak + 1;
+                freezeTokens = tokensLeft;
+            } else {
+                frozen = []; // The gap cannot be covered: keep the tokens and start a new streak
+            }
+        }
+    }
+    const tokensEarned = Math.floor(streak / rules.freezeTokenStreakDays) - Math.floor(previousStreak / rules.freezeTokenStreakDays);
+    if (tokensEarned > 0) freezeTokens = Math.min(rules.maxFreezeTokens, freezeTokens + tokensEarned);
+
+    const pillarXP = getPillars(state).filter(p => state.pillars?.[p.id]?.days?.[date]).length * rules.xpPerPillar;
+    const streakBonus = Math.floor(streak / rules.streakBonusDivisor);
+    const moodMultiplier = rules.moodMultipliers[state.mood?.[date]] || 1.0;
+    const total = Math.round((pillarXP + streakBonus) * moodMultiplier);
+    return { entry: { pillarXP, streak, streakBonus, moodMultiplier, total, freezeTokens }, frozen };
+}
+
+// --- Ledger ---
+
+/**
+ * Builds the complete ledger from scratch, walking every saved day in order.
+ * @param {object} state - The application state.
+ * @returns {object} The ledger, keyed by date.
+ */
+export function calculateXPLedger(state) {
+    const ledger = {};
+    const rules = getXPRules(state);
+    let previous = null;
+    getSavedDates(state).forEach(date => {
+        const { entry, frozen } = calculateDayEntries(state, date, previous, rules);
+        frozen.forEach(day => { ledger[day.date] = day.entry; });
+        ledger[date] = entry;
+        previous = { date, entry };
+    });
+    return ledger;
+}
+
+/**
+ * Brings state.xpLedger up to date after a change to the given date.
+ * Saved days are recalculated from that date forward until one comes out unchanged together
+ * with the frozen days before it (every later day depends only on it, so they are unchanged too).
+ * @param {object} state - The application state (state.xpLedger is updated in place).
+ * @param {string} fromDate - The earliest date that changed ('YYYY-MM-DD').
+ * @returns {Array<string>} The dates whose ledger entries were added, changed or removed.
+ */
+export function updateXPLedger(state, fromDate) {
+    const ledger = state.xpLedger || (state.xpLedger = {});
+    const dates = getSavedDates(state);
+    let index = dates.findIndex(date => date >= fromDate);
+    if (index === -1) index = dates.length;
+    const previousDate = index > 0 ? dates[index - 1] : null;
+    if (previousDate && !ledger[previousDate]) return repairXPLedger(state);
+    let previous = previousDate ? { date: previousDate, entry: ledger[previousDate] } : null;
+    const rules = getXPRules(state);
+    const changed = [];
+
+    for (; index < dates.length; index++) {
+        const date = dates[index];
+        const { entry, frozen } = calculateDayEntries(state, date, previous, rules);
+        const entries = Object.fromEntries([...frozen.map(day => [day.date, day.entry]), [date, entry]]);
+        const rangeChanged = replaceEntries(ledger, previous?.date ?? null, date, entries, changed);
+        previous = { date, entry };
+        if (!rangeChanged) return changed;
+    }
+    // Past the last saved day there are no entries (e.g. it was just unlocked)
+    Object.keys(ledger).filter(date => !previous || date > previous.date).forEach(date => {
+        delete ledger[date];
+        changed.push(date);
+    });
+    return changed;
+}
+
+/**
+ * Replaces state.xpLedger with a full recalculation.
+ * @param {object} state - The application state.
+ * @returns {Array<string>} The dates whose ledger entries were added, changed or removed.
+ */
+export function repairXPLedger(state) {
+    const ledger = calculateXPLedger(state);
+    const current = state.xpLedger || {};
+    const changed = [...new Set([...Object.keys(current), ...Object.keys(ledger)])].filter(date => !isSameEntry(current[date], ledger[date]));
+    state.xpLedger = ledger;
+    state.xpLedgerStamp = getXPLedgerStamp(state);
+    return changed;
+}
+
+/**
+ * Checks whether the ledger was built by this version of the calculation with the active rules,
+ * so it can be trusted without a full recalculation.
+ * @param {object} state - The application state.
+ * @returns {boolean} False if the ledger needs a repair (e.g. it was stored by an older version or migrated).
+ */
+export function isXPLedgerCurrent(state) {
+    return JSON.stringify(state.xpLedgerStamp ?? null) === JSON.stringify(getXPLedgerStamp(state));
+}
+
+/**
+ * Compares the stored ledger with a full recalculation.
+ * @param {object} state - The application state.
+ * @returns {{matches: boolean, differences: Array<string>}} The dates whose entries differ.
+ */
+export function verifyXPLedger(state) {
+    const ledger = calculateXPLedger(state);
+    const current = state.xpLedger || {};
+    const differences = [...new Set([...Object.keys(current), ...Object.keys(ledger)])].filter(date => !isSameEntry(current[date], ledger[date]));
+    return { matches: differences.length === 0, differences: differences.sort() };
+}
+
+/**
+ * Sums the ledger into the XP total, the current streak and the freeze tokens held
+ * (both taken from the latest saved day).
+ * @param {object} state - The application state.
+ * @returns {{totalXP: number, streak: number, freezeTokens: number}}
+ */
+export function summarizeXPLedger(state) {
+    const ledger = state.xpLedger || {};
+    let totalXP = 0;
+    let latestDate = null;
+    Object.entries(ledger).forEach(([date, entry]) => {
+        totalXP += entry?.total || 0;
+        if (!latestDate || date > latestDate) latestDate = date;
+    });
+    const noteCount = (state.timeline || []).filter(e => e?.type === 'note').length;
+    const latest = latestDate ? ledger[latestDate] : null;
+    return { totalXP: totalXP + noteCount * getXPRules(state).xpPerNote, streak: latest?.streak || 0, freezeTokens: latest?.freezeTokens || 0 };
+}
+
+// --- Breakdown ---
+
+/**
+ * Explains a saved or frozen day's XP: the ledger entry plus the values it was calculated from.
+ * @param {object} state - The application state.
+ * @param {string} date - The day ('YYYY-MM-DD').
+ * @returns {object|null} The breakdown, or null if the day has no ledger entry.
+ */
+export function getDayXPBreakdown(state, date) {
+    const entry = state.xpLedger?.[date];
+    if (!entry) return null;
+    const rules = getXPRules(state);
+    return {
+        date,
+        ...entry,
+        pillarCount: getPillars(state).filter(p => state.pillars?.[p.id]?.days?.[date]).length,
+        xpPerPillar: rules.xpPerPillar,
+        streakBonusDivisor: rules.streakBonusDivisor,
+        mood: state.mood?.[date] || null
+    };
+}
+
+/**
+ * Describes the steps of a breakdown as short lines, e.g. "4 pillars × 5 XP = 20".
+ * @param {object} breakdown - From getDayXPBreakdown().
+ * @returns {Array<string>} One line each for pillars, streak bonus and mood multiplier (one line for a frozen day).
+ */
+export function describeXPBreakdown(breakdown) {
+    const { pillarCount, xpPerPillar, pillarXP, streak, streakBonusDivisor, streakBonus, mood, moodMultiplier } = breakdown;
+    if (breakdown.frozen) {
+        const reason = { [FROZEN_REST]: 'Planned rest day', [FROZEN_TRAVEL]: 'Travel day (timezone change)' }[breakdown.frozen] || 'Streak freeze used';
+        return [`${reason}: streak kept (day ${streak}), no XP`];
+    }
+    return [
+        `${pillarCount} pillar${pillarCount === 1 ? '' : 's'} × ${xpPerPillar} XP = ${pillarXP}`,
+        `Streak day ${streak}: +${streakBonus} bonus (1 per ${streakBonusDivisor} days)`,
+        `${mood ? `Mood ${mood}` : 'No mood'}: ×${moodMultiplier}`
+    ];
+}
+
+// --- Internal Helpers ---
+
+function getXPLedgerStamp(state) {
+    return { version: XP_LEDGER_VERSION, rules: getXPRules(state) };
+}
+
+function getSavedDates(state) {
+    return Object.keys(state.savedDays || {}).filter(date => state.savedDays[date]).sort();
+}
+
+/**
+ * Writes the entries calculated for the days after `afterDate` up to `date`, removing entries in
+ * that range that are no longer needed. Returns true if anything in the range changed.
+ */
+function replaceEntries(ledger, afterDate, date, entries, changed) {
+    let rangeChanged = false;
+    const existingDates = afterDate
+        ? Array.from({ length: getDaysBetween(afterDate, date) }, (_, i) => addDays(afterDate, i + 1))
+        : Object.keys(ledger).filter(ledgerDate => ledgerDate <= date);
+    existingDates.forEach(existingDate => {
+        if (ledger[existingDate] && !entries[existingDate]) {
+            delete ledger[existingDate];
+            changed.push(existingDate);
+            rangeChanged = true;
+        }
+    });
+    Object.entries(entries).forEach(([entryDate, entry]) => {
+        if (isSameEntry(ledger[entryDate], entry)) return;
+        ledger[entryDate] = entry;
+        changed.push(entryDate);
+        rangeChanged = true;
+    });
+    return rangeChanged;
+}
+
+function isSameEntry(a, b) {
+    if (!a || !b) return a === b;
+    return a.pillarXP === b.pillarXP && a.streak === b.streak && a.streakBonus === b.streakBonus
+        && a.moodMultiplier === b.moodMultiplier && a.total === b.total
+        && a.freezeTokens === b.freezeTokens && (a.frozen || null) === (b.frozen || null);
+}
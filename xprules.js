@@ -0,0 +1,103 @@
+// xprules.js
+
+/**
+ * XP rules for WellSpring: how much XP notes, pillars, streaks and moods earn, and how much XP
+ * each level needs. The active rules are stored with the user's state (state.xpRules) as a full
+ * copy of a preset, so XP history is always recalculated with the same values it was saved with.
+ * Switching presets replaces the stored rules and recalculates the XP ledger (see state.js).
+ * Rules also decide how streak freeze tokens are earned (see xpledger.calculateDayEntries).
+ */
+
+// --- Presets ---
+export const DEFAULT_XP_RULES_PRESET = '3-month';
+
+export const XP_RULE_PRESETS = {
+    // Target: ~3500 Total XP for Level 100.
+    // Avg User (~35-40 XP/day) will reach Level 100 in approx 90-100 days.
+    '3-month': {
+        name: "3-Month Journey",
+        description: "The standard curve: an average user reaches Level 100 in about 3 months.",
+        rules: {
+            xpPerNote: 10,
+            xpPerPillar: 5, // Base XP per pillar
+            streakBonusDivisor: 5, // Bonus XP = streak / 5
+            moodMultipliers: { 1: 0.8, 2: 0.9, 3: 1.0, 4: 1.1, 5: 1.2 },
+            baseXPPerLevel: 15, // XP needed for first level (Easy start)
+            levelScalingFactor: 1.015, // 1.5% increase per level (Smooth curve)
+            prestigeXPMultiplier: 1.25, // Each cycle requires 25% more XP
+            freezeTokenStreakDays: 7, // One streak freeze token per 7-day streak
+            maxFreezeTokens: 2 // Tokens that can be held at once
+        }
+    },
+    // Target: ~2000 Total XP for Level 100 (about 6-7 weeks).
+    relaxed: {
+        name: "Relaxed",
+        description: "Faster levels and a gentler mood multiplier: Level 100 in about 6-7 weeks.",
+        rules: {
+            xpPerNote: 10,
+            xpPerPillar: 6,
+            streakBonusDivisor: 4,
+            moodMultipliers: { 1: 0.9, 2: 0.95, 3: 1.0, 4: 1.05, 5: 1.1 },
+            baseXPPerLevel: 12,
+            levelScalingFactor: 1.01,
+            prestigeXPMultiplier: 1.15,
+            freezeTokenStreakDays: 5,
+            maxFreezeTokens: 3
+        }
+    },
+    // Target: ~10800 Total XP for Level 100 (about a year).
+    hardcore: {
+        name: "Hardcore",
+        description: "Slow levels, bigger mood swings and steeper cycles: Level 100 takes about a year.",
+        rules: {
+            xpPerNote: 5,
+            xpPerPillar: 4,
+            streakBonusDivisor: 7,
+            moodMultipliers: { 1: 0.7, 2: 0.85, 3: 1.0, 4: 1.15, 5: 1.3 },
+            baseXPPerLevel: 25,
+            levelScalingFactor: 1.025,
+            prestigeXPMultiplier: 1.5,
+            freezeTokenStreakDays: 14,
+            maxFreezeTokens: 1
+        }
+    }
+};
+
+// --- Rules ---
+
+/**
+ * Creates the rules to store in state for a preset.
+ * @param {string} presetId - A key of XP_RULE_PRESETS.
+ * @returns {object} A copy of the preset's rules, with its ID in `preset`.
+ * @throws {Error} If the preset does not exist.
+ */
+export function createXPRules(presetId) {
+    const preset = XP_RULE_PRESETS[presetId];
+    if (!preset) throw new Error(`Unknown XP rules preset: ${presetId}`);
+    return { preset: presetId, ...JSON.parse(JSON.stringify(preset.rules)) };
+}
+
+/**
+ * Returns the active rules for a state. Missing or invalid values fall back to the default preset.
+ * @param {object} state - The application state (or a backup).
+ * @returns {object} The rules (see XP_RULE_PRESETS).
+ */
+export function getXPRules(state) {
+    const defaults = createXPRules(DEFAULT_XP_RULES_PRESET);
+    const stored = state?.xpRules;
+    if (!stored || typeof stored !== 'object') return defaults;
+    const rules = { ...defaults };
+    Object.keys(defaults).forEach(key => {
+        if (key === 'moodMultipliers') {
+            Object.keys(defaults.moodMultipliers).forEach(level => {
+                const multiplier = stored.moodMultipliers?.[level];
+                if (typeof multiplier === 'number' && multiplier > 0) rules.moodMultipliers[level] = multiplier;
+            });
+        } else if (key === 'preset') {
+            if (typeof stored.preset === 'string') rules.preset = stored.preset;
+        } else if (typeof stored[key] === 'number' && stored[key] > 0) {
+            rules[key] = stored[key];
+        }
+    });
+    return rules;
+}